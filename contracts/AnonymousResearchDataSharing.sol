@@ -1,14 +1,30 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, euint32, euint64, ebool, euint8 } from "@fhevm/solidity/lib/FHE.sol";
-import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { FHE, euint32, euint64, euint8, externalEuint32, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig, ZamaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { ConfidentialRewardToken } from "./ConfidentialRewardToken.sol";
+import { PlatformPausable } from "./PlatformPausable.sol";
+import { ResearchSchemaRegistry } from "./ResearchSchemaRegistry.sol";
+import { ResearchQuotaManager } from "./ResearchQuotaManager.sol";
+import { ResearchReputation } from "./ResearchReputation.sol";
+import { ResearchPricing } from "./ResearchPricing.sol";
 
-contract AnonymousResearchDataSharing is SepoliaConfig {
+contract AnonymousResearchDataSharing is SepoliaConfig, PlatformPausable {
+
+    // 单次批量调用最多处理的条目数量（授权按数据集与请求的组合计数），限制单笔交易的 FHE 运算量
+    uint256 public constant MAX_BATCH_SIZE = 50;
 
-    address public owner;
     uint32 public nextDatasetId;
     uint32 public nextRequestId;
+    ConfidentialRewardToken public rewardToken;
+    address public analytics;
+    ResearchSchemaRegistry public schemaRegistry;
+    ResearchQuotaManager public quotaManager;
+    ResearchReputation public reputation;
+    ResearchPricing public pricing;
+    // 是否已初始化，实现合约在构造时即锁定，平台只能通过代理使用
+    bool private initialized;
 
     struct Dataset {
         address contributor;
@@ -27,9 +43,41 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
         euint32 encryptedBudget;
         uint256 deadline;
         bool isFulfilled;
+        bool isExpired;
         uint32[] approvedDatasets;
     }
 
+    // 批量贡献中的单个条目，加密值的句柄来自同一份客户端加密输入
+    struct EncryptedContribution {
+        externalEuint32 encryptedDataValue;
+        externalEuint8 encryptedQualityScore;
+        string metadataHash;
+        bool isPublic;
+    }
+
+    enum ProposalStatus {
+        None,
+        Pending,
+        Accepted,
+        Rejected
+    }
+
+    // 仅为保留存储布局而声明，版本历史已迁移至 ResearchDatasetVersions
+    struct DatasetVersion {
+        euint32 encryptedDataValue;
+        string metadataHash;
+        uint256 timestamp;
+    }
+
+    // 停用/重新启用数据集的原因代码
+    enum StatusReason {
+        Unspecified,
+        WithdrawnConsent,
+        DataError,
+        Moderation,
+        Resolved
+    }
+
     struct Contribution {
         uint32 datasetId;
         euint64 encryptedReward;
@@ -41,37 +89,135 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
     mapping(address => uint32[]) public contributorDatasets;
     mapping(address => Contribution[]) public contributions;
     mapping(uint32 => mapping(address => bool)) public datasetAccess;
+    mapping(uint32 => mapping(address => uint256)) public accessExpiry;
+    mapping(uint32 => address[]) private datasetGrantees;
+    mapping(uint32 => mapping(address => uint256)) private granteeIndex;
+    mapping(uint32 => uint32[]) private requestProposals;
+    mapping(uint32 => mapping(uint32 => ProposalStatus)) public proposalStatus;
+    // 已弃用：保留存储槽位以兼容代理升级，不再读写
+    mapping(uint32 => DatasetVersion[]) private datasetVersions;
+    // 最近一次停用或重新启用的原因
+    mapping(uint32 => StatusReason) public datasetStatusReason;
+    // 数据集结构ID（结构定义见结构注册表）
+    mapping(uint32 => uint32) public datasetSchema;
+    // 贡献者允许的用途位掩码，第 i 位对应用途代码 i
+    mapping(uint32 => uint256) public datasetPurposes;
+    // 请求者声明的用途代码
+    mapping(uint32 => uint8) public requestPurpose;
+    // 同意记录：访问者最近一次获得授权所依据的请求ID
+    mapping(uint32 => mapping(address => uint32)) public accessRequestId;
 
     event DatasetContributed(uint32 indexed datasetId, address indexed contributor, string metadataHash);
     event DataRequested(uint32 indexed requestId, address indexed requester, string researchTopic);
     event DatasetAccessed(uint32 indexed datasetId, address indexed accessor);
+    event ConsentRecorded(uint32 indexed datasetId, address indexed accessor, uint32 indexed requestId, uint8 purpose);
     event RewardDistributed(address indexed contributor, uint32 indexed datasetId);
     event QualityScoreUpdated(uint32 indexed datasetId, uint8 newScore);
+    event EncryptedQualityScoreUpdated(uint32 indexed datasetId, address indexed by);
+    event DatasetAccessExpires(uint32 indexed datasetId, address indexed accessor, uint256 expiresAt);
+    event DatasetAccessRevoked(uint32 indexed datasetId, address indexed accessor);
+    event DatasetProposed(uint32 indexed requestId, uint32 indexed datasetId, address indexed contributor);
+    event ProposalAccepted(uint32 indexed requestId, uint32 indexed datasetId);
+    event ProposalRejected(uint32 indexed requestId, uint32 indexed datasetId);
+    event RequestFulfilled(uint32 indexed requestId, uint256 approvedCount);
+    event RequestExpired(uint32 indexed requestId);
+    event RewardTokenSet(address indexed token);
+    event RewardClaimed(address indexed contributor, uint256 indexed rewardIndex, uint32 indexed datasetId);
+    event AnalyticsSet(address indexed analytics);
+    event SchemaRegistrySet(address indexed schemaRegistry);
+    event QuotaManagerSet(address indexed quotaManager);
+    event ReputationSet(address indexed reputation);
+    event PricingSet(address indexed pricing);
+    event DatasetDeactivated(uint32 indexed datasetId, address indexed by, StatusReason reason);
+    event DatasetReactivated(uint32 indexed datasetId, address indexed by, StatusReason reason);
 
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Not authorized");
+    modifier validDataset(uint32 _datasetId) {
+        _requireValidDataset(_datasetId);
         _;
     }
 
-    modifier validDataset(uint32 _datasetId) {
-        require(_datasetId > 0 && _datasetId < nextDatasetId, "Invalid dataset ID");
-        require(datasets[_datasetId].isActive, "Dataset not active");
+    modifier readableDataset(uint32 _datasetId) {
+        _requireReadableDataset(_datasetId);
+        _;
+    }
+
+    modifier validRequest(uint32 _requestId) {
+        _requireValidRequest(_requestId);
+        _;
+    }
+
+    modifier openRequest(uint32 _requestId) {
+        _requireOpenRequest(_requestId);
+        _;
+    }
+
+    modifier onlyRequester(uint32 _requestId) {
+        _requireRequester(_requestId);
+        _;
+    }
+
+    modifier onlyContributor(uint32 _datasetId) {
+        _requireContributor(_datasetId);
         _;
     }
 
     constructor() {
-        owner = msg.sender;
+        initialized = true;
+    }
+
+    // 由代理在部署时调用：调用者成为所有者并获得全部角色，ID 从 1 开始；
+    // 协处理器配置写入代理的存储，实现合约构造时写入的配置对代理不可见
+    function initialize() external {
+        require(!initialized, "Already initialized");
+        initialized = true;
+
+        _initializeOwner(msg.sender);
         nextDatasetId = 1;
         nextRequestId = 1;
+        FHE.setCoprocessor(ZamaConfig.getSepoliaConfig());
+    }
+
+    // 修饰器的校验逻辑放在函数中，避免在每个使用处重复展开，控制合约字节码大小
+    function _requireValidDataset(uint32 _datasetId) private view {
+        require(_datasetId > 0 && _datasetId < nextDatasetId, "Invalid dataset ID");
+        require(datasets[_datasetId].isActive, "Dataset not active");
+    }
+
+    // 已停用的数据集仅对贡献者和管理员可见
+    function _requireReadableDataset(uint32 _datasetId) private view {
+        require(_datasetId > 0 && _datasetId < nextDatasetId, "Invalid dataset ID");
+        require(datasets[_datasetId].isActive || _isDatasetManager(_datasetId), "Dataset not active");
+    }
+
+    function _requireContributor(uint32 _datasetId) private view {
+        require(msg.sender == datasets[_datasetId].contributor, "Not dataset contributor");
+    }
+
+    function _requireValidRequest(uint32 _requestId) private view {
+        require(_requestId > 0 && _requestId < nextRequestId, "Invalid request ID");
+    }
+
+    function _requireRequester(uint32 _requestId) private view {
+        require(msg.sender == dataRequests[_requestId].requester, "Not requester");
+    }
+
+    // 请求必须存在、未关闭且未过截止时间
+    function _requireOpenRequest(uint32 _requestId) private view {
+        _requireValidRequest(_requestId);
+        DataRequest storage request = dataRequests[_requestId];
+        require(!request.isFulfilled && !request.isExpired, "Request closed");
+        require(block.timestamp <= request.deadline, "Request expired");
     }
 
-    // 贡献匿名研究数据
+    // 贡献匿名研究数据（结构ID须已在结构注册表中注册，_allowedPurposes 为允许的用途位掩码）
     function contributeData(
         uint32 _dataValue,
         uint8 _qualityScore,
         string memory _metadataHash,
-        bool _isPublic
-    ) external {
+        bool _isPublic,
+        uint32 _schemaId,
+        uint256 _allowedPurposes
+    ) external whenNotPaused(PAUSE_CONTRIBUTIONS) {
         require(_qualityScore <= 100, "Quality score must be 0-100");
         require(bytes(_metadataHash).length > 0, "Metadata hash required");
 
@@ -79,10 +225,97 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
         euint32 encryptedValue = FHE.asEuint32(_dataValue);
         euint8 encryptedQuality = FHE.asEuint8(_qualityScore);
 
+        _storeDataset(encryptedValue, encryptedQuality, _metadataHash, _isPublic, _schemaId, _allowedPurposes);
+    }
+
+    // 贡献客户端加密的匿名研究数据（数据值与质量分数共用同一输入证明）
+    function contributeData(
+        externalEuint32 _encryptedDataValue,
+        externalEuint8 _encryptedQualityScore,
+        bytes calldata _inputProof,
+        string calldata _metadataHash,
+        bool _isPublic,
+        uint32 _schemaId,
+        uint256 _allowedPurposes
+    ) external whenNotPaused(PAUSE_CONTRIBUTIONS) {
+        _contributeEncrypted(
+            _encryptedDataValue,
+            _encryptedQualityScore,
+            _inputProof,
+            _metadataHash,
+            _isPublic,
+            _schemaId,
+            _allowedPurposes
+        );
+    }
+
+    // 批量贡献客户端加密数据：所有条目共用同一输入证明，共享结构ID与允许的用途；
+    // 每个条目各自产生 DatasetContributed 事件，任一条目无效则整批回退，回退原因与单条贡献相同
+    function contributeDataBatch(
+        EncryptedContribution[] calldata _contributions,
+        bytes calldata _inputProof,
+        uint32 _schemaId,
+        uint256 _allowedPurposes
+    ) external whenNotPaused(PAUSE_CONTRIBUTIONS) {
+        require(
+            _contributions.length > 0 && _contributions.length <= MAX_BATCH_SIZE,
+            "Invalid batch size"
+        );
+
+        for (uint256 i = 0; i < _contributions.length; i++) {
+            EncryptedContribution calldata item = _contributions[i];
+            _contributeEncrypted(
+                item.encryptedDataValue,
+                item.encryptedQualityScore,
+                _inputProof,
+                item.metadataHash,
+                item.isPublic,
+                _schemaId,
+                _allowedPurposes
+            );
+        }
+    }
+
+    // 单条与批量加密贡献共用的导入逻辑
+    function _contributeEncrypted(
+        externalEuint32 _encryptedDataValue,
+        externalEuint8 _encryptedQualityScore,
+        bytes calldata _inputProof,
+        string calldata _metadataHash,
+        bool _isPublic,
+        uint32 _schemaId,
+        uint256 _allowedPurposes
+    ) private {
+        require(bytes(_metadataHash).length > 0, "Metadata hash required");
+
+        // 验证输入证明并导入加密值
+        euint32 encryptedValue = FHE.fromExternal(_encryptedDataValue, _inputProof);
+        euint8 encryptedQuality = FHE.fromExternal(_encryptedQualityScore, _inputProof);
+
+        // 密文无法校验范围，将质量分数截断到 100
+        encryptedQuality = FHE.min(encryptedQuality, FHE.asEuint8(100));
+
+        _storeDataset(encryptedValue, encryptedQuality, _metadataHash, _isPublic, _schemaId, _allowedPurposes);
+    }
+
+    // 存储数据集并设置访问控制
+    function _storeDataset(
+        euint32 _encryptedValue,
+        euint8 _encryptedQuality,
+        string memory _metadataHash,
+        bool _isPublic,
+        uint32 _schemaId,
+        uint256 _allowedPurposes
+    ) private {
+        require(
+            address(schemaRegistry) != address(0) && schemaRegistry.isRegistered(_schemaId),
+            "Schema not registered"
+        );
+
         datasets[nextDatasetId] = Dataset({
             contributor: msg.sender,
-            encryptedDataValue: encryptedValue,
-            encryptedQualityScore: encryptedQuality,
+            encryptedDataValue: _encryptedValue,
+            encryptedQualityScore: _encryptedQuality,
             metadataHash: _metadataHash,
             isPublic: _isPublic,
             timestamp: block.timestamp,
@@ -90,104 +323,356 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
             isActive: true
         });
 
+        datasetSchema[nextDatasetId] = _schemaId;
+        datasetPurposes[nextDatasetId] = _allowedPurposes;
         contributorDatasets[msg.sender].push(nextDatasetId);
 
         // 设置访问控制权限
-        FHE.allowThis(encryptedValue);
-        FHE.allowThis(encryptedQuality);
-        FHE.allow(encryptedValue, msg.sender);
-        FHE.allow(encryptedQuality, msg.sender);
+        _shareDataset(nextDatasetId);
+        _recordQualityScore(nextDatasetId, _encryptedQuality);
 
         emit DatasetContributed(nextDatasetId, msg.sender, _metadataHash);
         nextDatasetId++;
     }
 
-    // 请求研究数据访问
+    // 替换数据集当前版本的加密数据值与元数据哈希（仅限版本合约），数据集ID与访问计数保持不变；
+    // 调用方需先授予数据值的临时访问权限，_revokeGrantees 时清空授权，否则有效授权者可解密新版本
+    function setDatasetVersion(
+        uint32 _datasetId,
+        euint32 _encryptedValue,
+        string calldata _metadataHash,
+        bool _revokeGrantees
+    )
+        external
+        onlyRole(VERSION_MANAGER_ROLE)
+        whenNotPaused(PAUSE_CONTRIBUTIONS)
+        validDataset(_datasetId)
+    {
+        require(FHE.isSenderAllowed(_encryptedValue), "Value not allowed");
+
+        Dataset storage dataset = datasets[_datasetId];
+        dataset.encryptedDataValue = _encryptedValue;
+        dataset.metadataHash = _metadataHash;
+        dataset.timestamp = block.timestamp;
+
+        if (_revokeGrantees) {
+            address[] storage grantees = datasetGrantees[_datasetId];
+            while (grantees.length > 0) {
+                _revokeAccess(_datasetId, grantees[grantees.length - 1]);
+            }
+        }
+        _shareDataset(_datasetId);
+    }
+
+    // 请求研究数据访问并声明用途代码
     function requestDataAccess(
         string memory _researchTopic,
         uint32 _budget,
-        uint256 _deadline
-    ) external {
+        uint256 _deadline,
+        uint8 _purpose
+    ) external whenNotPaused(PAUSE_REQUESTS) {
+        euint32 encryptedBudget = FHE.asEuint32(_budget);
+
+        _storeRequest(_researchTopic, encryptedBudget, _deadline, _purpose);
+    }
+
+    // 以客户端加密的预算请求研究数据访问并声明用途代码
+    function requestDataAccess(
+        string memory _researchTopic,
+        externalEuint32 _encryptedBudget,
+        bytes calldata _inputProof,
+        uint256 _deadline,
+        uint8 _purpose
+    ) external whenNotPaused(PAUSE_REQUESTS) {
+        euint32 encryptedBudget = FHE.fromExternal(_encryptedBudget, _inputProof);
+
+        _storeRequest(_researchTopic, encryptedBudget, _deadline, _purpose);
+    }
+
+    // 存储数据请求并设置预算访问权限
+    function _storeRequest(
+        string memory _researchTopic,
+        euint32 _encryptedBudget,
+        uint256 _deadline,
+        uint8 _purpose
+    ) private {
         require(bytes(_researchTopic).length > 0, "Research topic required");
         require(_deadline > block.timestamp, "Deadline must be in future");
-
-        euint32 encryptedBudget = FHE.asEuint32(_budget);
+        _consumeQuota(msg.sender, ResearchQuotaManager.Operation.Request);
 
         dataRequests[nextRequestId] = DataRequest({
             requester: msg.sender,
             researchTopic: _researchTopic,
-            encryptedBudget: encryptedBudget,
+            encryptedBudget: _encryptedBudget,
             deadline: _deadline,
             isFulfilled: false,
+            isExpired: false,
             approvedDatasets: new uint32[](0)
         });
 
-        FHE.allowThis(encryptedBudget);
-        FHE.allow(encryptedBudget, msg.sender);
+        requestPurpose[nextRequestId] = _purpose;
+
+        FHE.allowThis(_encryptedBudget);
+        FHE.allow(_encryptedBudget, msg.sender);
 
         emit DataRequested(nextRequestId, msg.sender, _researchTopic);
         nextRequestId++;
     }
 
-    // 授权数据访问
-    function grantDataAccess(uint32 _datasetId, address _accessor)
+    // 依据数据请求向其请求者授权数据访问，请求声明的用途须在数据集允许的用途之内；
+    // 除贡献者与管理员外，持有 ACCESS_GRANTER_ROLE 的合约（如数据访问市场）也可调用
+    function grantDataAccess(uint32 _datasetId, uint32 _requestId) external {
+        _grantCheckedAccess(_datasetId, _requestId, hasRole(ACCESS_GRANTER_ROLE, msg.sender));
+    }
+
+    // 批量授权：将每个数据集授予每个请求的请求者，每个组合各自产生 ConsentRecorded 与 DatasetAccessed 事件；
+    // 任一组合不满足单条授权的条件则整批回退，回退原因与 grantDataAccess 相同
+    function grantDataAccessBatch(uint32[] calldata _datasetIds, uint32[] calldata _requestIds) external {
+        uint256 pairs = _datasetIds.length * _requestIds.length;
+        require(pairs > 0 && pairs <= MAX_BATCH_SIZE, "Invalid batch size");
+
+        for (uint256 i = 0; i < _datasetIds.length; i++) {
+            for (uint256 j = 0; j < _requestIds.length; j++) {
+                _grantCheckedAccess(_datasetIds[i], _requestIds[j], false);
+            }
+        }
+    }
+
+    // 授权有期限的数据访问，到期后 accessDataset 将拒绝该访问者
+    function grantDataAccessUntil(uint32 _datasetId, uint32 _requestId, uint256 _expiresAt) external {
+        require(_expiresAt > block.timestamp, "Expiry must be in future");
+
+        address accessor = _grantCheckedAccess(_datasetId, _requestId, false);
+        accessExpiry[_datasetId][accessor] = _expiresAt;
+
+        emit DatasetAccessExpires(_datasetId, accessor, _expiresAt);
+    }
+
+    // 撤销数据访问
+    // 注意：已授予的 FHE 解密权限无法收回，撤销只阻止合约层面的后续访问
+    function revokeDataAccess(uint32 _datasetId, address _accessor)
         external
-        validDataset(_datasetId)
+        readableDataset(_datasetId)
+    {
+        require(_isDatasetManager(_datasetId), "Not authorized to revoke access");
+        require(datasetAccess[_datasetId][_accessor], "Access not granted");
+
+        _revokeAccess(_datasetId, _accessor);
+    }
+
+    // 清除访问授权并从授权列表中移除
+    function _revokeAccess(uint32 _datasetId, address _accessor) private {
+        datasetAccess[_datasetId][_accessor] = false;
+        accessExpiry[_datasetId][_accessor] = 0;
+        _removeGrantee(_datasetId, _accessor);
+
+        emit DatasetAccessRevoked(_datasetId, _accessor);
+    }
+
+    // 单条、限期与批量授权共用的校验：数据集有效、请求开放且调用者为贡献者或管理员（_isGranter 时免除）
+    function _grantCheckedAccess(uint32 _datasetId, uint32 _requestId, bool _isGranter)
+        private
+        returns (address)
+    {
+        _requireValidDataset(_datasetId);
+        _requireOpenRequest(_requestId);
+        require(_isGranter || _isDatasetManager(_datasetId), "Not authorized to grant access");
+
+        return _grantAccess(_datasetId, _requestId);
+    }
+
+    // 记录同意与永久访问授权，并向请求者开放加密数据的解密权限，返回被授权的请求者
+    function _grantAccess(uint32 _datasetId, uint32 _requestId)
+        private
+        whenNotPaused(PAUSE_ACCESS_GRANTS)
+        returns (address accessor)
     {
         Dataset storage dataset = datasets[_datasetId];
-        require(
-            msg.sender == dataset.contributor || msg.sender == owner,
-            "Not authorized to grant access"
-        );
+        accessor = dataRequests[_requestId].requester;
+        uint8 purpose = _requirePurposeAllowed(_datasetId, _requestId);
+        _consumeQuota(accessor, ResearchQuotaManager.Operation.Grant);
+
+        if (!datasetAccess[_datasetId][accessor]) {
+            datasetGrantees[_datasetId].push(accessor);
+            granteeIndex[_datasetId][accessor] = datasetGrantees[_datasetId].length;
+        }
 
-        datasetAccess[_datasetId][_accessor] = true;
+        datasetAccess[_datasetId][accessor] = true;
+        accessExpiry[_datasetId][accessor] = 0;
         dataset.accessCount++;
 
         // 授予加密数据的访问权限
-        FHE.allow(dataset.encryptedDataValue, _accessor);
-        FHE.allow(dataset.encryptedQualityScore, _accessor);
+        FHE.allow(dataset.encryptedDataValue, accessor);
+        FHE.allow(dataset.encryptedQualityScore, accessor);
 
-        emit DatasetAccessed(_datasetId, _accessor);
+        accessRequestId[_datasetId][accessor] = _requestId;
+
+        emit ConsentRecorded(_datasetId, accessor, _requestId, purpose);
+        emit DatasetAccessed(_datasetId, accessor);
+    }
+
+    // 从授权列表中移除访问者（与末尾元素交换后弹出）
+    function _removeGrantee(uint32 _datasetId, address _accessor) private {
+        address[] storage grantees = datasetGrantees[_datasetId];
+        uint256 index = granteeIndex[_datasetId][_accessor] - 1;
+        address last = grantees[grantees.length - 1];
+
+        grantees[index] = last;
+        granteeIndex[_datasetId][last] = index + 1;
+        grantees.pop();
+        delete granteeIndex[_datasetId][_accessor];
+    }
+
+    // 请求声明的用途须在数据集允许的用途之内
+    function _requirePurposeAllowed(uint32 _datasetId, uint32 _requestId) private view returns (uint8 purpose) {
+        purpose = requestPurpose[_requestId];
+        require(datasetPurposes[_datasetId] & (1 << purpose) != 0, "Purpose not allowed");
+    }
+
+    // 调用者是否为数据集贡献者或平台管理员
+    function _isDatasetManager(uint32 _datasetId) private view returns (bool) {
+        return msg.sender == datasets[_datasetId].contributor || hasRole(ADMIN_ROLE, msg.sender);
+    }
+
+    // 访问者是否持有未过期的授权
+    function hasDataAccess(uint32 _datasetId, address _accessor) public view returns (bool) {
+        if (!datasetAccess[_datasetId][_accessor]) {
+            return false;
+        }
+        uint256 expiresAt = accessExpiry[_datasetId][_accessor];
+        return expiresAt == 0 || block.timestamp <= expiresAt;
+    }
+
+    // 账户是否可以读取数据集（公开、持有有效授权或为贡献者）
+    function canAccessDataset(uint32 _datasetId, address _account) public view returns (bool) {
+        Dataset storage dataset = datasets[_datasetId];
+        return dataset.isPublic || hasDataAccess(_datasetId, _account) || _account == dataset.contributor;
+    }
+
+    // 贡献者针对数据请求提议自己的数据集
+    function proposeDataset(uint32 _requestId, uint32 _datasetId)
+        external
+        whenNotPaused(PAUSE_REQUESTS)
+        openRequest(_requestId)
+        validDataset(_datasetId)
+        onlyContributor(_datasetId)
+    {
+        require(proposalStatus[_requestId][_datasetId] == ProposalStatus.None, "Already proposed");
+        _requirePurposeAllowed(_datasetId, _requestId);
+
+        proposalStatus[_requestId][_datasetId] = ProposalStatus.Pending;
+        requestProposals[_requestId].push(_datasetId);
+
+        emit DatasetProposed(_requestId, _datasetId, msg.sender);
+    }
+
+    // 请求者接受提议，自动授予数据访问权限
+    function acceptProposal(uint32 _requestId, uint32 _datasetId)
+        external
+        openRequest(_requestId)
+        onlyRequester(_requestId)
+        validDataset(_datasetId)
+    {
+        require(proposalStatus[_requestId][_datasetId] == ProposalStatus.Pending, "Proposal not pending");
+
+        proposalStatus[_requestId][_datasetId] = ProposalStatus.Accepted;
+        dataRequests[_requestId].approvedDatasets.push(_datasetId);
+
+        _grantAccess(_datasetId, _requestId);
+
+        emit ProposalAccepted(_requestId, _datasetId);
+    }
+
+    // 请求者拒绝提议
+    function rejectProposal(uint32 _requestId, uint32 _datasetId)
+        external
+        openRequest(_requestId)
+        onlyRequester(_requestId)
+    {
+        require(proposalStatus[_requestId][_datasetId] == ProposalStatus.Pending, "Proposal not pending");
+
+        proposalStatus[_requestId][_datasetId] = ProposalStatus.Rejected;
+
+        emit ProposalRejected(_requestId, _datasetId);
+    }
+
+    // 请求者将请求标记为已完成
+    function fulfillRequest(uint32 _requestId)
+        external
+        openRequest(_requestId)
+        onlyRequester(_requestId)
+    {
+        DataRequest storage request = dataRequests[_requestId];
+        require(request.approvedDatasets.length > 0, "No approved datasets");
+
+        request.isFulfilled = true;
+
+        emit RequestFulfilled(_requestId, request.approvedDatasets.length);
+    }
+
+    // 截止时间过后，任何人都可以将未完成的请求标记为过期
+    function expireRequest(uint32 _requestId) external validRequest(_requestId) {
+        DataRequest storage request = dataRequests[_requestId];
+        require(!request.isFulfilled && !request.isExpired, "Request closed");
+        require(block.timestamp > request.deadline, "Deadline not reached");
+
+        request.isExpired = true;
+
+        emit RequestExpired(_requestId);
     }
 
     // 访问匿名数据集
     function accessDataset(uint32 _datasetId)
         external
         view
-        validDataset(_datasetId)
+        readableDataset(_datasetId)
         returns (string memory metadataHash, uint256 timestamp, uint32 accessCount)
     {
-        Dataset storage dataset = datasets[_datasetId];
-        require(
-            dataset.isPublic ||
-            datasetAccess[_datasetId][msg.sender] ||
-            msg.sender == dataset.contributor,
-            "Access denied"
-        );
+        require(canAccessDataset(_datasetId, msg.sender), "Access denied");
 
+        Dataset storage dataset = datasets[_datasetId];
         return (dataset.metadataHash, dataset.timestamp, dataset.accessCount);
     }
 
-    // 更新数据质量评分（仅限所有者）
+    // 更新数据质量评分（仅限质量审核员）
     function updateQualityScore(uint32 _datasetId, uint8 _newScore)
         external
-        onlyOwner
+        onlyRole(QUALITY_REVIEWER_ROLE)
         validDataset(_datasetId)
     {
         require(_newScore <= 100, "Score must be 0-100");
 
-        euint8 encryptedNewScore = FHE.asEuint8(_newScore);
-        datasets[_datasetId].encryptedQualityScore = encryptedNewScore;
-
-        FHE.allowThis(encryptedNewScore);
+        _setQualityScore(_datasetId, FHE.asEuint8(_newScore));
 
         emit QualityScoreUpdated(_datasetId, _newScore);
     }
 
-    // 分发奖励给数据贡献者
+    // 以加密分数更新质量评分（仅限质量审核员，如同行评审合约），调用方需先授予分数的临时访问权限
+    function updateEncryptedQualityScore(uint32 _datasetId, euint8 _encryptedScore)
+        external
+        onlyRole(QUALITY_REVIEWER_ROLE)
+        validDataset(_datasetId)
+    {
+        require(FHE.isSenderAllowed(_encryptedScore), "Score not allowed");
+
+        _setQualityScore(_datasetId, _encryptedScore);
+
+        emit EncryptedQualityScoreUpdated(_datasetId, msg.sender);
+    }
+
+    // 替换质量分数，贡献者与有效授权者保留解密权限，并同步给分析合约与声誉合约
+    function _setQualityScore(uint32 _datasetId, euint8 _encryptedScore) private {
+        datasets[_datasetId].encryptedQualityScore = _encryptedScore;
+
+        _shareDataset(_datasetId);
+        _recordQualityScore(_datasetId, _encryptedScore);
+    }
+
+    // 分发奖励给数据贡献者（仅限奖励分发者）
     function distributeReward(address _contributor, uint32 _datasetId, uint64 _rewardAmount)
         external
-        onlyOwner
+        onlyRole(REWARD_DISTRIBUTOR_ROLE)
+        whenNotPaused(PAUSE_REWARDS)
         validDataset(_datasetId)
     {
         require(datasets[_datasetId].contributor == _contributor, "Invalid contributor");
@@ -206,6 +691,112 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
         emit RewardDistributed(_contributor, _datasetId);
     }
 
+    // 设置机密奖励代币（代币的铸币方必须是本合约）
+    function setRewardToken(ConfidentialRewardToken _token) external onlyRole(ADMIN_ROLE) {
+        require(_token.minter() == address(this), "Token minter mismatch");
+        rewardToken = _token;
+
+        emit RewardTokenSet(address(_token));
+    }
+
+    // 设置加密分析合约，此后存储的数据集密文将对其开放计算权限
+    function setAnalytics(address _analytics) external onlyRole(ADMIN_ROLE) {
+        analytics = _analytics;
+
+        emit AnalyticsSet(_analytics);
+    }
+
+    // 设置结构注册表，此后贡献的数据集必须引用其中已注册的结构
+    function setSchemaRegistry(ResearchSchemaRegistry _schemaRegistry) external onlyRole(ADMIN_ROLE) {
+        schemaRegistry = _schemaRegistry;
+
+        emit SchemaRegistrySet(address(_schemaRegistry));
+    }
+
+    // 设置配额管理合约，为零地址时不限制授权与请求次数
+    function setQuotaManager(ResearchQuotaManager _quotaManager) external onlyRole(ADMIN_ROLE) {
+        quotaManager = _quotaManager;
+
+        emit QuotaManagerSet(address(_quotaManager));
+    }
+
+    // 设置贡献者声誉合约，为零地址时不再累计声誉
+    function setReputation(ResearchReputation _reputation) external onlyRole(ADMIN_ROLE) {
+        reputation = _reputation;
+
+        emit ReputationSet(address(_reputation));
+    }
+
+    // 设置密封报价合约，其通过 shareBudgetWithPricing 在比较时读取请求预算
+    function setPricing(ResearchPricing _pricing) external onlyRole(ADMIN_ROLE) {
+        pricing = _pricing;
+
+        emit PricingSet(address(_pricing));
+    }
+
+    // 仅在本次调用中允许当前密封报价合约读取请求预算，设置报价合约之前提交的请求同样适用
+    function shareBudgetWithPricing(uint32 _requestId) external validRequest(_requestId) {
+        require(msg.sender == address(pricing), "Not pricing contract");
+        FHE.allowTransient(dataRequests[_requestId].encryptedBudget, msg.sender);
+    }
+
+    // 计入账户本周期的操作配额（授权计入被授权者，请求计入请求者）
+    function _consumeQuota(address _account, ResearchQuotaManager.Operation _operation) private {
+        if (address(quotaManager) != address(0)) {
+            quotaManager.consume(_account, _operation);
+        }
+    }
+
+    // 向本合约、贡献者与有效授权者开放数据集当前密文的访问权限，并允许分析合约在密文上计算
+    // （设置分析合约之前存储的密文不会被共享）；存储、发布新版本与更新质量分数后调用
+    function _shareDataset(uint32 _datasetId) private {
+        Dataset storage dataset = datasets[_datasetId];
+        euint32 encryptedValue = dataset.encryptedDataValue;
+        euint8 encryptedQuality = dataset.encryptedQualityScore;
+
+        FHE.allowThis(encryptedValue);
+        FHE.allowThis(encryptedQuality);
+        FHE.allow(encryptedValue, dataset.contributor);
+        FHE.allow(encryptedQuality, dataset.contributor);
+        if (analytics != address(0)) {
+            FHE.allow(encryptedValue, analytics);
+            FHE.allow(encryptedQuality, analytics);
+        }
+
+        address[] storage grantees = datasetGrantees[_datasetId];
+        for (uint256 i = 0; i < grantees.length; i++) {
+            if (hasDataAccess(_datasetId, grantees[i])) {
+                FHE.allow(encryptedValue, grantees[i]);
+                FHE.allow(encryptedQuality, grantees[i]);
+            }
+        }
+    }
+
+    // 将数据集的新质量分数计入贡献者声誉，仅在本次调用中允许声誉合约读取该分数
+    function _recordQualityScore(uint32 _datasetId, euint8 _encryptedQuality) private {
+        if (address(reputation) != address(0)) {
+            FHE.allowTransient(_encryptedQuality, address(reputation));
+            reputation.recordQualityScore(_datasetId, datasets[_datasetId].contributor, _encryptedQuality);
+        }
+    }
+
+    // 领取奖励：将加密奖励金额铸造为机密代币余额
+    function claimReward(uint256 _rewardIndex) external whenNotPaused(PAUSE_REWARDS) {
+        require(address(rewardToken) != address(0), "Reward token not set");
+        require(_rewardIndex < contributions[msg.sender].length, "Invalid reward index");
+
+        Contribution storage contribution = contributions[msg.sender][_rewardIndex];
+        require(!contribution.rewardClaimed, "Reward already claimed");
+
+        contribution.rewardClaimed = true;
+
+        // 仅在本次调用中允许代币合约读取奖励金额
+        FHE.allowTransient(contribution.encryptedReward, address(rewardToken));
+        rewardToken.mint(msg.sender, contribution.encryptedReward);
+
+        emit RewardClaimed(msg.sender, _rewardIndex, contribution.datasetId);
+    }
+
     // 获取贡献者的数据集数量
     function getContributorDatasetCount(address _contributor)
         external
@@ -237,7 +828,7 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
     function getDatasetInfo(uint32 _datasetId)
         external
         view
-        validDataset(_datasetId)
+        readableDataset(_datasetId)
         returns (
             address contributor,
             string memory metadataHash,
@@ -262,6 +853,7 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
     function getDataRequestInfo(uint32 _requestId)
         external
         view
+        validRequest(_requestId)
         returns (
             address requester,
             string memory researchTopic,
@@ -269,7 +861,6 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
             bool isFulfilled
         )
     {
-        require(_requestId > 0 && _requestId < nextRequestId, "Invalid request ID");
         DataRequest storage request = dataRequests[_requestId];
         return (
             request.requester,
@@ -279,18 +870,66 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
         );
     }
 
-    // 停用数据集
-    function deactivateDataset(uint32 _datasetId)
+    // 获取数据集授权列表中的全部访问者（含已过期的授权，目录合约据此筛选有效授权）
+    function getDatasetGranteeList(uint32 _datasetId) external view returns (address[] memory) {
+        return datasetGrantees[_datasetId];
+    }
+
+    // 请求是否已过期：已被标记为过期，或尚未完成且已超过截止时间（即使还没有人调用 expireRequest）
+    function isRequestExpired(uint32 _requestId) external view validRequest(_requestId) returns (bool) {
+        DataRequest storage request = dataRequests[_requestId];
+        return request.isExpired || (!request.isFulfilled && block.timestamp > request.deadline);
+    }
+
+    // 获取请求已批准的数据集ID列表
+    function getApprovedDatasets(uint32 _requestId)
         external
-        validDataset(_datasetId)
+        view
+        validRequest(_requestId)
+        returns (uint32[] memory)
     {
-        Dataset storage dataset = datasets[_datasetId];
-        require(
-            msg.sender == dataset.contributor || msg.sender == owner,
-            "Not authorized"
-        );
+        return dataRequests[_requestId].approvedDatasets;
+    }
+
+    // 获取请求收到的全部提议数据集ID列表
+    function getRequestProposals(uint32 _requestId)
+        external
+        view
+        validRequest(_requestId)
+        returns (uint32[] memory)
+    {
+        return requestProposals[_requestId];
+    }
+
+    // 停用数据集（仅限贡献者或管理员，未说明原因）；附带原因代码的停用与重新启用由审核合约处理
+    function deactivateDataset(uint32 _datasetId) external validDataset(_datasetId) {
+        require(_isDatasetManager(_datasetId), "Not authorized");
+
+        _setDatasetStatus(_datasetId, false, StatusReason.Unspecified, msg.sender);
+    }
+
+    // 由审核合约设置数据集的启用状态与原因代码（仅限 MODERATOR_ROLE），_account 为发起变更的账户；
+    // 各原因代码的授权规则（包括审核停用后的保留）由审核合约执行
+    function setDatasetStatus(uint32 _datasetId, bool _isActive, StatusReason _reason, address _account)
+        external
+        onlyRole(MODERATOR_ROLE)
+    {
+        require(_datasetId > 0 && _datasetId < nextDatasetId, "Invalid dataset ID");
+        require(datasets[_datasetId].isActive != _isActive, "Status unchanged");
+
+        _setDatasetStatus(_datasetId, _isActive, _reason, _account);
+    }
+
+    // 写入启用状态与原因代码并触发审计事件
+    function _setDatasetStatus(uint32 _datasetId, bool _isActive, StatusReason _reason, address _account) private {
+        datasets[_datasetId].isActive = _isActive;
+        datasetStatusReason[_datasetId] = _reason;
 
-        dataset.isActive = false;
+        if (_isActive) {
+            emit DatasetReactivated(_datasetId, _account, _reason);
+        } else {
+            emit DatasetDeactivated(_datasetId, _account, _reason);
+        }
     }
 
     // 获取平台统计信息
@@ -300,13 +939,15 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
         returns (
             uint32 totalDatasets,
             uint32 totalRequests,
-            uint256 blockTimestamp
+            uint256 blockTimestamp,
+            uint256 pausedOperationsMask
         )
     {
         return (
             nextDatasetId - 1,
             nextRequestId - 1,
-            block.timestamp
+            block.timestamp,
+            pausedOperations
         );
     }
 }
\ No newline at end of file
@@ -0,0 +1,121 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, ebool, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+
+contract ConfidentialRewardToken is SepoliaConfig {
+
+    string public name;
+    string public symbol;
+
+    // 铸币方：研究数据共享平台合约
+    address public minter;
+
+    mapping(address => euint64) private balances;
+    // 持有者 => 操作者 => 是否可代持有者转账（如数据市场托管付款）
+    mapping(address => mapping(address => bool)) public isOperator;
+
+    event Transfer(address indexed from, address indexed to);
+    event Mint(address indexed to);
+    event OperatorSet(address indexed holder, address indexed operator, bool approved);
+
+    modifier onlyMinter() {
+        require(msg.sender == minter, "Not minter");
+        _;
+    }
+
+    constructor(string memory _name, string memory _symbol, address _minter) {
+        require(_minter != address(0), "Invalid minter");
+        name = _name;
+        symbol = _symbol;
+        minter = _minter;
+    }
+
+    function decimals() external pure returns (uint8) {
+        return 6;
+    }
+
+    // 获取加密余额句柄
+    function balanceOf(address _account) external view returns (euint64) {
+        return balances[_account];
+    }
+
+    // 铸造加密奖励（仅限平台合约，调用方需先授予金额的临时访问权限）
+    function mint(address _to, euint64 _amount) external onlyMinter {
+        require(FHE.isSenderAllowed(_amount), "Amount not allowed");
+
+        euint64 newBalance = FHE.add(_balance(_to), _amount);
+        _setBalance(_to, newBalance);
+
+        emit Mint(_to);
+    }
+
+    // 使用客户端加密的金额转账
+    function transfer(
+        address _to,
+        externalEuint64 _encryptedAmount,
+        bytes calldata _inputProof
+    ) external returns (ebool) {
+        euint64 amount = FHE.fromExternal(_encryptedAmount, _inputProof);
+        return _transfer(msg.sender, _to, amount);
+    }
+
+    // 使用调用者有权访问的加密句柄转账
+    function transfer(address _to, euint64 _amount) external returns (ebool) {
+        require(FHE.isSenderAllowed(_amount), "Amount not allowed");
+        return _transfer(msg.sender, _to, _amount);
+    }
+
+    // 授权或取消操作者代自己转账
+    function setOperator(address _operator, bool _approved) external {
+        require(_operator != address(0), "Invalid operator");
+        isOperator[msg.sender][_operator] = _approved;
+
+        emit OperatorSet(msg.sender, _operator, _approved);
+    }
+
+    // 操作者代持有者转账，调用方需先授予金额的临时访问权限；返回的转账结果对调用方临时可用
+    function transferFrom(address _from, address _to, euint64 _amount) external returns (ebool) {
+        require(isOperator[_from][msg.sender], "Not operator");
+        require(FHE.isSenderAllowed(_amount), "Amount not allowed");
+
+        ebool transferred = _transfer(_from, _to, _amount);
+        FHE.allowTransient(transferred, msg.sender);
+        return transferred;
+    }
+
+    // 余额不足时转账金额为零，不泄露余额信息
+    function _transfer(address _from, address _to, euint64 _amount) private returns (ebool) {
+        require(_to != address(0), "Invalid recipient");
+
+        euint64 fromBalance = _balance(_from);
+        ebool canTransfer = FHE.le(_amount, fromBalance);
+        euint64 transferred = FHE.select(canTransfer, _amount, FHE.asEuint64(0));
+
+        _setBalance(_from, FHE.sub(fromBalance, transferred));
+        _setBalance(_to, FHE.add(_balance(_to), transferred));
+
+        FHE.allowThis(canTransfer);
+        FHE.allow(canTransfer, _from);
+
+        emit Transfer(_from, _to);
+        return canTransfer;
+    }
+
+    // 读取余额，未初始化时视为零
+    function _balance(address _account) private returns (euint64) {
+        euint64 balance = balances[_account];
+        if (!FHE.isInitialized(balance)) {
+            balance = FHE.asEuint64(0);
+        }
+        return balance;
+    }
+
+    // 更新余额并设置访问权限
+    function _setBalance(address _account, euint64 _balanceValue) private {
+        balances[_account] = _balanceValue;
+        FHE.allowThis(_balanceValue);
+        FHE.allow(_balanceValue, _account);
+    }
+}
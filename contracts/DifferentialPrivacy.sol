@@ -0,0 +1,173 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64 } from "@fhevm/solidity/lib/FHE.sol";
+
+// 差分隐私保护：聚合查询须满足最小群体规模、消耗请求者的隐私预算，结果叠加按敏感度缩放的有界加密噪声
+abstract contract DifferentialPrivacy {
+
+    // 默认最小群体规模（参与聚合的不同贡献者人数）
+    uint32 public constant DEFAULT_MIN_COHORT_SIZE = 3;
+
+    // 默认噪声区间宽度（以噪声单位计），噪声在 [-range*unit/2, range*unit/2) 内均匀分布
+    uint64 public constant DEFAULT_NOISE_RANGE = 2;
+
+    // 管理员配置敏感度之前使用的噪声单位；此时取值不做截断，以免真实数据被静默压低
+    uint64 public constant DEFAULT_NOISE_UNIT = 256;
+
+    // 噪声区间宽度（噪声范围乘以敏感度）的上限，保证 64 位结果不会溢出
+    uint64 public constant MAX_NOISE_WIDTH = 2 ** 32;
+
+    // 默认每个请求者可执行的聚合查询次数
+    uint32 public constant DEFAULT_PRIVACY_BUDGET = 20;
+
+    uint32 public minCohortSize;
+    uint64 public noiseRange;
+    // 单个数据集取值的截断上限，即噪声单位；为 0 表示尚未配置，不截断取值
+    uint64 public sensitivity;
+    uint32 public defaultPrivacyBudget;
+
+    mapping(address => uint32) public privacyBudgetSpent;
+    mapping(address => uint32) private customPrivacyBudgets;
+    mapping(address => bool) private hasCustomPrivacyBudget;
+
+    event MinCohortSizeSet(uint32 minCohortSize);
+    event NoiseRangeSet(uint64 noiseRange);
+    event SensitivitySet(uint64 sensitivity);
+    event DefaultPrivacyBudgetSet(uint32 budget);
+    event PrivacyBudgetSet(address indexed account, uint32 budget);
+    event PrivacyBudgetReset(address indexed account);
+    event PrivacyBudgetConsumed(address indexed account, uint32 remaining);
+
+    modifier onlyPrivacyAdmin() {
+        _requirePrivacyAdmin();
+        _;
+    }
+
+    constructor() {
+        minCohortSize = DEFAULT_MIN_COHORT_SIZE;
+        noiseRange = DEFAULT_NOISE_RANGE;
+        defaultPrivacyBudget = DEFAULT_PRIVACY_BUDGET;
+    }
+
+    // 设置最小群体规模（仅限平台管理员）
+    function setMinCohortSize(uint32 _minCohortSize) external onlyPrivacyAdmin {
+        require(_minCohortSize > 0, "Cohort size must be positive");
+        minCohortSize = _minCohortSize;
+
+        emit MinCohortSizeSet(_minCohortSize);
+    }
+
+    // 设置以噪声单位计的噪声区间宽度（仅限平台管理员），须为 2 的幂，为 1 时既不加噪声也不截断取值
+    function setNoiseRange(uint64 _noiseRange) external onlyPrivacyAdmin {
+        require(_isPowerOfTwo(_noiseRange), "Noise range must be a power of two");
+        require(_noiseRange <= MAX_NOISE_WIDTH / _noiseUnit(), "Noise too wide");
+        noiseRange = _noiseRange;
+
+        emit NoiseRangeSet(_noiseRange);
+    }
+
+    // 设置敏感度，即单个数据集取值的截断上限（仅限平台管理员），须为 2 的幂；设置后开始截断并以它作为噪声单位
+    function setSensitivity(uint64 _sensitivity) external onlyPrivacyAdmin {
+        require(_isPowerOfTwo(_sensitivity), "Sensitivity must be a power of two");
+        require(_sensitivity <= MAX_NOISE_WIDTH / noiseRange, "Noise too wide");
+        sensitivity = _sensitivity;
+
+        emit SensitivitySet(_sensitivity);
+    }
+
+    // 设置未单独配置的请求者的隐私预算（仅限平台管理员）
+    function setDefaultPrivacyBudget(uint32 _budget) external onlyPrivacyAdmin {
+        defaultPrivacyBudget = _budget;
+
+        emit DefaultPrivacyBudgetSet(_budget);
+    }
+
+    // 为指定请求者单独设置隐私预算（仅限平台管理员）
+    function setPrivacyBudget(address _account, uint32 _budget) external onlyPrivacyAdmin {
+        customPrivacyBudgets[_account] = _budget;
+        hasCustomPrivacyBudget[_account] = true;
+
+        emit PrivacyBudgetSet(_account, _budget);
+    }
+
+    // 清零请求者已消耗的预算，例如进入新的研究周期（仅限平台管理员）
+    function resetPrivacyBudget(address _account) external onlyPrivacyAdmin {
+        privacyBudgetSpent[_account] = 0;
+
+        emit PrivacyBudgetReset(_account);
+    }
+
+    // 请求者的隐私预算总额
+    function privacyBudgetOf(address _account) public view returns (uint32) {
+        return hasCustomPrivacyBudget[_account] ? customPrivacyBudgets[_account] : defaultPrivacyBudget;
+    }
+
+    // 请求者剩余的隐私预算（预算被下调到已消耗量以下时为零）
+    function remainingPrivacyBudget(address _account) public view returns (uint32) {
+        uint32 budget = privacyBudgetOf(_account);
+        uint32 spent = privacyBudgetSpent[_account];
+        return spent >= budget ? 0 : budget - spent;
+    }
+
+    // 由子合约实现的管理员权限检查
+    function _requirePrivacyAdmin() internal view virtual;
+
+    // 校验群体规模并为调用者消耗一次查询预算
+    function _consumePrivacyBudget(uint32 _cohortSize) internal {
+        require(_cohortSize >= minCohortSize, "Cohort too small");
+        _spendPrivacyBudget();
+    }
+
+    // 为调用者消耗一次查询预算，不校验群体规模，用于逐数据集返回结果的查询
+    function _spendPrivacyBudget() internal {
+        uint32 remaining = remainingPrivacyBudget(msg.sender);
+        require(remaining > 0, "Privacy budget exhausted");
+
+        privacyBudgetSpent[msg.sender]++;
+
+        emit PrivacyBudgetConsumed(msg.sender, remaining - 1);
+    }
+
+    // 将单个数据集的取值截断到敏感度以内，使噪声宽度与单个数据集的最大影响相匹配；不加噪声或未配置敏感度时保留原值
+    function _clip(euint64 _value) internal returns (euint64) {
+        if (noiseRange == 1 || sensitivity == 0) {
+            return _value;
+        }
+        return FHE.min(_value, sensitivity);
+    }
+
+    // 叠加 [-width/2, width/2) 内的加密随机噪声（width = 噪声范围 × 噪声单位），结果在零处截断
+    function _addNoise(euint64 _value) internal returns (euint64) {
+        if (noiseRange == 1) {
+            return _value;
+        }
+        uint64 width = noiseRange * _noiseUnit();
+        uint64 offset = width / 2;
+        euint64 noisy = FHE.add(_value, FHE.randEuint64(width));
+        return FHE.sub(FHE.max(noisy, offset), offset);
+    }
+
+    // 噪声单位：已配置时为敏感度，否则为默认单位
+    function _noiseUnit() private view returns (uint64) {
+        return sensitivity == 0 ? DEFAULT_NOISE_UNIT : sensitivity;
+    }
+
+    // 是否为 2 的幂
+    function _isPowerOfTwo(uint64 _value) private pure returns (bool) {
+        return _value != 0 && _value & (_value - 1) == 0;
+    }
+
+    // 统计不同贡献者的人数
+    function _countDistinct(address[] memory _accounts) internal pure returns (uint32 distinct) {
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            bool seen = false;
+            for (uint256 j = 0; j < i && !seen; j++) {
+                seen = _accounts[j] == _accounts[i];
+            }
+            if (!seen) {
+                distinct++;
+            }
+        }
+    }
+}
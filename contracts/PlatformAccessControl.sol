@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// 平台角色权限管理：所有者两步转移，管理员授予或撤销各类角色
+abstract contract PlatformAccessControl {
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant QUALITY_REVIEWER_ROLE = keccak256("QUALITY_REVIEWER_ROLE");
+    bytes32 public constant REWARD_DISTRIBUTOR_ROLE = keccak256("REWARD_DISTRIBUTOR_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    // 只能调用 grantDataAccess 授权任意数据集，供数据访问市场等合约使用，不随所有者初始化授予
+    bytes32 public constant ACCESS_GRANTER_ROLE = keccak256("ACCESS_GRANTER_ROLE");
+    // 只能调用 setDatasetVersion 替换数据集的当前版本，供数据集版本合约使用，不随所有者初始化授予
+    bytes32 public constant VERSION_MANAGER_ROLE = keccak256("VERSION_MANAGER_ROLE");
+    // 只能调用 setDatasetStatus 以原因代码停用或重新启用数据集，供审核合约使用，不随所有者初始化授予
+    bytes32 public constant MODERATOR_ROLE = keccak256("MODERATOR_ROLE");
+
+    address public owner;
+    address public pendingOwner;
+
+    mapping(bytes32 => mapping(address => bool)) private roles;
+
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not authorized");
+        _;
+    }
+
+    modifier onlyRole(bytes32 _role) {
+        require(roles[_role][msg.sender], "Not authorized");
+        _;
+    }
+
+    // 账户是否拥有指定角色
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return roles[_role][_account];
+    }
+
+    // 授予角色（仅限管理员）
+    function grantRole(bytes32 _role, address _account) external onlyRole(ADMIN_ROLE) {
+        require(_account != address(0), "Invalid account");
+        require(!roles[_role][_account], "Role already granted");
+
+        _grantRole(_role, _account);
+    }
+
+    // 撤销角色（仅限管理员，所有者的管理员角色不可撤销，避免合约失去管理入口）
+    function revokeRole(bytes32 _role, address _account) external onlyRole(ADMIN_ROLE) {
+        require(roles[_role][_account], "Role not granted");
+        require(!(_role == ADMIN_ROLE && _account == owner), "Cannot revoke owner admin");
+
+        _revokeRole(_role, _account);
+    }
+
+    // 放弃自己持有的角色（所有者不能放弃管理员角色）
+    function renounceRole(bytes32 _role) external {
+        require(roles[_role][msg.sender], "Role not granted");
+        require(!(_role == ADMIN_ROLE && msg.sender == owner), "Cannot revoke owner admin");
+
+        _revokeRole(_role, msg.sender);
+    }
+
+    // 发起所有权转移，新所有者需调用 acceptOwnership 确认
+    function transferOwnership(address _newOwner) external onlyOwner {
+        require(_newOwner != address(0), "Invalid owner");
+        pendingOwner = _newOwner;
+
+        emit OwnershipTransferStarted(owner, _newOwner);
+    }
+
+    // 接受所有权：管理员角色随所有权转移，原所有者的其他角色需由管理员单独撤销
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not pending owner");
+
+        address previousOwner = owner;
+        owner = msg.sender;
+        delete pendingOwner;
+
+        if (!roles[ADMIN_ROLE][msg.sender]) {
+            _grantRole(ADMIN_ROLE, msg.sender);
+        }
+        if (previousOwner != msg.sender) {
+            _revokeRole(ADMIN_ROLE, previousOwner);
+        }
+
+        emit OwnershipTransferred(previousOwner, msg.sender);
+    }
+
+    // 设置所有者并授予全部角色（由平台的初始化函数调用）
+    function _initializeOwner(address _owner) internal {
+        owner = _owner;
+        _grantRole(ADMIN_ROLE, _owner);
+        _grantRole(QUALITY_REVIEWER_ROLE, _owner);
+        _grantRole(REWARD_DISTRIBUTOR_ROLE, _owner);
+        _grantRole(PAUSER_ROLE, _owner);
+    }
+
+    // 写入角色并触发事件
+    function _grantRole(bytes32 _role, address _account) private {
+        roles[_role][_account] = true;
+
+        emit RoleGranted(_role, _account, msg.sender);
+    }
+
+    // 移除角色并触发事件
+    function _revokeRole(bytes32 _role, address _account) private {
+        roles[_role][_account] = false;
+
+        emit RoleRevoked(_role, _account, msg.sender);
+    }
+}
@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { PlatformAccessControl } from "./PlatformAccessControl.sol";
+
+// 紧急暂停：按操作类别独立暂停，读取函数始终可用
+abstract contract PlatformPausable is PlatformAccessControl {
+
+    // 可暂停的操作类别（位掩码，可组合）
+    uint256 public constant PAUSE_CONTRIBUTIONS = 1 << 0;
+    uint256 public constant PAUSE_ACCESS_GRANTS = 1 << 1;
+    uint256 public constant PAUSE_REWARDS = 1 << 2;
+    uint256 public constant PAUSE_REQUESTS = 1 << 3;
+    uint256 public constant PAUSE_ALL =
+        PAUSE_CONTRIBUTIONS | PAUSE_ACCESS_GRANTS | PAUSE_REWARDS | PAUSE_REQUESTS;
+
+    // 当前被暂停的操作类别
+    uint256 public pausedOperations;
+
+    event Paused(address indexed account, uint256 operations);
+    event Unpaused(address indexed account, uint256 operations);
+
+    modifier whenNotPaused(uint256 _operation) {
+        _requireNotPaused(_operation);
+        _;
+    }
+
+    // 暂停一个或多个操作类别（仅限暂停者）
+    function pause(uint256 _operations) external onlyRole(PAUSER_ROLE) {
+        require(_operations != 0 && _operations & ~PAUSE_ALL == 0, "Invalid operations");
+
+        pausedOperations |= _operations;
+
+        emit Paused(msg.sender, _operations);
+    }
+
+    // 恢复一个或多个操作类别（仅限暂停者）
+    function unpause(uint256 _operations) external onlyRole(PAUSER_ROLE) {
+        require(_operations != 0 && _operations & ~PAUSE_ALL == 0, "Invalid operations");
+
+        pausedOperations &= ~_operations;
+
+        emit Unpaused(msg.sender, _operations);
+    }
+
+    // 操作类别是否处于暂停状态
+    function isPaused(uint256 _operation) public view returns (bool) {
+        return pausedOperations & _operation != 0;
+    }
+
+    // 操作类别被暂停时回退
+    function _requireNotPaused(uint256 _operation) private view {
+        require(!isPaused(_operation), "Operation paused");
+    }
+}
@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// 代理管理合约调用的升级接口，透明代理不向其他调用者暴露这些函数
+interface IPlatformProxy {
+    function upgradeToAndCall(address _implementation, bytes calldata _data) external;
+
+    function changeAdmin(address _newAdmin) external;
+}
+
+// 透明代理（ERC-1967）：数据集、授权与 FHE 访问控制都记录在代理地址上，升级只替换实现合约；
+// 管理员的调用只能升级或更换管理员，其他调用者的所有调用都委托给实现合约，两者的函数选择器不会冲突
+contract PlatformProxy {
+
+    // bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    bytes32 internal constant IMPLEMENTATION_SLOT =
+        0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+    // bytes32(uint256(keccak256("eip1967.proxy.admin")) - 1)
+    bytes32 internal constant ADMIN_SLOT =
+        0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103;
+
+    event Upgraded(address indexed implementation);
+    event AdminChanged(address previousAdmin, address newAdmin);
+
+    // 设置实现合约与管理员，并以 _data 委托调用实现合约完成初始化（_data 为空时不调用）
+    constructor(address _implementation, address _admin, bytes memory _data) {
+        _setAdmin(_admin);
+        _upgradeToAndCall(_implementation, _data);
+    }
+
+    // 管理员只能调用升级接口，其余调用委托给当前实现合约
+    fallback() external {
+        if (msg.sender != _getAdmin()) {
+            _delegate(_getImplementation());
+        }
+
+        if (msg.sig == IPlatformProxy.upgradeToAndCall.selector) {
+            (address implementation, bytes memory data) = abi.decode(msg.data[4:], (address, bytes));
+            _upgradeToAndCall(implementation, data);
+        } else if (msg.sig == IPlatformProxy.changeAdmin.selector) {
+            _setAdmin(abi.decode(msg.data[4:], (address)));
+        } else {
+            revert("Admin cannot call implementation");
+        }
+    }
+
+    // 切换实现合约，_data 非空时在代理的存储上委托调用新实现（如迁移函数）
+    function _upgradeToAndCall(address _implementation, bytes memory _data) private {
+        require(_implementation.code.length > 0, "Invalid implementation");
+
+        _setSlot(IMPLEMENTATION_SLOT, _implementation);
+
+        emit Upgraded(_implementation);
+
+        if (_data.length > 0) {
+            (bool success, bytes memory returndata) = _implementation.delegatecall(_data);
+            if (!success) {
+                // 原样抛出实现合约的回退原因
+                assembly {
+                    revert(add(returndata, 32), mload(returndata))
+                }
+            }
+        }
+    }
+
+    function _setAdmin(address _admin) private {
+        require(_admin != address(0), "Invalid admin");
+
+        emit AdminChanged(_getAdmin(), _admin);
+
+        _setSlot(ADMIN_SLOT, _admin);
+    }
+
+    function _getImplementation() private view returns (address) {
+        return _getSlot(IMPLEMENTATION_SLOT);
+    }
+
+    function _getAdmin() private view returns (address) {
+        return _getSlot(ADMIN_SLOT);
+    }
+
+    // ERC-1967 槽位远离 Solidity 的顺序存储布局，不会与实现合约的状态变量重叠
+    function _getSlot(bytes32 _slot) private view returns (address value) {
+        assembly {
+            value := sload(_slot)
+        }
+    }
+
+    function _setSlot(bytes32 _slot, address _value) private {
+        assembly {
+            sstore(_slot, _value)
+        }
+    }
+
+    // 将调用委托给实现合约并原样返回结果或回退原因
+    function _delegate(address _implementation) private {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), _implementation, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+}
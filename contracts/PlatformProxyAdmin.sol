@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IPlatformProxy } from "./PlatformProxy.sol";
+
+// 代理管理合约：作为透明代理的管理员执行升级，使所有者的账户仍可正常调用平台；所有权两步转移，与平台所有权相互独立
+contract PlatformProxyAdmin {
+
+    address public owner;
+    address public pendingOwner;
+
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not authorized");
+        _;
+    }
+
+    constructor(address _owner) {
+        require(_owner != address(0), "Invalid owner");
+        owner = _owner;
+
+        emit OwnershipTransferred(address(0), _owner);
+    }
+
+    // 将代理升级到新实现，_data 非空时随升级调用新实现（如迁移函数）
+    function upgradeAndCall(IPlatformProxy _proxy, address _implementation, bytes calldata _data)
+        external
+        onlyOwner
+    {
+        _proxy.upgradeToAndCall(_implementation, _data);
+    }
+
+    // 将代理的管理员更换为其他管理合约
+    function changeProxyAdmin(IPlatformProxy _proxy, address _newAdmin) external onlyOwner {
+        _proxy.changeAdmin(_newAdmin);
+    }
+
+    // 发起所有权转移，新所有者需调用 acceptOwnership 确认
+    function transferOwnership(address _newOwner) external onlyOwner {
+        require(_newOwner != address(0), "Invalid owner");
+        pendingOwner = _newOwner;
+
+        emit OwnershipTransferStarted(owner, _newOwner);
+    }
+
+    // 接受所有权
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not pending owner");
+
+        address previousOwner = owner;
+        owner = msg.sender;
+        delete pendingOwner;
+
+        emit OwnershipTransferred(previousOwner, msg.sender);
+    }
+}
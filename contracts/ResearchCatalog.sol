@@ -0,0 +1,256 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+
+// 只读目录：分页批量返回数据集与数据请求摘要，可按贡献者、启用状态与公开性筛选；
+// 分页以起始ID为游标，每页最多检查 _limit 个ID，单次调用的读取量与数据集总数无关
+contract ResearchCatalog {
+
+    // 单页最多检查的ID数量，限制单次调用的读取量
+    uint256 public constant MAX_PAGE_SIZE = 100;
+
+    struct DatasetSummary {
+        uint32 datasetId;
+        address contributor;
+        string metadataHash;
+        bool isPublic;
+        bool isActive;
+        uint256 timestamp;
+        uint32 accessCount;
+        uint32 schemaId;
+        uint256 allowedPurposes;
+    }
+
+    struct RequestSummary {
+        uint32 requestId;
+        address requester;
+        string researchTopic;
+        uint256 deadline;
+        bool isFulfilled;
+        bool isExpired;
+        uint8 purpose;
+        uint256 approvedCount;
+    }
+
+    // 数据集筛选条件，贡献者为零地址时不按贡献者筛选
+    struct DatasetFilter {
+        address contributor;
+        bool activeOnly;
+        bool publicOnly;
+    }
+
+    // 请求筛选条件，请求者为零地址时不按请求者筛选
+    struct RequestFilter {
+        address requester;
+        bool openOnly;
+    }
+
+    AnonymousResearchDataSharing public platform;
+
+    modifier validPage(uint256 _limit) {
+        require(_limit > 0 && _limit <= MAX_PAGE_SIZE, "Invalid page size");
+        _;
+    }
+
+    constructor(AnonymousResearchDataSharing _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+    }
+
+    // 从 _startId 起按ID顺序获取调用者可读的数据集，nextId 为下一页的起始ID（0 表示已到末尾）
+    function getDatasets(uint32 _startId, uint256 _limit)
+        external
+        view
+        returns (DatasetSummary[] memory page, uint32 nextId)
+    {
+        return getDatasetsFiltered(DatasetFilter(address(0), false, false), _startId, _limit);
+    }
+
+    // 按筛选条件分页获取数据集，检查 _limit 个ID后返回其中符合条件的条目，因此一页可能少于 _limit 条甚至为空；
+    // 已停用的数据集仅对其贡献者与平台管理员可见
+    function getDatasetsFiltered(DatasetFilter memory _filter, uint32 _startId, uint256 _limit)
+        public
+        view
+        validPage(_limit)
+        returns (DatasetSummary[] memory page, uint32 nextId)
+    {
+        page = new DatasetSummary[](_limit);
+        uint256 count;
+        bool isAdmin = platform.hasRole(platform.ADMIN_ROLE(), msg.sender);
+        uint32 id;
+        uint32 endId;
+        (id, endId, nextId) = _pageRange(_startId, _limit, platform.nextDatasetId());
+
+        for (; id < endId; id++) {
+            DatasetSummary memory summary = _datasetSummary(id);
+            if (_matchesDataset(summary, _filter, isAdmin)) {
+                page[count++] = summary;
+            }
+        }
+
+        page = _trimDatasets(page, count);
+    }
+
+    // 从 _startId 起按ID顺序获取数据请求，nextId 为下一页的起始ID（0 表示已到末尾）
+    function getRequests(uint32 _startId, uint256 _limit)
+        external
+        view
+        returns (RequestSummary[] memory page, uint32 nextId)
+    {
+        return getRequestsFiltered(RequestFilter(address(0), false), _startId, _limit);
+    }
+
+    // 按筛选条件分页获取数据请求，分页规则与 getDatasetsFiltered 相同；
+    // openOnly 时排除已完成、已过期及超过截止时间的请求
+    function getRequestsFiltered(RequestFilter memory _filter, uint32 _startId, uint256 _limit)
+        public
+        view
+        validPage(_limit)
+        returns (RequestSummary[] memory page, uint32 nextId)
+    {
+        page = new RequestSummary[](_limit);
+        uint256 count;
+        uint32 id;
+        uint32 endId;
+        (id, endId, nextId) = _pageRange(_startId, _limit, platform.nextRequestId());
+
+        for (; id < endId; id++) {
+            RequestSummary memory summary = _requestSummary(id);
+            if (_matchesRequest(summary, _filter)) {
+                page[count++] = summary;
+            }
+        }
+
+        page = _trimRequests(page, count);
+    }
+
+    // 获取数据集当前有效的授权访问者及其到期时间（0 表示永久），可读规则与 getDatasetsFiltered 一致
+    function getDatasetGrantees(uint32 _datasetId)
+        external
+        view
+        returns (address[] memory grantees, uint256[] memory expiries)
+    {
+        require(_datasetId > 0 && _datasetId < platform.nextDatasetId(), "Invalid dataset ID");
+        (address contributor, , , , , , , bool isActive) = platform.datasets(_datasetId);
+        require(
+            isActive || msg.sender == contributor || platform.hasRole(platform.ADMIN_ROLE(), msg.sender),
+            "Dataset not active"
+        );
+
+        address[] memory all = platform.getDatasetGranteeList(_datasetId);
+        uint256 activeCount = 0;
+        for (uint256 i = 0; i < all.length; i++) {
+            if (platform.hasDataAccess(_datasetId, all[i])) {
+                activeCount++;
+            }
+        }
+
+        grantees = new address[](activeCount);
+        expiries = new uint256[](activeCount);
+        uint256 j = 0;
+        for (uint256 i = 0; i < all.length; i++) {
+            if (platform.hasDataAccess(_datasetId, all[i])) {
+                grantees[j] = all[i];
+                expiries[j] = platform.accessExpiry(_datasetId, all[i]);
+                j++;
+            }
+        }
+    }
+
+    // 本页检查的ID范围 [startId, endId)，以及下一页的起始ID（已到末尾时为 0）；ID 从 1 开始
+    function _pageRange(uint32 _startId, uint256 _limit, uint32 _nextId)
+        private
+        pure
+        returns (uint32 startId, uint32 endId, uint32 nextId)
+    {
+        startId = _startId == 0 ? 1 : _startId;
+        if (startId >= _nextId) {
+            return (startId, startId, 0);
+        }
+        endId = _nextId - startId > _limit ? startId + uint32(_limit) : _nextId;
+        nextId = endId < _nextId ? endId : 0;
+    }
+
+    function _datasetSummary(uint32 _datasetId) private view returns (DatasetSummary memory summary) {
+        summary.datasetId = _datasetId;
+        (
+            summary.contributor,
+            ,
+            ,
+            summary.metadataHash,
+            summary.isPublic,
+            summary.timestamp,
+            summary.accessCount,
+            summary.isActive
+        ) = platform.datasets(_datasetId);
+        summary.schemaId = platform.datasetSchema(_datasetId);
+        summary.allowedPurposes = platform.datasetPurposes(_datasetId);
+    }
+
+    function _requestSummary(uint32 _requestId) private view returns (RequestSummary memory summary) {
+        summary.requestId = _requestId;
+        (
+            summary.requester,
+            summary.researchTopic,
+            ,
+            summary.deadline,
+            summary.isFulfilled,
+            summary.isExpired
+        ) = platform.dataRequests(_requestId);
+        summary.purpose = platform.requestPurpose(_requestId);
+        summary.approvedCount = platform.getApprovedDatasets(_requestId).length;
+    }
+
+    // 与平台 getDatasetInfo 的可读规则一致：停用的数据集对贡献者与管理员以外的调用者隐藏
+    function _matchesDataset(DatasetSummary memory _summary, DatasetFilter memory _filter, bool _isAdmin)
+        private
+        view
+        returns (bool)
+    {
+        if (!_summary.isActive && (_filter.activeOnly || (msg.sender != _summary.contributor && !_isAdmin))) {
+            return false;
+        }
+        if (_filter.publicOnly && !_summary.isPublic) {
+            return false;
+        }
+        return _filter.contributor == address(0) || _filter.contributor == _summary.contributor;
+    }
+
+    function _matchesRequest(RequestSummary memory _summary, RequestFilter memory _filter)
+        private
+        view
+        returns (bool)
+    {
+        if (
+            _filter.openOnly &&
+            (_summary.isFulfilled || _summary.isExpired || block.timestamp > _summary.deadline)
+        ) {
+            return false;
+        }
+        return _filter.requester == address(0) || _filter.requester == _summary.requester;
+    }
+
+    // 截断到实际条目数量
+    function _trimDatasets(DatasetSummary[] memory _page, uint256 _count)
+        private
+        pure
+        returns (DatasetSummary[] memory trimmed)
+    {
+        trimmed = new DatasetSummary[](_count);
+        for (uint256 i = 0; i < _count; i++) {
+            trimmed[i] = _page[i];
+        }
+    }
+
+    function _trimRequests(RequestSummary[] memory _page, uint256 _count)
+        private
+        pure
+        returns (RequestSummary[] memory trimmed)
+    {
+        trimmed = new RequestSummary[](_count);
+        for (uint256 i = 0; i < _count; i++) {
+            trimmed[i] = _page[i];
+        }
+    }
+}
@@ -0,0 +1,330 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint64, euint8, ebool, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+import { DifferentialPrivacy } from "./DifferentialPrivacy.sol";
+import { ResearchQuotaManager } from "./ResearchQuotaManager.sol";
+
+contract ResearchDataAnalytics is SepoliaConfig, DifferentialPrivacy {
+
+    // 单次查询最多包含的数据集数量，限制每笔交易的 FHE 运算量
+    uint256 public constant MAX_QUERY_DATASETS = 32;
+
+    // 公开聚合结果所需的默认最少贡献者人数
+    uint32 public constant DEFAULT_MIN_REVEAL_PARTICIPANTS = 3;
+
+    AnonymousResearchDataSharing public platform;
+    uint32 public nextAggregateId;
+    uint32 public minRevealParticipants;
+
+    struct Aggregate {
+        address requester;
+        uint32 datasetCount;
+        uint32 contributorCount;
+        euint64 sum;
+        euint32 count;
+        euint64 minValue;
+        euint64 maxValue;
+        uint256 timestamp;
+    }
+
+    uint32 public nextFilterId;
+
+    struct QualityFilter {
+        address requester;
+        uint32[] datasetIds;
+        ebool[] matches;
+    }
+
+    struct AggregateReveal {
+        bool requested;
+        bool revealed;
+        uint256 decryptionRequestId;
+        uint64 sum;
+        uint32 count;
+    }
+
+    mapping(uint32 => Aggregate) private aggregates;
+    mapping(uint32 => QualityFilter) private qualityFilters;
+    mapping(uint32 => AggregateReveal) private aggregateReveals;
+    // 待处理的解密请求ID => 聚合ID，回调完成后删除以防重放
+    mapping(uint256 => uint32) private pendingReveals;
+
+    event AggregateComputed(uint32 indexed aggregateId, address indexed requester, uint32 datasetCount);
+    event QualityFilterComputed(uint32 indexed filterId, address indexed requester, uint32 datasetCount);
+    event MinRevealParticipantsSet(uint32 minParticipants);
+    event AggregateRevealRequested(uint32 indexed aggregateId, uint256 indexed decryptionRequestId);
+    event AggregateRevealed(uint32 indexed aggregateId, uint64 sum, uint32 count);
+
+    modifier onlyPlatformAdmin() {
+        _requirePrivacyAdmin();
+        _;
+    }
+
+    modifier validAggregate(uint32 _aggregateId) {
+        require(_aggregateId > 0 && _aggregateId < nextAggregateId, "Invalid aggregate ID");
+        _;
+    }
+
+    modifier validFilter(uint32 _filterId) {
+        require(_filterId > 0 && _filterId < nextFilterId, "Invalid filter ID");
+        _;
+    }
+
+    constructor(AnonymousResearchDataSharing _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+        nextAggregateId = 1;
+        nextFilterId = 1;
+        minRevealParticipants = DEFAULT_MIN_REVEAL_PARTICIPANTS;
+    }
+
+    // 设置公开聚合结果所需的最少贡献者人数（仅限平台管理员）
+    function setMinRevealParticipants(uint32 _minParticipants) external onlyPlatformAdmin {
+        require(_minParticipants > 0, "Threshold must be positive");
+        minRevealParticipants = _minParticipants;
+
+        emit MinRevealParticipantsSet(_minParticipants);
+    }
+
+    // 在密文上计算所选数据集的总和、数量、最小值和最大值，结果仅调用者可解密
+    // 数据集ID必须严格递增，以防止重复计入同一数据集
+    // 贡献者人数须达到最小群体规模，每次查询消耗一次隐私预算，取值截断到敏感度后总和与极值叠加有界噪声
+    function computeAggregate(uint32[] calldata _datasetIds) external returns (uint32 aggregateId) {
+        uint256 length = _datasetIds.length;
+        require(length > 0, "No datasets selected");
+        require(length <= MAX_QUERY_DATASETS, "Too many datasets");
+
+        address[] memory contributors = new address[](length);
+        euint32 first;
+        (first, contributors[0]) = _readableValue(_datasetIds[0], 0);
+        euint64 sum = _clip(FHE.asEuint64(first));
+        euint64 minValue = sum;
+        euint64 maxValue = sum;
+
+        for (uint256 i = 1; i < length; i++) {
+            euint32 value;
+            (value, contributors[i]) = _readableValue(_datasetIds[i], _datasetIds[i - 1]);
+            euint64 wideValue = _clip(FHE.asEuint64(value));
+            sum = FHE.add(sum, wideValue);
+            minValue = FHE.min(minValue, wideValue);
+            maxValue = FHE.max(maxValue, wideValue);
+        }
+
+        uint32 contributorCount = _countDistinct(contributors);
+        _consumePrivacyBudget(contributorCount);
+        _consumeQueryQuota();
+
+        // 数量不加噪声：它等于调用者传入的ID个数，已通过 datasetCount 与事件公开，加噪不能保护任何信息；
+        // 以密文形式存储只是为了与总和一起做均值运算
+        euint32 count = FHE.asEuint32(uint32(length));
+        sum = _addNoise(sum);
+        minValue = _addNoise(minValue);
+        maxValue = _addNoise(maxValue);
+
+        aggregateId = nextAggregateId++;
+        aggregates[aggregateId] = Aggregate({
+            requester: msg.sender,
+            datasetCount: uint32(length),
+            contributorCount: contributorCount,
+            sum: sum,
+            count: count,
+            minValue: minValue,
+            maxValue: maxValue,
+            timestamp: block.timestamp
+        });
+
+        _allowResult(sum, msg.sender);
+        _allowResult(count, msg.sender);
+        _allowResult(minValue, msg.sender);
+        _allowResult(maxValue, msg.sender);
+
+        emit AggregateComputed(aggregateId, msg.sender, uint32(length));
+    }
+
+    // 用加密阈值筛选数据集：逐个返回质量分数是否 >= 阈值的加密布尔值，仅调用者可解密
+    // 筛选用于发现数据集，因此不要求调用者已获得访问授权
+    // 每次筛选与聚合查询一样消耗一次隐私预算和查询配额，限制用不同阈值反复探测质量分数的次数
+    function filterByQuality(
+        uint32[] calldata _datasetIds,
+        externalEuint8 _encryptedThreshold,
+        bytes calldata _inputProof
+    ) external returns (uint32 filterId, ebool[] memory matches) {
+        uint256 length = _datasetIds.length;
+        require(length > 0, "No datasets selected");
+        require(length <= MAX_QUERY_DATASETS, "Too many datasets");
+
+        euint8 threshold = FHE.fromExternal(_encryptedThreshold, _inputProof);
+
+        filterId = nextFilterId++;
+        QualityFilter storage filter = qualityFilters[filterId];
+        filter.requester = msg.sender;
+        filter.datasetIds = _datasetIds;
+
+        matches = new ebool[](length);
+        uint32 previousId = 0;
+        for (uint256 i = 0; i < length; i++) {
+            (, euint8 quality, ) = _sharedDataset(_datasetIds[i], previousId);
+            previousId = _datasetIds[i];
+
+            ebool matched = FHE.ge(quality, threshold);
+            FHE.allowThis(matched);
+            FHE.allow(matched, msg.sender);
+
+            matches[i] = matched;
+            filter.matches.push(matched);
+        }
+
+        _spendPrivacyBudget();
+        _consumeQueryQuota();
+
+        emit QualityFilterComputed(filterId, msg.sender, uint32(length));
+    }
+
+    // 贡献者人数达到阈值后，聚合请求者可以请求公开解密总和与数量（最小/最大值不会公开）
+    function requestAggregateReveal(uint32 _aggregateId) external validAggregate(_aggregateId) {
+        Aggregate storage aggregate = aggregates[_aggregateId];
+        AggregateReveal storage reveal = aggregateReveals[_aggregateId];
+        require(msg.sender == aggregate.requester, "Not aggregate requester");
+        require(!reveal.requested, "Reveal already requested");
+        require(aggregate.contributorCount >= minRevealParticipants, "Not enough participants");
+
+        bytes32[] memory handles = new bytes32[](2);
+        handles[0] = FHE.toBytes32(aggregate.sum);
+        handles[1] = FHE.toBytes32(aggregate.count);
+
+        uint256 requestId = FHE.requestDecryption(handles, this.revealAggregateCallback.selector);
+        reveal.requested = true;
+        reveal.decryptionRequestId = requestId;
+        pendingReveals[requestId] = _aggregateId;
+
+        emit AggregateRevealRequested(_aggregateId, requestId);
+    }
+
+    // 解密预言机回调：校验 KMS 签名后写入明文结果，每个请求只能被处理一次
+    function revealAggregateCallback(
+        uint256 _requestId,
+        bytes memory _cleartexts,
+        bytes memory _decryptionProof
+    ) external {
+        uint32 aggregateId = pendingReveals[_requestId];
+        require(aggregateId != 0, "Unknown reveal request");
+        delete pendingReveals[_requestId];
+
+        FHE.checkSignatures(_requestId, _cleartexts, _decryptionProof);
+
+        (uint64 sum, uint32 count) = abi.decode(_cleartexts, (uint64, uint32));
+        AggregateReveal storage reveal = aggregateReveals[aggregateId];
+        reveal.revealed = true;
+        reveal.sum = sum;
+        reveal.count = count;
+
+        emit AggregateRevealed(aggregateId, sum, count);
+    }
+
+    // 获取聚合结果的公开状态与明文（未公开时明文为零）
+    function getAggregateReveal(uint32 _aggregateId)
+        external
+        view
+        validAggregate(_aggregateId)
+        returns (bool requested, bool revealed, uint256 decryptionRequestId, uint64 sum, uint32 count)
+    {
+        AggregateReveal storage reveal = aggregateReveals[_aggregateId];
+        return (reveal.requested, reveal.revealed, reveal.decryptionRequestId, reveal.sum, reveal.count);
+    }
+
+    // 获取聚合结果句柄（总和即均值的分子，均值 = sum / count）
+    function getAggregate(uint32 _aggregateId)
+        external
+        view
+        validAggregate(_aggregateId)
+        returns (
+            address requester,
+            uint32 datasetCount,
+            uint32 contributorCount,
+            euint64 sum,
+            euint32 count,
+            euint64 minValue,
+            euint64 maxValue,
+            uint256 timestamp
+        )
+    {
+        Aggregate storage aggregate = aggregates[_aggregateId];
+        return (
+            aggregate.requester,
+            aggregate.datasetCount,
+            aggregate.contributorCount,
+            aggregate.sum,
+            aggregate.count,
+            aggregate.minValue,
+            aggregate.maxValue,
+            aggregate.timestamp
+        );
+    }
+
+    // 获取质量筛选结果句柄，与数据集ID一一对应
+    function getQualityFilter(uint32 _filterId)
+        external
+        view
+        validFilter(_filterId)
+        returns (address requester, uint32[] memory datasetIds, ebool[] memory matches)
+    {
+        QualityFilter storage filter = qualityFilters[_filterId];
+        return (filter.requester, filter.datasetIds, filter.matches);
+    }
+
+    // 校验调用者对数据集的访问权限并返回可用于计算的加密数据值
+    function _readableValue(uint32 _datasetId, uint32 _previousId)
+        private
+        view
+        returns (euint32 value, address contributor)
+    {
+        (value, , contributor) = _sharedDataset(_datasetId, _previousId);
+        require(platform.canAccessDataset(_datasetId, msg.sender), "Access denied");
+    }
+
+    // 读取已共享给本合约的有效数据集密文（数据集ID必须严格递增）
+    function _sharedDataset(uint32 _datasetId, uint32 _previousId)
+        private
+        view
+        returns (euint32 value, euint8 quality, address contributor)
+    {
+        require(_datasetId > _previousId, "Dataset IDs must be ascending");
+        require(_datasetId < platform.nextDatasetId(), "Invalid dataset ID");
+
+        bool isActive;
+        (contributor, value, quality, , , , , isActive) = platform.datasets(_datasetId);
+        require(isActive, "Dataset not active");
+        require(
+            FHE.isAllowed(value, address(this)) && FHE.isAllowed(quality, address(this)),
+            "Dataset not shared with analytics"
+        );
+    }
+
+    // 平台配置了配额管理合约时，计入调用者本周期的查询配额
+    function _consumeQueryQuota() private {
+        ResearchQuotaManager quotaManager = platform.quotaManager();
+        if (address(quotaManager) != address(0)) {
+            quotaManager.consume(msg.sender, ResearchQuotaManager.Operation.Query);
+        }
+    }
+
+    // 隐私参数与阈值仅限平台管理员配置
+    function _requirePrivacyAdmin() internal view override {
+        require(platform.hasRole(platform.ADMIN_ROLE(), msg.sender), "Not authorized");
+    }
+
+    // 结果由本合约保留计算权限，仅向请求者开放解密
+    function _allowResult(euint32 _value, address _requester) private {
+        FHE.allowThis(_value);
+        FHE.allow(_value, _requester);
+    }
+
+    // 64 位结果的访问权限设置
+    function _allowResult(euint64 _value, address _requester) private {
+        FHE.allowThis(_value);
+        FHE.allow(_value, _requester);
+    }
+}
@@ -0,0 +1,108 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, externalEuint32 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+
+// 数据集版本：贡献者发布新版本时数据集ID与访问计数保持不变，被取代的版本保存在本合约中；
+// 本合约须持有平台的 VERSION_MANAGER_ROLE（替换数据集的当前版本）
+contract ResearchDatasetVersions is SepoliaConfig {
+
+    // 发布新版本时现有授权的处理方式
+    enum VersionAccessPolicy {
+        RetainGrantees,
+        RevokeGrantees
+    }
+
+    struct DatasetVersion {
+        euint32 encryptedDataValue;
+        string metadataHash;
+        uint256 timestamp;
+    }
+
+    AnonymousResearchDataSharing public platform;
+
+    // 被新版本取代的历史版本，第 i 项为版本 i + 1
+    mapping(uint32 => DatasetVersion[]) private datasetVersions;
+
+    event DatasetUpdated(uint32 indexed datasetId, uint32 version, string metadataHash, VersionAccessPolicy policy);
+
+    constructor(AnonymousResearchDataSharing _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+    }
+
+    // 发布数据集新版本（仅限贡献者），输入证明须针对本合约生成
+    // RetainGrantees：有效授权者可解密新版本；RevokeGrantees：清空授权，需重新授予
+    function updateDataset(
+        uint32 _datasetId,
+        externalEuint32 _encryptedDataValue,
+        bytes calldata _inputProof,
+        string calldata _metadataHash,
+        VersionAccessPolicy _policy
+    ) external {
+        require(_datasetId > 0 && _datasetId < platform.nextDatasetId(), "Invalid dataset ID");
+        (
+            address contributor,
+            euint32 currentValue,
+            ,
+            string memory currentHash,
+            ,
+            uint256 timestamp,
+            ,
+            bool isActive
+        ) = platform.datasets(_datasetId);
+        require(isActive, "Dataset not active");
+        require(msg.sender == contributor, "Not dataset contributor");
+        require(bytes(_metadataHash).length > 0, "Metadata hash required");
+
+        datasetVersions[_datasetId].push(DatasetVersion({
+            encryptedDataValue: currentValue,
+            metadataHash: currentHash,
+            timestamp: timestamp
+        }));
+
+        // 仅在本次调用中允许平台读取新版本的数据值
+        euint32 encryptedValue = FHE.fromExternal(_encryptedDataValue, _inputProof);
+        FHE.allowTransient(encryptedValue, address(platform));
+        platform.setDatasetVersion(
+            _datasetId,
+            encryptedValue,
+            _metadataHash,
+            _policy == VersionAccessPolicy.RevokeGrantees
+        );
+
+        emit DatasetUpdated(_datasetId, getDatasetVersionCount(_datasetId), _metadataHash, _policy);
+    }
+
+    // 获取数据集当前版本号（首次贡献为版本 1）
+    function getDatasetVersionCount(uint32 _datasetId) public view returns (uint32) {
+        return uint32(datasetVersions[_datasetId].length) + 1;
+    }
+
+    // 获取数据集指定版本的加密数据值、元数据哈希和发布时间；
+    // 与平台 getDatasetInfo 的可读规则一致：停用的数据集对贡献者与管理员以外的调用者隐藏
+    function getDatasetVersion(uint32 _datasetId, uint32 _version)
+        external
+        view
+        returns (euint32 encryptedDataValue, string memory metadataHash, uint256 timestamp)
+    {
+        require(_datasetId > 0 && _datasetId < platform.nextDatasetId(), "Invalid dataset ID");
+        address contributor;
+        bool isActive;
+        (contributor, encryptedDataValue, , metadataHash, , timestamp, , isActive) = platform.datasets(_datasetId);
+        require(
+            isActive || msg.sender == contributor || platform.hasRole(platform.ADMIN_ROLE(), msg.sender),
+            "Dataset not active"
+        );
+
+        uint32 current = getDatasetVersionCount(_datasetId);
+        require(_version > 0 && _version <= current, "Invalid version");
+
+        if (_version < current) {
+            DatasetVersion storage version = datasetVersions[_datasetId][_version - 1];
+            return (version.encryptedDataValue, version.metadataHash, version.timestamp);
+        }
+    }
+}
@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint64, euint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+
+// 只读视图：仅向 ACL 中有解密权限的调用者返回平台加密字段的句柄，供其发起用户解密（EIP-712 签名重加密）
+contract ResearchHandleView is SepoliaConfig {
+
+    AnonymousResearchDataSharing public platform;
+
+    constructor(AnonymousResearchDataSharing _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+    }
+
+    // 数据请求的加密预算，仅请求者可解密
+    function getRequestBudget(uint32 _requestId) external view returns (euint32 budget) {
+        require(_requestId > 0 && _requestId < platform.nextRequestId(), "Invalid request ID");
+        (, , budget, , , ) = platform.dataRequests(_requestId);
+        require(FHE.isAllowed(budget, msg.sender), "Not allowed to decrypt");
+    }
+
+    // 数据集的加密数据值，调用者须为贡献者或持有有效授权的访问者
+    function getDataValue(uint32 _datasetId) external view returns (euint32 dataValue) {
+        _requireDatasetAccess(_datasetId);
+        (, dataValue, , , , , , ) = platform.datasets(_datasetId);
+        require(FHE.isAllowed(dataValue, msg.sender), "Not allowed to decrypt");
+    }
+
+    // 数据集的加密质量分数，调用者须为贡献者或持有有效授权的访问者
+    function getQualityScore(uint32 _datasetId) external view returns (euint8 qualityScore) {
+        _requireDatasetAccess(_datasetId);
+        (, , qualityScore, , , , , ) = platform.datasets(_datasetId);
+        require(FHE.isAllowed(qualityScore, msg.sender), "Not allowed to decrypt");
+    }
+
+    // 调用者第 _rewardIndex 笔奖励的加密金额
+    function getReward(uint256 _rewardIndex) external view returns (euint64 reward) {
+        require(_rewardIndex < platform.getContributorRewardCount(msg.sender), "Invalid reward index");
+        (, reward, ) = platform.contributions(msg.sender, _rewardIndex);
+        require(FHE.isAllowed(reward, msg.sender), "Not allowed to decrypt");
+    }
+
+    // ACL 授权无法撤销，因此还须在平台上持有当前有效的访问权限，撤销或过期的授权不再返回句柄
+    function _requireDatasetAccess(uint32 _datasetId) private view {
+        require(_datasetId > 0 && _datasetId < platform.nextDatasetId(), "Invalid dataset ID");
+        require(platform.canAccessDataset(_datasetId, msg.sender), "Access denied");
+    }
+}
@@ -0,0 +1,181 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, ebool, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+import { ConfidentialRewardToken } from "./ConfidentialRewardToken.sol";
+import { ResearchPricing } from "./ResearchPricing.sol";
+
+// 数据访问市场：贡献者上架数据集，请求者以机密代币付款进入托管；
+// 售价以平台密封报价合约中的数据集最低价格为准，本合约不另存价格；
+// 解密预言机只公开“付款是否不低于价格”，随后自动授权访问并向贡献者付款，否则全额退款
+contract ResearchMarketplace is SepoliaConfig {
+
+    enum PurchaseStatus {
+        None,
+        Pending,
+        Completed,
+        Refunded
+    }
+
+    struct Purchase {
+        uint32 datasetId;
+        uint32 requestId;
+        address buyer;
+        address seller;
+        euint64 escrowed;
+        PurchaseStatus status;
+        uint256 decryptionRequestId;
+    }
+
+    AnonymousResearchDataSharing public platform;
+    ConfidentialRewardToken public token;
+    uint32 public nextPurchaseId;
+
+    mapping(uint32 => bool) public isListed;
+    mapping(uint32 => Purchase) public purchases;
+    // 数据集ID => 买方 => 待结算的购买ID，同一数据集同时只能有一笔待结算购买
+    mapping(uint32 => mapping(address => uint32)) public pendingPurchase;
+    // 待处理的解密请求ID => 购买ID，回调完成后删除以防重放
+    mapping(uint256 => uint32) private pendingSettlements;
+
+    event DatasetListed(uint32 indexed datasetId);
+    event DatasetDelisted(uint32 indexed datasetId);
+    event PurchaseEscrowed(uint32 indexed purchaseId, uint32 indexed datasetId, address indexed buyer);
+    event PurchaseCompleted(uint32 indexed purchaseId, uint32 indexed datasetId, address indexed buyer);
+    event PurchaseRefunded(uint32 indexed purchaseId, uint32 indexed datasetId, address indexed buyer);
+
+    // 市场须持有平台的 ACCESS_GRANTER_ROLE 才能在结算时授权访问
+    constructor(AnonymousResearchDataSharing _platform, ConfidentialRewardToken _token) {
+        require(address(_platform) != address(0), "Invalid platform");
+        require(address(_token) != address(0), "Invalid token");
+        platform = _platform;
+        token = _token;
+        nextPurchaseId = 1;
+    }
+
+    // 上架数据集（仅限贡献者），须先在密封报价合约中设置最低价格；
+    // 之后调整价格对新的购买生效，已托管的购买按托管时的价格结算
+    function listDataset(uint32 _datasetId) external {
+        require(msg.sender == _activeContributor(_datasetId), "Not dataset contributor");
+        require(FHE.isInitialized(_pricing().datasetMinPrice(_datasetId)), "Price not set");
+
+        isListed[_datasetId] = true;
+
+        emit DatasetListed(_datasetId);
+    }
+
+    // 下架数据集（仅限贡献者），不影响已托管的购买
+    function delistDataset(uint32 _datasetId) external {
+        require(msg.sender == _activeContributor(_datasetId), "Not dataset contributor");
+        require(isListed[_datasetId], "Dataset not listed");
+
+        isListed[_datasetId] = false;
+
+        emit DatasetDelisted(_datasetId);
+    }
+
+    // 请求者以加密金额购买数据集访问权（买方须先将市场设为代币操作者）：只有不超过价格的部分转入托管，
+    // 多付的金额留在买方账户；随后请求解密“余额足够且付款不低于价格”，结果由 settlePurchaseCallback 处理
+    function purchaseAccess(
+        uint32 _datasetId,
+        uint32 _requestId,
+        externalEuint64 _encryptedPayment,
+        bytes calldata _inputProof
+    ) external returns (uint32 purchaseId) {
+        require(isListed[_datasetId], "Dataset not listed");
+        address seller = _activeContributor(_datasetId);
+        (address requester, , , bool isFulfilled) = platform.getDataRequestInfo(_requestId);
+        require(msg.sender == requester, "Not requester");
+        require(!isFulfilled && !platform.isRequestExpired(_requestId), "Request closed");
+        require(!platform.hasDataAccess(_datasetId, msg.sender), "Access already granted");
+        require(pendingPurchase[_datasetId][msg.sender] == 0, "Purchase pending");
+
+        euint64 price = FHE.asEuint64(_pricing().useDatasetPrice(_datasetId));
+        euint64 payment = FHE.fromExternal(_encryptedPayment, _inputProof);
+        euint64 amount = FHE.min(payment, price);
+
+        // 余额不足时代币转账金额为零，托管金额随之为零
+        FHE.allowTransient(amount, address(token));
+        ebool transferred = token.transferFrom(msg.sender, address(this), amount);
+        euint64 escrowed = FHE.select(transferred, amount, FHE.asEuint64(0));
+        ebool paid = FHE.and(transferred, FHE.ge(payment, price));
+
+        FHE.allowThis(escrowed);
+        FHE.allow(escrowed, msg.sender);
+
+        bytes32[] memory handles = new bytes32[](1);
+        handles[0] = FHE.toBytes32(paid);
+        uint256 decryptionRequestId = FHE.requestDecryption(handles, this.settlePurchaseCallback.selector);
+
+        purchaseId = nextPurchaseId++;
+        purchases[purchaseId] = Purchase({
+            datasetId: _datasetId,
+            requestId: _requestId,
+            buyer: msg.sender,
+            seller: seller,
+            escrowed: escrowed,
+            status: PurchaseStatus.Pending,
+            decryptionRequestId: decryptionRequestId
+        });
+        pendingPurchase[_datasetId][msg.sender] = purchaseId;
+        pendingSettlements[decryptionRequestId] = purchaseId;
+
+        emit PurchaseEscrowed(purchaseId, _datasetId, msg.sender);
+    }
+
+    // 解密预言机回调：付款足够时授权访问并将托管金额付给贡献者；
+    // 付款不足，或授权失败（请求已关闭、数据集已停用、配额用尽等）时将托管金额退还买方
+    function settlePurchaseCallback(
+        uint256 _requestId,
+        bytes memory _cleartexts,
+        bytes memory _decryptionProof
+    ) external {
+        uint32 purchaseId = pendingSettlements[_requestId];
+        require(purchaseId != 0, "Unknown settlement request");
+        delete pendingSettlements[_requestId];
+
+        FHE.checkSignatures(_requestId, _cleartexts, _decryptionProof);
+
+        bool paid = abi.decode(_cleartexts, (bool));
+        Purchase storage purchase = purchases[purchaseId];
+        delete pendingPurchase[purchase.datasetId][purchase.buyer];
+
+        if (paid && _grantAccess(purchase.datasetId, purchase.requestId)) {
+            purchase.status = PurchaseStatus.Completed;
+            _release(purchase.seller, purchase.escrowed);
+            emit PurchaseCompleted(purchaseId, purchase.datasetId, purchase.buyer);
+        } else {
+            purchase.status = PurchaseStatus.Refunded;
+            _release(purchase.buyer, purchase.escrowed);
+            emit PurchaseRefunded(purchaseId, purchase.datasetId, purchase.buyer);
+        }
+    }
+
+    // 以 ACCESS_GRANTER_ROLE 授权，平台的其他授权条件照常校验，失败时返回 false 而不回退，以便退款
+    function _grantAccess(uint32 _datasetId, uint32 _requestId) private returns (bool) {
+        try platform.grantDataAccess(_datasetId, _requestId) {
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    // 将托管金额从市场余额转出
+    function _release(address _to, euint64 _amount) private {
+        FHE.allowTransient(_amount, address(token));
+        token.transfer(_to, _amount);
+    }
+
+    // 平台当前链接的密封报价合约，其中的数据集最低价格即市场售价
+    function _pricing() private view returns (ResearchPricing pricing) {
+        pricing = platform.pricing();
+        require(address(pricing) != address(0), "Pricing not set");
+    }
+
+    // 平台的 getDatasetInfo 对本合约隐藏已停用的数据集，无效或已停用时以相同原因回退
+    function _activeContributor(uint32 _datasetId) private view returns (address contributor) {
+        (contributor, , , , , ) = platform.getDatasetInfo(_datasetId);
+    }
+}
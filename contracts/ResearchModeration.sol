@@ -0,0 +1,239 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+
+// 争议与审核：可读取数据集的用户举报损坏或标注错误的数据集，质量审核员从审核队列中处理举报；
+// 附带原因代码的停用与重新启用也在本合约中进行。本合约须持有平台的 QUALITY_REVIEWER_ROLE（调整分数）
+// 与 MODERATOR_ROLE（设置数据集的启用状态）
+contract ResearchModeration {
+
+    // 单页最多返回的举报数量，限制单次调用的读取量
+    uint256 public constant MAX_PAGE_SIZE = 100;
+
+    // 举报原因代码
+    enum FlagReason {
+        Corrupt,
+        Mislabeled,
+        Duplicate,
+        ConsentIssue,
+        Other
+    }
+
+    // 举报状态，后三种为审核员的处理结果
+    enum FlagStatus {
+        None,
+        Open,
+        Dismissed,
+        ScoreDowngraded,
+        DatasetDeactivated
+    }
+
+    struct Flag {
+        uint32 flagId;
+        uint32 datasetId;
+        address reporter;
+        FlagReason reason;
+        FlagStatus status;
+        string evidenceHash;
+        uint256 flaggedAt;
+        address moderator;
+        uint256 resolvedAt;
+    }
+
+    AnonymousResearchDataSharing public platform;
+    uint32 public nextFlagId;
+
+    mapping(uint32 => Flag) private flags;
+    mapping(uint32 => uint32[]) private datasetFlags;
+    // 数据集ID => 举报者 => 是否有未处理的举报，防止重复举报
+    mapping(uint32 => mapping(address => bool)) public hasOpenFlag;
+    // 未处理的举报ID，处理时以末项填补空位，因此不保持举报时间顺序
+    uint32[] private openFlagIds;
+    // 举报ID => 在 openFlagIds 中的位置 + 1
+    mapping(uint32 => uint256) private openFlagIndex;
+
+    event DatasetFlagged(uint32 indexed flagId, uint32 indexed datasetId, address indexed reporter, FlagReason reason);
+    event FlagResolved(uint32 indexed flagId, uint32 indexed datasetId, address indexed moderator, FlagStatus status);
+
+    modifier onlyModerator() {
+        require(_isModerator(), "Not moderator");
+        _;
+    }
+
+    modifier openFlag(uint32 _flagId) {
+        require(_flagId > 0 && _flagId < nextFlagId, "Invalid flag ID");
+        require(flags[_flagId].status == FlagStatus.Open, "Flag not open");
+        _;
+    }
+
+    constructor(AnonymousResearchDataSharing _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+        nextFlagId = 1;
+    }
+
+    // 举报数据集（公开数据集的读者或持有有效授权的访问者，贡献者不能举报自己的数据集）；
+    // _evidenceHash 为证据材料的链下存储哈希
+    function flagDataset(uint32 _datasetId, FlagReason _reason, string calldata _evidenceHash)
+        external
+        returns (uint32 flagId)
+    {
+        (address contributor, , , , , bool isActive) = platform.getDatasetInfo(_datasetId);
+        require(isActive, "Dataset not active");
+        require(msg.sender != contributor, "Cannot flag own dataset");
+        require(platform.canAccessDataset(_datasetId, msg.sender), "Access denied");
+        require(bytes(_evidenceHash).length > 0, "Evidence required");
+        require(!hasOpenFlag[_datasetId][msg.sender], "Flag already open");
+
+        flagId = nextFlagId++;
+        flags[flagId] = Flag({
+            flagId: flagId,
+            datasetId: _datasetId,
+            reporter: msg.sender,
+            reason: _reason,
+            status: FlagStatus.Open,
+            evidenceHash: _evidenceHash,
+            flaggedAt: block.timestamp,
+            moderator: address(0),
+            resolvedAt: 0
+        });
+        datasetFlags[_datasetId].push(flagId);
+        hasOpenFlag[_datasetId][msg.sender] = true;
+        openFlagIds.push(flagId);
+        openFlagIndex[flagId] = openFlagIds.length;
+
+        emit DatasetFlagged(flagId, _datasetId, msg.sender, _reason);
+    }
+
+    // 驳回举报，数据集保持不变
+    function dismissFlag(uint32 _flagId) external onlyModerator openFlag(_flagId) {
+        _resolve(_flagId, FlagStatus.Dismissed);
+    }
+
+    // 采纳举报并将数据集的质量分数改为 _newScore（0-100）
+    function downgradeScore(uint32 _flagId, uint8 _newScore) external onlyModerator openFlag(_flagId) {
+        platform.updateQualityScore(flags[_flagId].datasetId, _newScore);
+        _resolve(_flagId, FlagStatus.ScoreDowngraded);
+    }
+
+    // 采纳举报并以审核原因停用数据集，该数据集的其他未处理举报一并关闭，之后只有质量审核员可以重新启用
+    function deactivateFlaggedDataset(uint32 _flagId) external onlyModerator openFlag(_flagId) {
+        uint32 datasetId = flags[_flagId].datasetId;
+        (, bool isActive) = _datasetStatus(datasetId);
+        require(isActive, "Dataset not active");
+
+        platform.setDatasetStatus(datasetId, false, AnonymousResearchDataSharing.StatusReason.Moderation, msg.sender);
+        _closeDatasetFlags(datasetId);
+    }
+
+    // 附带原因代码停用数据集（贡献者或平台管理员），审核原因仅限质量审核员使用；
+    // 该数据集的未处理举报随之关闭，处理人记为调用者
+    function deactivateDatasetWithReason(uint32 _datasetId, AnonymousResearchDataSharing.StatusReason _reason)
+        external
+    {
+        (address contributor, bool isActive) = _datasetStatus(_datasetId);
+        require(isActive, "Dataset not active");
+        if (_reason == AnonymousResearchDataSharing.StatusReason.Moderation) {
+            require(_isModerator(), "Not authorized");
+        } else {
+            require(_isDatasetManager(contributor), "Not authorized");
+        }
+
+        platform.setDatasetStatus(_datasetId, false, _reason, msg.sender);
+        _closeDatasetFlags(_datasetId);
+    }
+
+    // 重新启用数据集（贡献者或平台管理员），因审核停用的数据集只能由质量审核员重新启用
+    function reactivateDataset(uint32 _datasetId, AnonymousResearchDataSharing.StatusReason _reason) external {
+        (address contributor, bool isActive) = _datasetStatus(_datasetId);
+        if (platform.datasetStatusReason(_datasetId) == AnonymousResearchDataSharing.StatusReason.Moderation) {
+            require(_isModerator(), "Moderation hold");
+        } else {
+            require(_isDatasetManager(contributor), "Not authorized");
+        }
+        require(!isActive, "Dataset already active");
+
+        platform.setDatasetStatus(_datasetId, true, _reason, msg.sender);
+    }
+
+    // 获取举报详情
+    function getFlag(uint32 _flagId) external view returns (Flag memory) {
+        require(_flagId > 0 && _flagId < nextFlagId, "Invalid flag ID");
+        return flags[_flagId];
+    }
+
+    // 获取数据集收到的全部举报ID
+    function getDatasetFlags(uint32 _datasetId) external view returns (uint32[] memory) {
+        return datasetFlags[_datasetId];
+    }
+
+    // 审核队列：分页获取未处理的举报，total 为未处理举报总数；
+    // 处理举报会把列表末项移入空位，因此顺序不是举报时间顺序，翻页期间有举报被处理时条目可能换页
+    function getModerationQueue(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (Flag[] memory page, uint256 total)
+    {
+        require(_limit > 0 && _limit <= MAX_PAGE_SIZE, "Invalid page size");
+
+        total = openFlagIds.length;
+        uint256 count = _offset < total ? total - _offset : 0;
+        if (count > _limit) {
+            count = _limit;
+        }
+
+        page = new Flag[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = flags[openFlagIds[_offset + i]];
+        }
+    }
+
+    // 数据集的贡献者与启用状态
+    function _datasetStatus(uint32 _datasetId) private view returns (address contributor, bool isActive) {
+        require(_datasetId > 0 && _datasetId < platform.nextDatasetId(), "Invalid dataset ID");
+        (contributor, , , , , , , isActive) = platform.datasets(_datasetId);
+    }
+
+    function _isModerator() private view returns (bool) {
+        return platform.hasRole(platform.QUALITY_REVIEWER_ROLE(), msg.sender);
+    }
+
+    // 调用者是否为数据集贡献者或平台管理员
+    function _isDatasetManager(address _contributor) private view returns (bool) {
+        return msg.sender == _contributor || platform.hasRole(platform.ADMIN_ROLE(), msg.sender);
+    }
+
+    // 以数据集停用关闭该数据集的全部未处理举报
+    function _closeDatasetFlags(uint32 _datasetId) private {
+        uint32[] storage ids = datasetFlags[_datasetId];
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (flags[ids[i]].status == FlagStatus.Open) {
+                _resolve(ids[i], FlagStatus.DatasetDeactivated);
+            }
+        }
+    }
+
+    // 记录处理结果，将举报移出审核队列并允许举报者再次举报该数据集
+    function _resolve(uint32 _flagId, FlagStatus _status) private {
+        Flag storage flag = flags[_flagId];
+        flag.status = _status;
+        flag.moderator = msg.sender;
+        flag.resolvedAt = block.timestamp;
+        hasOpenFlag[flag.datasetId][flag.reporter] = false;
+        _removeOpenFlag(_flagId);
+
+        emit FlagResolved(_flagId, flag.datasetId, msg.sender, _status);
+    }
+
+    // 以末项填补被移除举报的位置
+    function _removeOpenFlag(uint32 _flagId) private {
+        uint256 index = openFlagIndex[_flagId] - 1;
+        uint32 last = openFlagIds[openFlagIds.length - 1];
+
+        openFlagIds[index] = last;
+        openFlagIndex[last] = index + 1;
+        openFlagIds.pop();
+        delete openFlagIndex[_flagId];
+    }
+}
@@ -0,0 +1,117 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint8, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+
+// 同行评审：经认证的评审员为数据集提交加密分数，合约在密文上维护分数总和与评审人数，
+// 每凑满一批最少评审人数后以加密平均分替换数据集的质量分数；本合约须持有平台的 QUALITY_REVIEWER_ROLE
+contract ResearchPeerReview is SepoliaConfig {
+
+    // 加密平均分生效所需的默认最少评审人数
+    uint32 public constant DEFAULT_MIN_REVIEWERS = 3;
+
+    // 单个评审分数的上限，与平台的质量分数范围一致
+    uint8 public constant MAX_SCORE = 100;
+
+    // 加密分数总和与评审人数，不记录单个评审员的分数；appliedCount 为最近一次生效的平均分所含的评审人数
+    struct ReviewTally {
+        euint32 scoreSum;
+        uint32 reviewCount;
+        uint32 appliedCount;
+    }
+
+    AnonymousResearchDataSharing public platform;
+    uint32 public minReviewers;
+
+    mapping(address => bool) public isAccreditedReviewer;
+    mapping(uint32 => ReviewTally) private tallies;
+    // keccak256(评审员, 数据集ID) => 是否已评审；不按数据集记录评审员地址
+    mapping(bytes32 => bool) private hasReviewed;
+
+    event ReviewerAccreditationSet(address indexed reviewer, bool accredited);
+    event MinReviewersSet(uint32 minReviewers);
+    // 事件只记录评审人数，不记录评审员
+    event ReviewSubmitted(uint32 indexed datasetId, uint32 reviewCount);
+    event ReviewScoreApplied(uint32 indexed datasetId, uint32 reviewCount);
+
+    modifier onlyPlatformAdmin() {
+        require(platform.hasRole(platform.ADMIN_ROLE(), msg.sender), "Not authorized");
+        _;
+    }
+
+    constructor(AnonymousResearchDataSharing _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+        minReviewers = DEFAULT_MIN_REVIEWERS;
+    }
+
+    // 认证或取消认证评审员（仅限平台管理员），取消认证不影响已提交的分数
+    function setReviewer(address _reviewer, bool _accredited) external onlyPlatformAdmin {
+        require(_reviewer != address(0), "Invalid reviewer");
+        isAccreditedReviewer[_reviewer] = _accredited;
+
+        emit ReviewerAccreditationSet(_reviewer, _accredited);
+    }
+
+    // 设置每批评审的最少人数（仅限平台管理员），对尚未生效的评审立即适用
+    function setMinReviewers(uint32 _minReviewers) external onlyPlatformAdmin {
+        require(_minReviewers > 0, "Threshold must be positive");
+        minReviewers = _minReviewers;
+
+        emit MinReviewersSet(_minReviewers);
+    }
+
+    // 提交加密评审分数（0-100，超出部分按 100 计），每位评审员对每个数据集只能评审一次；
+    // 自上次生效以来的新评审凑满 minReviewers 人后，才以全部评审的加密平均分更新数据集质量分数，
+    // 因此不会公布只差一条评审的中间平均分
+    function submitReview(
+        uint32 _datasetId,
+        externalEuint8 _encryptedScore,
+        bytes calldata _inputProof
+    ) external {
+        require(isAccreditedReviewer[msg.sender], "Not accredited reviewer");
+        (address contributor, , , , , ) = platform.getDatasetInfo(_datasetId);
+        require(msg.sender != contributor, "Cannot review own dataset");
+        require(platform.canAccessDataset(_datasetId, msg.sender), "Access denied");
+        bytes32 reviewKey = keccak256(abi.encode(msg.sender, _datasetId));
+        require(!hasReviewed[reviewKey], "Already reviewed");
+
+        euint8 score = FHE.min(FHE.fromExternal(_encryptedScore, _inputProof), MAX_SCORE);
+
+        ReviewTally storage tally = tallies[_datasetId];
+        tally.scoreSum = FHE.add(tally.scoreSum, FHE.asEuint32(score));
+        tally.reviewCount++;
+        hasReviewed[reviewKey] = true;
+
+        FHE.allowThis(tally.scoreSum);
+
+        emit ReviewSubmitted(_datasetId, tally.reviewCount);
+
+        if (tally.reviewCount - tally.appliedCount >= minReviewers) {
+            _applyAverage(_datasetId, tally);
+        }
+    }
+
+    // 获取数据集的评审人数，以及最近一次生效的平均分所含的评审人数（0 表示尚未生效）
+    function getReviewTally(uint32 _datasetId)
+        external
+        view
+        returns (uint32 reviewCount, uint32 appliedCount)
+    {
+        ReviewTally storage tally = tallies[_datasetId];
+        return (tally.reviewCount, tally.appliedCount);
+    }
+
+    // 在密文上计算平均分并写入平台，仅在本次调用中允许平台读取该分数
+    function _applyAverage(uint32 _datasetId, ReviewTally storage _tally) private {
+        euint8 average = FHE.asEuint8(FHE.div(_tally.scoreSum, _tally.reviewCount));
+
+        FHE.allowTransient(average, address(platform));
+        platform.updateEncryptedQualityScore(_datasetId, average);
+        _tally.appliedCount = _tally.reviewCount;
+
+        emit ReviewScoreApplied(_datasetId, _tally.reviewCount);
+    }
+}
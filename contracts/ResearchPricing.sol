@@ -0,0 +1,91 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, ebool, externalEuint32 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+
+// 密封报价：贡献者为数据集设置加密最低价格，与请求的加密预算在密文上比较，双方都不会得知对方的数值；
+// 加密价格的输入证明须针对本合约生成
+contract ResearchPricing is SepoliaConfig {
+
+    AnonymousResearchDataSharing public platform;
+
+    mapping(uint32 => euint32) public datasetMinPrice;
+    // 请求ID => 数据集ID => 请求预算是否不低于数据集最低价格
+    mapping(uint32 => mapping(uint32 => ebool)) public budgetEligibility;
+    // 数据集ID => 价格是否已参与比较（此后不可再修改，防止贡献者改价重比逼近预算）
+    mapping(uint32 => bool) public priceLocked;
+    // 请求者 => 数据集ID => 是否已比较过预算（每个请求者对每个数据集只能比较一次，防止以新请求逼近价格）
+    mapping(address => mapping(uint32 => bool)) public hasCheckedBudget;
+
+    event DatasetPriceSet(uint32 indexed datasetId);
+    event BudgetEligibilityChecked(uint32 indexed requestId, uint32 indexed datasetId);
+
+    constructor(AnonymousResearchDataSharing _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+    }
+
+    // 设置数据集的加密最低价格（仅限贡献者）
+    function setDatasetPrice(
+        uint32 _datasetId,
+        externalEuint32 _encryptedPrice,
+        bytes calldata _inputProof
+    ) external {
+        require(msg.sender == _activeContributor(_datasetId), "Not dataset contributor");
+        require(!priceLocked[_datasetId], "Price locked");
+
+        euint32 encryptedPrice = FHE.fromExternal(_encryptedPrice, _inputProof);
+        datasetMinPrice[_datasetId] = encryptedPrice;
+
+        FHE.allowThis(encryptedPrice);
+        FHE.allow(encryptedPrice, msg.sender);
+
+        emit DatasetPriceSet(_datasetId);
+    }
+
+    // 密文比较预算与最低价格（仅限请求者，每个数据集一次），比较后锁定该数据集的价格
+    function checkBudgetEligibility(uint32 _requestId, uint32 _datasetId) external returns (ebool) {
+        require(_requestId > 0 && _requestId < platform.nextRequestId(), "Invalid request ID");
+        (address requester, , euint32 budget, , , ) = platform.dataRequests(_requestId);
+        require(msg.sender == requester, "Not authorized");
+        // 数据集无效或已停用时回退
+        _activeContributor(_datasetId);
+        require(!hasCheckedBudget[requester][_datasetId], "Budget already checked");
+        hasCheckedBudget[requester][_datasetId] = true;
+        priceLocked[_datasetId] = true;
+        // 平台仅在本次调用中开放预算，本合约须为平台当前链接的报价合约
+        platform.shareBudgetWithPricing(_requestId);
+
+        // 未设置价格的数据集视为免费
+        euint32 price = datasetMinPrice[_datasetId];
+        if (!FHE.isInitialized(price)) {
+            price = FHE.asEuint32(0);
+        }
+
+        ebool eligible = FHE.ge(budget, price);
+        budgetEligibility[_requestId][_datasetId] = eligible;
+
+        // 只有请求者可以解密比较结果
+        FHE.allowThis(eligible);
+        FHE.allow(eligible, requester);
+
+        emit BudgetEligibilityChecked(_requestId, _datasetId);
+        return eligible;
+    }
+
+    // 在本次调用中向持有平台 ACCESS_GRANTER_ROLE 的合约（访问市场）开放数据集最低价格，未设置价格时回退
+    function useDatasetPrice(uint32 _datasetId) external returns (euint32 price) {
+        require(platform.hasRole(platform.ACCESS_GRANTER_ROLE(), msg.sender), "Not authorized");
+        price = datasetMinPrice[_datasetId];
+        require(FHE.isInitialized(price), "Price not set");
+
+        FHE.allowTransient(price, msg.sender);
+    }
+
+    // 平台的 getDatasetInfo 对本合约隐藏已停用的数据集，无效或已停用时以相同原因回退
+    function _activeContributor(uint32 _datasetId) private view returns (address contributor) {
+        (contributor, , , , , ) = platform.getDatasetInfo(_datasetId);
+    }
+}
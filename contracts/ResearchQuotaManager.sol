@@ -0,0 +1,156 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { PlatformAccessControl } from "./PlatformAccessControl.sol";
+
+// 按周期限制单个地址的访问授权、聚合查询与数据请求次数，约束单方可提取的数据量
+contract ResearchQuotaManager {
+
+    // 默认配额周期长度
+    uint256 public constant DEFAULT_EPOCH_LENGTH = 1 days;
+
+    // 受配额限制的操作类别
+    enum Operation {
+        Grant,
+        Query,
+        Request
+    }
+
+    // 账户在某一周期内的使用次数
+    struct Usage {
+        uint256 epoch;
+        uint32 count;
+    }
+
+    PlatformAccessControl public platform;
+    uint256 public epochLength;
+
+    // 各操作类别的默认配额，0 表示不限制
+    mapping(Operation => uint32) public defaultQuota;
+    // 除平台合约外允许计入配额的合约（如分析合约与多字段记录合约）
+    mapping(address => bool) public isConsumer;
+    mapping(address => mapping(Operation => uint32)) private customQuotas;
+    mapping(address => mapping(Operation => bool)) private hasCustomQuota;
+    mapping(address => mapping(Operation => Usage)) private usage;
+
+    event EpochLengthSet(uint256 epochLength);
+    event DefaultQuotaSet(Operation indexed operation, uint32 limit);
+    event AccountQuotaSet(address indexed account, Operation indexed operation, uint32 limit);
+    event AccountQuotaCleared(address indexed account, Operation indexed operation);
+    event ConsumerSet(address indexed consumer, bool allowed);
+    event QuotaConsumed(address indexed account, Operation indexed operation, uint256 epoch, uint32 used);
+
+    modifier onlyPlatformAdmin() {
+        require(platform.hasRole(platform.ADMIN_ROLE(), msg.sender), "Not authorized");
+        _;
+    }
+
+    constructor(PlatformAccessControl _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+        epochLength = DEFAULT_EPOCH_LENGTH;
+    }
+
+    // 设置配额周期长度（仅限平台管理员），修改后按新长度重新划分周期
+    function setEpochLength(uint256 _epochLength) external onlyPlatformAdmin {
+        require(_epochLength > 0, "Epoch length must be positive");
+        epochLength = _epochLength;
+
+        emit EpochLengthSet(_epochLength);
+    }
+
+    // 设置操作类别的默认配额（仅限平台管理员），0 表示不限制
+    function setDefaultQuota(Operation _operation, uint32 _limit) external onlyPlatformAdmin {
+        defaultQuota[_operation] = _limit;
+
+        emit DefaultQuotaSet(_operation, _limit);
+    }
+
+    // 为指定账户单独设置配额（仅限平台管理员），0 表示不限制
+    function setAccountQuota(address _account, Operation _operation, uint32 _limit)
+        external
+        onlyPlatformAdmin
+    {
+        customQuotas[_account][_operation] = _limit;
+        hasCustomQuota[_account][_operation] = true;
+
+        emit AccountQuotaSet(_account, _operation, _limit);
+    }
+
+    // 清除账户的单独配额，恢复使用默认配额（仅限平台管理员）
+    function clearAccountQuota(address _account, Operation _operation) external onlyPlatformAdmin {
+        require(hasCustomQuota[_account][_operation], "Account quota not set");
+        delete customQuotas[_account][_operation];
+        delete hasCustomQuota[_account][_operation];
+
+        emit AccountQuotaCleared(_account, _operation);
+    }
+
+    // 允许或禁止合约计入配额（仅限平台管理员）
+    function setConsumer(address _consumer, bool _allowed) external onlyPlatformAdmin {
+        require(_consumer != address(0), "Invalid consumer");
+        isConsumer[_consumer] = _allowed;
+
+        emit ConsumerSet(_consumer, _allowed);
+    }
+
+    // 计入一次操作，超出本周期配额时回退（仅限平台合约与已登记的合约）
+    function consume(address _account, Operation _operation) external {
+        require(msg.sender == address(platform) || isConsumer[msg.sender], "Not quota consumer");
+
+        uint256 epoch = currentEpoch();
+        uint32 used = usedQuota(_account, _operation);
+        uint32 limit = quotaOf(_account, _operation);
+        if (limit != 0 && used >= limit) {
+            _revertQuotaExceeded(_operation);
+        }
+
+        usage[_account][_operation] = Usage({ epoch: epoch, count: used + 1 });
+
+        emit QuotaConsumed(_account, _operation, epoch, used + 1);
+    }
+
+    // 当前周期编号
+    function currentEpoch() public view returns (uint256) {
+        return block.timestamp / epochLength;
+    }
+
+    // 账户在操作类别上的配额，0 表示不限制
+    function quotaOf(address _account, Operation _operation) public view returns (uint32) {
+        return hasCustomQuota[_account][_operation]
+            ? customQuotas[_account][_operation]
+            : defaultQuota[_operation];
+    }
+
+    // 账户在本周期已使用的次数
+    function usedQuota(address _account, Operation _operation) public view returns (uint32) {
+        Usage storage current = usage[_account][_operation];
+        return current.epoch == currentEpoch() ? current.count : 0;
+    }
+
+    // 账户在本周期剩余的次数，不限制时返回 uint32 最大值
+    function remainingQuota(address _account, Operation _operation) external view returns (uint32) {
+        uint32 limit = quotaOf(_account, _operation);
+        if (limit == 0) {
+            return type(uint32).max;
+        }
+        uint32 used = usedQuota(_account, _operation);
+        return used >= limit ? 0 : limit - used;
+    }
+
+    // 本周期的结束时间，配额在此之后重置
+    function epochEndsAt() external view returns (uint256) {
+        return (currentEpoch() + 1) * epochLength;
+    }
+
+    // 按操作类别给出明确的回退原因
+    function _revertQuotaExceeded(Operation _operation) private pure {
+        if (_operation == Operation.Grant) {
+            revert("Grant quota exceeded");
+        }
+        if (_operation == Operation.Query) {
+            revert("Query quota exceeded");
+        }
+        revert("Request quota exceeded");
+    }
+}
@@ -0,0 +1,383 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {
+    FHE,
+    ebool,
+    euint8,
+    euint16,
+    euint32,
+    euint64,
+    externalEbool,
+    externalEuint8,
+    externalEuint16,
+    externalEuint32,
+    externalEuint64
+} from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+import { ResearchSchemaRegistry } from "./ResearchSchemaRegistry.sol";
+import { DifferentialPrivacy } from "./DifferentialPrivacy.sol";
+import { ResearchQuotaManager } from "./ResearchQuotaManager.sol";
+
+// 多字段加密记录：按结构为数据集附加类型化的加密字段，支持按字段授权与聚合
+contract ResearchRecordStore is SepoliaConfig, DifferentialPrivacy {
+
+    // 单次查询最多包含的数据集数量，限制每笔交易的 FHE 运算量
+    uint256 public constant MAX_QUERY_DATASETS = 32;
+
+    AnonymousResearchDataSharing public platform;
+    ResearchSchemaRegistry public schemaRegistry;
+    uint32 public nextFieldAggregateId;
+
+    struct Record {
+        uint32 schemaId;
+        bytes32[] fields;
+        uint256 timestamp;
+    }
+
+    struct FieldAggregate {
+        address requester;
+        uint32 schemaId;
+        uint32 fieldIndex;
+        uint32 datasetCount;
+        euint64 sum;
+        euint64 minValue;
+        euint64 maxValue;
+        uint256 timestamp;
+    }
+
+    mapping(uint32 => Record) private records;
+    // 数据集ID => 访问者 => 已授权字段的位掩码
+    mapping(uint32 => mapping(address => uint256)) public fieldAccess;
+    mapping(uint32 => FieldAggregate) private fieldAggregates;
+
+    event RecordAttached(uint32 indexed datasetId, uint32 indexed schemaId, uint32 fieldCount);
+    event FieldAccessGranted(uint32 indexed datasetId, address indexed accessor, uint256 fieldMask);
+    event FieldAccessRevoked(uint32 indexed datasetId, address indexed accessor, uint256 fieldMask);
+    event FieldAggregateComputed(
+        uint32 indexed aggregateId,
+        address indexed requester,
+        uint32 fieldIndex,
+        uint32 datasetCount
+    );
+
+    modifier hasRecord(uint32 _datasetId) {
+        require(records[_datasetId].schemaId != 0, "Record not found");
+        _;
+    }
+
+    modifier validFieldAggregate(uint32 _aggregateId) {
+        require(_aggregateId > 0 && _aggregateId < nextFieldAggregateId, "Invalid aggregate ID");
+        _;
+    }
+
+    constructor(AnonymousResearchDataSharing _platform, ResearchSchemaRegistry _schemaRegistry) {
+        require(address(_platform) != address(0), "Invalid platform");
+        require(address(_schemaRegistry) != address(0), "Invalid schema registry");
+        platform = _platform;
+        schemaRegistry = _schemaRegistry;
+        nextFieldAggregateId = 1;
+    }
+
+    // 为自己贡献的有效数据集附加多字段加密记录（每个数据集仅能附加一次）
+    // 字段顺序与类型须与数据集登记的结构一致，所有字段共用同一个输入证明
+    function attachRecord(
+        uint32 _datasetId,
+        bytes32[] calldata _encryptedFields,
+        bytes calldata _inputProof
+    ) external {
+        (address contributor, bool isActive) = _datasetStatus(_datasetId);
+        require(msg.sender == contributor, "Not dataset contributor");
+        require(isActive, "Dataset not active");
+        require(records[_datasetId].schemaId == 0, "Record already attached");
+
+        uint32 schemaId = platform.datasetSchema(_datasetId);
+        ResearchSchemaRegistry.FieldType[] memory fieldTypes = schemaRegistry.getFieldTypes(schemaId);
+        require(_encryptedFields.length == fieldTypes.length, "Field count mismatch");
+
+        Record storage record = records[_datasetId];
+        record.schemaId = schemaId;
+        record.timestamp = block.timestamp;
+
+        for (uint256 i = 0; i < fieldTypes.length; i++) {
+            bytes32 field = _importField(fieldTypes[i], _encryptedFields[i], _inputProof);
+            _allowField(fieldTypes[i], field, address(this));
+            _allowField(fieldTypes[i], field, msg.sender);
+            record.fields.push(field);
+        }
+
+        emit RecordAttached(_datasetId, schemaId, uint32(fieldTypes.length));
+    }
+
+    // 向已获数据集访问授权的研究者开放部分字段（贡献者或平台管理员）
+    // FHE 解密权限一经授予无法收回，撤销只影响本合约内的字段访问判断
+    function grantFieldAccess(uint32 _datasetId, address _accessor, uint256 _fieldMask)
+        external
+        hasRecord(_datasetId)
+    {
+        _requireDatasetManager(_datasetId);
+        require(platform.hasDataAccess(_datasetId, _accessor), "Dataset access required");
+
+        Record storage record = records[_datasetId];
+        _requireFieldMask(_fieldMask, record.fields.length);
+
+        ResearchSchemaRegistry.FieldType[] memory fieldTypes = schemaRegistry.getFieldTypes(record.schemaId);
+        for (uint256 i = 0; i < fieldTypes.length; i++) {
+            if (_fieldMask & (1 << i) != 0) {
+                _allowField(fieldTypes[i], record.fields[i], _accessor);
+            }
+        }
+        fieldAccess[_datasetId][_accessor] |= _fieldMask;
+
+        emit FieldAccessGranted(_datasetId, _accessor, _fieldMask);
+    }
+
+    // 撤销部分字段的访问授权（贡献者或平台管理员）
+    function revokeFieldAccess(uint32 _datasetId, address _accessor, uint256 _fieldMask)
+        external
+        hasRecord(_datasetId)
+    {
+        _requireDatasetManager(_datasetId);
+        _requireFieldMask(_fieldMask, records[_datasetId].fields.length);
+        require(fieldAccess[_datasetId][_accessor] & _fieldMask != 0, "Field access not granted");
+
+        fieldAccess[_datasetId][_accessor] &= ~_fieldMask;
+
+        emit FieldAccessRevoked(_datasetId, _accessor, _fieldMask);
+    }
+
+    // 账户能否读取指定字段：公开数据集与贡献者可读全部字段，其他研究者需同时持有数据集与字段授权
+    function canAccessField(uint32 _datasetId, uint32 _fieldIndex, address _account)
+        public
+        view
+        hasRecord(_datasetId)
+        returns (bool)
+    {
+        require(_fieldIndex < records[_datasetId].fields.length, "Invalid field index");
+
+        (address contributor, , , , bool isPublic, , , ) = platform.datasets(_datasetId);
+        if (isPublic || _account == contributor) {
+            return true;
+        }
+        return platform.hasDataAccess(_datasetId, _account)
+            && fieldAccess[_datasetId][_account] & (1 << _fieldIndex) != 0;
+    }
+
+    // 在密文上计算同一结构下指定字段的总和、最小值和最大值（统一扩展为 64 位），结果仅调用者可解密
+    // 数据集ID必须严格递增，以防止重复计入同一数据集；与分析合约一样受群体规模、隐私预算与噪声保护
+    function aggregateField(uint32[] calldata _datasetIds, uint32 _fieldIndex)
+        external
+        returns (uint32 aggregateId)
+    {
+        uint256 length = _datasetIds.length;
+        require(length > 0, "No datasets selected");
+        require(length <= MAX_QUERY_DATASETS, "Too many datasets");
+
+        uint32 schemaId = records[_datasetIds[0]].schemaId;
+        require(schemaId != 0, "Record not found");
+        ResearchSchemaRegistry.FieldType fieldType = _fieldTypeAt(schemaId, _fieldIndex);
+
+        euint64 sum;
+        euint64 minValue;
+        euint64 maxValue;
+        address[] memory contributors = new address[](length);
+        uint32 previousId = 0;
+
+        for (uint256 i = 0; i < length; i++) {
+            require(_datasetIds[i] > previousId, "Dataset IDs must be ascending");
+            previousId = _datasetIds[i];
+
+            euint64 value;
+            (value, contributors[i]) = _readableField(previousId, schemaId, _fieldIndex, fieldType);
+            value = _clip(value);
+            if (i == 0) {
+                (sum, minValue, maxValue) = (value, value, value);
+            } else {
+                sum = FHE.add(sum, value);
+                minValue = FHE.min(minValue, value);
+                maxValue = FHE.max(maxValue, value);
+            }
+        }
+
+        _consumePrivacyBudget(_countDistinct(contributors));
+        _consumeQueryQuota();
+        sum = _publishResult(sum);
+        minValue = _publishResult(minValue);
+        maxValue = _publishResult(maxValue);
+
+        aggregateId = nextFieldAggregateId++;
+        fieldAggregates[aggregateId] = FieldAggregate({
+            requester: msg.sender,
+            schemaId: schemaId,
+            fieldIndex: _fieldIndex,
+            datasetCount: uint32(length),
+            sum: sum,
+            minValue: minValue,
+            maxValue: maxValue,
+            timestamp: block.timestamp
+        });
+
+        emit FieldAggregateComputed(aggregateId, msg.sender, _fieldIndex, uint32(length));
+    }
+
+    // 获取数据集记录的结构ID与字段句柄（句柄按结构字段类型解释）
+    function getRecord(uint32 _datasetId)
+        external
+        view
+        hasRecord(_datasetId)
+        returns (uint32 schemaId, bytes32[] memory fields, uint256 timestamp)
+    {
+        Record storage record = records[_datasetId];
+        return (record.schemaId, record.fields, record.timestamp);
+    }
+
+    // 获取字段聚合结果句柄
+    function getFieldAggregate(uint32 _aggregateId)
+        external
+        view
+        validFieldAggregate(_aggregateId)
+        returns (
+            address requester,
+            uint32 schemaId,
+            uint32 fieldIndex,
+            uint32 datasetCount,
+            euint64 sum,
+            euint64 minValue,
+            euint64 maxValue,
+            uint256 timestamp
+        )
+    {
+        FieldAggregate storage aggregate = fieldAggregates[_aggregateId];
+        return (
+            aggregate.requester,
+            aggregate.schemaId,
+            aggregate.fieldIndex,
+            aggregate.datasetCount,
+            aggregate.sum,
+            aggregate.minValue,
+            aggregate.maxValue,
+            aggregate.timestamp
+        );
+    }
+
+    // 校验调用者对有效数据集字段的访问权限，返回扩展为 64 位的字段值与贡献者
+    function _readableField(
+        uint32 _datasetId,
+        uint32 _schemaId,
+        uint32 _fieldIndex,
+        ResearchSchemaRegistry.FieldType _fieldType
+    ) private returns (euint64 value, address contributor) {
+        require(records[_datasetId].schemaId == _schemaId, "Schema mismatch");
+        bool isActive;
+        (contributor, isActive) = _datasetStatus(_datasetId);
+        require(isActive, "Dataset not active");
+        require(canAccessField(_datasetId, _fieldIndex, msg.sender), "Access denied");
+
+        value = _asEuint64(_fieldType, records[_datasetId].fields[_fieldIndex]);
+    }
+
+    // 读取数据集的贡献者与状态
+    function _datasetStatus(uint32 _datasetId) private view returns (address contributor, bool isActive) {
+        require(_datasetId > 0 && _datasetId < platform.nextDatasetId(), "Invalid dataset ID");
+        (contributor, , , , , , , isActive) = platform.datasets(_datasetId);
+    }
+
+    // 平台配置了配额管理合约时，计入调用者本周期的查询配额
+    function _consumeQueryQuota() private {
+        ResearchQuotaManager quotaManager = platform.quotaManager();
+        if (address(quotaManager) != address(0)) {
+            quotaManager.consume(msg.sender, ResearchQuotaManager.Operation.Query);
+        }
+    }
+
+    // 隐私参数仅限平台管理员配置
+    function _requirePrivacyAdmin() internal view override {
+        require(platform.hasRole(platform.ADMIN_ROLE(), msg.sender), "Not authorized");
+    }
+
+    // 仅限数据集贡献者或平台管理员
+    function _requireDatasetManager(uint32 _datasetId) private view {
+        (address contributor, ) = _datasetStatus(_datasetId);
+        require(
+            msg.sender == contributor || platform.hasRole(platform.ADMIN_ROLE(), msg.sender),
+            "Not authorized"
+        );
+    }
+
+    // 字段掩码不能为空，且只能包含记录中存在的字段
+    function _requireFieldMask(uint256 _fieldMask, uint256 _fieldCount) private pure {
+        require(_fieldMask != 0 && _fieldMask >> _fieldCount == 0, "Invalid field mask");
+    }
+
+    // 查询结构中指定字段的类型
+    function _fieldTypeAt(uint32 _schemaId, uint32 _fieldIndex)
+        private
+        view
+        returns (ResearchSchemaRegistry.FieldType)
+    {
+        ResearchSchemaRegistry.FieldType[] memory fieldTypes = schemaRegistry.getFieldTypes(_schemaId);
+        require(_fieldIndex < fieldTypes.length, "Invalid field index");
+        return fieldTypes[_fieldIndex];
+    }
+
+    // 按字段类型校验并导入客户端加密的输入
+    function _importField(
+        ResearchSchemaRegistry.FieldType _fieldType,
+        bytes32 _encryptedField,
+        bytes calldata _inputProof
+    ) private returns (bytes32) {
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint8) {
+            return FHE.toBytes32(FHE.fromExternal(externalEuint8.wrap(_encryptedField), _inputProof));
+        }
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint16) {
+            return FHE.toBytes32(FHE.fromExternal(externalEuint16.wrap(_encryptedField), _inputProof));
+        }
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint32) {
+            return FHE.toBytes32(FHE.fromExternal(externalEuint32.wrap(_encryptedField), _inputProof));
+        }
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint64) {
+            return FHE.toBytes32(FHE.fromExternal(externalEuint64.wrap(_encryptedField), _inputProof));
+        }
+        return FHE.toBytes32(FHE.fromExternal(externalEbool.wrap(_encryptedField), _inputProof));
+    }
+
+    // 按字段类型授予访问权限
+    function _allowField(ResearchSchemaRegistry.FieldType _fieldType, bytes32 _field, address _account) private {
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint8) {
+            FHE.allow(euint8.wrap(_field), _account);
+        } else if (_fieldType == ResearchSchemaRegistry.FieldType.Uint16) {
+            FHE.allow(euint16.wrap(_field), _account);
+        } else if (_fieldType == ResearchSchemaRegistry.FieldType.Uint32) {
+            FHE.allow(euint32.wrap(_field), _account);
+        } else if (_fieldType == ResearchSchemaRegistry.FieldType.Uint64) {
+            FHE.allow(euint64.wrap(_field), _account);
+        } else {
+            FHE.allow(ebool.wrap(_field), _account);
+        }
+    }
+
+    // 将任意类型的字段扩展为 64 位以便统一聚合（布尔值按 0/1 计入，总和即为真值个数）
+    function _asEuint64(ResearchSchemaRegistry.FieldType _fieldType, bytes32 _field) private returns (euint64) {
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint8) {
+            return FHE.asEuint64(euint8.wrap(_field));
+        }
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint16) {
+            return FHE.asEuint64(euint16.wrap(_field));
+        }
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint32) {
+            return FHE.asEuint64(euint32.wrap(_field));
+        }
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint64) {
+            return euint64.wrap(_field);
+        }
+        return FHE.asEuint64(ebool.wrap(_field));
+    }
+
+    // 为结果叠加噪声，由本合约保留计算权限，仅向请求者开放解密
+    function _publishResult(euint64 _value) private returns (euint64 noisy) {
+        noisy = _addNoise(_value);
+        FHE.allowThis(noisy);
+        FHE.allow(noisy, msg.sender);
+    }
+}
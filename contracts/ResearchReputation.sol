@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint8, ebool, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+
+// 贡献者声誉：由平台在贡献与评分时累计加密质量分数，请求者只能获得与阈值的加密比较结果
+contract ResearchReputation is SepoliaConfig {
+
+    // 加密质量分数之和与已计分的数据集数量，仅贡献者本人可解密
+    struct Reputation {
+        euint32 scoreSum;
+        euint32 datasetCount;
+    }
+
+    AnonymousResearchDataSharing public platform;
+
+    mapping(address => Reputation) private reputations;
+    // 各数据集最近一次计入声誉的质量分数，重新评分时先扣除旧分数
+    mapping(uint32 => euint32) private recordedScores;
+    mapping(uint32 => bool) private hasRecordedScore;
+    // 请求ID => 数据集ID => 数据集贡献者的平均质量分数是否达到请求者的阈值
+    mapping(uint32 => mapping(uint32 => ebool)) public reputationChecks;
+    mapping(uint32 => mapping(uint32 => bool)) public isReputationChecked;
+    // 请求者地址 => 贡献者地址 => 是否已检查过，新建请求或换用同一贡献者的其他数据集都不会重置
+    mapping(address => mapping(address => bool)) public hasCheckedReputation;
+
+    event ReputationUpdated(address indexed contributor, uint32 indexed datasetId);
+    event ReputationChecked(uint32 indexed requestId, uint32 indexed datasetId);
+
+    modifier onlyPlatform() {
+        require(msg.sender == address(platform), "Not platform");
+        _;
+    }
+
+    constructor(AnonymousResearchDataSharing _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+    }
+
+    // 计入数据集的新质量分数（仅限平台合约）：首次计分时数量加一，重新评分时以新分数替换旧分数
+    function recordQualityScore(uint32 _datasetId, address _contributor, euint8 _qualityScore)
+        external
+        onlyPlatform
+    {
+        Reputation storage reputation = reputations[_contributor];
+        euint32 score = FHE.asEuint32(_qualityScore);
+
+        if (hasRecordedScore[_datasetId]) {
+            reputation.scoreSum = FHE.sub(FHE.add(reputation.scoreSum, score), recordedScores[_datasetId]);
+        } else {
+            reputation.scoreSum = FHE.add(reputation.scoreSum, score);
+            reputation.datasetCount = FHE.add(reputation.datasetCount, 1);
+            hasRecordedScore[_datasetId] = true;
+
+            FHE.allowThis(reputation.datasetCount);
+            FHE.allow(reputation.datasetCount, _contributor);
+        }
+        recordedScores[_datasetId] = score;
+
+        FHE.allowThis(score);
+        FHE.allowThis(reputation.scoreSum);
+        FHE.allow(reputation.scoreSum, _contributor);
+
+        emit ReputationUpdated(_contributor, _datasetId);
+    }
+
+    // 请求者检查数据集贡献者的平均质量分数是否不低于加密阈值（0-100）；
+    // 每个请求者对每个贡献者只能检查一次（与请求和数据集无关），防止通过新建请求或同一贡献者的
+    // 多个数据集反复比较逼近贡献者的分数
+    function checkReputation(
+        uint32 _requestId,
+        uint32 _datasetId,
+        externalEuint8 _encryptedMinAverage,
+        bytes calldata _inputProof
+    ) external returns (ebool meetsThreshold) {
+        (address requester, , , ) = platform.getDataRequestInfo(_requestId);
+        require(msg.sender == requester, "Not requester");
+        (address contributor, , , , , ) = platform.getDatasetInfo(_datasetId);
+        require(!hasCheckedReputation[requester][contributor], "Reputation already checked");
+
+        // 平均分不低于阈值等价于分数之和不低于阈值乘以数据集数量，从而无需加密除法
+        Reputation storage reputation = reputations[contributor];
+        euint32 minAverage = FHE.asEuint32(FHE.fromExternal(_encryptedMinAverage, _inputProof));
+        euint32 minSum = FHE.mul(minAverage, reputation.datasetCount);
+        meetsThreshold = FHE.and(
+            FHE.ge(reputation.scoreSum, minSum),
+            FHE.gt(reputation.datasetCount, 0)
+        );
+
+        reputationChecks[_requestId][_datasetId] = meetsThreshold;
+        isReputationChecked[_requestId][_datasetId] = true;
+        hasCheckedReputation[requester][contributor] = true;
+
+        FHE.allowThis(meetsThreshold);
+        FHE.allow(meetsThreshold, requester);
+
+        emit ReputationChecked(_requestId, _datasetId);
+    }
+
+    // 贡献者的加密声誉句柄，尚未计分时为未初始化句柄
+    function getReputation(address _contributor)
+        external
+        view
+        returns (euint32 scoreSum, euint32 datasetCount)
+    {
+        Reputation storage reputation = reputations[_contributor];
+        return (reputation.scoreSum, reputation.datasetCount);
+    }
+}
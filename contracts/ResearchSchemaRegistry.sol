@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// 数据集结构注册表：描述数据集每个字段的名称、类型与单位，结构通过新版本演进
+contract ResearchSchemaRegistry {
+
+    // 单个结构最多包含的字段数（字段访问权限以 uint256 位掩码表示）
+    uint256 public constant MAX_FIELDS = 32;
+
+    // 字段的加密类型
+    enum FieldType {
+        Uint8,
+        Uint16,
+        Uint32,
+        Uint64,
+        Bool
+    }
+
+    struct Schema {
+        address owner;
+        string name;
+        uint32 version;
+        uint32 previousSchemaId;
+        string[] fieldNames;
+        FieldType[] fieldTypes;
+        string[] fieldUnits;
+        uint256 createdAt;
+    }
+
+    uint32 public nextSchemaId;
+
+    mapping(uint32 => Schema) private schemas;
+    // 结构ID => 取代它的新版本结构ID（0 表示仍是最新版本）
+    mapping(uint32 => uint32) public supersededBy;
+
+    event SchemaRegistered(uint32 indexed schemaId, address indexed owner, string name);
+    event SchemaVersionPublished(uint32 indexed schemaId, uint32 indexed previousSchemaId, uint32 version);
+
+    modifier validSchema(uint32 _schemaId) {
+        require(isRegistered(_schemaId), "Invalid schema ID");
+        _;
+    }
+
+    constructor() {
+        nextSchemaId = 1;
+    }
+
+    // 注册新的数据结构（单位可为空字符串，例如布尔字段）
+    function registerSchema(
+        string memory _name,
+        string[] memory _fieldNames,
+        FieldType[] memory _fieldTypes,
+        string[] memory _fieldUnits
+    ) external returns (uint32 schemaId) {
+        require(bytes(_name).length > 0, "Schema name required");
+
+        schemaId = _storeSchema(_name, 1, 0, _fieldNames, _fieldTypes, _fieldUnits);
+
+        emit SchemaRegistered(schemaId, msg.sender, _name);
+    }
+
+    // 发布结构新版本（仅限结构所有者，且只能基于最新版本），旧版本保留以便解读已有数据集
+    function publishSchemaVersion(
+        uint32 _previousSchemaId,
+        string[] memory _fieldNames,
+        FieldType[] memory _fieldTypes,
+        string[] memory _fieldUnits
+    ) external validSchema(_previousSchemaId) returns (uint32 schemaId) {
+        Schema storage previous = schemas[_previousSchemaId];
+        require(msg.sender == previous.owner, "Not schema owner");
+        require(supersededBy[_previousSchemaId] == 0, "Schema already superseded");
+
+        uint32 version = previous.version + 1;
+        schemaId = _storeSchema(previous.name, version, _previousSchemaId, _fieldNames, _fieldTypes, _fieldUnits);
+        supersededBy[_previousSchemaId] = schemaId;
+
+        emit SchemaVersionPublished(schemaId, _previousSchemaId, version);
+    }
+
+    // 结构是否已注册
+    function isRegistered(uint32 _schemaId) public view returns (bool) {
+        return _schemaId > 0 && _schemaId < nextSchemaId;
+    }
+
+    // 获取结构定义
+    function getSchema(uint32 _schemaId) external view validSchema(_schemaId) returns (Schema memory) {
+        return schemas[_schemaId];
+    }
+
+    // 沿版本链查找结构的最新版本
+    function getLatestVersion(uint32 _schemaId) external view validSchema(_schemaId) returns (uint32 latestId) {
+        latestId = _schemaId;
+        while (supersededBy[latestId] != 0) {
+            latestId = supersededBy[latestId];
+        }
+    }
+
+    // 获取结构的字段类型列表
+    function getFieldTypes(uint32 _schemaId)
+        external
+        view
+        validSchema(_schemaId)
+        returns (FieldType[] memory)
+    {
+        return schemas[_schemaId].fieldTypes;
+    }
+
+    // 校验字段定义并写入新结构
+    function _storeSchema(
+        string memory _name,
+        uint32 _version,
+        uint32 _previousSchemaId,
+        string[] memory _fieldNames,
+        FieldType[] memory _fieldTypes,
+        string[] memory _fieldUnits
+    ) private returns (uint32 schemaId) {
+        require(_fieldNames.length > 0 && _fieldNames.length <= MAX_FIELDS, "Invalid field count");
+        require(
+            _fieldNames.length == _fieldTypes.length && _fieldNames.length == _fieldUnits.length,
+            "Field length mismatch"
+        );
+
+        for (uint256 i = 0; i < _fieldNames.length; i++) {
+            require(bytes(_fieldNames[i]).length > 0, "Field name required");
+        }
+
+        schemaId = nextSchemaId++;
+        schemas[schemaId] = Schema({
+            owner: msg.sender,
+            name: _name,
+            version: _version,
+            previousSchemaId: _previousSchemaId,
+            fieldNames: _fieldNames,
+            fieldTypes: _fieldTypes,
+            fieldUnits: _fieldUnits,
+            createdAt: block.timestamp
+        });
+    }
+}
@@ -1,5 +1,6 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@nomicfoundation/hardhat-verify");
+require("@fhevm/hardhat-plugin");
 require("dotenv").config();
 
 /** @type import('hardhat/config').HardhatUserConfig */
@@ -12,6 +13,12 @@ module.exports = {
         runs: 200,
       },
       viaIR: true,
+      // Storage layouts are recorded in deployments/ and checked by scripts/upgrade.js
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"],
+        },
+      },
     },
   },
   networks: {
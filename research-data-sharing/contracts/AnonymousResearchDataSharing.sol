@@ -1,14 +1,30 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, euint32, euint64, ebool, euint8 } from "@fhevm/solidity/lib/FHE.sol";
-import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { FHE, euint32, euint64, euint8, externalEuint32, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig, ZamaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { ConfidentialRewardToken } from "./ConfidentialRewardToken.sol";
+import { PlatformPausable } from "./PlatformPausable.sol";
+import { ResearchSchemaRegistry } from "./ResearchSchemaRegistry.sol";
+import { ResearchQuotaManager } from "./ResearchQuotaManager.sol";
+import { ResearchReputation } from "./ResearchReputation.sol";
+import { ResearchPricing } from "./ResearchPricing.sol";
 
-contract AnonymousResearchDataSharing is SepoliaConfig {
+contract AnonymousResearchDataSharing is SepoliaConfig, PlatformPausable {
+
+    // Maximum entries per batch call (grants count dataset/request pairs), bounding FHE work per transaction
+    uint256 public constant MAX_BATCH_SIZE = 50;
 
-    address public owner;
     uint32 public nextDatasetId;
     uint32 public nextRequestId;
+    ConfidentialRewardToken public rewardToken;
+    address public analytics;
+    ResearchSchemaRegistry public schemaRegistry;
+    ResearchQuotaManager public quotaManager;
+    ResearchReputation public reputation;
+    ResearchPricing public pricing;
+    // Whether the contract is initialized; the implementation locks itself on construction, so the platform is only usable through the proxy
+    bool private initialized;
 
     struct Dataset {
         address contributor;
@@ -27,9 +43,41 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
         euint32 encryptedBudget;
         uint256 deadline;
         bool isFulfilled;
+        bool isExpired;
         uint32[] approvedDatasets;
     }
 
+    // One entry of a batch contribution; its handles come from the same client-side encrypted input
+    struct EncryptedContribution {
+        externalEuint32 encryptedDataValue;
+        externalEuint8 encryptedQualityScore;
+        string metadataHash;
+        bool isPublic;
+    }
+
+    enum ProposalStatus {
+        None,
+        Pending,
+        Accepted,
+        Rejected
+    }
+
+    // Declared only to preserve the storage layout; version history moved to ResearchDatasetVersions
+    struct DatasetVersion {
+        euint32 encryptedDataValue;
+        string metadataHash;
+        uint256 timestamp;
+    }
+
+    // Reason codes for deactivating or reactivating a dataset
+    enum StatusReason {
+        Unspecified,
+        WithdrawnConsent,
+        DataError,
+        Moderation,
+        Resolved
+    }
+
     struct Contribution {
         uint32 datasetId;
         euint64 encryptedReward;
@@ -41,37 +89,135 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
     mapping(address => uint32[]) public contributorDatasets;
     mapping(address => Contribution[]) public contributions;
     mapping(uint32 => mapping(address => bool)) public datasetAccess;
+    mapping(uint32 => mapping(address => uint256)) public accessExpiry;
+    mapping(uint32 => address[]) private datasetGrantees;
+    mapping(uint32 => mapping(address => uint256)) private granteeIndex;
+    mapping(uint32 => uint32[]) private requestProposals;
+    mapping(uint32 => mapping(uint32 => ProposalStatus)) public proposalStatus;
+    // Deprecated: keeps its storage slot for proxy upgrades, no longer read or written
+    mapping(uint32 => DatasetVersion[]) private datasetVersions;
+    // Reason given for the latest deactivation or reactivation
+    mapping(uint32 => StatusReason) public datasetStatusReason;
+    // Dataset schema ID (definitions live in the schema registry)
+    mapping(uint32 => uint32) public datasetSchema;
+    // Purpose bitmask allowed by the contributor, bit i corresponds to purpose code i
+    mapping(uint32 => uint256) public datasetPurposes;
+    // Purpose code declared by the requester
+    mapping(uint32 => uint8) public requestPurpose;
+    // Consent record: the request ID under which the accessor was most recently granted access
+    mapping(uint32 => mapping(address => uint32)) public accessRequestId;
 
     event DatasetContributed(uint32 indexed datasetId, address indexed contributor, string metadataHash);
     event DataRequested(uint32 indexed requestId, address indexed requester, string researchTopic);
     event DatasetAccessed(uint32 indexed datasetId, address indexed accessor);
+    event ConsentRecorded(uint32 indexed datasetId, address indexed accessor, uint32 indexed requestId, uint8 purpose);
     event RewardDistributed(address indexed contributor, uint32 indexed datasetId);
     event QualityScoreUpdated(uint32 indexed datasetId, uint8 newScore);
+    event EncryptedQualityScoreUpdated(uint32 indexed datasetId, address indexed by);
+    event DatasetAccessExpires(uint32 indexed datasetId, address indexed accessor, uint256 expiresAt);
+    event DatasetAccessRevoked(uint32 indexed datasetId, address indexed accessor);
+    event DatasetProposed(uint32 indexed requestId, uint32 indexed datasetId, address indexed contributor);
+    event ProposalAccepted(uint32 indexed requestId, uint32 indexed datasetId);
+    event ProposalRejected(uint32 indexed requestId, uint32 indexed datasetId);
+    event RequestFulfilled(uint32 indexed requestId, uint256 approvedCount);
+    event RequestExpired(uint32 indexed requestId);
+    event RewardTokenSet(address indexed token);
+    event RewardClaimed(address indexed contributor, uint256 indexed rewardIndex, uint32 indexed datasetId);
+    event AnalyticsSet(address indexed analytics);
+    event SchemaRegistrySet(address indexed schemaRegistry);
+    event QuotaManagerSet(address indexed quotaManager);
+    event ReputationSet(address indexed reputation);
+    event PricingSet(address indexed pricing);
+    event DatasetDeactivated(uint32 indexed datasetId, address indexed by, StatusReason reason);
+    event DatasetReactivated(uint32 indexed datasetId, address indexed by, StatusReason reason);
 
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Not authorized");
+    modifier validDataset(uint32 _datasetId) {
+        _requireValidDataset(_datasetId);
         _;
     }
 
-    modifier validDataset(uint32 _datasetId) {
-        require(_datasetId > 0 && _datasetId < nextDatasetId, "Invalid dataset ID");
-        require(datasets[_datasetId].isActive, "Dataset not active");
+    modifier readableDataset(uint32 _datasetId) {
+        _requireReadableDataset(_datasetId);
+        _;
+    }
+
+    modifier validRequest(uint32 _requestId) {
+        _requireValidRequest(_requestId);
+        _;
+    }
+
+    modifier openRequest(uint32 _requestId) {
+        _requireOpenRequest(_requestId);
+        _;
+    }
+
+    modifier onlyRequester(uint32 _requestId) {
+        _requireRequester(_requestId);
+        _;
+    }
+
+    modifier onlyContributor(uint32 _datasetId) {
+        _requireContributor(_datasetId);
         _;
     }
 
     constructor() {
-        owner = msg.sender;
+        initialized = true;
+    }
+
+    // Called by the proxy on deployment: the caller becomes owner and gets every role, IDs start at 1;
+    // the coprocessor configuration is written to the proxy's storage, the one written by the implementation's constructor is not visible to the proxy
+    function initialize() external {
+        require(!initialized, "Already initialized");
+        initialized = true;
+
+        _initializeOwner(msg.sender);
         nextDatasetId = 1;
         nextRequestId = 1;
+        FHE.setCoprocessor(ZamaConfig.getSepoliaConfig());
+    }
+
+    // Modifier checks live in functions so they are not expanded at every use, keeping the bytecode size in check
+    function _requireValidDataset(uint32 _datasetId) private view {
+        require(_datasetId > 0 && _datasetId < nextDatasetId, "Invalid dataset ID");
+        require(datasets[_datasetId].isActive, "Dataset not active");
+    }
+
+    // Inactive datasets are visible only to their contributor and admins
+    function _requireReadableDataset(uint32 _datasetId) private view {
+        require(_datasetId > 0 && _datasetId < nextDatasetId, "Invalid dataset ID");
+        require(datasets[_datasetId].isActive || _isDatasetManager(_datasetId), "Dataset not active");
+    }
+
+    function _requireContributor(uint32 _datasetId) private view {
+        require(msg.sender == datasets[_datasetId].contributor, "Not dataset contributor");
+    }
+
+    function _requireValidRequest(uint32 _requestId) private view {
+        require(_requestId > 0 && _requestId < nextRequestId, "Invalid request ID");
+    }
+
+    function _requireRequester(uint32 _requestId) private view {
+        require(msg.sender == dataRequests[_requestId].requester, "Not requester");
+    }
+
+    // The request must exist, be open and be before its deadline
+    function _requireOpenRequest(uint32 _requestId) private view {
+        _requireValidRequest(_requestId);
+        DataRequest storage request = dataRequests[_requestId];
+        require(!request.isFulfilled && !request.isExpired, "Request closed");
+        require(block.timestamp <= request.deadline, "Request expired");
     }
 
-    // Contribute anonymous research data
+    // Contribute anonymous research data (the schema ID must be registered in the schema registry, _allowedPurposes is the bitmask of allowed purposes)
     function contributeData(
         uint32 _dataValue,
         uint8 _qualityScore,
         string memory _metadataHash,
-        bool _isPublic
-    ) external {
+        bool _isPublic,
+        uint32 _schemaId,
+        uint256 _allowedPurposes
+    ) external whenNotPaused(PAUSE_CONTRIBUTIONS) {
         require(_qualityScore <= 100, "Quality score must be 0-100");
         require(bytes(_metadataHash).length > 0, "Metadata hash required");
 
@@ -79,10 +225,97 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
         euint32 encryptedValue = FHE.asEuint32(_dataValue);
         euint8 encryptedQuality = FHE.asEuint8(_qualityScore);
 
+        _storeDataset(encryptedValue, encryptedQuality, _metadataHash, _isPublic, _schemaId, _allowedPurposes);
+    }
+
+    // Contribute client-side encrypted research data (value and score share one input proof)
+    function contributeData(
+        externalEuint32 _encryptedDataValue,
+        externalEuint8 _encryptedQualityScore,
+        bytes calldata _inputProof,
+        string calldata _metadataHash,
+        bool _isPublic,
+        uint32 _schemaId,
+        uint256 _allowedPurposes
+    ) external whenNotPaused(PAUSE_CONTRIBUTIONS) {
+        _contributeEncrypted(
+            _encryptedDataValue,
+            _encryptedQualityScore,
+            _inputProof,
+            _metadataHash,
+            _isPublic,
+            _schemaId,
+            _allowedPurposes
+        );
+    }
+
+    // Batch-contribute client-encrypted data: all entries share one input proof, schema ID and allowed purposes;
+    // each entry emits its own DatasetContributed event; any invalid entry reverts the batch with the single-call reason
+    function contributeDataBatch(
+        EncryptedContribution[] calldata _contributions,
+        bytes calldata _inputProof,
+        uint32 _schemaId,
+        uint256 _allowedPurposes
+    ) external whenNotPaused(PAUSE_CONTRIBUTIONS) {
+        require(
+            _contributions.length > 0 && _contributions.length <= MAX_BATCH_SIZE,
+            "Invalid batch size"
+        );
+
+        for (uint256 i = 0; i < _contributions.length; i++) {
+            EncryptedContribution calldata item = _contributions[i];
+            _contributeEncrypted(
+                item.encryptedDataValue,
+                item.encryptedQualityScore,
+                _inputProof,
+                item.metadataHash,
+                item.isPublic,
+                _schemaId,
+                _allowedPurposes
+            );
+        }
+    }
+
+    // Import logic shared by single and batch encrypted contributions
+    function _contributeEncrypted(
+        externalEuint32 _encryptedDataValue,
+        externalEuint8 _encryptedQualityScore,
+        bytes calldata _inputProof,
+        string calldata _metadataHash,
+        bool _isPublic,
+        uint32 _schemaId,
+        uint256 _allowedPurposes
+    ) private {
+        require(bytes(_metadataHash).length > 0, "Metadata hash required");
+
+        // Verify the input proof and import the encrypted values
+        euint32 encryptedValue = FHE.fromExternal(_encryptedDataValue, _inputProof);
+        euint8 encryptedQuality = FHE.fromExternal(_encryptedQualityScore, _inputProof);
+
+        // Ciphertexts cannot be range-checked, so clamp the quality score to 100
+        encryptedQuality = FHE.min(encryptedQuality, FHE.asEuint8(100));
+
+        _storeDataset(encryptedValue, encryptedQuality, _metadataHash, _isPublic, _schemaId, _allowedPurposes);
+    }
+
+    // Store dataset and set access control
+    function _storeDataset(
+        euint32 _encryptedValue,
+        euint8 _encryptedQuality,
+        string memory _metadataHash,
+        bool _isPublic,
+        uint32 _schemaId,
+        uint256 _allowedPurposes
+    ) private {
+        require(
+            address(schemaRegistry) != address(0) && schemaRegistry.isRegistered(_schemaId),
+            "Schema not registered"
+        );
+
         datasets[nextDatasetId] = Dataset({
             contributor: msg.sender,
-            encryptedDataValue: encryptedValue,
-            encryptedQualityScore: encryptedQuality,
+            encryptedDataValue: _encryptedValue,
+            encryptedQualityScore: _encryptedQuality,
             metadataHash: _metadataHash,
             isPublic: _isPublic,
             timestamp: block.timestamp,
@@ -90,104 +323,356 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
             isActive: true
         });
 
+        datasetSchema[nextDatasetId] = _schemaId;
+        datasetPurposes[nextDatasetId] = _allowedPurposes;
         contributorDatasets[msg.sender].push(nextDatasetId);
 
         // Set access control permissions
-        FHE.allowThis(encryptedValue);
-        FHE.allowThis(encryptedQuality);
-        FHE.allow(encryptedValue, msg.sender);
-        FHE.allow(encryptedQuality, msg.sender);
+        _shareDataset(nextDatasetId);
+        _recordQualityScore(nextDatasetId, _encryptedQuality);
 
         emit DatasetContributed(nextDatasetId, msg.sender, _metadataHash);
         nextDatasetId++;
     }
 
-    // Request research data access
+    // Replace the current version's encrypted value and metadata hash (versions contract only); ID and access count are kept;
+    // the caller must first allow the value transiently; _revokeGrantees clears grants, otherwise current grantees can decrypt it
+    function setDatasetVersion(
+        uint32 _datasetId,
+        euint32 _encryptedValue,
+        string calldata _metadataHash,
+        bool _revokeGrantees
+    )
+        external
+        onlyRole(VERSION_MANAGER_ROLE)
+        whenNotPaused(PAUSE_CONTRIBUTIONS)
+        validDataset(_datasetId)
+    {
+        require(FHE.isSenderAllowed(_encryptedValue), "Value not allowed");
+
+        Dataset storage dataset = datasets[_datasetId];
+        dataset.encryptedDataValue = _encryptedValue;
+        dataset.metadataHash = _metadataHash;
+        dataset.timestamp = block.timestamp;
+
+        if (_revokeGrantees) {
+            address[] storage grantees = datasetGrantees[_datasetId];
+            while (grantees.length > 0) {
+                _revokeAccess(_datasetId, grantees[grantees.length - 1]);
+            }
+        }
+        _shareDataset(_datasetId);
+    }
+
+    // Request research data access and declare a purpose code
     function requestDataAccess(
         string memory _researchTopic,
         uint32 _budget,
-        uint256 _deadline
-    ) external {
+        uint256 _deadline,
+        uint8 _purpose
+    ) external whenNotPaused(PAUSE_REQUESTS) {
+        euint32 encryptedBudget = FHE.asEuint32(_budget);
+
+        _storeRequest(_researchTopic, encryptedBudget, _deadline, _purpose);
+    }
+
+    // Request research data access with a client-side encrypted budget and declare a purpose code
+    function requestDataAccess(
+        string memory _researchTopic,
+        externalEuint32 _encryptedBudget,
+        bytes calldata _inputProof,
+        uint256 _deadline,
+        uint8 _purpose
+    ) external whenNotPaused(PAUSE_REQUESTS) {
+        euint32 encryptedBudget = FHE.fromExternal(_encryptedBudget, _inputProof);
+
+        _storeRequest(_researchTopic, encryptedBudget, _deadline, _purpose);
+    }
+
+    // Store data request and set budget access permissions
+    function _storeRequest(
+        string memory _researchTopic,
+        euint32 _encryptedBudget,
+        uint256 _deadline,
+        uint8 _purpose
+    ) private {
         require(bytes(_researchTopic).length > 0, "Research topic required");
         require(_deadline > block.timestamp, "Deadline must be in future");
-
-        euint32 encryptedBudget = FHE.asEuint32(_budget);
+        _consumeQuota(msg.sender, ResearchQuotaManager.Operation.Request);
 
         dataRequests[nextRequestId] = DataRequest({
             requester: msg.sender,
             researchTopic: _researchTopic,
-            encryptedBudget: encryptedBudget,
+            encryptedBudget: _encryptedBudget,
             deadline: _deadline,
             isFulfilled: false,
+            isExpired: false,
             approvedDatasets: new uint32[](0)
         });
 
-        FHE.allowThis(encryptedBudget);
-        FHE.allow(encryptedBudget, msg.sender);
+        requestPurpose[nextRequestId] = _purpose;
+
+        FHE.allowThis(_encryptedBudget);
+        FHE.allow(_encryptedBudget, msg.sender);
 
         emit DataRequested(nextRequestId, msg.sender, _researchTopic);
         nextRequestId++;
     }
 
-    // Grant data access
-    function grantDataAccess(uint32 _datasetId, address _accessor)
+    // Grant data access to a request's requester based on that request; the declared purpose must be one the dataset allows;
+    // besides the contributor and admins, contracts holding ACCESS_GRANTER_ROLE (such as the access marketplace) may call it
+    function grantDataAccess(uint32 _datasetId, uint32 _requestId) external {
+        _grantCheckedAccess(_datasetId, _requestId, hasRole(ACCESS_GRANTER_ROLE, msg.sender));
+    }
+
+    // Batch grant: give every dataset to the requester of every request; each pair emits ConsentRecorded and DatasetAccessed;
+    // any pair failing the single-grant conditions reverts the batch with the grantDataAccess reason
+    function grantDataAccessBatch(uint32[] calldata _datasetIds, uint32[] calldata _requestIds) external {
+        uint256 pairs = _datasetIds.length * _requestIds.length;
+        require(pairs > 0 && pairs <= MAX_BATCH_SIZE, "Invalid batch size");
+
+        for (uint256 i = 0; i < _datasetIds.length; i++) {
+            for (uint256 j = 0; j < _requestIds.length; j++) {
+                _grantCheckedAccess(_datasetIds[i], _requestIds[j], false);
+            }
+        }
+    }
+
+    // Grant time-bounded data access; accessDataset rejects the accessor after expiry
+    function grantDataAccessUntil(uint32 _datasetId, uint32 _requestId, uint256 _expiresAt) external {
+        require(_expiresAt > block.timestamp, "Expiry must be in future");
+
+        address accessor = _grantCheckedAccess(_datasetId, _requestId, false);
+        accessExpiry[_datasetId][accessor] = _expiresAt;
+
+        emit DatasetAccessExpires(_datasetId, accessor, _expiresAt);
+    }
+
+    // Revoke data access
+    // Note: FHE decryption rights already granted cannot be withdrawn; revocation only blocks further contract-level access
+    function revokeDataAccess(uint32 _datasetId, address _accessor)
         external
-        validDataset(_datasetId)
+        readableDataset(_datasetId)
+    {
+        require(_isDatasetManager(_datasetId), "Not authorized to revoke access");
+        require(datasetAccess[_datasetId][_accessor], "Access not granted");
+
+        _revokeAccess(_datasetId, _accessor);
+    }
+
+    // Clear an access grant and remove it from the grantee list
+    function _revokeAccess(uint32 _datasetId, address _accessor) private {
+        datasetAccess[_datasetId][_accessor] = false;
+        accessExpiry[_datasetId][_accessor] = 0;
+        _removeGrantee(_datasetId, _accessor);
+
+        emit DatasetAccessRevoked(_datasetId, _accessor);
+    }
+
+    // Checks shared by single, time-limited and batch grants: valid dataset, open request, and the caller is the contributor or an admin (waived when _isGranter)
+    function _grantCheckedAccess(uint32 _datasetId, uint32 _requestId, bool _isGranter)
+        private
+        returns (address)
+    {
+        _requireValidDataset(_datasetId);
+        _requireOpenRequest(_requestId);
+        require(_isGranter || _isDatasetManager(_datasetId), "Not authorized to grant access");
+
+        return _grantAccess(_datasetId, _requestId);
+    }
+
+    // Record consent and a permanent grant, open the encrypted data to the requester and return the requester
+    function _grantAccess(uint32 _datasetId, uint32 _requestId)
+        private
+        whenNotPaused(PAUSE_ACCESS_GRANTS)
+        returns (address accessor)
     {
         Dataset storage dataset = datasets[_datasetId];
-        require(
-            msg.sender == dataset.contributor || msg.sender == owner,
-            "Not authorized to grant access"
-        );
+        accessor = dataRequests[_requestId].requester;
+        uint8 purpose = _requirePurposeAllowed(_datasetId, _requestId);
+        _consumeQuota(accessor, ResearchQuotaManager.Operation.Grant);
+
+        if (!datasetAccess[_datasetId][accessor]) {
+            datasetGrantees[_datasetId].push(accessor);
+            granteeIndex[_datasetId][accessor] = datasetGrantees[_datasetId].length;
+        }
 
-        datasetAccess[_datasetId][_accessor] = true;
+        datasetAccess[_datasetId][accessor] = true;
+        accessExpiry[_datasetId][accessor] = 0;
         dataset.accessCount++;
 
         // Grant access permission to encrypted data
-        FHE.allow(dataset.encryptedDataValue, _accessor);
-        FHE.allow(dataset.encryptedQualityScore, _accessor);
+        FHE.allow(dataset.encryptedDataValue, accessor);
+        FHE.allow(dataset.encryptedQualityScore, accessor);
 
-        emit DatasetAccessed(_datasetId, _accessor);
+        accessRequestId[_datasetId][accessor] = _requestId;
+
+        emit ConsentRecorded(_datasetId, accessor, _requestId, purpose);
+        emit DatasetAccessed(_datasetId, accessor);
+    }
+
+    // Remove accessor from the grantee list (swap with last element and pop)
+    function _removeGrantee(uint32 _datasetId, address _accessor) private {
+        address[] storage grantees = datasetGrantees[_datasetId];
+        uint256 index = granteeIndex[_datasetId][_accessor] - 1;
+        address last = grantees[grantees.length - 1];
+
+        grantees[index] = last;
+        granteeIndex[_datasetId][last] = index + 1;
+        grantees.pop();
+        delete granteeIndex[_datasetId][_accessor];
+    }
+
+    // The purpose declared by the request must be allowed by the dataset
+    function _requirePurposeAllowed(uint32 _datasetId, uint32 _requestId) private view returns (uint8 purpose) {
+        purpose = requestPurpose[_requestId];
+        require(datasetPurposes[_datasetId] & (1 << purpose) != 0, "Purpose not allowed");
+    }
+
+    // Whether the caller is the dataset contributor or a platform admin
+    function _isDatasetManager(uint32 _datasetId) private view returns (bool) {
+        return msg.sender == datasets[_datasetId].contributor || hasRole(ADMIN_ROLE, msg.sender);
+    }
+
+    // Whether the accessor holds an unexpired grant
+    function hasDataAccess(uint32 _datasetId, address _accessor) public view returns (bool) {
+        if (!datasetAccess[_datasetId][_accessor]) {
+            return false;
+        }
+        uint256 expiresAt = accessExpiry[_datasetId][_accessor];
+        return expiresAt == 0 || block.timestamp <= expiresAt;
+    }
+
+    // Whether an account can read a dataset (public, holds a live grant, or is the contributor)
+    function canAccessDataset(uint32 _datasetId, address _account) public view returns (bool) {
+        Dataset storage dataset = datasets[_datasetId];
+        return dataset.isPublic || hasDataAccess(_datasetId, _account) || _account == dataset.contributor;
+    }
+
+    // Contributor proposes their dataset for a data request
+    function proposeDataset(uint32 _requestId, uint32 _datasetId)
+        external
+        whenNotPaused(PAUSE_REQUESTS)
+        openRequest(_requestId)
+        validDataset(_datasetId)
+        onlyContributor(_datasetId)
+    {
+        require(proposalStatus[_requestId][_datasetId] == ProposalStatus.None, "Already proposed");
+        _requirePurposeAllowed(_datasetId, _requestId);
+
+        proposalStatus[_requestId][_datasetId] = ProposalStatus.Pending;
+        requestProposals[_requestId].push(_datasetId);
+
+        emit DatasetProposed(_requestId, _datasetId, msg.sender);
+    }
+
+    // Requester accepts a proposal, automatically granting data access
+    function acceptProposal(uint32 _requestId, uint32 _datasetId)
+        external
+        openRequest(_requestId)
+        onlyRequester(_requestId)
+        validDataset(_datasetId)
+    {
+        require(proposalStatus[_requestId][_datasetId] == ProposalStatus.Pending, "Proposal not pending");
+
+        proposalStatus[_requestId][_datasetId] = ProposalStatus.Accepted;
+        dataRequests[_requestId].approvedDatasets.push(_datasetId);
+
+        _grantAccess(_datasetId, _requestId);
+
+        emit ProposalAccepted(_requestId, _datasetId);
+    }
+
+    // Requester rejects a proposal
+    function rejectProposal(uint32 _requestId, uint32 _datasetId)
+        external
+        openRequest(_requestId)
+        onlyRequester(_requestId)
+    {
+        require(proposalStatus[_requestId][_datasetId] == ProposalStatus.Pending, "Proposal not pending");
+
+        proposalStatus[_requestId][_datasetId] = ProposalStatus.Rejected;
+
+        emit ProposalRejected(_requestId, _datasetId);
+    }
+
+    // Requester marks the request as fulfilled
+    function fulfillRequest(uint32 _requestId)
+        external
+        openRequest(_requestId)
+        onlyRequester(_requestId)
+    {
+        DataRequest storage request = dataRequests[_requestId];
+        require(request.approvedDatasets.length > 0, "No approved datasets");
+
+        request.isFulfilled = true;
+
+        emit RequestFulfilled(_requestId, request.approvedDatasets.length);
+    }
+
+    // After the deadline, anyone can mark an unfulfilled request as expired
+    function expireRequest(uint32 _requestId) external validRequest(_requestId) {
+        DataRequest storage request = dataRequests[_requestId];
+        require(!request.isFulfilled && !request.isExpired, "Request closed");
+        require(block.timestamp > request.deadline, "Deadline not reached");
+
+        request.isExpired = true;
+
+        emit RequestExpired(_requestId);
     }
 
     // Access anonymous dataset
     function accessDataset(uint32 _datasetId)
         external
         view
-        validDataset(_datasetId)
+        readableDataset(_datasetId)
         returns (string memory metadataHash, uint256 timestamp, uint32 accessCount)
     {
-        Dataset storage dataset = datasets[_datasetId];
-        require(
-            dataset.isPublic ||
-            datasetAccess[_datasetId][msg.sender] ||
-            msg.sender == dataset.contributor,
-            "Access denied"
-        );
+        require(canAccessDataset(_datasetId, msg.sender), "Access denied");
 
+        Dataset storage dataset = datasets[_datasetId];
         return (dataset.metadataHash, dataset.timestamp, dataset.accessCount);
     }
 
-    // Update data quality score (owner only)
+    // Update the data quality score (quality reviewers only)
     function updateQualityScore(uint32 _datasetId, uint8 _newScore)
         external
-        onlyOwner
+        onlyRole(QUALITY_REVIEWER_ROLE)
         validDataset(_datasetId)
     {
         require(_newScore <= 100, "Score must be 0-100");
 
-        euint8 encryptedNewScore = FHE.asEuint8(_newScore);
-        datasets[_datasetId].encryptedQualityScore = encryptedNewScore;
-
-        FHE.allowThis(encryptedNewScore);
+        _setQualityScore(_datasetId, FHE.asEuint8(_newScore));
 
         emit QualityScoreUpdated(_datasetId, _newScore);
     }
 
-    // Distribute reward to data contributor
+    // Update the quality score with an encrypted score (quality reviewers only, e.g. the peer review contract); the caller must first grant transient access to the score
+    function updateEncryptedQualityScore(uint32 _datasetId, euint8 _encryptedScore)
+        external
+        onlyRole(QUALITY_REVIEWER_ROLE)
+        validDataset(_datasetId)
+    {
+        require(FHE.isSenderAllowed(_encryptedScore), "Score not allowed");
+
+        _setQualityScore(_datasetId, _encryptedScore);
+
+        emit EncryptedQualityScoreUpdated(_datasetId, msg.sender);
+    }
+
+    // Replace the quality score, keep it decryptable by the contributor and current grantees, and sync analytics and reputation
+    function _setQualityScore(uint32 _datasetId, euint8 _encryptedScore) private {
+        datasets[_datasetId].encryptedQualityScore = _encryptedScore;
+
+        _shareDataset(_datasetId);
+        _recordQualityScore(_datasetId, _encryptedScore);
+    }
+
+    // Distribute a reward to a data contributor (reward distributors only)
     function distributeReward(address _contributor, uint32 _datasetId, uint64 _rewardAmount)
         external
-        onlyOwner
+        onlyRole(REWARD_DISTRIBUTOR_ROLE)
+        whenNotPaused(PAUSE_REWARDS)
         validDataset(_datasetId)
     {
         require(datasets[_datasetId].contributor == _contributor, "Invalid contributor");
@@ -206,6 +691,112 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
         emit RewardDistributed(_contributor, _datasetId);
     }
 
+    // Set the confidential reward token (its minter must be this contract)
+    function setRewardToken(ConfidentialRewardToken _token) external onlyRole(ADMIN_ROLE) {
+        require(_token.minter() == address(this), "Token minter mismatch");
+        rewardToken = _token;
+
+        emit RewardTokenSet(address(_token));
+    }
+
+    // Set the encrypted analytics contract; dataset ciphertexts stored afterwards are shared with it for computation
+    function setAnalytics(address _analytics) external onlyRole(ADMIN_ROLE) {
+        analytics = _analytics;
+
+        emit AnalyticsSet(_analytics);
+    }
+
+    // Set the schema registry; datasets contributed afterwards must reference a schema registered there
+    function setSchemaRegistry(ResearchSchemaRegistry _schemaRegistry) external onlyRole(ADMIN_ROLE) {
+        schemaRegistry = _schemaRegistry;
+
+        emit SchemaRegistrySet(address(_schemaRegistry));
+    }
+
+    // Set the quota manager; the zero address disables limits on grants and requests
+    function setQuotaManager(ResearchQuotaManager _quotaManager) external onlyRole(ADMIN_ROLE) {
+        quotaManager = _quotaManager;
+
+        emit QuotaManagerSet(address(_quotaManager));
+    }
+
+    // Set the contributor reputation contract; the zero address stops accumulating reputation
+    function setReputation(ResearchReputation _reputation) external onlyRole(ADMIN_ROLE) {
+        reputation = _reputation;
+
+        emit ReputationSet(address(_reputation));
+    }
+
+    // Set the sealed-bid pricing contract; it reads request budgets through shareBudgetWithPricing when comparing
+    function setPricing(ResearchPricing _pricing) external onlyRole(ADMIN_ROLE) {
+        pricing = _pricing;
+
+        emit PricingSet(address(_pricing));
+    }
+
+    // Let the current pricing contract read a request budget for this call only, including requests made before it was set
+    function shareBudgetWithPricing(uint32 _requestId) external validRequest(_requestId) {
+        require(msg.sender == address(pricing), "Not pricing contract");
+        FHE.allowTransient(dataRequests[_requestId].encryptedBudget, msg.sender);
+    }
+
+    // Count an operation against the account's quota for this epoch (grants count against the grantee, requests against the requester)
+    function _consumeQuota(address _account, ResearchQuotaManager.Operation _operation) private {
+        if (address(quotaManager) != address(0)) {
+            quotaManager.consume(_account, _operation);
+        }
+    }
+
+    // Allow this contract, the contributor and current grantees on the dataset's ciphertexts, and let analytics compute on them
+    // (ciphertexts stored before analytics was set are not shared); called after storing, new versions and score updates
+    function _shareDataset(uint32 _datasetId) private {
+        Dataset storage dataset = datasets[_datasetId];
+        euint32 encryptedValue = dataset.encryptedDataValue;
+        euint8 encryptedQuality = dataset.encryptedQualityScore;
+
+        FHE.allowThis(encryptedValue);
+        FHE.allowThis(encryptedQuality);
+        FHE.allow(encryptedValue, dataset.contributor);
+        FHE.allow(encryptedQuality, dataset.contributor);
+        if (analytics != address(0)) {
+            FHE.allow(encryptedValue, analytics);
+            FHE.allow(encryptedQuality, analytics);
+        }
+
+        address[] storage grantees = datasetGrantees[_datasetId];
+        for (uint256 i = 0; i < grantees.length; i++) {
+            if (hasDataAccess(_datasetId, grantees[i])) {
+                FHE.allow(encryptedValue, grantees[i]);
+                FHE.allow(encryptedQuality, grantees[i]);
+            }
+        }
+    }
+
+    // Record a dataset's new quality score into its contributor's reputation, letting the reputation contract read the score only within this call
+    function _recordQualityScore(uint32 _datasetId, euint8 _encryptedQuality) private {
+        if (address(reputation) != address(0)) {
+            FHE.allowTransient(_encryptedQuality, address(reputation));
+            reputation.recordQualityScore(_datasetId, datasets[_datasetId].contributor, _encryptedQuality);
+        }
+    }
+
+    // Claim reward: mint the encrypted reward amount as a confidential token balance
+    function claimReward(uint256 _rewardIndex) external whenNotPaused(PAUSE_REWARDS) {
+        require(address(rewardToken) != address(0), "Reward token not set");
+        require(_rewardIndex < contributions[msg.sender].length, "Invalid reward index");
+
+        Contribution storage contribution = contributions[msg.sender][_rewardIndex];
+        require(!contribution.rewardClaimed, "Reward already claimed");
+
+        contribution.rewardClaimed = true;
+
+        // Let the token contract read the reward amount for this call only
+        FHE.allowTransient(contribution.encryptedReward, address(rewardToken));
+        rewardToken.mint(msg.sender, contribution.encryptedReward);
+
+        emit RewardClaimed(msg.sender, _rewardIndex, contribution.datasetId);
+    }
+
     // Get contributor's dataset count
     function getContributorDatasetCount(address _contributor)
         external
@@ -237,7 +828,7 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
     function getDatasetInfo(uint32 _datasetId)
         external
         view
-        validDataset(_datasetId)
+        readableDataset(_datasetId)
         returns (
             address contributor,
             string memory metadataHash,
@@ -262,6 +853,7 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
     function getDataRequestInfo(uint32 _requestId)
         external
         view
+        validRequest(_requestId)
         returns (
             address requester,
             string memory researchTopic,
@@ -269,7 +861,6 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
             bool isFulfilled
         )
     {
-        require(_requestId > 0 && _requestId < nextRequestId, "Invalid request ID");
         DataRequest storage request = dataRequests[_requestId];
         return (
             request.requester,
@@ -279,18 +870,66 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
         );
     }
 
-    // Deactivate dataset
-    function deactivateDataset(uint32 _datasetId)
+    // Get every accessor on a dataset's grant list (expired grants included; the catalog filters current ones)
+    function getDatasetGranteeList(uint32 _datasetId) external view returns (address[] memory) {
+        return datasetGrantees[_datasetId];
+    }
+
+    // Whether a request has expired: marked expired, or unfulfilled past its deadline (even before expireRequest is called)
+    function isRequestExpired(uint32 _requestId) external view validRequest(_requestId) returns (bool) {
+        DataRequest storage request = dataRequests[_requestId];
+        return request.isExpired || (!request.isFulfilled && block.timestamp > request.deadline);
+    }
+
+    // Get the approved dataset ID list of a request
+    function getApprovedDatasets(uint32 _requestId)
         external
-        validDataset(_datasetId)
+        view
+        validRequest(_requestId)
+        returns (uint32[] memory)
     {
-        Dataset storage dataset = datasets[_datasetId];
-        require(
-            msg.sender == dataset.contributor || msg.sender == owner,
-            "Not authorized"
-        );
+        return dataRequests[_requestId].approvedDatasets;
+    }
+
+    // Get all proposed dataset IDs of a request
+    function getRequestProposals(uint32 _requestId)
+        external
+        view
+        validRequest(_requestId)
+        returns (uint32[] memory)
+    {
+        return requestProposals[_requestId];
+    }
+
+    // Deactivate a dataset (contributor or admin, no reason); reason-coded status changes go through moderation
+    function deactivateDataset(uint32 _datasetId) external validDataset(_datasetId) {
+        require(_isDatasetManager(_datasetId), "Not authorized");
+
+        _setDatasetStatus(_datasetId, false, StatusReason.Unspecified, msg.sender);
+    }
+
+    // Set a dataset's status and reason from the moderation contract (MODERATOR_ROLE only); _account started the change;
+    // the moderation contract enforces who may use each reason, including moderation holds
+    function setDatasetStatus(uint32 _datasetId, bool _isActive, StatusReason _reason, address _account)
+        external
+        onlyRole(MODERATOR_ROLE)
+    {
+        require(_datasetId > 0 && _datasetId < nextDatasetId, "Invalid dataset ID");
+        require(datasets[_datasetId].isActive != _isActive, "Status unchanged");
+
+        _setDatasetStatus(_datasetId, _isActive, _reason, _account);
+    }
+
+    // Write the status and reason and emit the audit event
+    function _setDatasetStatus(uint32 _datasetId, bool _isActive, StatusReason _reason, address _account) private {
+        datasets[_datasetId].isActive = _isActive;
+        datasetStatusReason[_datasetId] = _reason;
 
-        dataset.isActive = false;
+        if (_isActive) {
+            emit DatasetReactivated(_datasetId, _account, _reason);
+        } else {
+            emit DatasetDeactivated(_datasetId, _account, _reason);
+        }
     }
 
     // Get platform statistics
@@ -300,13 +939,15 @@ contract AnonymousResearchDataSharing is SepoliaConfig {
         returns (
             uint32 totalDatasets,
             uint32 totalRequests,
-            uint256 blockTimestamp
+            uint256 blockTimestamp,
+            uint256 pausedOperationsMask
         )
     {
         return (
             nextDatasetId - 1,
             nextRequestId - 1,
-            block.timestamp
+            block.timestamp,
+            pausedOperations
         );
     }
 }
\ No newline at end of file
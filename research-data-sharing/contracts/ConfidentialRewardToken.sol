@@ -0,0 +1,121 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, ebool, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+
+contract ConfidentialRewardToken is SepoliaConfig {
+
+    string public name;
+    string public symbol;
+
+    // Minter: the research data sharing platform contract
+    address public minter;
+
+    mapping(address => euint64) private balances;
+    // Holder => operator => whether it may transfer on the holder's behalf (e.g. marketplace escrow payments)
+    mapping(address => mapping(address => bool)) public isOperator;
+
+    event Transfer(address indexed from, address indexed to);
+    event Mint(address indexed to);
+    event OperatorSet(address indexed holder, address indexed operator, bool approved);
+
+    modifier onlyMinter() {
+        require(msg.sender == minter, "Not minter");
+        _;
+    }
+
+    constructor(string memory _name, string memory _symbol, address _minter) {
+        require(_minter != address(0), "Invalid minter");
+        name = _name;
+        symbol = _symbol;
+        minter = _minter;
+    }
+
+    function decimals() external pure returns (uint8) {
+        return 6;
+    }
+
+    // Get encrypted balance handle
+    function balanceOf(address _account) external view returns (euint64) {
+        return balances[_account];
+    }
+
+    // Mint encrypted reward (platform only; caller must grant transient access to the amount first)
+    function mint(address _to, euint64 _amount) external onlyMinter {
+        require(FHE.isSenderAllowed(_amount), "Amount not allowed");
+
+        euint64 newBalance = FHE.add(_balance(_to), _amount);
+        _setBalance(_to, newBalance);
+
+        emit Mint(_to);
+    }
+
+    // Transfer a client-side encrypted amount
+    function transfer(
+        address _to,
+        externalEuint64 _encryptedAmount,
+        bytes calldata _inputProof
+    ) external returns (ebool) {
+        euint64 amount = FHE.fromExternal(_encryptedAmount, _inputProof);
+        return _transfer(msg.sender, _to, amount);
+    }
+
+    // Transfer using an encrypted handle the caller is allowed to use
+    function transfer(address _to, euint64 _amount) external returns (ebool) {
+        require(FHE.isSenderAllowed(_amount), "Amount not allowed");
+        return _transfer(msg.sender, _to, _amount);
+    }
+
+    // Approve or revoke an operator to transfer on the caller's behalf
+    function setOperator(address _operator, bool _approved) external {
+        require(_operator != address(0), "Invalid operator");
+        isOperator[msg.sender][_operator] = _approved;
+
+        emit OperatorSet(msg.sender, _operator, _approved);
+    }
+
+    // Transfer on behalf of a holder as an operator; the caller must grant transient access to the amount first, and the returned result is transiently available to the caller
+    function transferFrom(address _from, address _to, euint64 _amount) external returns (ebool) {
+        require(isOperator[_from][msg.sender], "Not operator");
+        require(FHE.isSenderAllowed(_amount), "Amount not allowed");
+
+        ebool transferred = _transfer(_from, _to, _amount);
+        FHE.allowTransient(transferred, msg.sender);
+        return transferred;
+    }
+
+    // Transfers zero on insufficient balance so the balance is not leaked
+    function _transfer(address _from, address _to, euint64 _amount) private returns (ebool) {
+        require(_to != address(0), "Invalid recipient");
+
+        euint64 fromBalance = _balance(_from);
+        ebool canTransfer = FHE.le(_amount, fromBalance);
+        euint64 transferred = FHE.select(canTransfer, _amount, FHE.asEuint64(0));
+
+        _setBalance(_from, FHE.sub(fromBalance, transferred));
+        _setBalance(_to, FHE.add(_balance(_to), transferred));
+
+        FHE.allowThis(canTransfer);
+        FHE.allow(canTransfer, _from);
+
+        emit Transfer(_from, _to);
+        return canTransfer;
+    }
+
+    // Read balance, treating uninitialized as zero
+    function _balance(address _account) private returns (euint64) {
+        euint64 balance = balances[_account];
+        if (!FHE.isInitialized(balance)) {
+            balance = FHE.asEuint64(0);
+        }
+        return balance;
+    }
+
+    // Update balance and set access permissions
+    function _setBalance(address _account, euint64 _balanceValue) private {
+        balances[_account] = _balanceValue;
+        FHE.allowThis(_balanceValue);
+        FHE.allow(_balanceValue, _account);
+    }
+}
@@ -0,0 +1,173 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64 } from "@fhevm/solidity/lib/FHE.sol";
+
+// Differential privacy protection: aggregate queries must meet a minimum cohort size and consume the requester's privacy budget, and results get bounded encrypted noise scaled to the sensitivity
+abstract contract DifferentialPrivacy {
+
+    // Default minimum cohort size (distinct contributors in an aggregate)
+    uint32 public constant DEFAULT_MIN_COHORT_SIZE = 3;
+
+    // Default noise interval width (in noise units); noise is uniform in [-range*unit/2, range*unit/2)
+    uint64 public constant DEFAULT_NOISE_RANGE = 2;
+
+    // Noise unit used until an admin configures the sensitivity; values are not clipped meanwhile, so real data is never silently capped
+    uint64 public constant DEFAULT_NOISE_UNIT = 256;
+
+    // Upper bound on the noise interval width (noise range times sensitivity), so 64-bit results cannot overflow
+    uint64 public constant MAX_NOISE_WIDTH = 2 ** 32;
+
+    // Default number of aggregate queries each requester may run
+    uint32 public constant DEFAULT_PRIVACY_BUDGET = 20;
+
+    uint32 public minCohortSize;
+    uint64 public noiseRange;
+    // Clipping bound for a single dataset's value, also the noise unit; 0 means not configured yet and values are not clipped
+    uint64 public sensitivity;
+    uint32 public defaultPrivacyBudget;
+
+    mapping(address => uint32) public privacyBudgetSpent;
+    mapping(address => uint32) private customPrivacyBudgets;
+    mapping(address => bool) private hasCustomPrivacyBudget;
+
+    event MinCohortSizeSet(uint32 minCohortSize);
+    event NoiseRangeSet(uint64 noiseRange);
+    event SensitivitySet(uint64 sensitivity);
+    event DefaultPrivacyBudgetSet(uint32 budget);
+    event PrivacyBudgetSet(address indexed account, uint32 budget);
+    event PrivacyBudgetReset(address indexed account);
+    event PrivacyBudgetConsumed(address indexed account, uint32 remaining);
+
+    modifier onlyPrivacyAdmin() {
+        _requirePrivacyAdmin();
+        _;
+    }
+
+    constructor() {
+        minCohortSize = DEFAULT_MIN_COHORT_SIZE;
+        noiseRange = DEFAULT_NOISE_RANGE;
+        defaultPrivacyBudget = DEFAULT_PRIVACY_BUDGET;
+    }
+
+    // Set the minimum cohort size (platform admin only)
+    function setMinCohortSize(uint32 _minCohortSize) external onlyPrivacyAdmin {
+        require(_minCohortSize > 0, "Cohort size must be positive");
+        minCohortSize = _minCohortSize;
+
+        emit MinCohortSizeSet(_minCohortSize);
+    }
+
+    // Set the noise interval width in noise units (platform admins only); must be a power of two, 1 disables both noise and clipping
+    function setNoiseRange(uint64 _noiseRange) external onlyPrivacyAdmin {
+        require(_isPowerOfTwo(_noiseRange), "Noise range must be a power of two");
+        require(_noiseRange <= MAX_NOISE_WIDTH / _noiseUnit(), "Noise too wide");
+        noiseRange = _noiseRange;
+
+        emit NoiseRangeSet(_noiseRange);
+    }
+
+    // Set the sensitivity, the clipping bound for a single dataset's value (platform admins only); must be a power of two, and once set it enables clipping and becomes the noise unit
+    function setSensitivity(uint64 _sensitivity) external onlyPrivacyAdmin {
+        require(_isPowerOfTwo(_sensitivity), "Sensitivity must be a power of two");
+        require(_sensitivity <= MAX_NOISE_WIDTH / noiseRange, "Noise too wide");
+        sensitivity = _sensitivity;
+
+        emit SensitivitySet(_sensitivity);
+    }
+
+    // Set the privacy budget for requesters without an individual budget (platform admin only)
+    function setDefaultPrivacyBudget(uint32 _budget) external onlyPrivacyAdmin {
+        defaultPrivacyBudget = _budget;
+
+        emit DefaultPrivacyBudgetSet(_budget);
+    }
+
+    // Set an individual privacy budget for a requester (platform admin only)
+    function setPrivacyBudget(address _account, uint32 _budget) external onlyPrivacyAdmin {
+        customPrivacyBudgets[_account] = _budget;
+        hasCustomPrivacyBudget[_account] = true;
+
+        emit PrivacyBudgetSet(_account, _budget);
+    }
+
+    // Reset a requester's spent budget, e.g. for a new study period (platform admin only)
+    function resetPrivacyBudget(address _account) external onlyPrivacyAdmin {
+        privacyBudgetSpent[_account] = 0;
+
+        emit PrivacyBudgetReset(_account);
+    }
+
+    // A requester's total privacy budget
+    function privacyBudgetOf(address _account) public view returns (uint32) {
+        return hasCustomPrivacyBudget[_account] ? customPrivacyBudgets[_account] : defaultPrivacyBudget;
+    }
+
+    // A requester's remaining privacy budget (zero if the budget was lowered below what was spent)
+    function remainingPrivacyBudget(address _account) public view returns (uint32) {
+        uint32 budget = privacyBudgetOf(_account);
+        uint32 spent = privacyBudgetSpent[_account];
+        return spent >= budget ? 0 : budget - spent;
+    }
+
+    // Admin check implemented by the inheriting contract
+    function _requirePrivacyAdmin() internal view virtual;
+
+    // Check the cohort size and consume one query from the caller's budget
+    function _consumePrivacyBudget(uint32 _cohortSize) internal {
+        require(_cohortSize >= minCohortSize, "Cohort too small");
+        _spendPrivacyBudget();
+    }
+
+    // Consume one unit of query budget for the caller without a cohort check, for queries that return one result per dataset
+    function _spendPrivacyBudget() internal {
+        uint32 remaining = remainingPrivacyBudget(msg.sender);
+        require(remaining > 0, "Privacy budget exhausted");
+
+        privacyBudgetSpent[msg.sender]++;
+
+        emit PrivacyBudgetConsumed(msg.sender, remaining - 1);
+    }
+
+    // Clip a single dataset's value to the sensitivity so the noise width matches its maximum influence; keeps the value when noise is off or no sensitivity is configured
+    function _clip(euint64 _value) internal returns (euint64) {
+        if (noiseRange == 1 || sensitivity == 0) {
+            return _value;
+        }
+        return FHE.min(_value, sensitivity);
+    }
+
+    // Add encrypted random noise in [-width/2, width/2) (width = noise range × noise unit), truncating the result at zero
+    function _addNoise(euint64 _value) internal returns (euint64) {
+        if (noiseRange == 1) {
+            return _value;
+        }
+        uint64 width = noiseRange * _noiseUnit();
+        uint64 offset = width / 2;
+        euint64 noisy = FHE.add(_value, FHE.randEuint64(width));
+        return FHE.sub(FHE.max(noisy, offset), offset);
+    }
+
+    // Noise unit: the sensitivity once configured, otherwise the default unit
+    function _noiseUnit() private view returns (uint64) {
+        return sensitivity == 0 ? DEFAULT_NOISE_UNIT : sensitivity;
+    }
+
+    // Whether the value is a power of two
+    function _isPowerOfTwo(uint64 _value) private pure returns (bool) {
+        return _value != 0 && _value & (_value - 1) == 0;
+    }
+
+    // Count the distinct contributors
+    function _countDistinct(address[] memory _accounts) internal pure returns (uint32 distinct) {
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            bool seen = false;
+            for (uint256 j = 0; j < i && !seen; j++) {
+                seen = _accounts[j] == _accounts[i];
+            }
+            if (!seen) {
+                distinct++;
+            }
+        }
+    }
+}
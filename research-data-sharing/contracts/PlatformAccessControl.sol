@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Platform role management: two-step ownership transfer, admins grant or revoke roles
+abstract contract PlatformAccessControl {
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant QUALITY_REVIEWER_ROLE = keccak256("QUALITY_REVIEWER_ROLE");
+    bytes32 public constant REWARD_DISTRIBUTOR_ROLE = keccak256("REWARD_DISTRIBUTOR_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    // May only call grantDataAccess, for any dataset; meant for contracts such as the access marketplace and not given to the owner on initialization
+    bytes32 public constant ACCESS_GRANTER_ROLE = keccak256("ACCESS_GRANTER_ROLE");
+    // Only calls setDatasetVersion; held by the dataset versions contract, not granted to the owner
+    bytes32 public constant VERSION_MANAGER_ROLE = keccak256("VERSION_MANAGER_ROLE");
+    // Only calls setDatasetStatus; held by the moderation contract, not granted to the owner
+    bytes32 public constant MODERATOR_ROLE = keccak256("MODERATOR_ROLE");
+
+    address public owner;
+    address public pendingOwner;
+
+    mapping(bytes32 => mapping(address => bool)) private roles;
+
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not authorized");
+        _;
+    }
+
+    modifier onlyRole(bytes32 _role) {
+        require(roles[_role][msg.sender], "Not authorized");
+        _;
+    }
+
+    // Whether an account holds the given role
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return roles[_role][_account];
+    }
+
+    // Grant a role (admins only)
+    function grantRole(bytes32 _role, address _account) external onlyRole(ADMIN_ROLE) {
+        require(_account != address(0), "Invalid account");
+        require(!roles[_role][_account], "Role already granted");
+
+        _grantRole(_role, _account);
+    }
+
+    // Revoke a role (admins only; the owner's admin role cannot be revoked so the contract never loses its administrator)
+    function revokeRole(bytes32 _role, address _account) external onlyRole(ADMIN_ROLE) {
+        require(roles[_role][_account], "Role not granted");
+        require(!(_role == ADMIN_ROLE && _account == owner), "Cannot revoke owner admin");
+
+        _revokeRole(_role, _account);
+    }
+
+    // Renounce a role held by the caller (the owner cannot renounce the admin role)
+    function renounceRole(bytes32 _role) external {
+        require(roles[_role][msg.sender], "Role not granted");
+        require(!(_role == ADMIN_ROLE && msg.sender == owner), "Cannot revoke owner admin");
+
+        _revokeRole(_role, msg.sender);
+    }
+
+    // Start an ownership transfer; the new owner confirms by calling acceptOwnership
+    function transferOwnership(address _newOwner) external onlyOwner {
+        require(_newOwner != address(0), "Invalid owner");
+        pendingOwner = _newOwner;
+
+        emit OwnershipTransferStarted(owner, _newOwner);
+    }
+
+    // Accept ownership: the admin role moves with ownership; the previous owner's other roles must be revoked separately by an admin
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not pending owner");
+
+        address previousOwner = owner;
+        owner = msg.sender;
+        delete pendingOwner;
+
+        if (!roles[ADMIN_ROLE][msg.sender]) {
+            _grantRole(ADMIN_ROLE, msg.sender);
+        }
+        if (previousOwner != msg.sender) {
+            _revokeRole(ADMIN_ROLE, previousOwner);
+        }
+
+        emit OwnershipTransferred(previousOwner, msg.sender);
+    }
+
+    // Set the owner and grant every role (called by the platform's initializer)
+    function _initializeOwner(address _owner) internal {
+        owner = _owner;
+        _grantRole(ADMIN_ROLE, _owner);
+        _grantRole(QUALITY_REVIEWER_ROLE, _owner);
+        _grantRole(REWARD_DISTRIBUTOR_ROLE, _owner);
+        _grantRole(PAUSER_ROLE, _owner);
+    }
+
+    // Store a role and emit the event
+    function _grantRole(bytes32 _role, address _account) private {
+        roles[_role][_account] = true;
+
+        emit RoleGranted(_role, _account, msg.sender);
+    }
+
+    // Remove a role and emit the event
+    function _revokeRole(bytes32 _role, address _account) private {
+        roles[_role][_account] = false;
+
+        emit RoleRevoked(_role, _account, msg.sender);
+    }
+}
@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { PlatformAccessControl } from "./PlatformAccessControl.sol";
+
+// Emergency pause: each operation category pauses independently, read functions stay available
+abstract contract PlatformPausable is PlatformAccessControl {
+
+    // Pausable operation categories (bit flags, combinable)
+    uint256 public constant PAUSE_CONTRIBUTIONS = 1 << 0;
+    uint256 public constant PAUSE_ACCESS_GRANTS = 1 << 1;
+    uint256 public constant PAUSE_REWARDS = 1 << 2;
+    uint256 public constant PAUSE_REQUESTS = 1 << 3;
+    uint256 public constant PAUSE_ALL =
+        PAUSE_CONTRIBUTIONS | PAUSE_ACCESS_GRANTS | PAUSE_REWARDS | PAUSE_REQUESTS;
+
+    // Currently paused operation categories
+    uint256 public pausedOperations;
+
+    event Paused(address indexed account, uint256 operations);
+    event Unpaused(address indexed account, uint256 operations);
+
+    modifier whenNotPaused(uint256 _operation) {
+        _requireNotPaused(_operation);
+        _;
+    }
+
+    // Pause one or more operation categories (pausers only)
+    function pause(uint256 _operations) external onlyRole(PAUSER_ROLE) {
+        require(_operations != 0 && _operations & ~PAUSE_ALL == 0, "Invalid operations");
+
+        pausedOperations |= _operations;
+
+        emit Paused(msg.sender, _operations);
+    }
+
+    // Resume one or more operation categories (pausers only)
+    function unpause(uint256 _operations) external onlyRole(PAUSER_ROLE) {
+        require(_operations != 0 && _operations & ~PAUSE_ALL == 0, "Invalid operations");
+
+        pausedOperations &= ~_operations;
+
+        emit Unpaused(msg.sender, _operations);
+    }
+
+    // Whether an operation category is paused
+    function isPaused(uint256 _operation) public view returns (bool) {
+        return pausedOperations & _operation != 0;
+    }
+
+    // Revert when the operation category is paused
+    function _requireNotPaused(uint256 _operation) private view {
+        require(!isPaused(_operation), "Operation paused");
+    }
+}
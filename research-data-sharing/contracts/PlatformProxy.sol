@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Upgrade interface called by the proxy admin; the transparent proxy does not expose these functions to other callers
+interface IPlatformProxy {
+    function upgradeToAndCall(address _implementation, bytes calldata _data) external;
+
+    function changeAdmin(address _newAdmin) external;
+}
+
+// Transparent proxy (ERC-1967): datasets, grants and FHE access control are recorded on the proxy address, and upgrades only replace the implementation;
+// the admin can only upgrade or change the admin, every other caller is delegated to the implementation, so function selectors never clash
+contract PlatformProxy {
+
+    // bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    bytes32 internal constant IMPLEMENTATION_SLOT =
+        0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+    // bytes32(uint256(keccak256("eip1967.proxy.admin")) - 1)
+    bytes32 internal constant ADMIN_SLOT =
+        0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103;
+
+    event Upgraded(address indexed implementation);
+    event AdminChanged(address previousAdmin, address newAdmin);
+
+    // Set the implementation and admin, and delegatecall the implementation with _data to initialize (skipped when _data is empty)
+    constructor(address _implementation, address _admin, bytes memory _data) {
+        _setAdmin(_admin);
+        _upgradeToAndCall(_implementation, _data);
+    }
+
+    // The admin may only call the upgrade interface; all other calls are delegated to the current implementation
+    fallback() external {
+        if (msg.sender != _getAdmin()) {
+            _delegate(_getImplementation());
+        }
+
+        if (msg.sig == IPlatformProxy.upgradeToAndCall.selector) {
+            (address implementation, bytes memory data) = abi.decode(msg.data[4:], (address, bytes));
+            _upgradeToAndCall(implementation, data);
+        } else if (msg.sig == IPlatformProxy.changeAdmin.selector) {
+            _setAdmin(abi.decode(msg.data[4:], (address)));
+        } else {
+            revert("Admin cannot call implementation");
+        }
+    }
+
+    // Switch the implementation; a non-empty _data is delegatecalled on the new implementation against the proxy's storage (e.g. a migration)
+    function _upgradeToAndCall(address _implementation, bytes memory _data) private {
+        require(_implementation.code.length > 0, "Invalid implementation");
+
+        _setSlot(IMPLEMENTATION_SLOT, _implementation);
+
+        emit Upgraded(_implementation);
+
+        if (_data.length > 0) {
+            (bool success, bytes memory returndata) = _implementation.delegatecall(_data);
+            if (!success) {
+                // Bubble up the implementation's revert reason
+                assembly {
+                    revert(add(returndata, 32), mload(returndata))
+                }
+            }
+        }
+    }
+
+    function _setAdmin(address _admin) private {
+        require(_admin != address(0), "Invalid admin");
+
+        emit AdminChanged(_getAdmin(), _admin);
+
+        _setSlot(ADMIN_SLOT, _admin);
+    }
+
+    function _getImplementation() private view returns (address) {
+        return _getSlot(IMPLEMENTATION_SLOT);
+    }
+
+    function _getAdmin() private view returns (address) {
+        return _getSlot(ADMIN_SLOT);
+    }
+
+    // ERC-1967 slots are far from Solidity's sequential layout and never overlap the implementation's state variables
+    function _getSlot(bytes32 _slot) private view returns (address value) {
+        assembly {
+            value := sload(_slot)
+        }
+    }
+
+    function _setSlot(bytes32 _slot, address _value) private {
+        assembly {
+            sstore(_slot, _value)
+        }
+    }
+
+    // Delegate the call to the implementation and return its result or revert reason unchanged
+    function _delegate(address _implementation) private {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), _implementation, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+}
@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IPlatformProxy } from "./PlatformProxy.sol";
+
+// Proxy admin: performs upgrades as the transparent proxy's admin so the owner's account can still call the platform; two-step ownership, independent of platform ownership
+contract PlatformProxyAdmin {
+
+    address public owner;
+    address public pendingOwner;
+
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not authorized");
+        _;
+    }
+
+    constructor(address _owner) {
+        require(_owner != address(0), "Invalid owner");
+        owner = _owner;
+
+        emit OwnershipTransferred(address(0), _owner);
+    }
+
+    // Upgrade the proxy to a new implementation, calling it with a non-empty _data during the upgrade (e.g. a migration)
+    function upgradeAndCall(IPlatformProxy _proxy, address _implementation, bytes calldata _data)
+        external
+        onlyOwner
+    {
+        _proxy.upgradeToAndCall(_implementation, _data);
+    }
+
+    // Hand the proxy over to another admin contract
+    function changeProxyAdmin(IPlatformProxy _proxy, address _newAdmin) external onlyOwner {
+        _proxy.changeAdmin(_newAdmin);
+    }
+
+    // Start an ownership transfer; the new owner confirms by calling acceptOwnership
+    function transferOwnership(address _newOwner) external onlyOwner {
+        require(_newOwner != address(0), "Invalid owner");
+        pendingOwner = _newOwner;
+
+        emit OwnershipTransferStarted(owner, _newOwner);
+    }
+
+    // Accept ownership
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not pending owner");
+
+        address previousOwner = owner;
+        owner = msg.sender;
+        delete pendingOwner;
+
+        emit OwnershipTransferred(previousOwner, msg.sender);
+    }
+}
@@ -0,0 +1,256 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+
+// Read-only catalog: returns paginated batches of dataset and data request summaries, filterable by contributor, active status and visibility;
+// pages use a start ID as cursor and examine at most _limit IDs, so the reads per call do not depend on the total number of datasets
+contract ResearchCatalog {
+
+    // Maximum number of IDs examined per page, bounding the reads of a single call
+    uint256 public constant MAX_PAGE_SIZE = 100;
+
+    struct DatasetSummary {
+        uint32 datasetId;
+        address contributor;
+        string metadataHash;
+        bool isPublic;
+        bool isActive;
+        uint256 timestamp;
+        uint32 accessCount;
+        uint32 schemaId;
+        uint256 allowedPurposes;
+    }
+
+    struct RequestSummary {
+        uint32 requestId;
+        address requester;
+        string researchTopic;
+        uint256 deadline;
+        bool isFulfilled;
+        bool isExpired;
+        uint8 purpose;
+        uint256 approvedCount;
+    }
+
+    // Dataset filter; a zero contributor address disables the contributor filter
+    struct DatasetFilter {
+        address contributor;
+        bool activeOnly;
+        bool publicOnly;
+    }
+
+    // Request filter; a zero requester address disables the requester filter
+    struct RequestFilter {
+        address requester;
+        bool openOnly;
+    }
+
+    AnonymousResearchDataSharing public platform;
+
+    modifier validPage(uint256 _limit) {
+        require(_limit > 0 && _limit <= MAX_PAGE_SIZE, "Invalid page size");
+        _;
+    }
+
+    constructor(AnonymousResearchDataSharing _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+    }
+
+    // Get the datasets readable by the caller in ID order from _startId; nextId is the start ID of the next page (0 at the end)
+    function getDatasets(uint32 _startId, uint256 _limit)
+        external
+        view
+        returns (DatasetSummary[] memory page, uint32 nextId)
+    {
+        return getDatasetsFiltered(DatasetFilter(address(0), false, false), _startId, _limit);
+    }
+
+    // Get a filtered page of datasets: examines _limit IDs and returns the matching entries, so a page can hold fewer than _limit or none;
+    // deactivated datasets are only visible to their contributor and platform admins
+    function getDatasetsFiltered(DatasetFilter memory _filter, uint32 _startId, uint256 _limit)
+        public
+        view
+        validPage(_limit)
+        returns (DatasetSummary[] memory page, uint32 nextId)
+    {
+        page = new DatasetSummary[](_limit);
+        uint256 count;
+        bool isAdmin = platform.hasRole(platform.ADMIN_ROLE(), msg.sender);
+        uint32 id;
+        uint32 endId;
+        (id, endId, nextId) = _pageRange(_startId, _limit, platform.nextDatasetId());
+
+        for (; id < endId; id++) {
+            DatasetSummary memory summary = _datasetSummary(id);
+            if (_matchesDataset(summary, _filter, isAdmin)) {
+                page[count++] = summary;
+            }
+        }
+
+        page = _trimDatasets(page, count);
+    }
+
+    // Get data requests in ID order from _startId; nextId is the start ID of the next page (0 at the end)
+    function getRequests(uint32 _startId, uint256 _limit)
+        external
+        view
+        returns (RequestSummary[] memory page, uint32 nextId)
+    {
+        return getRequestsFiltered(RequestFilter(address(0), false), _startId, _limit);
+    }
+
+    // Get a filtered page of data requests, paged the same way as getDatasetsFiltered;
+    // openOnly excludes fulfilled, expired and past-deadline requests
+    function getRequestsFiltered(RequestFilter memory _filter, uint32 _startId, uint256 _limit)
+        public
+        view
+        validPage(_limit)
+        returns (RequestSummary[] memory page, uint32 nextId)
+    {
+        page = new RequestSummary[](_limit);
+        uint256 count;
+        uint32 id;
+        uint32 endId;
+        (id, endId, nextId) = _pageRange(_startId, _limit, platform.nextRequestId());
+
+        for (; id < endId; id++) {
+            RequestSummary memory summary = _requestSummary(id);
+            if (_matchesRequest(summary, _filter)) {
+                page[count++] = summary;
+            }
+        }
+
+        page = _trimRequests(page, count);
+    }
+
+    // Get a dataset's current grantees and expiries (0 = never); readable under the getDatasetsFiltered rule
+    function getDatasetGrantees(uint32 _datasetId)
+        external
+        view
+        returns (address[] memory grantees, uint256[] memory expiries)
+    {
+        require(_datasetId > 0 && _datasetId < platform.nextDatasetId(), "Invalid dataset ID");
+        (address contributor, , , , , , , bool isActive) = platform.datasets(_datasetId);
+        require(
+            isActive || msg.sender == contributor || platform.hasRole(platform.ADMIN_ROLE(), msg.sender),
+            "Dataset not active"
+        );
+
+        address[] memory all = platform.getDatasetGranteeList(_datasetId);
+        uint256 activeCount = 0;
+        for (uint256 i = 0; i < all.length; i++) {
+            if (platform.hasDataAccess(_datasetId, all[i])) {
+                activeCount++;
+            }
+        }
+
+        grantees = new address[](activeCount);
+        expiries = new uint256[](activeCount);
+        uint256 j = 0;
+        for (uint256 i = 0; i < all.length; i++) {
+            if (platform.hasDataAccess(_datasetId, all[i])) {
+                grantees[j] = all[i];
+                expiries[j] = platform.accessExpiry(_datasetId, all[i]);
+                j++;
+            }
+        }
+    }
+
+    // ID range [startId, endId) examined by this page, and the start ID of the next page (0 at the end); IDs start at 1
+    function _pageRange(uint32 _startId, uint256 _limit, uint32 _nextId)
+        private
+        pure
+        returns (uint32 startId, uint32 endId, uint32 nextId)
+    {
+        startId = _startId == 0 ? 1 : _startId;
+        if (startId >= _nextId) {
+            return (startId, startId, 0);
+        }
+        endId = _nextId - startId > _limit ? startId + uint32(_limit) : _nextId;
+        nextId = endId < _nextId ? endId : 0;
+    }
+
+    function _datasetSummary(uint32 _datasetId) private view returns (DatasetSummary memory summary) {
+        summary.datasetId = _datasetId;
+        (
+            summary.contributor,
+            ,
+            ,
+            summary.metadataHash,
+            summary.isPublic,
+            summary.timestamp,
+            summary.accessCount,
+            summary.isActive
+        ) = platform.datasets(_datasetId);
+        summary.schemaId = platform.datasetSchema(_datasetId);
+        summary.allowedPurposes = platform.datasetPurposes(_datasetId);
+    }
+
+    function _requestSummary(uint32 _requestId) private view returns (RequestSummary memory summary) {
+        summary.requestId = _requestId;
+        (
+            summary.requester,
+            summary.researchTopic,
+            ,
+            summary.deadline,
+            summary.isFulfilled,
+            summary.isExpired
+        ) = platform.dataRequests(_requestId);
+        summary.purpose = platform.requestPurpose(_requestId);
+        summary.approvedCount = platform.getApprovedDatasets(_requestId).length;
+    }
+
+    // Same readability rule as the platform's getDatasetInfo: inactive datasets are hidden from callers other than the contributor and admins
+    function _matchesDataset(DatasetSummary memory _summary, DatasetFilter memory _filter, bool _isAdmin)
+        private
+        view
+        returns (bool)
+    {
+        if (!_summary.isActive && (_filter.activeOnly || (msg.sender != _summary.contributor && !_isAdmin))) {
+            return false;
+        }
+        if (_filter.publicOnly && !_summary.isPublic) {
+            return false;
+        }
+        return _filter.contributor == address(0) || _filter.contributor == _summary.contributor;
+    }
+
+    function _matchesRequest(RequestSummary memory _summary, RequestFilter memory _filter)
+        private
+        view
+        returns (bool)
+    {
+        if (
+            _filter.openOnly &&
+            (_summary.isFulfilled || _summary.isExpired || block.timestamp > _summary.deadline)
+        ) {
+            return false;
+        }
+        return _filter.requester == address(0) || _filter.requester == _summary.requester;
+    }
+
+    // Trim to the actual number of entries
+    function _trimDatasets(DatasetSummary[] memory _page, uint256 _count)
+        private
+        pure
+        returns (DatasetSummary[] memory trimmed)
+    {
+        trimmed = new DatasetSummary[](_count);
+        for (uint256 i = 0; i < _count; i++) {
+            trimmed[i] = _page[i];
+        }
+    }
+
+    function _trimRequests(RequestSummary[] memory _page, uint256 _count)
+        private
+        pure
+        returns (RequestSummary[] memory trimmed)
+    {
+        trimmed = new RequestSummary[](_count);
+        for (uint256 i = 0; i < _count; i++) {
+            trimmed[i] = _page[i];
+        }
+    }
+}
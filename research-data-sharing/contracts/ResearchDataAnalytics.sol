@@ -0,0 +1,330 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint64, euint8, ebool, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+import { DifferentialPrivacy } from "./DifferentialPrivacy.sol";
+import { ResearchQuotaManager } from "./ResearchQuotaManager.sol";
+
+contract ResearchDataAnalytics is SepoliaConfig, DifferentialPrivacy {
+
+    // Maximum number of datasets in one query, bounding the FHE work per transaction
+    uint256 public constant MAX_QUERY_DATASETS = 32;
+
+    // Default minimum number of contributors required to publish an aggregate
+    uint32 public constant DEFAULT_MIN_REVEAL_PARTICIPANTS = 3;
+
+    AnonymousResearchDataSharing public platform;
+    uint32 public nextAggregateId;
+    uint32 public minRevealParticipants;
+
+    struct Aggregate {
+        address requester;
+        uint32 datasetCount;
+        uint32 contributorCount;
+        euint64 sum;
+        euint32 count;
+        euint64 minValue;
+        euint64 maxValue;
+        uint256 timestamp;
+    }
+
+    uint32 public nextFilterId;
+
+    struct QualityFilter {
+        address requester;
+        uint32[] datasetIds;
+        ebool[] matches;
+    }
+
+    struct AggregateReveal {
+        bool requested;
+        bool revealed;
+        uint256 decryptionRequestId;
+        uint64 sum;
+        uint32 count;
+    }
+
+    mapping(uint32 => Aggregate) private aggregates;
+    mapping(uint32 => QualityFilter) private qualityFilters;
+    mapping(uint32 => AggregateReveal) private aggregateReveals;
+    // Pending decryption request ID => aggregate ID, deleted once the callback runs to prevent replays
+    mapping(uint256 => uint32) private pendingReveals;
+
+    event AggregateComputed(uint32 indexed aggregateId, address indexed requester, uint32 datasetCount);
+    event QualityFilterComputed(uint32 indexed filterId, address indexed requester, uint32 datasetCount);
+    event MinRevealParticipantsSet(uint32 minParticipants);
+    event AggregateRevealRequested(uint32 indexed aggregateId, uint256 indexed decryptionRequestId);
+    event AggregateRevealed(uint32 indexed aggregateId, uint64 sum, uint32 count);
+
+    modifier onlyPlatformAdmin() {
+        _requirePrivacyAdmin();
+        _;
+    }
+
+    modifier validAggregate(uint32 _aggregateId) {
+        require(_aggregateId > 0 && _aggregateId < nextAggregateId, "Invalid aggregate ID");
+        _;
+    }
+
+    modifier validFilter(uint32 _filterId) {
+        require(_filterId > 0 && _filterId < nextFilterId, "Invalid filter ID");
+        _;
+    }
+
+    constructor(AnonymousResearchDataSharing _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+        nextAggregateId = 1;
+        nextFilterId = 1;
+        minRevealParticipants = DEFAULT_MIN_REVEAL_PARTICIPANTS;
+    }
+
+    // Set the minimum number of contributors required to publish an aggregate (platform admin only)
+    function setMinRevealParticipants(uint32 _minParticipants) external onlyPlatformAdmin {
+        require(_minParticipants > 0, "Threshold must be positive");
+        minRevealParticipants = _minParticipants;
+
+        emit MinRevealParticipantsSet(_minParticipants);
+    }
+
+    // Compute the encrypted sum, count, min and max of the selected datasets; only the caller can decrypt the result
+    // Dataset IDs must be strictly ascending so the same dataset cannot be counted twice
+    // The contributor count must reach the minimum cohort size, each query consumes one unit of privacy budget, and values are clipped to the sensitivity before the sum and extremes get bounded noise
+    function computeAggregate(uint32[] calldata _datasetIds) external returns (uint32 aggregateId) {
+        uint256 length = _datasetIds.length;
+        require(length > 0, "No datasets selected");
+        require(length <= MAX_QUERY_DATASETS, "Too many datasets");
+
+        address[] memory contributors = new address[](length);
+        euint32 first;
+        (first, contributors[0]) = _readableValue(_datasetIds[0], 0);
+        euint64 sum = _clip(FHE.asEuint64(first));
+        euint64 minValue = sum;
+        euint64 maxValue = sum;
+
+        for (uint256 i = 1; i < length; i++) {
+            euint32 value;
+            (value, contributors[i]) = _readableValue(_datasetIds[i], _datasetIds[i - 1]);
+            euint64 wideValue = _clip(FHE.asEuint64(value));
+            sum = FHE.add(sum, wideValue);
+            minValue = FHE.min(minValue, wideValue);
+            maxValue = FHE.max(maxValue, wideValue);
+        }
+
+        uint32 contributorCount = _countDistinct(contributors);
+        _consumePrivacyBudget(contributorCount);
+        _consumeQueryQuota();
+
+        // The count gets no noise: it equals the number of IDs the caller passed in, already public through datasetCount and the event, so noise would protect nothing;
+        // it is stored encrypted only so it can be combined with the sum to compute a mean
+        euint32 count = FHE.asEuint32(uint32(length));
+        sum = _addNoise(sum);
+        minValue = _addNoise(minValue);
+        maxValue = _addNoise(maxValue);
+
+        aggregateId = nextAggregateId++;
+        aggregates[aggregateId] = Aggregate({
+            requester: msg.sender,
+            datasetCount: uint32(length),
+            contributorCount: contributorCount,
+            sum: sum,
+            count: count,
+            minValue: minValue,
+            maxValue: maxValue,
+            timestamp: block.timestamp
+        });
+
+        _allowResult(sum, msg.sender);
+        _allowResult(count, msg.sender);
+        _allowResult(minValue, msg.sender);
+        _allowResult(maxValue, msg.sender);
+
+        emit AggregateComputed(aggregateId, msg.sender, uint32(length));
+    }
+
+    // Filter datasets by an encrypted threshold: return, per dataset, an encrypted boolean for quality >= threshold that only the caller can decrypt
+    // Filtering is for dataset discovery, so the caller does not need an access grant
+    // Like aggregate queries, each filter consumes one unit of privacy budget and query quota, limiting repeated probing of quality scores with different thresholds
+    function filterByQuality(
+        uint32[] calldata _datasetIds,
+        externalEuint8 _encryptedThreshold,
+        bytes calldata _inputProof
+    ) external returns (uint32 filterId, ebool[] memory matches) {
+        uint256 length = _datasetIds.length;
+        require(length > 0, "No datasets selected");
+        require(length <= MAX_QUERY_DATASETS, "Too many datasets");
+
+        euint8 threshold = FHE.fromExternal(_encryptedThreshold, _inputProof);
+
+        filterId = nextFilterId++;
+        QualityFilter storage filter = qualityFilters[filterId];
+        filter.requester = msg.sender;
+        filter.datasetIds = _datasetIds;
+
+        matches = new ebool[](length);
+        uint32 previousId = 0;
+        for (uint256 i = 0; i < length; i++) {
+            (, euint8 quality, ) = _sharedDataset(_datasetIds[i], previousId);
+            previousId = _datasetIds[i];
+
+            ebool matched = FHE.ge(quality, threshold);
+            FHE.allowThis(matched);
+            FHE.allow(matched, msg.sender);
+
+            matches[i] = matched;
+            filter.matches.push(matched);
+        }
+
+        _spendPrivacyBudget();
+        _consumeQueryQuota();
+
+        emit QualityFilterComputed(filterId, msg.sender, uint32(length));
+    }
+
+    // Once enough contributors are involved, the aggregate requester can ask for the sum and count to be publicly decrypted (min/max are never published)
+    function requestAggregateReveal(uint32 _aggregateId) external validAggregate(_aggregateId) {
+        Aggregate storage aggregate = aggregates[_aggregateId];
+        AggregateReveal storage reveal = aggregateReveals[_aggregateId];
+        require(msg.sender == aggregate.requester, "Not aggregate requester");
+        require(!reveal.requested, "Reveal already requested");
+        require(aggregate.contributorCount >= minRevealParticipants, "Not enough participants");
+
+        bytes32[] memory handles = new bytes32[](2);
+        handles[0] = FHE.toBytes32(aggregate.sum);
+        handles[1] = FHE.toBytes32(aggregate.count);
+
+        uint256 requestId = FHE.requestDecryption(handles, this.revealAggregateCallback.selector);
+        reveal.requested = true;
+        reveal.decryptionRequestId = requestId;
+        pendingReveals[requestId] = _aggregateId;
+
+        emit AggregateRevealRequested(_aggregateId, requestId);
+    }
+
+    // Decryption oracle callback: stores the cleartext result after verifying the KMS signatures; each request is processed once
+    function revealAggregateCallback(
+        uint256 _requestId,
+        bytes memory _cleartexts,
+        bytes memory _decryptionProof
+    ) external {
+        uint32 aggregateId = pendingReveals[_requestId];
+        require(aggregateId != 0, "Unknown reveal request");
+        delete pendingReveals[_requestId];
+
+        FHE.checkSignatures(_requestId, _cleartexts, _decryptionProof);
+
+        (uint64 sum, uint32 count) = abi.decode(_cleartexts, (uint64, uint32));
+        AggregateReveal storage reveal = aggregateReveals[aggregateId];
+        reveal.revealed = true;
+        reveal.sum = sum;
+        reveal.count = count;
+
+        emit AggregateRevealed(aggregateId, sum, count);
+    }
+
+    // Get the publication status and cleartext of an aggregate (cleartexts are zero until revealed)
+    function getAggregateReveal(uint32 _aggregateId)
+        external
+        view
+        validAggregate(_aggregateId)
+        returns (bool requested, bool revealed, uint256 decryptionRequestId, uint64 sum, uint32 count)
+    {
+        AggregateReveal storage reveal = aggregateReveals[_aggregateId];
+        return (reveal.requested, reveal.revealed, reveal.decryptionRequestId, reveal.sum, reveal.count);
+    }
+
+    // Get aggregate result handles (the sum is the mean numerator, mean = sum / count)
+    function getAggregate(uint32 _aggregateId)
+        external
+        view
+        validAggregate(_aggregateId)
+        returns (
+            address requester,
+            uint32 datasetCount,
+            uint32 contributorCount,
+            euint64 sum,
+            euint32 count,
+            euint64 minValue,
+            euint64 maxValue,
+            uint256 timestamp
+        )
+    {
+        Aggregate storage aggregate = aggregates[_aggregateId];
+        return (
+            aggregate.requester,
+            aggregate.datasetCount,
+            aggregate.contributorCount,
+            aggregate.sum,
+            aggregate.count,
+            aggregate.minValue,
+            aggregate.maxValue,
+            aggregate.timestamp
+        );
+    }
+
+    // Get quality filter result handles, aligned one-to-one with the dataset IDs
+    function getQualityFilter(uint32 _filterId)
+        external
+        view
+        validFilter(_filterId)
+        returns (address requester, uint32[] memory datasetIds, ebool[] memory matches)
+    {
+        QualityFilter storage filter = qualityFilters[_filterId];
+        return (filter.requester, filter.datasetIds, filter.matches);
+    }
+
+    // Check the caller's access to a dataset and return its encrypted value for computation
+    function _readableValue(uint32 _datasetId, uint32 _previousId)
+        private
+        view
+        returns (euint32 value, address contributor)
+    {
+        (value, , contributor) = _sharedDataset(_datasetId, _previousId);
+        require(platform.canAccessDataset(_datasetId, msg.sender), "Access denied");
+    }
+
+    // Read the ciphertexts of an active dataset shared with this contract (dataset IDs must be strictly ascending)
+    function _sharedDataset(uint32 _datasetId, uint32 _previousId)
+        private
+        view
+        returns (euint32 value, euint8 quality, address contributor)
+    {
+        require(_datasetId > _previousId, "Dataset IDs must be ascending");
+        require(_datasetId < platform.nextDatasetId(), "Invalid dataset ID");
+
+        bool isActive;
+        (contributor, value, quality, , , , , isActive) = platform.datasets(_datasetId);
+        require(isActive, "Dataset not active");
+        require(
+            FHE.isAllowed(value, address(this)) && FHE.isAllowed(quality, address(this)),
+            "Dataset not shared with analytics"
+        );
+    }
+
+    // When the platform has a quota manager, count the call against the caller's query quota for this epoch
+    function _consumeQueryQuota() private {
+        ResearchQuotaManager quotaManager = platform.quotaManager();
+        if (address(quotaManager) != address(0)) {
+            quotaManager.consume(msg.sender, ResearchQuotaManager.Operation.Query);
+        }
+    }
+
+    // Privacy parameters and thresholds are configured by platform admins only
+    function _requirePrivacyAdmin() internal view override {
+        require(platform.hasRole(platform.ADMIN_ROLE(), msg.sender), "Not authorized");
+    }
+
+    // The contract keeps compute access to results; only the requester may decrypt them
+    function _allowResult(euint32 _value, address _requester) private {
+        FHE.allowThis(_value);
+        FHE.allow(_value, _requester);
+    }
+
+    // Access setup for 64-bit results
+    function _allowResult(euint64 _value, address _requester) private {
+        FHE.allowThis(_value);
+        FHE.allow(_value, _requester);
+    }
+}
@@ -0,0 +1,108 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, externalEuint32 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+
+// Dataset versions: new versions keep the dataset ID and access count; superseded versions live here;
+// this contract needs the platform's VERSION_MANAGER_ROLE (replaces the current version)
+contract ResearchDatasetVersions is SepoliaConfig {
+
+    // How existing grants are handled when a new version is published
+    enum VersionAccessPolicy {
+        RetainGrantees,
+        RevokeGrantees
+    }
+
+    struct DatasetVersion {
+        euint32 encryptedDataValue;
+        string metadataHash;
+        uint256 timestamp;
+    }
+
+    AnonymousResearchDataSharing public platform;
+
+    // Versions superseded by newer ones; entry i is version i + 1
+    mapping(uint32 => DatasetVersion[]) private datasetVersions;
+
+    event DatasetUpdated(uint32 indexed datasetId, uint32 version, string metadataHash, VersionAccessPolicy policy);
+
+    constructor(AnonymousResearchDataSharing _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+    }
+
+    // Publish a new dataset version (contributor only); the input proof must target this contract
+    // RetainGrantees: live grantees can decrypt the new version; RevokeGrantees: clears all grants, which must be issued again
+    function updateDataset(
+        uint32 _datasetId,
+        externalEuint32 _encryptedDataValue,
+        bytes calldata _inputProof,
+        string calldata _metadataHash,
+        VersionAccessPolicy _policy
+    ) external {
+        require(_datasetId > 0 && _datasetId < platform.nextDatasetId(), "Invalid dataset ID");
+        (
+            address contributor,
+            euint32 currentValue,
+            ,
+            string memory currentHash,
+            ,
+            uint256 timestamp,
+            ,
+            bool isActive
+        ) = platform.datasets(_datasetId);
+        require(isActive, "Dataset not active");
+        require(msg.sender == contributor, "Not dataset contributor");
+        require(bytes(_metadataHash).length > 0, "Metadata hash required");
+
+        datasetVersions[_datasetId].push(DatasetVersion({
+            encryptedDataValue: currentValue,
+            metadataHash: currentHash,
+            timestamp: timestamp
+        }));
+
+        // Let the platform read the new value for this call only
+        euint32 encryptedValue = FHE.fromExternal(_encryptedDataValue, _inputProof);
+        FHE.allowTransient(encryptedValue, address(platform));
+        platform.setDatasetVersion(
+            _datasetId,
+            encryptedValue,
+            _metadataHash,
+            _policy == VersionAccessPolicy.RevokeGrantees
+        );
+
+        emit DatasetUpdated(_datasetId, getDatasetVersionCount(_datasetId), _metadataHash, _policy);
+    }
+
+    // Get the current version number of a dataset (the first contribution is version 1)
+    function getDatasetVersionCount(uint32 _datasetId) public view returns (uint32) {
+        return uint32(datasetVersions[_datasetId].length) + 1;
+    }
+
+    // Get a version's encrypted value, metadata hash and publish time;
+    // Same readability rule as the platform's getDatasetInfo: inactive datasets are hidden from callers other than the contributor and admins
+    function getDatasetVersion(uint32 _datasetId, uint32 _version)
+        external
+        view
+        returns (euint32 encryptedDataValue, string memory metadataHash, uint256 timestamp)
+    {
+        require(_datasetId > 0 && _datasetId < platform.nextDatasetId(), "Invalid dataset ID");
+        address contributor;
+        bool isActive;
+        (contributor, encryptedDataValue, , metadataHash, , timestamp, , isActive) = platform.datasets(_datasetId);
+        require(
+            isActive || msg.sender == contributor || platform.hasRole(platform.ADMIN_ROLE(), msg.sender),
+            "Dataset not active"
+        );
+
+        uint32 current = getDatasetVersionCount(_datasetId);
+        require(_version > 0 && _version <= current, "Invalid version");
+
+        if (_version < current) {
+            DatasetVersion storage version = datasetVersions[_datasetId][_version - 1];
+            return (version.encryptedDataValue, version.metadataHash, version.timestamp);
+        }
+    }
+}
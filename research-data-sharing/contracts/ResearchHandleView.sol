@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint64, euint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+
+// Read-only view: returns platform ciphertext handles only to callers the ACL allows to decrypt them, for user decryption (EIP-712 signed reencryption)
+contract ResearchHandleView is SepoliaConfig {
+
+    AnonymousResearchDataSharing public platform;
+
+    constructor(AnonymousResearchDataSharing _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+    }
+
+    // Encrypted budget of a data request, decryptable only by the requester
+    function getRequestBudget(uint32 _requestId) external view returns (euint32 budget) {
+        require(_requestId > 0 && _requestId < platform.nextRequestId(), "Invalid request ID");
+        (, , budget, , , ) = platform.dataRequests(_requestId);
+        require(FHE.isAllowed(budget, msg.sender), "Not allowed to decrypt");
+    }
+
+    // Encrypted data value of a dataset; the caller must be the contributor or a currently granted accessor
+    function getDataValue(uint32 _datasetId) external view returns (euint32 dataValue) {
+        _requireDatasetAccess(_datasetId);
+        (, dataValue, , , , , , ) = platform.datasets(_datasetId);
+        require(FHE.isAllowed(dataValue, msg.sender), "Not allowed to decrypt");
+    }
+
+    // Encrypted quality score of a dataset; the caller must be the contributor or a currently granted accessor
+    function getQualityScore(uint32 _datasetId) external view returns (euint8 qualityScore) {
+        _requireDatasetAccess(_datasetId);
+        (, , qualityScore, , , , , ) = platform.datasets(_datasetId);
+        require(FHE.isAllowed(qualityScore, msg.sender), "Not allowed to decrypt");
+    }
+
+    // Encrypted amount of the caller's reward at _rewardIndex
+    function getReward(uint256 _rewardIndex) external view returns (euint64 reward) {
+        require(_rewardIndex < platform.getContributorRewardCount(msg.sender), "Invalid reward index");
+        (, reward, ) = platform.contributions(msg.sender, _rewardIndex);
+        require(FHE.isAllowed(reward, msg.sender), "Not allowed to decrypt");
+    }
+
+    // ACL grants cannot be revoked, so current platform access is also required; revoked or expired grants no longer return handles
+    function _requireDatasetAccess(uint32 _datasetId) private view {
+        require(_datasetId > 0 && _datasetId < platform.nextDatasetId(), "Invalid dataset ID");
+        require(platform.canAccessDataset(_datasetId, msg.sender), "Access denied");
+    }
+}
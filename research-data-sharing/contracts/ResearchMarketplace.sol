@@ -0,0 +1,181 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, ebool, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+import { ConfidentialRewardToken } from "./ConfidentialRewardToken.sol";
+import { ResearchPricing } from "./ResearchPricing.sol";
+
+// Data access marketplace: contributors list datasets and requesters pay into escrow with confidential tokens;
+// the sale price is the dataset minimum price in the platform's sealed-bid pricing contract, this contract stores no price of its own;
+// the decryption oracle reveals only whether the payment covers the price, then access is granted and the contributor paid automatically, or the payment is refunded in full
+contract ResearchMarketplace is SepoliaConfig {
+
+    enum PurchaseStatus {
+        None,
+        Pending,
+        Completed,
+        Refunded
+    }
+
+    struct Purchase {
+        uint32 datasetId;
+        uint32 requestId;
+        address buyer;
+        address seller;
+        euint64 escrowed;
+        PurchaseStatus status;
+        uint256 decryptionRequestId;
+    }
+
+    AnonymousResearchDataSharing public platform;
+    ConfidentialRewardToken public token;
+    uint32 public nextPurchaseId;
+
+    mapping(uint32 => bool) public isListed;
+    mapping(uint32 => Purchase) public purchases;
+    // Dataset ID => buyer => pending purchase ID; a buyer can have only one pending purchase per dataset
+    mapping(uint32 => mapping(address => uint32)) public pendingPurchase;
+    // Pending decryption request ID => purchase ID, deleted after the callback to prevent replay
+    mapping(uint256 => uint32) private pendingSettlements;
+
+    event DatasetListed(uint32 indexed datasetId);
+    event DatasetDelisted(uint32 indexed datasetId);
+    event PurchaseEscrowed(uint32 indexed purchaseId, uint32 indexed datasetId, address indexed buyer);
+    event PurchaseCompleted(uint32 indexed purchaseId, uint32 indexed datasetId, address indexed buyer);
+    event PurchaseRefunded(uint32 indexed purchaseId, uint32 indexed datasetId, address indexed buyer);
+
+    // The marketplace needs the platform's ACCESS_GRANTER_ROLE to grant access on settlement
+    constructor(AnonymousResearchDataSharing _platform, ConfidentialRewardToken _token) {
+        require(address(_platform) != address(0), "Invalid platform");
+        require(address(_token) != address(0), "Invalid token");
+        platform = _platform;
+        token = _token;
+        nextPurchaseId = 1;
+    }
+
+    // List a dataset (contributor only); its minimum price must first be set in the sealed-bid pricing contract;
+    // later price changes apply to new purchases, escrowed purchases settle at the price they were escrowed at
+    function listDataset(uint32 _datasetId) external {
+        require(msg.sender == _activeContributor(_datasetId), "Not dataset contributor");
+        require(FHE.isInitialized(_pricing().datasetMinPrice(_datasetId)), "Price not set");
+
+        isListed[_datasetId] = true;
+
+        emit DatasetListed(_datasetId);
+    }
+
+    // Delist a dataset (contributor only); escrowed purchases are unaffected
+    function delistDataset(uint32 _datasetId) external {
+        require(msg.sender == _activeContributor(_datasetId), "Not dataset contributor");
+        require(isListed[_datasetId], "Dataset not listed");
+
+        isListed[_datasetId] = false;
+
+        emit DatasetDelisted(_datasetId);
+    }
+
+    // The requester buys dataset access with an encrypted amount (the buyer must first make the marketplace a token operator): only the part up to the price moves into escrow,
+    // any overpayment stays in the buyer's account; then decryption of "balance sufficient and payment covers the price" is requested and handled by settlePurchaseCallback
+    function purchaseAccess(
+        uint32 _datasetId,
+        uint32 _requestId,
+        externalEuint64 _encryptedPayment,
+        bytes calldata _inputProof
+    ) external returns (uint32 purchaseId) {
+        require(isListed[_datasetId], "Dataset not listed");
+        address seller = _activeContributor(_datasetId);
+        (address requester, , , bool isFulfilled) = platform.getDataRequestInfo(_requestId);
+        require(msg.sender == requester, "Not requester");
+        require(!isFulfilled && !platform.isRequestExpired(_requestId), "Request closed");
+        require(!platform.hasDataAccess(_datasetId, msg.sender), "Access already granted");
+        require(pendingPurchase[_datasetId][msg.sender] == 0, "Purchase pending");
+
+        euint64 price = FHE.asEuint64(_pricing().useDatasetPrice(_datasetId));
+        euint64 payment = FHE.fromExternal(_encryptedPayment, _inputProof);
+        euint64 amount = FHE.min(payment, price);
+
+        // With an insufficient balance the token transfers zero, so nothing is escrowed
+        FHE.allowTransient(amount, address(token));
+        ebool transferred = token.transferFrom(msg.sender, address(this), amount);
+        euint64 escrowed = FHE.select(transferred, amount, FHE.asEuint64(0));
+        ebool paid = FHE.and(transferred, FHE.ge(payment, price));
+
+        FHE.allowThis(escrowed);
+        FHE.allow(escrowed, msg.sender);
+
+        bytes32[] memory handles = new bytes32[](1);
+        handles[0] = FHE.toBytes32(paid);
+        uint256 decryptionRequestId = FHE.requestDecryption(handles, this.settlePurchaseCallback.selector);
+
+        purchaseId = nextPurchaseId++;
+        purchases[purchaseId] = Purchase({
+            datasetId: _datasetId,
+            requestId: _requestId,
+            buyer: msg.sender,
+            seller: seller,
+            escrowed: escrowed,
+            status: PurchaseStatus.Pending,
+            decryptionRequestId: decryptionRequestId
+        });
+        pendingPurchase[_datasetId][msg.sender] = purchaseId;
+        pendingSettlements[decryptionRequestId] = purchaseId;
+
+        emit PurchaseEscrowed(purchaseId, _datasetId, msg.sender);
+    }
+
+    // Decryption oracle callback: if paid, grant access and pay the escrow to the contributor;
+    // if the payment falls short or the grant fails (request closed, dataset deactivated, quota exhausted, ...), refund the escrow to the buyer
+    function settlePurchaseCallback(
+        uint256 _requestId,
+        bytes memory _cleartexts,
+        bytes memory _decryptionProof
+    ) external {
+        uint32 purchaseId = pendingSettlements[_requestId];
+        require(purchaseId != 0, "Unknown settlement request");
+        delete pendingSettlements[_requestId];
+
+        FHE.checkSignatures(_requestId, _cleartexts, _decryptionProof);
+
+        bool paid = abi.decode(_cleartexts, (bool));
+        Purchase storage purchase = purchases[purchaseId];
+        delete pendingPurchase[purchase.datasetId][purchase.buyer];
+
+        if (paid && _grantAccess(purchase.datasetId, purchase.requestId)) {
+            purchase.status = PurchaseStatus.Completed;
+            _release(purchase.seller, purchase.escrowed);
+            emit PurchaseCompleted(purchaseId, purchase.datasetId, purchase.buyer);
+        } else {
+            purchase.status = PurchaseStatus.Refunded;
+            _release(purchase.buyer, purchase.escrowed);
+            emit PurchaseRefunded(purchaseId, purchase.datasetId, purchase.buyer);
+        }
+    }
+
+    // Grant with ACCESS_GRANTER_ROLE; the platform's other grant conditions still apply, and a failure returns false instead of reverting so the buyer can be refunded
+    function _grantAccess(uint32 _datasetId, uint32 _requestId) private returns (bool) {
+        try platform.grantDataAccess(_datasetId, _requestId) {
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    // Pay escrowed tokens out of the marketplace balance
+    function _release(address _to, euint64 _amount) private {
+        FHE.allowTransient(_amount, address(token));
+        token.transfer(_to, _amount);
+    }
+
+    // The sealed-bid pricing contract currently linked to the platform, whose dataset minimum price is the marketplace sale price
+    function _pricing() private view returns (ResearchPricing pricing) {
+        pricing = platform.pricing();
+        require(address(pricing) != address(0), "Pricing not set");
+    }
+
+    // The platform's getDatasetInfo hides deactivated datasets from this contract, so invalid or deactivated ones revert with the same reason
+    function _activeContributor(uint32 _datasetId) private view returns (address contributor) {
+        (contributor, , , , , ) = platform.getDatasetInfo(_datasetId);
+    }
+}
@@ -0,0 +1,239 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+
+// Disputes and moderation: readers of a dataset flag corrupt or mislabeled datasets, and quality reviewers work through the moderation queue;
+// reason-coded deactivation and reactivation also happen here. Needs the platform's QUALITY_REVIEWER_ROLE (scores)
+// and MODERATOR_ROLE (dataset status)
+contract ResearchModeration {
+
+    // Maximum flags returned per page, bounding the reads of a single call
+    uint256 public constant MAX_PAGE_SIZE = 100;
+
+    // Flag reason codes
+    enum FlagReason {
+        Corrupt,
+        Mislabeled,
+        Duplicate,
+        ConsentIssue,
+        Other
+    }
+
+    // Flag status; the last three are moderator outcomes
+    enum FlagStatus {
+        None,
+        Open,
+        Dismissed,
+        ScoreDowngraded,
+        DatasetDeactivated
+    }
+
+    struct Flag {
+        uint32 flagId;
+        uint32 datasetId;
+        address reporter;
+        FlagReason reason;
+        FlagStatus status;
+        string evidenceHash;
+        uint256 flaggedAt;
+        address moderator;
+        uint256 resolvedAt;
+    }
+
+    AnonymousResearchDataSharing public platform;
+    uint32 public nextFlagId;
+
+    mapping(uint32 => Flag) private flags;
+    mapping(uint32 => uint32[]) private datasetFlags;
+    // Dataset ID => reporter => whether an open flag exists, preventing duplicate flags
+    mapping(uint32 => mapping(address => bool)) public hasOpenFlag;
+    // Open flag IDs; resolving fills the gap with the last entry, so flag order is not kept
+    uint32[] private openFlagIds;
+    // Flag ID => position in openFlagIds + 1
+    mapping(uint32 => uint256) private openFlagIndex;
+
+    event DatasetFlagged(uint32 indexed flagId, uint32 indexed datasetId, address indexed reporter, FlagReason reason);
+    event FlagResolved(uint32 indexed flagId, uint32 indexed datasetId, address indexed moderator, FlagStatus status);
+
+    modifier onlyModerator() {
+        require(_isModerator(), "Not moderator");
+        _;
+    }
+
+    modifier openFlag(uint32 _flagId) {
+        require(_flagId > 0 && _flagId < nextFlagId, "Invalid flag ID");
+        require(flags[_flagId].status == FlagStatus.Open, "Flag not open");
+        _;
+    }
+
+    constructor(AnonymousResearchDataSharing _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+        nextFlagId = 1;
+    }
+
+    // Flag a dataset (readers of public datasets or holders of a valid grant; contributors cannot flag their own datasets);
+    // _evidenceHash is the off-chain storage hash of the evidence
+    function flagDataset(uint32 _datasetId, FlagReason _reason, string calldata _evidenceHash)
+        external
+        returns (uint32 flagId)
+    {
+        (address contributor, , , , , bool isActive) = platform.getDatasetInfo(_datasetId);
+        require(isActive, "Dataset not active");
+        require(msg.sender != contributor, "Cannot flag own dataset");
+        require(platform.canAccessDataset(_datasetId, msg.sender), "Access denied");
+        require(bytes(_evidenceHash).length > 0, "Evidence required");
+        require(!hasOpenFlag[_datasetId][msg.sender], "Flag already open");
+
+        flagId = nextFlagId++;
+        flags[flagId] = Flag({
+            flagId: flagId,
+            datasetId: _datasetId,
+            reporter: msg.sender,
+            reason: _reason,
+            status: FlagStatus.Open,
+            evidenceHash: _evidenceHash,
+            flaggedAt: block.timestamp,
+            moderator: address(0),
+            resolvedAt: 0
+        });
+        datasetFlags[_datasetId].push(flagId);
+        hasOpenFlag[_datasetId][msg.sender] = true;
+        openFlagIds.push(flagId);
+        openFlagIndex[flagId] = openFlagIds.length;
+
+        emit DatasetFlagged(flagId, _datasetId, msg.sender, _reason);
+    }
+
+    // Dismiss a flag, leaving the dataset unchanged
+    function dismissFlag(uint32 _flagId) external onlyModerator openFlag(_flagId) {
+        _resolve(_flagId, FlagStatus.Dismissed);
+    }
+
+    // Uphold a flag and set the dataset's quality score to _newScore (0-100)
+    function downgradeScore(uint32 _flagId, uint8 _newScore) external onlyModerator openFlag(_flagId) {
+        platform.updateQualityScore(flags[_flagId].datasetId, _newScore);
+        _resolve(_flagId, FlagStatus.ScoreDowngraded);
+    }
+
+    // Uphold a flag and deactivate for moderation, closing the dataset's other open flags; only reviewers can reactivate
+    function deactivateFlaggedDataset(uint32 _flagId) external onlyModerator openFlag(_flagId) {
+        uint32 datasetId = flags[_flagId].datasetId;
+        (, bool isActive) = _datasetStatus(datasetId);
+        require(isActive, "Dataset not active");
+
+        platform.setDatasetStatus(datasetId, false, AnonymousResearchDataSharing.StatusReason.Moderation, msg.sender);
+        _closeDatasetFlags(datasetId);
+    }
+
+    // Deactivate with a reason (contributor or admin); the moderation reason is for quality reviewers only;
+    // the dataset's open flags are closed with the caller recorded as moderator
+    function deactivateDatasetWithReason(uint32 _datasetId, AnonymousResearchDataSharing.StatusReason _reason)
+        external
+    {
+        (address contributor, bool isActive) = _datasetStatus(_datasetId);
+        require(isActive, "Dataset not active");
+        if (_reason == AnonymousResearchDataSharing.StatusReason.Moderation) {
+            require(_isModerator(), "Not authorized");
+        } else {
+            require(_isDatasetManager(contributor), "Not authorized");
+        }
+
+        platform.setDatasetStatus(_datasetId, false, _reason, msg.sender);
+        _closeDatasetFlags(_datasetId);
+    }
+
+    // Reactivate a dataset (contributor or admin); moderation holds can only be lifted by quality reviewers
+    function reactivateDataset(uint32 _datasetId, AnonymousResearchDataSharing.StatusReason _reason) external {
+        (address contributor, bool isActive) = _datasetStatus(_datasetId);
+        if (platform.datasetStatusReason(_datasetId) == AnonymousResearchDataSharing.StatusReason.Moderation) {
+            require(_isModerator(), "Moderation hold");
+        } else {
+            require(_isDatasetManager(contributor), "Not authorized");
+        }
+        require(!isActive, "Dataset already active");
+
+        platform.setDatasetStatus(_datasetId, true, _reason, msg.sender);
+    }
+
+    // Get flag details
+    function getFlag(uint32 _flagId) external view returns (Flag memory) {
+        require(_flagId > 0 && _flagId < nextFlagId, "Invalid flag ID");
+        return flags[_flagId];
+    }
+
+    // Get every flag ID raised against a dataset
+    function getDatasetFlags(uint32 _datasetId) external view returns (uint32[] memory) {
+        return datasetFlags[_datasetId];
+    }
+
+    // Moderation queue: a page of open flags; total is the number of open flags;
+    // resolving moves the last entry into the gap, so order is not chronological and entries may change pages
+    function getModerationQueue(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (Flag[] memory page, uint256 total)
+    {
+        require(_limit > 0 && _limit <= MAX_PAGE_SIZE, "Invalid page size");
+
+        total = openFlagIds.length;
+        uint256 count = _offset < total ? total - _offset : 0;
+        if (count > _limit) {
+            count = _limit;
+        }
+
+        page = new Flag[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = flags[openFlagIds[_offset + i]];
+        }
+    }
+
+    // A dataset's contributor and active status
+    function _datasetStatus(uint32 _datasetId) private view returns (address contributor, bool isActive) {
+        require(_datasetId > 0 && _datasetId < platform.nextDatasetId(), "Invalid dataset ID");
+        (contributor, , , , , , , isActive) = platform.datasets(_datasetId);
+    }
+
+    function _isModerator() private view returns (bool) {
+        return platform.hasRole(platform.QUALITY_REVIEWER_ROLE(), msg.sender);
+    }
+
+    // Whether the caller is the dataset contributor or a platform admin
+    function _isDatasetManager(address _contributor) private view returns (bool) {
+        return msg.sender == _contributor || platform.hasRole(platform.ADMIN_ROLE(), msg.sender);
+    }
+
+    // Close all of a dataset's open flags as deactivated
+    function _closeDatasetFlags(uint32 _datasetId) private {
+        uint32[] storage ids = datasetFlags[_datasetId];
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (flags[ids[i]].status == FlagStatus.Open) {
+                _resolve(ids[i], FlagStatus.DatasetDeactivated);
+            }
+        }
+    }
+
+    // Record the outcome, drop the flag from the queue and let the reporter flag the dataset again
+    function _resolve(uint32 _flagId, FlagStatus _status) private {
+        Flag storage flag = flags[_flagId];
+        flag.status = _status;
+        flag.moderator = msg.sender;
+        flag.resolvedAt = block.timestamp;
+        hasOpenFlag[flag.datasetId][flag.reporter] = false;
+        _removeOpenFlag(_flagId);
+
+        emit FlagResolved(_flagId, flag.datasetId, msg.sender, _status);
+    }
+
+    // Fill the removed flag's slot with the last entry
+    function _removeOpenFlag(uint32 _flagId) private {
+        uint256 index = openFlagIndex[_flagId] - 1;
+        uint32 last = openFlagIds[openFlagIds.length - 1];
+
+        openFlagIds[index] = last;
+        openFlagIndex[last] = index + 1;
+        openFlagIds.pop();
+        delete openFlagIndex[_flagId];
+    }
+}
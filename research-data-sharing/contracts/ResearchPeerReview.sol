@@ -0,0 +1,117 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint8, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+
+// Peer review: accredited reviewers submit encrypted scores for datasets, and the contract keeps the score sum and reviewer count over ciphertexts;
+// replaces the dataset's quality score with the encrypted average each time a batch of minReviewers is complete; this contract must hold the platform's QUALITY_REVIEWER_ROLE
+contract ResearchPeerReview is SepoliaConfig {
+
+    // Default minimum number of reviewers before the encrypted average is applied
+    uint32 public constant DEFAULT_MIN_REVIEWERS = 3;
+
+    // Upper bound of a single review score, matching the platform's quality score range
+    uint8 public constant MAX_SCORE = 100;
+
+    // Encrypted score sum and review count, without individual scores; appliedCount is the number of reviews in the last applied average
+    struct ReviewTally {
+        euint32 scoreSum;
+        uint32 reviewCount;
+        uint32 appliedCount;
+    }
+
+    AnonymousResearchDataSharing public platform;
+    uint32 public minReviewers;
+
+    mapping(address => bool) public isAccreditedReviewer;
+    mapping(uint32 => ReviewTally) private tallies;
+    // keccak256(reviewer, dataset ID) => whether reviewed; reviewer addresses are not stored per dataset
+    mapping(bytes32 => bool) private hasReviewed;
+
+    event ReviewerAccreditationSet(address indexed reviewer, bool accredited);
+    event MinReviewersSet(uint32 minReviewers);
+    // Events record only the review count, never the reviewer
+    event ReviewSubmitted(uint32 indexed datasetId, uint32 reviewCount);
+    event ReviewScoreApplied(uint32 indexed datasetId, uint32 reviewCount);
+
+    modifier onlyPlatformAdmin() {
+        require(platform.hasRole(platform.ADMIN_ROLE(), msg.sender), "Not authorized");
+        _;
+    }
+
+    constructor(AnonymousResearchDataSharing _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+        minReviewers = DEFAULT_MIN_REVIEWERS;
+    }
+
+    // Accredit or remove a reviewer (platform admins only); removal does not affect submitted scores
+    function setReviewer(address _reviewer, bool _accredited) external onlyPlatformAdmin {
+        require(_reviewer != address(0), "Invalid reviewer");
+        isAccreditedReviewer[_reviewer] = _accredited;
+
+        emit ReviewerAccreditationSet(_reviewer, _accredited);
+    }
+
+    // Set the number of reviews per batch (platform admin only); it applies at once to reviews not yet applied
+    function setMinReviewers(uint32 _minReviewers) external onlyPlatformAdmin {
+        require(_minReviewers > 0, "Threshold must be positive");
+        minReviewers = _minReviewers;
+
+        emit MinReviewersSet(_minReviewers);
+    }
+
+    // Submit an encrypted review score (0-100, higher scores count as 100); each reviewer reviews a dataset once.
+    // only once minReviewers new reviews have arrived since the last update is the quality score replaced by the encrypted average of all reviews,
+    // so no intermediate average that differs by a single review is ever published
+    function submitReview(
+        uint32 _datasetId,
+        externalEuint8 _encryptedScore,
+        bytes calldata _inputProof
+    ) external {
+        require(isAccreditedReviewer[msg.sender], "Not accredited reviewer");
+        (address contributor, , , , , ) = platform.getDatasetInfo(_datasetId);
+        require(msg.sender != contributor, "Cannot review own dataset");
+        require(platform.canAccessDataset(_datasetId, msg.sender), "Access denied");
+        bytes32 reviewKey = keccak256(abi.encode(msg.sender, _datasetId));
+        require(!hasReviewed[reviewKey], "Already reviewed");
+
+        euint8 score = FHE.min(FHE.fromExternal(_encryptedScore, _inputProof), MAX_SCORE);
+
+        ReviewTally storage tally = tallies[_datasetId];
+        tally.scoreSum = FHE.add(tally.scoreSum, FHE.asEuint32(score));
+        tally.reviewCount++;
+        hasReviewed[reviewKey] = true;
+
+        FHE.allowThis(tally.scoreSum);
+
+        emit ReviewSubmitted(_datasetId, tally.reviewCount);
+
+        if (tally.reviewCount - tally.appliedCount >= minReviewers) {
+            _applyAverage(_datasetId, tally);
+        }
+    }
+
+    // Get a dataset's review count and the number of reviews in the last applied average (0 if none yet)
+    function getReviewTally(uint32 _datasetId)
+        external
+        view
+        returns (uint32 reviewCount, uint32 appliedCount)
+    {
+        ReviewTally storage tally = tallies[_datasetId];
+        return (tally.reviewCount, tally.appliedCount);
+    }
+
+    // Compute the average over ciphertexts and write it to the platform, which may read it only within this call
+    function _applyAverage(uint32 _datasetId, ReviewTally storage _tally) private {
+        euint8 average = FHE.asEuint8(FHE.div(_tally.scoreSum, _tally.reviewCount));
+
+        FHE.allowTransient(average, address(platform));
+        platform.updateEncryptedQualityScore(_datasetId, average);
+        _tally.appliedCount = _tally.reviewCount;
+
+        emit ReviewScoreApplied(_datasetId, _tally.reviewCount);
+    }
+}
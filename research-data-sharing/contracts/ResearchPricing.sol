@@ -0,0 +1,91 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, ebool, externalEuint32 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+
+// Sealed-bid pricing: contributors set an encrypted minimum price compared with encrypted budgets, neither side learns the other's;
+// The input proof for an encrypted price must be created for this contract
+contract ResearchPricing is SepoliaConfig {
+
+    AnonymousResearchDataSharing public platform;
+
+    mapping(uint32 => euint32) public datasetMinPrice;
+    // Request ID => dataset ID => whether the request budget is at least the dataset minimum price
+    mapping(uint32 => mapping(uint32 => ebool)) public budgetEligibility;
+    // Dataset ID => whether the price has been compared (it can no longer change, so a contributor cannot reprice and re-compare to narrow down a budget)
+    mapping(uint32 => bool) public priceLocked;
+    // Requester => dataset ID => whether a budget was compared (once per requester and dataset, so new requests cannot narrow down the price)
+    mapping(address => mapping(uint32 => bool)) public hasCheckedBudget;
+
+    event DatasetPriceSet(uint32 indexed datasetId);
+    event BudgetEligibilityChecked(uint32 indexed requestId, uint32 indexed datasetId);
+
+    constructor(AnonymousResearchDataSharing _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+    }
+
+    // Set encrypted minimum price for a dataset (contributor only)
+    function setDatasetPrice(
+        uint32 _datasetId,
+        externalEuint32 _encryptedPrice,
+        bytes calldata _inputProof
+    ) external {
+        require(msg.sender == _activeContributor(_datasetId), "Not dataset contributor");
+        require(!priceLocked[_datasetId], "Price locked");
+
+        euint32 encryptedPrice = FHE.fromExternal(_encryptedPrice, _inputProof);
+        datasetMinPrice[_datasetId] = encryptedPrice;
+
+        FHE.allowThis(encryptedPrice);
+        FHE.allow(encryptedPrice, msg.sender);
+
+        emit DatasetPriceSet(_datasetId);
+    }
+
+    // Compare budget and minimum price under encryption (requester only, once per dataset), then lock the dataset's price
+    function checkBudgetEligibility(uint32 _requestId, uint32 _datasetId) external returns (ebool) {
+        require(_requestId > 0 && _requestId < platform.nextRequestId(), "Invalid request ID");
+        (address requester, , euint32 budget, , , ) = platform.dataRequests(_requestId);
+        require(msg.sender == requester, "Not authorized");
+        // Reverts when the dataset is invalid or inactive
+        _activeContributor(_datasetId);
+        require(!hasCheckedBudget[requester][_datasetId], "Budget already checked");
+        hasCheckedBudget[requester][_datasetId] = true;
+        priceLocked[_datasetId] = true;
+        // The platform opens the budget for this call only; this must be the platform's linked pricing contract
+        platform.shareBudgetWithPricing(_requestId);
+
+        // Datasets without a price are treated as free
+        euint32 price = datasetMinPrice[_datasetId];
+        if (!FHE.isInitialized(price)) {
+            price = FHE.asEuint32(0);
+        }
+
+        ebool eligible = FHE.ge(budget, price);
+        budgetEligibility[_requestId][_datasetId] = eligible;
+
+        // Only the requester can decrypt the comparison result
+        FHE.allowThis(eligible);
+        FHE.allow(eligible, requester);
+
+        emit BudgetEligibilityChecked(_requestId, _datasetId);
+        return eligible;
+    }
+
+    // Open the dataset minimum price for this call to a contract holding the platform ACCESS_GRANTER_ROLE (the access marketplace); reverts when no price is set
+    function useDatasetPrice(uint32 _datasetId) external returns (euint32 price) {
+        require(platform.hasRole(platform.ACCESS_GRANTER_ROLE(), msg.sender), "Not authorized");
+        price = datasetMinPrice[_datasetId];
+        require(FHE.isInitialized(price), "Price not set");
+
+        FHE.allowTransient(price, msg.sender);
+    }
+
+    // The platform's getDatasetInfo hides deactivated datasets from this contract, so invalid or deactivated ones revert with the same reason
+    function _activeContributor(uint32 _datasetId) private view returns (address contributor) {
+        (contributor, , , , , ) = platform.getDatasetInfo(_datasetId);
+    }
+}
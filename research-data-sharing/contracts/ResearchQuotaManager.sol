@@ -0,0 +1,156 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { PlatformAccessControl } from "./PlatformAccessControl.sol";
+
+// Per-epoch limits on access grants, aggregate queries and data requests per address, bounding how much a single party can extract
+contract ResearchQuotaManager {
+
+    // Default quota epoch length
+    uint256 public constant DEFAULT_EPOCH_LENGTH = 1 days;
+
+    // Operation categories subject to quotas
+    enum Operation {
+        Grant,
+        Query,
+        Request
+    }
+
+    // Number of uses by an account within one epoch
+    struct Usage {
+        uint256 epoch;
+        uint32 count;
+    }
+
+    PlatformAccessControl public platform;
+    uint256 public epochLength;
+
+    // Default quota per operation category, 0 means unlimited
+    mapping(Operation => uint32) public defaultQuota;
+    // Contracts besides the platform allowed to consume quota (e.g. the analytics and multi-field record contracts)
+    mapping(address => bool) public isConsumer;
+    mapping(address => mapping(Operation => uint32)) private customQuotas;
+    mapping(address => mapping(Operation => bool)) private hasCustomQuota;
+    mapping(address => mapping(Operation => Usage)) private usage;
+
+    event EpochLengthSet(uint256 epochLength);
+    event DefaultQuotaSet(Operation indexed operation, uint32 limit);
+    event AccountQuotaSet(address indexed account, Operation indexed operation, uint32 limit);
+    event AccountQuotaCleared(address indexed account, Operation indexed operation);
+    event ConsumerSet(address indexed consumer, bool allowed);
+    event QuotaConsumed(address indexed account, Operation indexed operation, uint256 epoch, uint32 used);
+
+    modifier onlyPlatformAdmin() {
+        require(platform.hasRole(platform.ADMIN_ROLE(), msg.sender), "Not authorized");
+        _;
+    }
+
+    constructor(PlatformAccessControl _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+        epochLength = DEFAULT_EPOCH_LENGTH;
+    }
+
+    // Set the quota epoch length (platform admin only); epochs are re-derived from the new length
+    function setEpochLength(uint256 _epochLength) external onlyPlatformAdmin {
+        require(_epochLength > 0, "Epoch length must be positive");
+        epochLength = _epochLength;
+
+        emit EpochLengthSet(_epochLength);
+    }
+
+    // Set the default quota for an operation category (platform admin only), 0 means unlimited
+    function setDefaultQuota(Operation _operation, uint32 _limit) external onlyPlatformAdmin {
+        defaultQuota[_operation] = _limit;
+
+        emit DefaultQuotaSet(_operation, _limit);
+    }
+
+    // Set a custom quota for an account (platform admin only), 0 means unlimited
+    function setAccountQuota(address _account, Operation _operation, uint32 _limit)
+        external
+        onlyPlatformAdmin
+    {
+        customQuotas[_account][_operation] = _limit;
+        hasCustomQuota[_account][_operation] = true;
+
+        emit AccountQuotaSet(_account, _operation, _limit);
+    }
+
+    // Clear an account's custom quota so the default applies again (platform admin only)
+    function clearAccountQuota(address _account, Operation _operation) external onlyPlatformAdmin {
+        require(hasCustomQuota[_account][_operation], "Account quota not set");
+        delete customQuotas[_account][_operation];
+        delete hasCustomQuota[_account][_operation];
+
+        emit AccountQuotaCleared(_account, _operation);
+    }
+
+    // Allow or disallow a contract to consume quota (platform admin only)
+    function setConsumer(address _consumer, bool _allowed) external onlyPlatformAdmin {
+        require(_consumer != address(0), "Invalid consumer");
+        isConsumer[_consumer] = _allowed;
+
+        emit ConsumerSet(_consumer, _allowed);
+    }
+
+    // Count one operation, reverting once the epoch quota is used up (platform and registered contracts only)
+    function consume(address _account, Operation _operation) external {
+        require(msg.sender == address(platform) || isConsumer[msg.sender], "Not quota consumer");
+
+        uint256 epoch = currentEpoch();
+        uint32 used = usedQuota(_account, _operation);
+        uint32 limit = quotaOf(_account, _operation);
+        if (limit != 0 && used >= limit) {
+            _revertQuotaExceeded(_operation);
+        }
+
+        usage[_account][_operation] = Usage({ epoch: epoch, count: used + 1 });
+
+        emit QuotaConsumed(_account, _operation, epoch, used + 1);
+    }
+
+    // Current epoch number
+    function currentEpoch() public view returns (uint256) {
+        return block.timestamp / epochLength;
+    }
+
+    // The account's quota for an operation category, 0 means unlimited
+    function quotaOf(address _account, Operation _operation) public view returns (uint32) {
+        return hasCustomQuota[_account][_operation]
+            ? customQuotas[_account][_operation]
+            : defaultQuota[_operation];
+    }
+
+    // Number of uses by the account in the current epoch
+    function usedQuota(address _account, Operation _operation) public view returns (uint32) {
+        Usage storage current = usage[_account][_operation];
+        return current.epoch == currentEpoch() ? current.count : 0;
+    }
+
+    // Remaining uses for the account in the current epoch, the uint32 maximum when unlimited
+    function remainingQuota(address _account, Operation _operation) external view returns (uint32) {
+        uint32 limit = quotaOf(_account, _operation);
+        if (limit == 0) {
+            return type(uint32).max;
+        }
+        uint32 used = usedQuota(_account, _operation);
+        return used >= limit ? 0 : limit - used;
+    }
+
+    // End of the current epoch, after which quotas reset
+    function epochEndsAt() external view returns (uint256) {
+        return (currentEpoch() + 1) * epochLength;
+    }
+
+    // Revert with a reason specific to the operation category
+    function _revertQuotaExceeded(Operation _operation) private pure {
+        if (_operation == Operation.Grant) {
+            revert("Grant quota exceeded");
+        }
+        if (_operation == Operation.Query) {
+            revert("Query quota exceeded");
+        }
+        revert("Request quota exceeded");
+    }
+}
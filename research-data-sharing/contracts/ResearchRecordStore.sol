@@ -0,0 +1,383 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {
+    FHE,
+    ebool,
+    euint8,
+    euint16,
+    euint32,
+    euint64,
+    externalEbool,
+    externalEuint8,
+    externalEuint16,
+    externalEuint32,
+    externalEuint64
+} from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+import { ResearchSchemaRegistry } from "./ResearchSchemaRegistry.sol";
+import { DifferentialPrivacy } from "./DifferentialPrivacy.sol";
+import { ResearchQuotaManager } from "./ResearchQuotaManager.sol";
+
+// Multi-field encrypted records: attach typed encrypted fields to datasets by schema, with per-field access and aggregation
+contract ResearchRecordStore is SepoliaConfig, DifferentialPrivacy {
+
+    // Maximum number of datasets in one query, bounding the FHE work per transaction
+    uint256 public constant MAX_QUERY_DATASETS = 32;
+
+    AnonymousResearchDataSharing public platform;
+    ResearchSchemaRegistry public schemaRegistry;
+    uint32 public nextFieldAggregateId;
+
+    struct Record {
+        uint32 schemaId;
+        bytes32[] fields;
+        uint256 timestamp;
+    }
+
+    struct FieldAggregate {
+        address requester;
+        uint32 schemaId;
+        uint32 fieldIndex;
+        uint32 datasetCount;
+        euint64 sum;
+        euint64 minValue;
+        euint64 maxValue;
+        uint256 timestamp;
+    }
+
+    mapping(uint32 => Record) private records;
+    // Dataset ID => accessor => bitmask of granted fields
+    mapping(uint32 => mapping(address => uint256)) public fieldAccess;
+    mapping(uint32 => FieldAggregate) private fieldAggregates;
+
+    event RecordAttached(uint32 indexed datasetId, uint32 indexed schemaId, uint32 fieldCount);
+    event FieldAccessGranted(uint32 indexed datasetId, address indexed accessor, uint256 fieldMask);
+    event FieldAccessRevoked(uint32 indexed datasetId, address indexed accessor, uint256 fieldMask);
+    event FieldAggregateComputed(
+        uint32 indexed aggregateId,
+        address indexed requester,
+        uint32 fieldIndex,
+        uint32 datasetCount
+    );
+
+    modifier hasRecord(uint32 _datasetId) {
+        require(records[_datasetId].schemaId != 0, "Record not found");
+        _;
+    }
+
+    modifier validFieldAggregate(uint32 _aggregateId) {
+        require(_aggregateId > 0 && _aggregateId < nextFieldAggregateId, "Invalid aggregate ID");
+        _;
+    }
+
+    constructor(AnonymousResearchDataSharing _platform, ResearchSchemaRegistry _schemaRegistry) {
+        require(address(_platform) != address(0), "Invalid platform");
+        require(address(_schemaRegistry) != address(0), "Invalid schema registry");
+        platform = _platform;
+        schemaRegistry = _schemaRegistry;
+        nextFieldAggregateId = 1;
+    }
+
+    // Attach a multi-field encrypted record to an active dataset you contributed (once per dataset)
+    // Field order and types must match the dataset's registered schema; all fields share one input proof
+    function attachRecord(
+        uint32 _datasetId,
+        bytes32[] calldata _encryptedFields,
+        bytes calldata _inputProof
+    ) external {
+        (address contributor, bool isActive) = _datasetStatus(_datasetId);
+        require(msg.sender == contributor, "Not dataset contributor");
+        require(isActive, "Dataset not active");
+        require(records[_datasetId].schemaId == 0, "Record already attached");
+
+        uint32 schemaId = platform.datasetSchema(_datasetId);
+        ResearchSchemaRegistry.FieldType[] memory fieldTypes = schemaRegistry.getFieldTypes(schemaId);
+        require(_encryptedFields.length == fieldTypes.length, "Field count mismatch");
+
+        Record storage record = records[_datasetId];
+        record.schemaId = schemaId;
+        record.timestamp = block.timestamp;
+
+        for (uint256 i = 0; i < fieldTypes.length; i++) {
+            bytes32 field = _importField(fieldTypes[i], _encryptedFields[i], _inputProof);
+            _allowField(fieldTypes[i], field, address(this));
+            _allowField(fieldTypes[i], field, msg.sender);
+            record.fields.push(field);
+        }
+
+        emit RecordAttached(_datasetId, schemaId, uint32(fieldTypes.length));
+    }
+
+    // Open selected fields to a researcher who already has dataset access (contributor or platform admin)
+    // FHE decryption permissions cannot be withdrawn once granted; revocation only affects field access checks in this contract
+    function grantFieldAccess(uint32 _datasetId, address _accessor, uint256 _fieldMask)
+        external
+        hasRecord(_datasetId)
+    {
+        _requireDatasetManager(_datasetId);
+        require(platform.hasDataAccess(_datasetId, _accessor), "Dataset access required");
+
+        Record storage record = records[_datasetId];
+        _requireFieldMask(_fieldMask, record.fields.length);
+
+        ResearchSchemaRegistry.FieldType[] memory fieldTypes = schemaRegistry.getFieldTypes(record.schemaId);
+        for (uint256 i = 0; i < fieldTypes.length; i++) {
+            if (_fieldMask & (1 << i) != 0) {
+                _allowField(fieldTypes[i], record.fields[i], _accessor);
+            }
+        }
+        fieldAccess[_datasetId][_accessor] |= _fieldMask;
+
+        emit FieldAccessGranted(_datasetId, _accessor, _fieldMask);
+    }
+
+    // Revoke access to selected fields (contributor or platform admin)
+    function revokeFieldAccess(uint32 _datasetId, address _accessor, uint256 _fieldMask)
+        external
+        hasRecord(_datasetId)
+    {
+        _requireDatasetManager(_datasetId);
+        _requireFieldMask(_fieldMask, records[_datasetId].fields.length);
+        require(fieldAccess[_datasetId][_accessor] & _fieldMask != 0, "Field access not granted");
+
+        fieldAccess[_datasetId][_accessor] &= ~_fieldMask;
+
+        emit FieldAccessRevoked(_datasetId, _accessor, _fieldMask);
+    }
+
+    // Whether an account can read a field: public datasets and contributors read all fields, other researchers need both dataset and field grants
+    function canAccessField(uint32 _datasetId, uint32 _fieldIndex, address _account)
+        public
+        view
+        hasRecord(_datasetId)
+        returns (bool)
+    {
+        require(_fieldIndex < records[_datasetId].fields.length, "Invalid field index");
+
+        (address contributor, , , , bool isPublic, , , ) = platform.datasets(_datasetId);
+        if (isPublic || _account == contributor) {
+            return true;
+        }
+        return platform.hasDataAccess(_datasetId, _account)
+            && fieldAccess[_datasetId][_account] & (1 << _fieldIndex) != 0;
+    }
+
+    // Compute sum, min and max of one field across records of the same schema on ciphertexts (widened to 64 bits); only the caller can decrypt
+    // Dataset IDs must be strictly ascending to avoid counting a dataset twice; protected by cohort size, privacy budget and noise like the analytics contract
+    function aggregateField(uint32[] calldata _datasetIds, uint32 _fieldIndex)
+        external
+        returns (uint32 aggregateId)
+    {
+        uint256 length = _datasetIds.length;
+        require(length > 0, "No datasets selected");
+        require(length <= MAX_QUERY_DATASETS, "Too many datasets");
+
+        uint32 schemaId = records[_datasetIds[0]].schemaId;
+        require(schemaId != 0, "Record not found");
+        ResearchSchemaRegistry.FieldType fieldType = _fieldTypeAt(schemaId, _fieldIndex);
+
+        euint64 sum;
+        euint64 minValue;
+        euint64 maxValue;
+        address[] memory contributors = new address[](length);
+        uint32 previousId = 0;
+
+        for (uint256 i = 0; i < length; i++) {
+            require(_datasetIds[i] > previousId, "Dataset IDs must be ascending");
+            previousId = _datasetIds[i];
+
+            euint64 value;
+            (value, contributors[i]) = _readableField(previousId, schemaId, _fieldIndex, fieldType);
+            value = _clip(value);
+            if (i == 0) {
+                (sum, minValue, maxValue) = (value, value, value);
+            } else {
+                sum = FHE.add(sum, value);
+                minValue = FHE.min(minValue, value);
+                maxValue = FHE.max(maxValue, value);
+            }
+        }
+
+        _consumePrivacyBudget(_countDistinct(contributors));
+        _consumeQueryQuota();
+        sum = _publishResult(sum);
+        minValue = _publishResult(minValue);
+        maxValue = _publishResult(maxValue);
+
+        aggregateId = nextFieldAggregateId++;
+        fieldAggregates[aggregateId] = FieldAggregate({
+            requester: msg.sender,
+            schemaId: schemaId,
+            fieldIndex: _fieldIndex,
+            datasetCount: uint32(length),
+            sum: sum,
+            minValue: minValue,
+            maxValue: maxValue,
+            timestamp: block.timestamp
+        });
+
+        emit FieldAggregateComputed(aggregateId, msg.sender, _fieldIndex, uint32(length));
+    }
+
+    // Get a dataset record's schema ID and field handles (interpret handles by the schema field types)
+    function getRecord(uint32 _datasetId)
+        external
+        view
+        hasRecord(_datasetId)
+        returns (uint32 schemaId, bytes32[] memory fields, uint256 timestamp)
+    {
+        Record storage record = records[_datasetId];
+        return (record.schemaId, record.fields, record.timestamp);
+    }
+
+    // Get field aggregate result handles
+    function getFieldAggregate(uint32 _aggregateId)
+        external
+        view
+        validFieldAggregate(_aggregateId)
+        returns (
+            address requester,
+            uint32 schemaId,
+            uint32 fieldIndex,
+            uint32 datasetCount,
+            euint64 sum,
+            euint64 minValue,
+            euint64 maxValue,
+            uint256 timestamp
+        )
+    {
+        FieldAggregate storage aggregate = fieldAggregates[_aggregateId];
+        return (
+            aggregate.requester,
+            aggregate.schemaId,
+            aggregate.fieldIndex,
+            aggregate.datasetCount,
+            aggregate.sum,
+            aggregate.minValue,
+            aggregate.maxValue,
+            aggregate.timestamp
+        );
+    }
+
+    // Check the caller's access to a field of an active dataset and return the field widened to 64 bits with its contributor
+    function _readableField(
+        uint32 _datasetId,
+        uint32 _schemaId,
+        uint32 _fieldIndex,
+        ResearchSchemaRegistry.FieldType _fieldType
+    ) private returns (euint64 value, address contributor) {
+        require(records[_datasetId].schemaId == _schemaId, "Schema mismatch");
+        bool isActive;
+        (contributor, isActive) = _datasetStatus(_datasetId);
+        require(isActive, "Dataset not active");
+        require(canAccessField(_datasetId, _fieldIndex, msg.sender), "Access denied");
+
+        value = _asEuint64(_fieldType, records[_datasetId].fields[_fieldIndex]);
+    }
+
+    // Read a dataset's contributor and status
+    function _datasetStatus(uint32 _datasetId) private view returns (address contributor, bool isActive) {
+        require(_datasetId > 0 && _datasetId < platform.nextDatasetId(), "Invalid dataset ID");
+        (contributor, , , , , , , isActive) = platform.datasets(_datasetId);
+    }
+
+    // When the platform has a quota manager, count the call against the caller's query quota for this epoch
+    function _consumeQueryQuota() private {
+        ResearchQuotaManager quotaManager = platform.quotaManager();
+        if (address(quotaManager) != address(0)) {
+            quotaManager.consume(msg.sender, ResearchQuotaManager.Operation.Query);
+        }
+    }
+
+    // Privacy parameters are configured by platform admins only
+    function _requirePrivacyAdmin() internal view override {
+        require(platform.hasRole(platform.ADMIN_ROLE(), msg.sender), "Not authorized");
+    }
+
+    // Dataset contributor or platform admin only
+    function _requireDatasetManager(uint32 _datasetId) private view {
+        (address contributor, ) = _datasetStatus(_datasetId);
+        require(
+            msg.sender == contributor || platform.hasRole(platform.ADMIN_ROLE(), msg.sender),
+            "Not authorized"
+        );
+    }
+
+    // Field mask must be non-empty and only cover fields present in the record
+    function _requireFieldMask(uint256 _fieldMask, uint256 _fieldCount) private pure {
+        require(_fieldMask != 0 && _fieldMask >> _fieldCount == 0, "Invalid field mask");
+    }
+
+    // Look up the type of a schema field
+    function _fieldTypeAt(uint32 _schemaId, uint32 _fieldIndex)
+        private
+        view
+        returns (ResearchSchemaRegistry.FieldType)
+    {
+        ResearchSchemaRegistry.FieldType[] memory fieldTypes = schemaRegistry.getFieldTypes(_schemaId);
+        require(_fieldIndex < fieldTypes.length, "Invalid field index");
+        return fieldTypes[_fieldIndex];
+    }
+
+    // Verify and import client-encrypted input according to the field type
+    function _importField(
+        ResearchSchemaRegistry.FieldType _fieldType,
+        bytes32 _encryptedField,
+        bytes calldata _inputProof
+    ) private returns (bytes32) {
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint8) {
+            return FHE.toBytes32(FHE.fromExternal(externalEuint8.wrap(_encryptedField), _inputProof));
+        }
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint16) {
+            return FHE.toBytes32(FHE.fromExternal(externalEuint16.wrap(_encryptedField), _inputProof));
+        }
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint32) {
+            return FHE.toBytes32(FHE.fromExternal(externalEuint32.wrap(_encryptedField), _inputProof));
+        }
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint64) {
+            return FHE.toBytes32(FHE.fromExternal(externalEuint64.wrap(_encryptedField), _inputProof));
+        }
+        return FHE.toBytes32(FHE.fromExternal(externalEbool.wrap(_encryptedField), _inputProof));
+    }
+
+    // Grant access according to the field type
+    function _allowField(ResearchSchemaRegistry.FieldType _fieldType, bytes32 _field, address _account) private {
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint8) {
+            FHE.allow(euint8.wrap(_field), _account);
+        } else if (_fieldType == ResearchSchemaRegistry.FieldType.Uint16) {
+            FHE.allow(euint16.wrap(_field), _account);
+        } else if (_fieldType == ResearchSchemaRegistry.FieldType.Uint32) {
+            FHE.allow(euint32.wrap(_field), _account);
+        } else if (_fieldType == ResearchSchemaRegistry.FieldType.Uint64) {
+            FHE.allow(euint64.wrap(_field), _account);
+        } else {
+            FHE.allow(ebool.wrap(_field), _account);
+        }
+    }
+
+    // Widen any field type to 64 bits for uniform aggregation (booleans count as 0/1, so the sum is the number of true values)
+    function _asEuint64(ResearchSchemaRegistry.FieldType _fieldType, bytes32 _field) private returns (euint64) {
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint8) {
+            return FHE.asEuint64(euint8.wrap(_field));
+        }
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint16) {
+            return FHE.asEuint64(euint16.wrap(_field));
+        }
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint32) {
+            return FHE.asEuint64(euint32.wrap(_field));
+        }
+        if (_fieldType == ResearchSchemaRegistry.FieldType.Uint64) {
+            return euint64.wrap(_field);
+        }
+        return FHE.asEuint64(ebool.wrap(_field));
+    }
+
+    // Add noise to a result, keep compute permission in this contract and open decryption only to the requester
+    function _publishResult(euint64 _value) private returns (euint64 noisy) {
+        noisy = _addNoise(_value);
+        FHE.allowThis(noisy);
+        FHE.allow(noisy, msg.sender);
+    }
+}
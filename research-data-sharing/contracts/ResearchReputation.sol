@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint8, ebool, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AnonymousResearchDataSharing } from "./AnonymousResearchDataSharing.sol";
+
+// Contributor reputation: the platform accumulates encrypted quality scores on contribution and scoring; requesters only get encrypted threshold comparisons
+contract ResearchReputation is SepoliaConfig {
+
+    // Encrypted sum of quality scores and number of scored datasets, decryptable only by the contributor
+    struct Reputation {
+        euint32 scoreSum;
+        euint32 datasetCount;
+    }
+
+    AnonymousResearchDataSharing public platform;
+
+    mapping(address => Reputation) private reputations;
+    // Last quality score recorded per dataset; the old score is subtracted when rescoring
+    mapping(uint32 => euint32) private recordedScores;
+    mapping(uint32 => bool) private hasRecordedScore;
+    // Request ID => dataset ID => whether the dataset contributor's average quality score meets the requester's threshold
+    mapping(uint32 => mapping(uint32 => ebool)) public reputationChecks;
+    mapping(uint32 => mapping(uint32 => bool)) public isReputationChecked;
+    // Requester address => contributor address => whether checked; neither a new request nor another dataset of the same contributor resets it
+    mapping(address => mapping(address => bool)) public hasCheckedReputation;
+
+    event ReputationUpdated(address indexed contributor, uint32 indexed datasetId);
+    event ReputationChecked(uint32 indexed requestId, uint32 indexed datasetId);
+
+    modifier onlyPlatform() {
+        require(msg.sender == address(platform), "Not platform");
+        _;
+    }
+
+    constructor(AnonymousResearchDataSharing _platform) {
+        require(address(_platform) != address(0), "Invalid platform");
+        platform = _platform;
+    }
+
+    // Record a dataset's new quality score (platform only): first score increments the count, rescoring replaces the old score
+    function recordQualityScore(uint32 _datasetId, address _contributor, euint8 _qualityScore)
+        external
+        onlyPlatform
+    {
+        Reputation storage reputation = reputations[_contributor];
+        euint32 score = FHE.asEuint32(_qualityScore);
+
+        if (hasRecordedScore[_datasetId]) {
+            reputation.scoreSum = FHE.sub(FHE.add(reputation.scoreSum, score), recordedScores[_datasetId]);
+        } else {
+            reputation.scoreSum = FHE.add(reputation.scoreSum, score);
+            reputation.datasetCount = FHE.add(reputation.datasetCount, 1);
+            hasRecordedScore[_datasetId] = true;
+
+            FHE.allowThis(reputation.datasetCount);
+            FHE.allow(reputation.datasetCount, _contributor);
+        }
+        recordedScores[_datasetId] = score;
+
+        FHE.allowThis(score);
+        FHE.allowThis(reputation.scoreSum);
+        FHE.allow(reputation.scoreSum, _contributor);
+
+        emit ReputationUpdated(_contributor, _datasetId);
+    }
+
+    // The requester checks whether the dataset contributor's average quality score is at least an encrypted threshold (0-100);
+    // each requester can check each contributor once (regardless of request and dataset), so new requests or several datasets of the same
+    // contributor cannot be used to narrow down the contributor's score through repeated comparisons
+    function checkReputation(
+        uint32 _requestId,
+        uint32 _datasetId,
+        externalEuint8 _encryptedMinAverage,
+        bytes calldata _inputProof
+    ) external returns (ebool meetsThreshold) {
+        (address requester, , , ) = platform.getDataRequestInfo(_requestId);
+        require(msg.sender == requester, "Not requester");
+        (address contributor, , , , , ) = platform.getDatasetInfo(_datasetId);
+        require(!hasCheckedReputation[requester][contributor], "Reputation already checked");
+
+        // Average >= threshold is equivalent to sum >= threshold * count, avoiding encrypted division
+        Reputation storage reputation = reputations[contributor];
+        euint32 minAverage = FHE.asEuint32(FHE.fromExternal(_encryptedMinAverage, _inputProof));
+        euint32 minSum = FHE.mul(minAverage, reputation.datasetCount);
+        meetsThreshold = FHE.and(
+            FHE.ge(reputation.scoreSum, minSum),
+            FHE.gt(reputation.datasetCount, 0)
+        );
+
+        reputationChecks[_requestId][_datasetId] = meetsThreshold;
+        isReputationChecked[_requestId][_datasetId] = true;
+        hasCheckedReputation[requester][contributor] = true;
+
+        FHE.allowThis(meetsThreshold);
+        FHE.allow(meetsThreshold, requester);
+
+        emit ReputationChecked(_requestId, _datasetId);
+    }
+
+    // Contributor's encrypted reputation handles; uninitialized handles before any score
+    function getReputation(address _contributor)
+        external
+        view
+        returns (euint32 scoreSum, euint32 datasetCount)
+    {
+        Reputation storage reputation = reputations[_contributor];
+        return (reputation.scoreSum, reputation.datasetCount);
+    }
+}
@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Dataset schema registry: describes the name, type and unit of each dataset field; schemas evolve through new versions
+contract ResearchSchemaRegistry {
+
+    // Maximum fields per schema (field access is tracked as a uint256 bitmask)
+    uint256 public constant MAX_FIELDS = 32;
+
+    // Encrypted field types
+    enum FieldType {
+        Uint8,
+        Uint16,
+        Uint32,
+        Uint64,
+        Bool
+    }
+
+    struct Schema {
+        address owner;
+        string name;
+        uint32 version;
+        uint32 previousSchemaId;
+        string[] fieldNames;
+        FieldType[] fieldTypes;
+        string[] fieldUnits;
+        uint256 createdAt;
+    }
+
+    uint32 public nextSchemaId;
+
+    mapping(uint32 => Schema) private schemas;
+    // Schema ID => ID of the newer version that supersedes it (0 means it is still the latest)
+    mapping(uint32 => uint32) public supersededBy;
+
+    event SchemaRegistered(uint32 indexed schemaId, address indexed owner, string name);
+    event SchemaVersionPublished(uint32 indexed schemaId, uint32 indexed previousSchemaId, uint32 version);
+
+    modifier validSchema(uint32 _schemaId) {
+        require(isRegistered(_schemaId), "Invalid schema ID");
+        _;
+    }
+
+    constructor() {
+        nextSchemaId = 1;
+    }
+
+    // Register a new data schema (units may be empty strings, e.g. for boolean fields)
+    function registerSchema(
+        string memory _name,
+        string[] memory _fieldNames,
+        FieldType[] memory _fieldTypes,
+        string[] memory _fieldUnits
+    ) external returns (uint32 schemaId) {
+        require(bytes(_name).length > 0, "Schema name required");
+
+        schemaId = _storeSchema(_name, 1, 0, _fieldNames, _fieldTypes, _fieldUnits);
+
+        emit SchemaRegistered(schemaId, msg.sender, _name);
+    }
+
+    // Publish a new schema version (schema owner only, based on the latest version); old versions remain to interpret existing datasets
+    function publishSchemaVersion(
+        uint32 _previousSchemaId,
+        string[] memory _fieldNames,
+        FieldType[] memory _fieldTypes,
+        string[] memory _fieldUnits
+    ) external validSchema(_previousSchemaId) returns (uint32 schemaId) {
+        Schema storage previous = schemas[_previousSchemaId];
+        require(msg.sender == previous.owner, "Not schema owner");
+        require(supersededBy[_previousSchemaId] == 0, "Schema already superseded");
+
+        uint32 version = previous.version + 1;
+        schemaId = _storeSchema(previous.name, version, _previousSchemaId, _fieldNames, _fieldTypes, _fieldUnits);
+        supersededBy[_previousSchemaId] = schemaId;
+
+        emit SchemaVersionPublished(schemaId, _previousSchemaId, version);
+    }
+
+    // Whether a schema is registered
+    function isRegistered(uint32 _schemaId) public view returns (bool) {
+        return _schemaId > 0 && _schemaId < nextSchemaId;
+    }
+
+    // Get a schema definition
+    function getSchema(uint32 _schemaId) external view validSchema(_schemaId) returns (Schema memory) {
+        return schemas[_schemaId];
+    }
+
+    // Follow the version chain to the latest schema version
+    function getLatestVersion(uint32 _schemaId) external view validSchema(_schemaId) returns (uint32 latestId) {
+        latestId = _schemaId;
+        while (supersededBy[latestId] != 0) {
+            latestId = supersededBy[latestId];
+        }
+    }
+
+    // Get a schema's field types
+    function getFieldTypes(uint32 _schemaId)
+        external
+        view
+        validSchema(_schemaId)
+        returns (FieldType[] memory)
+    {
+        return schemas[_schemaId].fieldTypes;
+    }
+
+    // Validate field definitions and store a new schema
+    function _storeSchema(
+        string memory _name,
+        uint32 _version,
+        uint32 _previousSchemaId,
+        string[] memory _fieldNames,
+        FieldType[] memory _fieldTypes,
+        string[] memory _fieldUnits
+    ) private returns (uint32 schemaId) {
+        require(_fieldNames.length > 0 && _fieldNames.length <= MAX_FIELDS, "Invalid field count");
+        require(
+            _fieldNames.length == _fieldTypes.length && _fieldNames.length == _fieldUnits.length,
+            "Field length mismatch"
+        );
+
+        for (uint256 i = 0; i < _fieldNames.length; i++) {
+            require(bytes(_fieldNames[i]).length > 0, "Field name required");
+        }
+
+        schemaId = nextSchemaId++;
+        schemas[schemaId] = Schema({
+            owner: msg.sender,
+            name: _name,
+            version: _version,
+            previousSchemaId: _previousSchemaId,
+            fieldNames: _fieldNames,
+            fieldTypes: _fieldTypes,
+            fieldUnits: _fieldUnits,
+            createdAt: block.timestamp
+        });
+    }
+}
@@ -1,18 +1,25 @@
 import { initFhevm, encryptValue } from '@fhevm/sdk';
-import { BrowserProvider, Contract } from 'ethers';
+import { BrowserProvider, MaxUint256 } from 'ethers';
 
 // Contract ABI (simplified for demo)
 const CONTRACT_ABI = [
-  'function contributeData(uint32, uint8, string, bool) external',
-  'function requestDataAccess(string, uint32, uint256) external',
+  'function contributeData(bytes32, bytes32, bytes, string, bool, uint32, uint256) external',
+  'function requestDataAccess(string, bytes32, bytes, uint256, uint8) external',
   'function accessDataset(uint32) external view returns (string, uint256, uint32)',
-  'function getPlatformStats() external view returns (uint32, uint32)',
+  'function getPlatformStats() external view returns (uint32, uint32, uint256, uint256)',
   'event DatasetContributed(uint32 indexed, address indexed, string)',
   'event DataRequested(uint32 indexed, address indexed, string)'
 ];
 
 const CONTRACT_ADDRESS = '0x13782134cE8cA22C432bb636B401884806799AD2';
 
+// Single-value "measurement" schema registered by scripts/deploy.js
+const DEFAULT_SCHEMA_ID = 1;
+
+// Datasets allow every purpose code; requests declare general research (code 0)
+const ALL_PURPOSES = MaxUint256;
+const DEFAULT_PURPOSE = 0;
+
 let provider, signer, fhevmClient, contract;
 
 // Connect wallet
@@ -59,7 +66,7 @@ document.getElementById('connectBtn').addEventListener('click', async () => {
 
   } catch (error) {
     console.error('Connection failed:', error);
-    alert('Failed to connect: ' + error.message);
+    alert(`Failed to connect: ${error.message}`);
   }
 });
 
@@ -98,13 +105,25 @@ document.getElementById('contributeBtn').addEventListener('click', async () => {
       return;
     }
 
-    // Note: In production, use fhevmClient to encrypt values
-    // For demo, we pass plaintext values (contract will encrypt)
+    // Encrypt both values client-side; they share a single input proof
+    btn.textContent = 'Encrypting...';
+    const encrypted = await encryptValue(fhevmClient, {
+      contractAddress: CONTRACT_ADDRESS,
+      userAddress: await signer.getAddress(),
+      values: [
+        { type: 'euint32', value: dataValue },
+        { type: 'euint8', value: qualityScore }
+      ]
+    });
+
     const tx = await contract.contributeData(
-      dataValue,
-      qualityScore,
+      encrypted.handles[0],
+      encrypted.handles[1],
+      encrypted.inputProof,
       metadataHash,
-      isPublic
+      isPublic,
+      DEFAULT_SCHEMA_ID,
+      ALL_PURPOSES
     );
 
     btn.textContent = 'Waiting for confirmation...';
@@ -121,7 +140,7 @@ document.getElementById('contributeBtn').addEventListener('click', async () => {
 
   } catch (error) {
     console.error('Contribution failed:', error);
-    alert('Failed to contribute dataset: ' + error.message);
+    alert(`Failed to contribute dataset: ${error.message}`);
   } finally {
     btn.textContent = originalText;
     btn.disabled = false;
@@ -148,10 +167,20 @@ document.getElementById('requestBtn').addEventListener('click', async () => {
 
     const deadline = Math.floor(Date.now() / 1000) + (deadlineDays * 24 * 60 * 60);
 
+    // Keep the budget sealed so competing groups cannot read it from the transaction
+    btn.textContent = 'Encrypting...';
+    const encrypted = await encryptValue(fhevmClient, {
+      contractAddress: CONTRACT_ADDRESS,
+      userAddress: await signer.getAddress(),
+      values: [{ type: 'euint32', value: budget }]
+    });
+
     const tx = await contract.requestDataAccess(
       researchTopic,
-      budget,
-      deadline
+      encrypted.handles[0],
+      encrypted.inputProof,
+      deadline,
+      DEFAULT_PURPOSE
     );
 
     btn.textContent = 'Waiting for confirmation...';
@@ -167,7 +196,7 @@ document.getElementById('requestBtn').addEventListener('click', async () => {
 
   } catch (error) {
     console.error('Request failed:', error);
-    alert('Failed to submit request: ' + error.message);
+    alert(`Failed to submit request: ${error.message}`);
   } finally {
     btn.textContent = originalText;
     btn.disabled = false;
@@ -1,6 +1,76 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { getStorageLayout } = require("./lib/storageLayout");
+
+const REWARD_TOKEN_NAME = "Research Reward Token";
+const REWARD_TOKEN_SYMBOL = "RRT";
+
+const DEFAULT_SCHEMA_NAME = "measurement";
+// ResearchSchemaRegistry.FieldType.Uint32
+const FIELD_TYPE_UINT32 = 2;
+
+// Default per-epoch quotas read from the environment, in ResearchQuotaManager.Operation order
+const QUOTA_SETTINGS = ["GRANT_QUOTA", "QUERY_QUOTA", "REQUEST_QUOTA"];
+
+// Role assignments read from the environment, see .env.example
+const ROLE_ASSIGNMENTS = [
+  ["ADMIN_ROLE", "ADMIN_ADDRESSES"],
+  ["QUALITY_REVIEWER_ROLE", "QUALITY_REVIEWER_ADDRESSES"],
+  ["REWARD_DISTRIBUTOR_ROLE", "REWARD_DISTRIBUTOR_ADDRESSES"],
+  ["PAUSER_ROLE", "PAUSER_ADDRESS"],
+];
+
+function parseAddresses(value) {
+  return (value || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter((address) => address.length > 0);
+}
+
+// Apply the epoch length and default quotas configured in the environment
+async function configureQuotas(quotaManager) {
+  if (process.env.QUOTA_EPOCH_LENGTH) {
+    const epochTx = await quotaManager.setEpochLength(process.env.QUOTA_EPOCH_LENGTH);
+    await epochTx.wait();
+  }
+  for (const [operation, envName] of QUOTA_SETTINGS.entries()) {
+    if (process.env[envName]) {
+      const quotaTx = await quotaManager.setDefaultQuota(operation, process.env[envName]);
+      await quotaTx.wait();
+      console.log(`✓ ${envName} set to ${process.env[envName]} per epoch`);
+    }
+  }
+}
+
+// Grant the roles listed in ROLE_ASSIGNMENTS, skipping accounts that already hold them
+async function assignRoles(contract) {
+  for (const [roleName, envName] of ROLE_ASSIGNMENTS) {
+    const role = await contract[roleName]();
+    for (const account of parseAddresses(process.env[envName])) {
+      if (await contract.hasRole(role, account)) {
+        continue;
+      }
+      const grantTx = await contract.grantRole(role, account);
+      await grantTx.wait();
+      console.log(`✓ Granted ${roleName} to ${account}`);
+    }
+  }
+}
+
+// Start the two-step ownership transfer of the platform and proxy admin to OWNER_ADDRESS
+async function transferOwnership(contract, proxyAdmin, deployer) {
+  const ownerAddress = process.env.OWNER_ADDRESS;
+  if (!ownerAddress || ownerAddress.toLowerCase() === deployer.address.toLowerCase()) {
+    return;
+  }
+  const transferTx = await contract.transferOwnership(ownerAddress);
+  await transferTx.wait();
+  const adminTransferTx = await proxyAdmin.transferOwnership(ownerAddress);
+  await adminTransferTx.wait();
+  console.log("✓ Ownership transfer started, pending acceptance by:", ownerAddress);
+  console.log("  (platform and proxy admin, each accepted with acceptOwnership)");
+}
 
 async function main() {
   console.log("Starting deployment process...");
@@ -15,23 +85,40 @@ async function main() {
   console.log("Account balance:", hre.ethers.formatEther(balance), "ETH");
   console.log("----------------------------------------");
 
-  // Deploy the contract
-  console.log("Deploying AnonymousResearchDataSharing contract...");
+  // Deploy the platform behind a transparent proxy so later fixes keep its address, datasets and
+  // ACL grants; the proxy calls initialize in its constructor, the implementation itself is locked
+  console.log("Deploying AnonymousResearchDataSharing behind a proxy...");
+
+  const platformLayout = await getStorageLayout(hre, "AnonymousResearchDataSharing");
 
   const AnonymousResearchDataSharing = await hre.ethers.getContractFactory(
     "AnonymousResearchDataSharing"
   );
+  const implementation = await AnonymousResearchDataSharing.deploy();
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  const implementationTx = implementation.deploymentTransaction();
+  console.log("✓ Implementation deployed:", implementationAddress);
+
+  const PlatformProxyAdmin = await hre.ethers.getContractFactory("PlatformProxyAdmin");
+  const proxyAdmin = await PlatformProxyAdmin.deploy(deployer.address);
+  await proxyAdmin.waitForDeployment();
+  const proxyAdminAddress = await proxyAdmin.getAddress();
+  console.log("✓ Proxy admin deployed:", proxyAdminAddress);
 
-  const contract = await AnonymousResearchDataSharing.deploy();
-  await contract.waitForDeployment();
+  const initializeCall = AnonymousResearchDataSharing.interface.encodeFunctionData("initialize");
+  const PlatformProxy = await hre.ethers.getContractFactory("PlatformProxy");
+  const proxy = await PlatformProxy.deploy(implementationAddress, proxyAdminAddress, initializeCall);
+  await proxy.waitForDeployment();
 
-  const contractAddress = await contract.getAddress();
+  const contractAddress = await proxy.getAddress();
+  const contract = AnonymousResearchDataSharing.attach(contractAddress);
   console.log("✓ Contract deployed successfully!");
-  console.log("Contract address:", contractAddress);
+  console.log("Contract address (proxy):", contractAddress);
   console.log("----------------------------------------");
 
   // Get deployment transaction details
-  const deploymentTx = contract.deploymentTransaction();
+  const deploymentTx = proxy.deploymentTransaction();
   if (deploymentTx) {
     console.log("Transaction hash:", deploymentTx.hash);
     console.log("Block number:", deploymentTx.blockNumber);
@@ -39,21 +126,266 @@ async function main() {
   }
   console.log("----------------------------------------");
 
+  // Deploy the confidential reward token minted by the platform contract
+  console.log("Deploying ConfidentialRewardToken contract...");
+
+  const ConfidentialRewardToken = await hre.ethers.getContractFactory("ConfidentialRewardToken");
+  const rewardToken = await ConfidentialRewardToken.deploy(
+    REWARD_TOKEN_NAME,
+    REWARD_TOKEN_SYMBOL,
+    contractAddress
+  );
+  await rewardToken.waitForDeployment();
+
+  const rewardTokenAddress = await rewardToken.getAddress();
+  console.log("✓ Reward token deployed successfully!");
+  console.log("Reward token address:", rewardTokenAddress);
+
+  const setTokenTx = await contract.setRewardToken(rewardTokenAddress);
+  await setTokenTx.wait();
+  console.log("✓ Reward token linked to platform contract");
+  console.log("----------------------------------------");
+
+  // Deploy the analytics contract before any data is contributed so every dataset is shared with it
+  console.log("Deploying ResearchDataAnalytics contract...");
+
+  const ResearchDataAnalytics = await hre.ethers.getContractFactory("ResearchDataAnalytics");
+  const analytics = await ResearchDataAnalytics.deploy(contractAddress);
+  await analytics.waitForDeployment();
+
+  const analyticsAddress = await analytics.getAddress();
+  console.log("✓ Analytics contract deployed successfully!");
+  console.log("Analytics address:", analyticsAddress);
+
+  const setAnalyticsTx = await contract.setAnalytics(analyticsAddress);
+  await setAnalyticsTx.wait();
+  console.log("✓ Analytics linked to platform contract");
+  console.log("----------------------------------------");
+
+  // Deploy the reputation contract before any data is contributed so every quality score counts
+  console.log("Deploying ResearchReputation contract...");
+
+  const ResearchReputation = await hre.ethers.getContractFactory("ResearchReputation");
+  const reputation = await ResearchReputation.deploy(contractAddress);
+  await reputation.waitForDeployment();
+  const reputationAddress = await reputation.getAddress();
+
+  const setReputationTx = await contract.setReputation(reputationAddress);
+  await setReputationTx.wait();
+  console.log("✓ Reputation deployed and linked:", reputationAddress);
+  console.log("----------------------------------------");
+
+  // Deploy the sealed-bid pricing contract, which reads request budgets per comparison
+  console.log("Deploying ResearchPricing contract...");
+
+  const ResearchPricing = await hre.ethers.getContractFactory("ResearchPricing");
+  const pricing = await ResearchPricing.deploy(contractAddress);
+  await pricing.waitForDeployment();
+  const pricingAddress = await pricing.getAddress();
+
+  const setPricingTx = await contract.setPricing(pricingAddress);
+  await setPricingTx.wait();
+  console.log("✓ Pricing deployed and linked:", pricingAddress);
+  console.log("----------------------------------------");
+
+  // Deploy the access marketplace; it grants access on settlement through ACCESS_GRANTER_ROLE
+  console.log("Deploying ResearchMarketplace contract...");
+
+  const ResearchMarketplace = await hre.ethers.getContractFactory("ResearchMarketplace");
+  const marketplace = await ResearchMarketplace.deploy(contractAddress, rewardTokenAddress);
+  await marketplace.waitForDeployment();
+  const marketplaceAddress = await marketplace.getAddress();
+
+  const marketplaceRoleTx = await contract.grantRole(
+    await contract.ACCESS_GRANTER_ROLE(),
+    marketplaceAddress
+  );
+  await marketplaceRoleTx.wait();
+  console.log("✓ Marketplace deployed and granted ACCESS_GRANTER_ROLE:", marketplaceAddress);
+  console.log("----------------------------------------");
+
+  // Deploy the moderation contract; it rescores flagged datasets and handles reason-coded
+  // deactivation and reactivation through MODERATOR_ROLE
+  console.log("Deploying ResearchModeration contract...");
+
+  const ResearchModeration = await hre.ethers.getContractFactory("ResearchModeration");
+  const moderation = await ResearchModeration.deploy(contractAddress);
+  await moderation.waitForDeployment();
+  const moderationAddress = await moderation.getAddress();
+
+  for (const roleName of ["QUALITY_REVIEWER_ROLE", "MODERATOR_ROLE"]) {
+    const roleTx = await contract.grantRole(await contract[roleName](), moderationAddress);
+    await roleTx.wait();
+  }
+  console.log("✓ Moderation deployed and granted reviewer and moderator roles:", moderationAddress);
+  console.log("----------------------------------------");
+
+  // Deploy the dataset versions contract; it publishes new versions through VERSION_MANAGER_ROLE
+  console.log("Deploying ResearchDatasetVersions contract...");
+
+  const ResearchDatasetVersions = await hre.ethers.getContractFactory("ResearchDatasetVersions");
+  const versions = await ResearchDatasetVersions.deploy(contractAddress);
+  await versions.waitForDeployment();
+  const versionsAddress = await versions.getAddress();
+
+  const versionsRoleTx = await contract.grantRole(
+    await contract.VERSION_MANAGER_ROLE(),
+    versionsAddress
+  );
+  await versionsRoleTx.wait();
+  console.log("✓ Dataset versions deployed and granted VERSION_MANAGER_ROLE:", versionsAddress);
+  console.log("----------------------------------------");
+
+  // Deploy the peer review contract; it replaces quality scores with encrypted review averages
+  console.log("Deploying ResearchPeerReview contract...");
+
+  const ResearchPeerReview = await hre.ethers.getContractFactory("ResearchPeerReview");
+  const peerReview = await ResearchPeerReview.deploy(contractAddress);
+  await peerReview.waitForDeployment();
+  const peerReviewAddress = await peerReview.getAddress();
+
+  const peerReviewRoleTx = await contract.grantRole(
+    await contract.QUALITY_REVIEWER_ROLE(),
+    peerReviewAddress
+  );
+  await peerReviewRoleTx.wait();
+  console.log("✓ Peer review deployed and granted QUALITY_REVIEWER_ROLE:", peerReviewAddress);
+  console.log("----------------------------------------");
+
+  // Deploy the schema registry; every contribution must reference a schema registered there
+  console.log("Deploying ResearchSchemaRegistry and ResearchRecordStore contracts...");
+
+  const ResearchSchemaRegistry = await hre.ethers.getContractFactory("ResearchSchemaRegistry");
+  const schemaRegistry = await ResearchSchemaRegistry.deploy();
+  await schemaRegistry.waitForDeployment();
+  const schemaRegistryAddress = await schemaRegistry.getAddress();
+
+  const setRegistryTx = await contract.setSchemaRegistry(schemaRegistryAddress);
+  await setRegistryTx.wait();
+
+  // Schema 1 describes the single encrypted value of a plain contribution
+  const defaultSchemaTx = await schemaRegistry.registerSchema(
+    DEFAULT_SCHEMA_NAME,
+    ["value"],
+    [FIELD_TYPE_UINT32],
+    [""]
+  );
+  await defaultSchemaTx.wait();
+
+  // The multi-field record store reads datasets and their schemas from the platform
+
+  const ResearchRecordStore = await hre.ethers.getContractFactory("ResearchRecordStore");
+  const recordStore = await ResearchRecordStore.deploy(contractAddress, schemaRegistryAddress);
+  await recordStore.waitForDeployment();
+  const recordStoreAddress = await recordStore.getAddress();
+
+  console.log("✓ Schema registry deployed:", schemaRegistryAddress);
+  console.log(`✓ Default schema "${DEFAULT_SCHEMA_NAME}" registered with ID 1`);
+  console.log("✓ Record store deployed:", recordStoreAddress);
+  console.log("----------------------------------------");
+
+  // Deploy the quota manager; the analytics and record store contracts count aggregate queries
+  console.log("Deploying ResearchQuotaManager contract...");
+
+  const ResearchQuotaManager = await hre.ethers.getContractFactory("ResearchQuotaManager");
+  const quotaManager = await ResearchQuotaManager.deploy(contractAddress);
+  await quotaManager.waitForDeployment();
+  const quotaManagerAddress = await quotaManager.getAddress();
+
+  for (const consumer of [analyticsAddress, recordStoreAddress]) {
+    const consumerTx = await quotaManager.setConsumer(consumer, true);
+    await consumerTx.wait();
+  }
+
+  await configureQuotas(quotaManager);
+
+  const setQuotaManagerTx = await contract.setQuotaManager(quotaManagerAddress);
+  await setQuotaManagerTx.wait();
+  console.log("✓ Quota manager deployed:", quotaManagerAddress);
+  console.log("----------------------------------------");
+
+  // Deploy the read-only catalog used by the frontend to list datasets and requests in pages
+  console.log("Deploying ResearchCatalog and ResearchHandleView contracts...");
+
+  const ResearchCatalog = await hre.ethers.getContractFactory("ResearchCatalog");
+  const catalog = await ResearchCatalog.deploy(contractAddress);
+  await catalog.waitForDeployment();
+  const catalogAddress = await catalog.getAddress();
+
+  console.log("✓ Catalog deployed:", catalogAddress);
+
+  // Deploy the handle view the frontend uses to fetch ciphertext handles for user decryption
+  const ResearchHandleView = await hre.ethers.getContractFactory("ResearchHandleView");
+  const handleView = await ResearchHandleView.deploy(contractAddress);
+  await handleView.waitForDeployment();
+  const handleViewAddress = await handleView.getAddress();
+
+  console.log("✓ Handle view deployed:", handleViewAddress);
+  console.log("----------------------------------------");
+
+  // Delegate platform roles and hand over ownership if configured
+  console.log("Configuring platform roles...");
+
+  await assignRoles(contract);
+  await transferOwnership(contract, proxyAdmin, deployer);
+  console.log("----------------------------------------");
+
   // Verify contract deployment
   console.log("Verifying contract deployment...");
   const owner = await contract.owner();
   const nextDatasetId = await contract.nextDatasetId();
   const nextRequestId = await contract.nextRequestId();
+  const linkedRewardToken = await contract.rewardToken();
 
   console.log("✓ Contract owner:", owner);
+  console.log("✓ Implementation:", implementationAddress);
+  console.log("✓ Proxy admin:", proxyAdminAddress);
   console.log("✓ Next dataset ID:", nextDatasetId.toString());
   console.log("✓ Next request ID:", nextRequestId.toString());
+  console.log("✓ Reward token:", linkedRewardToken);
+  console.log("✓ Analytics:", await contract.analytics());
+  console.log("✓ Reputation:", await contract.reputation());
+  console.log("✓ Pricing:", await contract.pricing());
+  console.log("✓ Marketplace:", marketplaceAddress);
+  console.log("✓ Moderation:", moderationAddress);
+  console.log("✓ Dataset versions:", versionsAddress);
+  console.log("✓ Peer review:", peerReviewAddress);
+  console.log("✓ Schema registry:", await contract.schemaRegistry());
+  console.log("✓ Quota manager:", await contract.quotaManager());
   console.log("----------------------------------------");
 
   // Save deployment information
   const deploymentInfo = {
     network: hre.network.name,
     contractAddress: contractAddress,
+    proxyAdminAddress: proxyAdminAddress,
+    implementationAddress: implementationAddress,
+    // Every implementation the proxy has pointed to; scripts/upgrade.js checks new versions
+    // against the storage layout of the last entry and appends to this list
+    implementations: [
+      {
+        address: implementationAddress,
+        contractName: "AnonymousResearchDataSharing",
+        deployedAt: new Date().toISOString(),
+        transactionHash: implementationTx?.hash || "N/A",
+        storageLayout: platformLayout,
+      },
+    ],
+    rewardTokenAddress: rewardTokenAddress,
+    rewardTokenName: REWARD_TOKEN_NAME,
+    rewardTokenSymbol: REWARD_TOKEN_SYMBOL,
+    analyticsAddress: analyticsAddress,
+    reputationAddress: reputationAddress,
+    pricingAddress: pricingAddress,
+    marketplaceAddress: marketplaceAddress,
+    moderationAddress: moderationAddress,
+    versionsAddress: versionsAddress,
+    peerReviewAddress: peerReviewAddress,
+    schemaRegistryAddress: schemaRegistryAddress,
+    recordStoreAddress: recordStoreAddress,
+    quotaManagerAddress: quotaManagerAddress,
+    catalogAddress: catalogAddress,
+    handleViewAddress: handleViewAddress,
     deployer: deployer.address,
     deploymentTime: new Date().toISOString(),
     transactionHash: deploymentTx?.hash || "N/A",
@@ -78,8 +410,31 @@ async function main() {
   if (hre.network.name === "sepolia") {
     console.log("Network: Sepolia Testnet");
     console.log("Explorer:", `https://sepolia.etherscan.io/address/${contractAddress}`);
-    console.log("To verify the contract, run:");
-    console.log(`npx hardhat verify --network sepolia ${contractAddress}`);
+    console.log("To verify the contracts, run:");
+    console.log(`npx hardhat verify --network sepolia ${implementationAddress}`);
+    console.log(`npx hardhat verify --network sepolia ${proxyAdminAddress} ${deployer.address}`);
+    console.log(
+      `npx hardhat verify --network sepolia ${contractAddress} ${implementationAddress} ${proxyAdminAddress} ${initializeCall}`
+    );
+    console.log(
+      `npx hardhat verify --network sepolia ${rewardTokenAddress} "${REWARD_TOKEN_NAME}" "${REWARD_TOKEN_SYMBOL}" ${contractAddress}`
+    );
+    console.log(`npx hardhat verify --network sepolia ${analyticsAddress} ${contractAddress}`);
+    console.log(`npx hardhat verify --network sepolia ${reputationAddress} ${contractAddress}`);
+    console.log(`npx hardhat verify --network sepolia ${pricingAddress} ${contractAddress}`);
+    console.log(
+      `npx hardhat verify --network sepolia ${marketplaceAddress} ${contractAddress} ${rewardTokenAddress}`
+    );
+    console.log(`npx hardhat verify --network sepolia ${moderationAddress} ${contractAddress}`);
+    console.log(`npx hardhat verify --network sepolia ${versionsAddress} ${contractAddress}`);
+    console.log(`npx hardhat verify --network sepolia ${peerReviewAddress} ${contractAddress}`);
+    console.log(`npx hardhat verify --network sepolia ${schemaRegistryAddress}`);
+    console.log(
+      `npx hardhat verify --network sepolia ${recordStoreAddress} ${contractAddress} ${schemaRegistryAddress}`
+    );
+    console.log(`npx hardhat verify --network sepolia ${quotaManagerAddress} ${contractAddress}`);
+    console.log(`npx hardhat verify --network sepolia ${catalogAddress} ${contractAddress}`);
+    console.log(`npx hardhat verify --network sepolia ${handleViewAddress} ${contractAddress}`);
   } else if (hre.network.name === "localhost" || hre.network.name === "hardhat") {
     console.log("Network: Local Development");
     console.log("Note: This is a local deployment for testing purposes.");
@@ -91,6 +446,35 @@ async function main() {
   return {
     contract: contract,
     address: contractAddress,
+    implementationAddress: implementationAddress,
+    proxyAdmin: proxyAdmin,
+    proxyAdminAddress: proxyAdminAddress,
+    rewardToken: rewardToken,
+    rewardTokenAddress: rewardTokenAddress,
+    analytics: analytics,
+    analyticsAddress: analyticsAddress,
+    reputation: reputation,
+    reputationAddress: reputationAddress,
+    pricing: pricing,
+    pricingAddress: pricingAddress,
+    marketplace: marketplace,
+    marketplaceAddress: marketplaceAddress,
+    moderation: moderation,
+    moderationAddress: moderationAddress,
+    versions: versions,
+    versionsAddress: versionsAddress,
+    peerReview: peerReview,
+    peerReviewAddress: peerReviewAddress,
+    schemaRegistry: schemaRegistry,
+    schemaRegistryAddress: schemaRegistryAddress,
+    recordStore: recordStore,
+    recordStoreAddress: recordStoreAddress,
+    quotaManager: quotaManager,
+    quotaManagerAddress: quotaManagerAddress,
+    catalog: catalog,
+    catalogAddress: catalogAddress,
+    handleView: handleView,
+    handleViewAddress: handleViewAddress,
     deployer: deployer.address,
   };
 }
@@ -1,32 +1,247 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+
+// Operation categories that can be paused independently
+const PAUSE_OPERATIONS = ["CONTRIBUTIONS", "ACCESS_GRANTS", "REWARDS", "REQUESTS"];
+
+// Dataset status reason codes, in contract enum order
+const STATUS_REASONS = ["UNSPECIFIED", "WITHDRAWN_CONSENT", "DATA_ERROR", "MODERATION", "RESOLVED"];
+
+function parseStatusReason(defaultReason) {
+  const name = (process.env.STATUS_REASON || defaultReason).toUpperCase();
+  const reason = STATUS_REASONS.indexOf(name);
+  if (reason < 0) {
+    throw new Error(`Unknown status reason: ${name}`);
+  }
+  return { name, reason };
+}
+
+// Schema field types, in contract enum order
+const FIELD_TYPES = ["UINT8", "UINT16", "UINT32", "UINT64", "BOOL"];
+
+// Quota operation categories, in contract enum order
+const QUOTA_OPERATIONS = ["GRANT", "QUERY", "REQUEST"];
+
+// Marketplace purchase statuses, in contract enum order
+const PURCHASE_STATUSES = ["NONE", "PENDING", "COMPLETED", "REFUNDED"];
+
+// Moderation flag reasons and statuses, in contract enum order
+const FLAG_REASONS = ["CORRUPT", "MISLABELED", "DUPLICATE", "CONSENT_ISSUE", "OTHER"];
+const FLAG_STATUSES = ["NONE", "OPEN", "DISMISSED", "SCORE_DOWNGRADED", "DATASET_DEACTIVATED"];
+
+function parseList(value) {
+  return value.split(",").map((item) => item.trim());
+}
+
+// Build the allowed-purpose bitmask from a comma-separated list of purpose codes (all if unset)
+function parseAllowedPurposes() {
+  if (!process.env.ALLOWED_PURPOSES) {
+    return hre.ethers.MaxUint256;
+  }
+  return parseList(process.env.ALLOWED_PURPOSES).reduce(
+    (mask, code) => mask | (1n << BigInt(code)),
+    0n
+  );
+}
+
+// List the purpose codes set in an allowed-purpose bitmask
+function formatPurposes(mask) {
+  if (mask === hre.ethers.MaxUint256) {
+    return "all";
+  }
+  const codes = [];
+  for (let code = 0; code < 256; code++) {
+    if (mask & (1n << BigInt(code))) {
+      codes.push(code);
+    }
+  }
+  return codes.join(", ") || "none";
+}
+
+// Read the latest deployment file for the current network
+function readLatestDeployment() {
+  const deploymentsDir = path.join(__dirname, "..", "deployments");
+  if (!fs.existsSync(deploymentsDir)) {
+    return {};
+  }
+
+  const files = fs
+    .readdirSync(deploymentsDir)
+    .filter((f) => f.startsWith(`deployment-${hre.network.name}`))
+    .sort()
+    .reverse();
+
+  return files.length > 0 ? JSON.parse(fs.readFileSync(path.join(deploymentsDir, files[0]))) : {};
+}
 
 // Get contract address from environment or deployment file
 function getContractAddress() {
-  let contractAddress = process.env.CONTRACT_ADDRESS;
+  return process.env.CONTRACT_ADDRESS || readLatestDeployment().contractAddress;
+}
 
-  if (!contractAddress) {
-    const deploymentsDir = path.join(__dirname, "..", "deployments");
-    if (fs.existsSync(deploymentsDir)) {
-      const files = fs
-        .readdirSync(deploymentsDir)
-        .filter((f) => f.startsWith(`deployment-${hre.network.name}`))
-        .sort()
-        .reverse();
-
-      if (files.length > 0) {
-        const latestDeployment = JSON.parse(
-          fs.readFileSync(path.join(deploymentsDir, files[0]))
-        );
-        contractAddress = latestDeployment.contractAddress;
-      }
-    }
+async function getSchemaRegistry(contract) {
+  return hre.ethers.getContractAt("ResearchSchemaRegistry", await contract.schemaRegistry());
+}
+
+// Connect to the multi-field record store and its schema registry
+async function getRecordStore() {
+  const recordStoreAddress =
+    process.env.RECORD_STORE_ADDRESS || readLatestDeployment().recordStoreAddress;
+  if (!recordStoreAddress) {
+    throw new Error("Record store address not found, set RECORD_STORE_ADDRESS or redeploy");
+  }
+
+  const recordStore = await hre.ethers.getContractAt("ResearchRecordStore", recordStoreAddress);
+  const schemaRegistry = await hre.ethers.getContractAt(
+    "ResearchSchemaRegistry",
+    await recordStore.schemaRegistry()
+  );
+  return { recordStore, schemaRegistry };
+}
+
+async function getCatalog() {
+  const catalogAddress = process.env.CATALOG_ADDRESS || readLatestDeployment().catalogAddress;
+  if (!catalogAddress) {
+    throw new Error("Catalog address not found, set CATALOG_ADDRESS or redeploy");
+  }
+  return hre.ethers.getContractAt("ResearchCatalog", catalogAddress);
+}
+
+async function getHandleView() {
+  const handleViewAddress =
+    process.env.HANDLE_VIEW_ADDRESS || readLatestDeployment().handleViewAddress;
+  if (!handleViewAddress) {
+    throw new Error("Handle view address not found, set HANDLE_VIEW_ADDRESS or redeploy");
+  }
+  return hre.ethers.getContractAt("ResearchHandleView", handleViewAddress);
+}
+
+async function getMarketplace() {
+  const marketplaceAddress =
+    process.env.MARKETPLACE_ADDRESS || readLatestDeployment().marketplaceAddress;
+  if (!marketplaceAddress) {
+    throw new Error("Marketplace address not found, set MARKETPLACE_ADDRESS or redeploy");
+  }
+  return hre.ethers.getContractAt("ResearchMarketplace", marketplaceAddress);
+}
+
+async function getModeration() {
+  const moderationAddress =
+    process.env.MODERATION_ADDRESS || readLatestDeployment().moderationAddress;
+  if (!moderationAddress) {
+    throw new Error("Moderation address not found, set MODERATION_ADDRESS or redeploy");
+  }
+  return hre.ethers.getContractAt("ResearchModeration", moderationAddress);
+}
+
+async function getVersions() {
+  const versionsAddress = process.env.VERSIONS_ADDRESS || readLatestDeployment().versionsAddress;
+  if (!versionsAddress) {
+    throw new Error("Versions address not found, set VERSIONS_ADDRESS or redeploy");
+  }
+  return hre.ethers.getContractAt("ResearchDatasetVersions", versionsAddress);
+}
+
+async function getPeerReview() {
+  const peerReviewAddress =
+    process.env.PEER_REVIEW_ADDRESS || readLatestDeployment().peerReviewAddress;
+  if (!peerReviewAddress) {
+    throw new Error("Peer review address not found, set PEER_REVIEW_ADDRESS or redeploy");
+  }
+  return hre.ethers.getContractAt("ResearchPeerReview", peerReviewAddress);
+}
+
+async function getQuotaManager(contract) {
+  const quotaManagerAddress = await contract.quotaManager();
+  if (quotaManagerAddress === hre.ethers.ZeroAddress) {
+    throw new Error("Quota manager not configured on the platform contract");
+  }
+  return hre.ethers.getContractAt("ResearchQuotaManager", quotaManagerAddress);
+}
+
+async function getReputation(contract) {
+  const reputationAddress = await contract.reputation();
+  if (reputationAddress === hre.ethers.ZeroAddress) {
+    throw new Error("Reputation contract not configured on the platform contract");
   }
+  return hre.ethers.getContractAt("ResearchReputation", reputationAddress);
+}
 
-  return contractAddress;
+async function getPricing(contract) {
+  const pricingAddress = await contract.pricing();
+  if (pricingAddress === hre.ethers.ZeroAddress) {
+    throw new Error("Pricing contract not configured on the platform contract");
+  }
+  return hre.ethers.getContractAt("ResearchPricing", pricingAddress);
 }
 
+// Menu entries in action number order; ACTION selects one by its 1-based position
+const ACTIONS = [
+  ["View platform statistics", (contract) => viewPlatformStats(contract)],
+  ["Contribute dataset", (contract) => contributeDataset(contract)],
+  ["Request data access", (contract) => requestDataAccess(contract)],
+  ["Grant data access", (contract) => grantDataAccess(contract)],
+  ["View dataset information", (contract) => viewDatasetInfo(contract)],
+  [
+    "View contributor datasets",
+    (contract, deployer) => viewContributorDatasets(contract, deployer.address),
+  ],
+  ["View data request information", (contract) => viewDataRequestInfo(contract)],
+  ["Update quality score (quality reviewer only)", (contract) => updateQualityScore(contract)],
+  ["Distribute reward (reward distributor only)", (contract) => distributeReward(contract)],
+  ["Deactivate dataset", () => deactivateDataset()],
+  ["Set dataset minimum price (contributor only)", (contract) => setDatasetPrice(contract)],
+  [
+    "Check budget eligibility (requester only, once per dataset)",
+    (contract) => checkBudgetEligibility(contract),
+  ],
+  ["Propose dataset for a request (contributor only)", (contract) => proposeDataset(contract)],
+  ["Accept dataset proposal (requester only)", (contract) => reviewProposal(contract, true)],
+  ["Reject dataset proposal (requester only)", (contract) => reviewProposal(contract, false)],
+  ["Mark request fulfilled (requester only)", (contract) => fulfillRequest(contract)],
+  ["Claim reward", (contract) => claimReward(contract)],
+  ["Grant time-bounded data access", (contract) => grantDataAccessUntil(contract)],
+  ["Revoke data access", (contract) => revokeDataAccess(contract)],
+  ["Compute encrypted aggregate statistics", (contract) => computeAggregate(contract)],
+  ["Filter datasets by encrypted quality threshold", (contract) => filterByQuality(contract)],
+  ["Publish aggregate result (requester only)", (contract) => publishAggregate(contract)],
+  ["Grant role (admin only)", (contract) => updateRole(contract, true)],
+  ["Revoke role (admin only)", (contract) => updateRole(contract, false)],
+  ["Start ownership transfer (owner only)", (contract) => transferOwnership(contract)],
+  ["Accept ownership", (contract) => acceptOwnership(contract)],
+  ["Pause operations (pauser only)", (contract) => setPaused(contract, true)],
+  ["Unpause operations (pauser only)", (contract) => setPaused(contract, false)],
+  ["Publish new dataset version (contributor only)", () => updateDataset()],
+  ["Reactivate dataset", () => reactivateDataset()],
+  ["Register dataset schema", (contract) => registerSchema(contract)],
+  ["Attach multi-field record (contributor only)", (contract) => attachRecord(contract)],
+  ["Grant field access (contributor or admin)", () => grantFieldAccess()],
+  ["Aggregate a record field", () => aggregateField()],
+  ["Publish new schema version (schema owner only)", (contract) => publishSchemaVersion(contract)],
+  ["Configure aggregate privacy (admin only)", (contract) => configurePrivacy(contract)],
+  ["View remaining quotas", (contract) => viewQuotas(contract)],
+  ["Configure quotas (admin only)", (contract) => configureQuotas(contract)],
+  ["View consent record", (contract) => viewConsentRecord(contract)],
+  ["List datasets (paginated)", () => listDatasets()],
+  ["List data requests (paginated)", () => listRequests()],
+  ["View my reputation (contributor only)", (contract) => viewReputation(contract)],
+  ["Check contributor reputation (requester only)", (contract) => checkReputation(contract)],
+  ["Decrypt my encrypted values", (contract) => viewMyEncryptedValues(contract)],
+  ["Contribute datasets from a file in batches", (contract) => contributeDatasetBatch(contract)],
+  ["Grant data access in a batch", (contract) => grantDataAccessBatch(contract)],
+  ["List dataset on the marketplace (contributor only)", () => listMarketplaceDataset()],
+  ["Buy dataset access through the marketplace (requester only)", () => purchaseDatasetAccess()],
+  ["View marketplace purchase", () => viewPurchase()],
+  ["Flag dataset for moderation", () => flagDataset()],
+  ["View moderation queue", () => viewModerationQueue()],
+  ["Resolve flag (quality reviewer only)", () => resolveFlag()],
+  ["Accredit peer reviewer (admin only)", () => setPeerReviewer()],
+  ["Submit encrypted peer review (accredited reviewer only)", () => submitPeerReview()],
+  ["View peer review tally", () => viewReviewTally()],
+];
+
 async function main() {
   console.log("Starting contract interaction...");
   console.log("----------------------------------------");
@@ -53,67 +268,21 @@ async function main() {
     contractAddress
   );
 
+  // Initialize the FHEVM API used for client-side encryption
+  await hre.fhevm.initializeCLIApi();
+
   // Display menu
   console.log("Available actions:");
-  console.log("1. View platform statistics");
-  console.log("2. Contribute dataset");
-  console.log("3. Request data access");
-  console.log("4. Grant data access");
-  console.log("5. View dataset information");
-  console.log("6. View contributor datasets");
-  console.log("7. View data request information");
-  console.log("8. Update quality score (owner only)");
-  console.log("9. Distribute reward (owner only)");
-  console.log("10. Deactivate dataset");
+  ACTIONS.forEach(([label], index) => console.log(`${index + 1}. ${label}`));
   console.log("----------------------------------------");
 
   // Get action from command line or default to viewing stats
-  const action = process.env.ACTION || "1";
-
-  switch (action) {
-    case "1":
-      await viewPlatformStats(contract);
-      break;
-
-    case "2":
-      await contributeDataset(contract);
-      break;
-
-    case "3":
-      await requestDataAccess(contract);
-      break;
-
-    case "4":
-      await grantDataAccess(contract);
-      break;
-
-    case "5":
-      await viewDatasetInfo(contract);
-      break;
-
-    case "6":
-      await viewContributorDatasets(contract, deployer.address);
-      break;
-
-    case "7":
-      await viewDataRequestInfo(contract);
-      break;
-
-    case "8":
-      await updateQualityScore(contract);
-      break;
-
-    case "9":
-      await distributeReward(contract);
-      break;
-
-    case "10":
-      await deactivateDataset(contract);
-      break;
-
-    default:
-      console.log("Invalid action. Defaulting to viewing platform statistics.");
-      await viewPlatformStats(contract);
+  const action = ACTIONS[Number(process.env.ACTION || "1") - 1];
+  if (action) {
+    await action[1](contract, deployer);
+  } else {
+    console.log("Invalid action. Defaulting to viewing platform statistics.");
+    await viewPlatformStats(contract);
   }
 
   console.log("----------------------------------------");
@@ -127,8 +296,21 @@ async function viewPlatformStats(contract) {
   console.log("Total requests:", stats[1].toString());
   console.log("Block timestamp:", new Date(Number(stats[2]) * 1000).toISOString());
 
+  const paused = [];
+  for (const name of PAUSE_OPERATIONS) {
+    if (stats[3] & (await contract[`PAUSE_${name}`]())) {
+      paused.push(name);
+    }
+  }
+  console.log("Paused operations:", paused.length > 0 ? paused.join(", ") : "none");
+
   const owner = await contract.owner();
   console.log("Contract owner:", owner);
+
+  const pendingOwner = await contract.pendingOwner();
+  if (pendingOwner !== hre.ethers.ZeroAddress) {
+    console.log("Pending owner:", pendingOwner);
+  }
 }
 
 async function contributeDataset(contract) {
@@ -138,13 +320,33 @@ async function contributeDataset(contract) {
   const qualityScore = process.env.QUALITY_SCORE || 85;
   const metadataHash = process.env.METADATA_HASH || "QmExampleHash123456789";
   const isPublic = process.env.IS_PUBLIC === "true";
+  const schemaId = Number(process.env.SCHEMA_ID || 1);
+  const allowedPurposes = parseAllowedPurposes();
 
   console.log("Data value (encrypted):", dataValue);
-  console.log("Quality score:", qualityScore);
+  console.log("Quality score (encrypted):", qualityScore);
   console.log("Metadata hash:", metadataHash);
   console.log("Is public:", isPublic);
-
-  const tx = await contract.contributeData(dataValue, qualityScore, metadataHash, isPublic);
+  console.log("Schema ID:", schemaId);
+  console.log("Allowed purposes:", formatPurposes(allowedPurposes));
+
+  // Encrypt client-side so the plaintext values never appear in calldata
+  const [signer] = await hre.ethers.getSigners();
+  const encryptedInput = await hre.fhevm
+    .createEncryptedInput(await contract.getAddress(), signer.address)
+    .add32(Number(dataValue))
+    .add8(Number(qualityScore))
+    .encrypt();
+
+  const tx = await contract["contributeData(bytes32,bytes32,bytes,string,bool,uint32,uint256)"](
+    encryptedInput.handles[0],
+    encryptedInput.handles[1],
+    encryptedInput.inputProof,
+    metadataHash,
+    isPublic,
+    schemaId,
+    allowedPurposes
+  );
   console.log("Transaction hash:", tx.hash);
 
   const receipt = await tx.wait();
@@ -172,12 +374,26 @@ async function requestDataAccess(contract) {
   const researchTopic = process.env.RESEARCH_TOPIC || "Medical Research Study";
   const budget = process.env.BUDGET || 50000;
   const deadline = process.env.DEADLINE || Math.floor(Date.now() / 1000) + 86400 * 30; // 30 days
+  const purpose = Number(process.env.PURPOSE || 0);
 
   console.log("Research topic:", researchTopic);
   console.log("Budget (encrypted):", budget);
   console.log("Deadline:", new Date(deadline * 1000).toISOString());
-
-  const tx = await contract.requestDataAccess(researchTopic, budget, deadline);
+  console.log("Purpose code:", purpose);
+
+  const [signer] = await hre.ethers.getSigners();
+  const encryptedInput = await hre.fhevm
+    .createEncryptedInput(await contract.getAddress(), signer.address)
+    .add32(Number(budget))
+    .encrypt();
+
+  const tx = await contract["requestDataAccess(string,bytes32,bytes,uint256,uint8)"](
+    researchTopic,
+    encryptedInput.handles[0],
+    encryptedInput.inputProof,
+    deadline,
+    purpose
+  );
   console.log("Transaction hash:", tx.hash);
 
   const receipt = await tx.wait();
@@ -203,17 +419,17 @@ async function grantDataAccess(contract) {
   console.log("\nGranting data access...");
 
   const datasetId = process.env.DATASET_ID || 1;
-  const accessor = process.env.ACCESSOR_ADDRESS;
+  const requestId = process.env.REQUEST_ID;
 
-  if (!accessor) {
-    console.error("Error: ACCESSOR_ADDRESS environment variable is required");
+  if (!requestId) {
+    console.error("Error: REQUEST_ID environment variable is required");
     return;
   }
 
   console.log("Dataset ID:", datasetId);
-  console.log("Accessor address:", accessor);
+  console.log("Request ID:", requestId);
 
-  const tx = await contract.grantDataAccess(datasetId, accessor);
+  const tx = await contract.grantDataAccess(datasetId, requestId);
   console.log("Transaction hash:", tx.hash);
 
   const receipt = await tx.wait();
@@ -221,6 +437,77 @@ async function grantDataAccess(contract) {
   console.log("Gas used:", receipt.gasUsed.toString());
 }
 
+// Contribute the records of a JSON file, each entry shaped like
+// { "dataValue": 12345, "qualityScore": 85, "metadataHash": "Qm...", "isPublic": false },
+// in transactions of at most MAX_BATCH_SIZE records
+async function contributeDatasetBatch(contract) {
+  console.log("\nContributing datasets in batches...");
+
+  const batchFile = process.env.BATCH_FILE;
+  if (!batchFile) {
+    console.error("Error: BATCH_FILE environment variable is required");
+    return;
+  }
+
+  const records = JSON.parse(fs.readFileSync(batchFile));
+  const schemaId = Number(process.env.SCHEMA_ID || 1);
+  const allowedPurposes = parseAllowedPurposes();
+  const batchSize = Number(await contract.MAX_BATCH_SIZE());
+
+  console.log("Records:", records.length);
+  console.log("Schema ID:", schemaId);
+  console.log("Allowed purposes:", formatPurposes(allowedPurposes));
+
+  const [signer] = await hre.ethers.getSigners();
+  for (let start = 0; start < records.length; start += batchSize) {
+    const batch = records.slice(start, start + batchSize);
+
+    // One input per batch, so every value and score is covered by a single proof
+    // (a full batch of 50 records packs 2000 bits, within the 2048-bit input limit)
+    const input = hre.fhevm.createEncryptedInput(await contract.getAddress(), signer.address);
+    for (const record of batch) {
+      input.add32(Number(record.dataValue)).add8(Number(record.qualityScore));
+    }
+    const encryptedInput = await input.encrypt();
+
+    const contributions = batch.map((record, i) => ({
+      encryptedDataValue: encryptedInput.handles[2 * i],
+      encryptedQualityScore: encryptedInput.handles[2 * i + 1],
+      metadataHash: record.metadataHash,
+      isPublic: Boolean(record.isPublic),
+    }));
+    const tx = await contract.contributeDataBatch(
+      contributions,
+      encryptedInput.inputProof,
+      schemaId,
+      allowedPurposes
+    );
+    console.log("Transaction hash:", tx.hash);
+
+    const receipt = await tx.wait();
+    console.log(`✓ Records ${start + 1}-${start + batch.length} contributed`);
+    console.log("Gas used:", receipt.gasUsed.toString());
+  }
+}
+
+// Grant every listed dataset to the requester of every listed request in one transaction
+async function grantDataAccessBatch(contract) {
+  console.log("\nGranting data access in a batch...");
+
+  const datasetIds = parseList(process.env.DATASET_IDS || "1").map(Number);
+  const requestIds = parseList(process.env.REQUEST_IDS || "1").map(Number);
+
+  console.log("Dataset IDs:", datasetIds.join(", "));
+  console.log("Request IDs:", requestIds.join(", "));
+
+  const tx = await contract.grantDataAccessBatch(datasetIds, requestIds);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log(`✓ ${datasetIds.length * requestIds.length} grants recorded`);
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
 async function viewDatasetInfo(contract) {
   console.log("\nFetching dataset information...");
 
@@ -235,6 +522,26 @@ async function viewDatasetInfo(contract) {
     console.log("Timestamp:", new Date(Number(info[3]) * 1000).toISOString());
     console.log("Access count:", info[4].toString());
     console.log("Is active:", info[5]);
+    console.log("Status reason:", STATUS_REASONS[Number(await contract.datasetStatusReason(datasetId))]);
+    const versions = await getVersions();
+    console.log("Version:", (await versions.getDatasetVersionCount(datasetId)).toString());
+    console.log("Allowed purposes:", formatPurposes(await contract.datasetPurposes(datasetId)));
+
+    const schemaId = await contract.datasetSchema(datasetId);
+    const schema = await (await getSchemaRegistry(contract)).getSchema(schemaId);
+    console.log(`Schema: #${schemaId} ${schema.name} v${schema.version}`);
+    schema.fieldNames.forEach((field, i) => {
+      const unit = schema.fieldUnits[i] ? `, ${schema.fieldUnits[i]}` : "";
+      console.log(`  ${field} (${FIELD_TYPES[Number(schema.fieldTypes[i])]}${unit})`);
+    });
+
+    const [grantees, expiries] = await (await getCatalog()).getDatasetGrantees(datasetId);
+    console.log("Current grantees:", grantees.length);
+    grantees.forEach((grantee, i) => {
+      const expiry =
+        expiries[i] === 0n ? "never" : new Date(Number(expiries[i]) * 1000).toISOString();
+      console.log(`  ${grantee} (expires: ${expiry})`);
+    });
   } catch (error) {
     console.error("Error fetching dataset info:", error.message);
   }
@@ -271,6 +578,13 @@ async function viewDataRequestInfo(contract) {
     console.log("Research topic:", info[1]);
     console.log("Deadline:", new Date(Number(info[2]) * 1000).toISOString());
     console.log("Is fulfilled:", info[3]);
+    console.log("Is expired:", await contract.isRequestExpired(requestId));
+    console.log("Purpose code:", (await contract.requestPurpose(requestId)).toString());
+
+    const proposals = await contract.getRequestProposals(requestId);
+    const approved = await contract.getApprovedDatasets(requestId);
+    console.log("Proposed dataset IDs:", proposals.map((id) => id.toString()).join(", ") || "none");
+    console.log("Approved dataset IDs:", approved.map((id) => id.toString()).join(", ") || "none");
   } catch (error) {
     console.error("Error fetching request info:", error.message);
   }
@@ -317,13 +631,16 @@ async function distributeReward(contract) {
   console.log("Gas used:", receipt.gasUsed.toString());
 }
 
-async function deactivateDataset(contract) {
+async function deactivateDataset() {
   console.log("\nDeactivating dataset...");
 
   const datasetId = process.env.DATASET_ID || 1;
+  const { name, reason } = parseStatusReason("UNSPECIFIED");
   console.log("Dataset ID:", datasetId);
+  console.log("Reason:", name);
 
-  const tx = await contract.deactivateDataset(datasetId);
+  const moderation = await getModeration();
+  const tx = await moderation.deactivateDatasetWithReason(datasetId, reason);
   console.log("Transaction hash:", tx.hash);
 
   const receipt = await tx.wait();
@@ -331,6 +648,1098 @@ async function deactivateDataset(contract) {
   console.log("Gas used:", receipt.gasUsed.toString());
 }
 
+async function reactivateDataset() {
+  console.log("\nReactivating dataset...");
+
+  const datasetId = process.env.DATASET_ID || 1;
+  const { name, reason } = parseStatusReason("RESOLVED");
+  console.log("Dataset ID:", datasetId);
+  console.log("Reason:", name);
+
+  const moderation = await getModeration();
+  const tx = await moderation.reactivateDataset(datasetId, reason);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Dataset reactivated successfully!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function setDatasetPrice(contract) {
+  console.log("\nSetting dataset minimum price...");
+
+  const datasetId = process.env.DATASET_ID || 1;
+  const price = process.env.PRICE || 40000;
+
+  console.log("Dataset ID:", datasetId);
+  console.log("Minimum price (encrypted):", price);
+
+  const pricing = await getPricing(contract);
+  const [signer] = await hre.ethers.getSigners();
+  const encryptedInput = await hre.fhevm
+    .createEncryptedInput(await pricing.getAddress(), signer.address)
+    .add32(Number(price))
+    .encrypt();
+
+  const tx = await pricing.setDatasetPrice(
+    datasetId,
+    encryptedInput.handles[0],
+    encryptedInput.inputProof
+  );
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Dataset price set successfully!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function checkBudgetEligibility(contract) {
+  console.log("\nChecking budget eligibility...");
+
+  const requestId = process.env.REQUEST_ID || 1;
+  const datasetId = process.env.DATASET_ID || 1;
+
+  console.log("Request ID:", requestId);
+  console.log("Dataset ID:", datasetId);
+
+  const pricing = await getPricing(contract);
+  const tx = await pricing.checkBudgetEligibility(requestId, datasetId);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Eligibility computed (encrypted result)");
+  console.log("Gas used:", receipt.gasUsed.toString());
+
+  const [signer] = await hre.ethers.getSigners();
+  const handle = await pricing.budgetEligibility(requestId, datasetId);
+  const eligible = await hre.fhevm.userDecryptEbool(handle, await pricing.getAddress(), signer);
+  console.log("Eligible:", eligible);
+}
+
+async function proposeDataset(contract) {
+  console.log("\nProposing dataset for request...");
+
+  const requestId = process.env.REQUEST_ID || 1;
+  const datasetId = process.env.DATASET_ID || 1;
+
+  console.log("Request ID:", requestId);
+  console.log("Dataset ID:", datasetId);
+
+  const tx = await contract.proposeDataset(requestId, datasetId);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Dataset proposed successfully!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function reviewProposal(contract, accept) {
+  console.log(accept ? "\nAccepting dataset proposal..." : "\nRejecting dataset proposal...");
+
+  const requestId = process.env.REQUEST_ID || 1;
+  const datasetId = process.env.DATASET_ID || 1;
+
+  console.log("Request ID:", requestId);
+  console.log("Dataset ID:", datasetId);
+
+  const tx = accept
+    ? await contract.acceptProposal(requestId, datasetId)
+    : await contract.rejectProposal(requestId, datasetId);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log(accept ? "✓ Proposal accepted, access granted!" : "✓ Proposal rejected");
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function fulfillRequest(contract) {
+  console.log("\nMarking request fulfilled...");
+
+  const requestId = process.env.REQUEST_ID || 1;
+  console.log("Request ID:", requestId);
+
+  const tx = await contract.fulfillRequest(requestId);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Request fulfilled successfully!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function claimReward(contract) {
+  console.log("\nClaiming reward...");
+
+  const rewardIndex = process.env.REWARD_INDEX || 0;
+  console.log("Reward index:", rewardIndex);
+
+  const tx = await contract.claimReward(rewardIndex);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Reward claimed successfully!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+
+  const [signer] = await hre.ethers.getSigners();
+  const token = await hre.ethers.getContractAt("ConfidentialRewardToken", await contract.rewardToken());
+  const balance = await hre.fhevm.userDecryptEuint(
+    FhevmType.euint64,
+    await token.balanceOf(signer.address),
+    await token.getAddress(),
+    signer
+  );
+  console.log("Confidential token balance:", balance.toString());
+}
+
+async function grantDataAccessUntil(contract) {
+  console.log("\nGranting time-bounded data access...");
+
+  const datasetId = process.env.DATASET_ID || 1;
+  const requestId = process.env.REQUEST_ID;
+  const durationDays = Number(process.env.DURATION_DAYS || 30);
+
+  if (!requestId) {
+    console.error("Error: REQUEST_ID environment variable is required");
+    return;
+  }
+
+  const expiresAt = Math.floor(Date.now() / 1000) + 86400 * durationDays;
+
+  console.log("Dataset ID:", datasetId);
+  console.log("Request ID:", requestId);
+  console.log("Expires at:", new Date(expiresAt * 1000).toISOString());
+
+  const tx = await contract.grantDataAccessUntil(datasetId, requestId, expiresAt);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Time-bounded access granted successfully!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function revokeDataAccess(contract) {
+  console.log("\nRevoking data access...");
+
+  const datasetId = process.env.DATASET_ID || 1;
+  const accessor = process.env.ACCESSOR_ADDRESS;
+
+  if (!accessor) {
+    console.error("Error: ACCESSOR_ADDRESS environment variable is required");
+    return;
+  }
+
+  console.log("Dataset ID:", datasetId);
+  console.log("Accessor address:", accessor);
+
+  const tx = await contract.revokeDataAccess(datasetId, accessor);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Data access revoked successfully!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function computeAggregate(contract) {
+  console.log("\nComputing encrypted aggregate statistics...");
+
+  const datasetIds = (process.env.DATASET_IDS || "1").split(",").map((id) => Number(id.trim()));
+  console.log("Dataset IDs:", datasetIds.join(", "));
+
+  const analytics = await hre.ethers.getContractAt("ResearchDataAnalytics", await contract.analytics());
+  const tx = await analytics.computeAggregate(datasetIds);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Aggregate computed (encrypted result)");
+  console.log("Gas used:", receipt.gasUsed.toString());
+
+  const event = receipt.logs
+    .map((log) => analytics.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "AggregateComputed");
+  const aggregateId = event.args.aggregateId;
+  console.log("Aggregate ID:", aggregateId.toString());
+
+  const [signer] = await hre.ethers.getSigners();
+  const analyticsAddress = await analytics.getAddress();
+  const aggregate = await analytics.getAggregate(aggregateId);
+  const decrypt = (type, handle) =>
+    hre.fhevm.userDecryptEuint(type, handle, analyticsAddress, signer);
+
+  // Sum, min and max use clipped values plus bounded differential-privacy noise; the count is exact
+  const sum = await decrypt(FhevmType.euint64, aggregate.sum);
+  const count = await decrypt(FhevmType.euint32, aggregate.count);
+  console.log("Sum (noisy):", sum.toString());
+  console.log("Count:", count.toString());
+  console.log("Min (noisy):", (await decrypt(FhevmType.euint64, aggregate.minValue)).toString());
+  console.log("Max (noisy):", (await decrypt(FhevmType.euint64, aggregate.maxValue)).toString());
+  console.log("Mean (noisy):", (Number(sum) / Number(count)).toFixed(2));
+  console.log(
+    "Remaining privacy budget:",
+    (await analytics.remainingPrivacyBudget(signer.address)).toString()
+  );
+}
+
+async function filterByQuality(contract) {
+  console.log("\nFiltering datasets by encrypted quality threshold...");
+
+  const datasetIds = (process.env.DATASET_IDS || "1").split(",").map((id) => Number(id.trim()));
+  const threshold = Number(process.env.QUALITY_THRESHOLD || 80);
+
+  console.log("Dataset IDs:", datasetIds.join(", "));
+  console.log("Quality threshold (encrypted client-side):", threshold);
+
+  const [signer] = await hre.ethers.getSigners();
+  const analytics = await hre.ethers.getContractAt("ResearchDataAnalytics", await contract.analytics());
+  const analyticsAddress = await analytics.getAddress();
+
+  const encrypted = await hre.fhevm
+    .createEncryptedInput(analyticsAddress, signer.address)
+    .add8(threshold)
+    .encrypt();
+
+  const tx = await analytics.filterByQuality(datasetIds, encrypted.handles[0], encrypted.inputProof);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Quality filter computed (encrypted results)");
+  console.log("Gas used:", receipt.gasUsed.toString());
+
+  const event = receipt.logs
+    .map((log) => analytics.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "QualityFilterComputed");
+  const [, ids, matches] = await analytics.getQualityFilter(event.args.filterId);
+
+  for (let i = 0; i < ids.length; i++) {
+    const matched = await hre.fhevm.userDecryptEbool(matches[i], analyticsAddress, signer);
+    console.log(`  Dataset ${ids[i]}: ${matched ? "meets threshold" : "below threshold"}`);
+  }
+}
+
+async function publishAggregate(contract) {
+  console.log("\nRequesting public decryption of aggregate...");
+
+  const aggregateId = process.env.AGGREGATE_ID || 1;
+  console.log("Aggregate ID:", aggregateId);
+
+  const analytics = await hre.ethers.getContractAt("ResearchDataAnalytics", await contract.analytics());
+
+  let reveal = await analytics.getAggregateReveal(aggregateId);
+  if (!reveal.requested) {
+    const tx = await analytics.requestAggregateReveal(aggregateId);
+    console.log("Transaction hash:", tx.hash);
+
+    const receipt = await tx.wait();
+    console.log("✓ Decryption requested");
+    console.log("Gas used:", receipt.gasUsed.toString());
+  }
+
+  // Locally the mock relayer fulfils the request; on Sepolia the oracle calls back asynchronously
+  if (hre.fhevm.isMock) {
+    await hre.fhevm.awaitDecryptionOracle();
+  }
+
+  reveal = await analytics.getAggregateReveal(aggregateId);
+  console.log("Decryption request ID:", reveal.decryptionRequestId.toString());
+  if (reveal.revealed) {
+    console.log("✓ Aggregate published");
+    console.log("Sum:", reveal.sum.toString());
+    console.log("Count:", reveal.count.toString());
+  } else {
+    console.log("Waiting for the decryption oracle callback, run this action again later");
+  }
+}
+
+async function updateRole(contract, grant) {
+  console.log(grant ? "\nGranting role..." : "\nRevoking role...");
+
+  const roleName = process.env.ROLE || "QUALITY_REVIEWER_ROLE";
+  const account = process.env.ACCOUNT_ADDRESS;
+
+  if (!account) {
+    console.error("Error: ACCOUNT_ADDRESS environment variable is required");
+    return;
+  }
+
+  console.log("Role:", roleName);
+  console.log("Account:", account);
+
+  const role = await contract[roleName]();
+  const tx = grant
+    ? await contract.grantRole(role, account)
+    : await contract.revokeRole(role, account);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log(grant ? "✓ Role granted successfully!" : "✓ Role revoked successfully!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function transferOwnership(contract) {
+  console.log("\nStarting ownership transfer...");
+
+  const newOwner = process.env.NEW_OWNER_ADDRESS;
+
+  if (!newOwner) {
+    console.error("Error: NEW_OWNER_ADDRESS environment variable is required");
+    return;
+  }
+
+  console.log("New owner:", newOwner);
+
+  const tx = await contract.transferOwnership(newOwner);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Ownership transfer started, the new owner must accept it");
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function acceptOwnership(contract) {
+  console.log("\nAccepting ownership...");
+
+  const tx = await contract.acceptOwnership();
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Ownership accepted successfully!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function setPaused(contract, pause) {
+  console.log(pause ? "\nPausing operations..." : "\nUnpausing operations...");
+
+  const names = (process.env.PAUSE_OPERATIONS || "ALL")
+    .split(",")
+    .map((name) => name.trim().toUpperCase());
+
+  let operations = 0n;
+  for (const name of names) {
+    if (name !== "ALL" && !PAUSE_OPERATIONS.includes(name)) {
+      console.error("Error: Unknown operation:", name);
+      return;
+    }
+    operations |= await contract[`PAUSE_${name}`]();
+  }
+
+  console.log("Operations:", names.join(", "));
+
+  const tx = pause ? await contract.pause(operations) : await contract.unpause(operations);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log(pause ? "✓ Operations paused" : "✓ Operations resumed");
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function updateDataset() {
+  console.log("\nPublishing new dataset version...");
+
+  const datasetId = process.env.DATASET_ID || 1;
+  const dataValue = process.env.DATA_VALUE || 12345;
+  const metadataHash = process.env.METADATA_HASH || "QmExampleHash123456789";
+  // 0 keeps current grantees, 1 revokes them
+  const policy = process.env.REVOKE_GRANTEES === "true" ? 1 : 0;
+
+  console.log("Dataset ID:", datasetId);
+  console.log("Data value (encrypted):", dataValue);
+  console.log("Metadata hash:", metadataHash);
+  console.log("Grantees:", policy === 1 ? "revoked" : "retained");
+
+  // The proof is bound to the versions contract, which forwards the value to the platform
+  const versions = await getVersions();
+  const [signer] = await hre.ethers.getSigners();
+  const encryptedInput = await hre.fhevm
+    .createEncryptedInput(await versions.getAddress(), signer.address)
+    .add32(Number(dataValue))
+    .encrypt();
+
+  const tx = await versions.updateDataset(
+    datasetId,
+    encryptedInput.handles[0],
+    encryptedInput.inputProof,
+    metadataHash,
+    policy
+  );
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Dataset version published successfully!");
+  console.log("Version:", (await versions.getDatasetVersionCount(datasetId)).toString());
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+// Read field names, types and units for a schema from the environment
+function parseSchemaFields() {
+  const fieldNames = parseList(process.env.FIELD_NAMES || "age,dosage,outcome");
+  const fieldTypes = parseList(process.env.FIELD_TYPES || "UINT8,UINT16,BOOL").map((type) => {
+    const index = FIELD_TYPES.indexOf(type.toUpperCase());
+    if (index < 0) {
+      throw new Error(`Unknown field type: ${type}`);
+    }
+    return index;
+  });
+  const fieldUnits = parseList(process.env.FIELD_UNITS || "years,mg,");
+
+  fieldNames.forEach((field, i) => {
+    const unit = fieldUnits[i] ? ` (${fieldUnits[i]})` : "";
+    console.log(`  ${field}: ${FIELD_TYPES[fieldTypes[i]]}${unit}`);
+  });
+  return { fieldNames, fieldTypes, fieldUnits };
+}
+
+async function registerSchema(contract) {
+  console.log("\nRegistering dataset schema...");
+
+  const name = process.env.SCHEMA_NAME || "clinical";
+  console.log("Schema name:", name);
+  const { fieldNames, fieldTypes, fieldUnits } = parseSchemaFields();
+
+  const schemaRegistry = await getSchemaRegistry(contract);
+  const tx = await schemaRegistry.registerSchema(name, fieldNames, fieldTypes, fieldUnits);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  const event = receipt.logs
+    .map((log) => schemaRegistry.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "SchemaRegistered");
+  console.log("✓ Schema registered with ID:", event.args.schemaId.toString());
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function publishSchemaVersion(contract) {
+  console.log("\nPublishing new schema version...");
+
+  const previousSchemaId = process.env.SCHEMA_ID || 1;
+  console.log("Previous schema ID:", previousSchemaId);
+  const { fieldNames, fieldTypes, fieldUnits } = parseSchemaFields();
+
+  const schemaRegistry = await getSchemaRegistry(contract);
+  const tx = await schemaRegistry.publishSchemaVersion(
+    previousSchemaId,
+    fieldNames,
+    fieldTypes,
+    fieldUnits
+  );
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  const event = receipt.logs
+    .map((log) => schemaRegistry.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "SchemaVersionPublished");
+  console.log(`✓ Schema version ${event.args.version} published with ID:`, event.args.schemaId.toString());
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function attachRecord(contract) {
+  console.log("\nAttaching multi-field encrypted record...");
+
+  const datasetId = process.env.DATASET_ID || 1;
+  const values = parseList(process.env.FIELD_VALUES || "42,500,1");
+
+  const { recordStore, schemaRegistry } = await getRecordStore();
+  const schemaId = await contract.datasetSchema(datasetId);
+  const fieldTypes = await schemaRegistry.getFieldTypes(schemaId);
+  if (values.length !== fieldTypes.length) {
+    console.error(`Error: FIELD_VALUES must contain ${fieldTypes.length} values`);
+    return;
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const input = hre.fhevm.createEncryptedInput(await recordStore.getAddress(), signer.address);
+  fieldTypes.forEach((type, i) => {
+    const value = values[i];
+    switch (FIELD_TYPES[Number(type)]) {
+      case "UINT8":
+        input.add8(Number(value));
+        break;
+      case "UINT16":
+        input.add16(Number(value));
+        break;
+      case "UINT32":
+        input.add32(Number(value));
+        break;
+      case "UINT64":
+        input.add64(BigInt(value));
+        break;
+      default:
+        input.addBool(value === "true" || value === "1");
+    }
+  });
+  const encrypted = await input.encrypt();
+
+  console.log("Dataset ID:", datasetId);
+  console.log("Schema ID:", schemaId);
+  console.log("Fields (encrypted client-side):", values.length);
+
+  const tx = await recordStore.attachRecord(datasetId, encrypted.handles, encrypted.inputProof);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Record attached successfully!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function grantFieldAccess() {
+  console.log("\nGranting field access...");
+
+  const datasetId = process.env.DATASET_ID || 1;
+  const accessor = process.env.ACCESSOR_ADDRESS;
+  const fieldIndexes = parseList(process.env.FIELD_INDEXES || "0").map(Number);
+
+  if (!accessor) {
+    console.error("Error: ACCESSOR_ADDRESS environment variable is required");
+    return;
+  }
+
+  const fieldMask = fieldIndexes.reduce((mask, index) => mask | (1n << BigInt(index)), 0n);
+
+  console.log("Dataset ID:", datasetId);
+  console.log("Accessor address:", accessor);
+  console.log("Fields:", fieldIndexes.join(", "));
+
+  const { recordStore } = await getRecordStore();
+  const tx = await recordStore.grantFieldAccess(datasetId, accessor, fieldMask);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Field access granted successfully!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function aggregateField() {
+  console.log("\nAggregating encrypted record field...");
+
+  const datasetIds = parseList(process.env.DATASET_IDS || "1").map(Number);
+  const fieldIndex = Number(process.env.FIELD_INDEX || 0);
+
+  console.log("Dataset IDs:", datasetIds.join(", "));
+  console.log("Field index:", fieldIndex);
+
+  const { recordStore } = await getRecordStore();
+  const tx = await recordStore.aggregateField(datasetIds, fieldIndex);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Field aggregate computed (encrypted result)");
+  console.log("Gas used:", receipt.gasUsed.toString());
+
+  const event = receipt.logs
+    .map((log) => recordStore.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "FieldAggregateComputed");
+  const aggregate = await recordStore.getFieldAggregate(event.args.aggregateId);
+
+  const [signer] = await hre.ethers.getSigners();
+  const recordStoreAddress = await recordStore.getAddress();
+  const decrypt = (handle) =>
+    hre.fhevm.userDecryptEuint(FhevmType.euint64, handle, recordStoreAddress, signer);
+
+  console.log("Aggregate ID:", event.args.aggregateId.toString());
+  console.log("Sum (noisy):", (await decrypt(aggregate.sum)).toString());
+  console.log("Min (noisy):", (await decrypt(aggregate.minValue)).toString());
+  console.log("Max (noisy):", (await decrypt(aggregate.maxValue)).toString());
+  console.log(
+    "Remaining privacy budget:",
+    (await recordStore.remainingPrivacyBudget(signer.address)).toString()
+  );
+}
+
+async function configurePrivacy(contract) {
+  console.log("\nConfiguring aggregate privacy...");
+
+  const analytics = await hre.ethers.getContractAt("ResearchDataAnalytics", await contract.analytics());
+  const account = process.env.ACCOUNT_ADDRESS;
+  const settings = [
+    ["MIN_COHORT_SIZE", (value) => analytics.setMinCohortSize(value)],
+    ["SENSITIVITY", (value) => analytics.setSensitivity(value)],
+    ["NOISE_RANGE", (value) => analytics.setNoiseRange(value)],
+    [
+      "PRIVACY_BUDGET",
+      (value) =>
+        account
+          ? analytics.setPrivacyBudget(account, value)
+          : analytics.setDefaultPrivacyBudget(value),
+    ],
+  ];
+
+  for (const [name, update] of settings) {
+    if (!process.env[name]) {
+      continue;
+    }
+    console.log(`${name}:`, process.env[name]);
+    const tx = await update(process.env[name]);
+    await tx.wait();
+  }
+
+  if (account && process.env.RESET_PRIVACY_BUDGET === "true") {
+    const tx = await analytics.resetPrivacyBudget(account);
+    await tx.wait();
+    console.log("✓ Spent privacy budget reset for:", account);
+  }
+
+  console.log("✓ Privacy parameters updated");
+  console.log("Minimum cohort size:", (await analytics.minCohortSize()).toString());
+  console.log("Sensitivity:", (await analytics.sensitivity()).toString());
+  console.log("Noise range:", (await analytics.noiseRange()).toString());
+  if (account) {
+    console.log("Budget for account:", (await analytics.privacyBudgetOf(account)).toString());
+    console.log("Remaining:", (await analytics.remainingPrivacyBudget(account)).toString());
+  } else {
+    console.log("Default privacy budget:", (await analytics.defaultPrivacyBudget()).toString());
+  }
+}
+
+async function viewQuotas(contract) {
+  console.log("\nFetching remaining quotas...");
+
+  const [signer] = await hre.ethers.getSigners();
+  const account = process.env.ACCOUNT_ADDRESS || signer.address;
+  const quotaManager = await getQuotaManager(contract);
+
+  console.log("Account:", account);
+  console.log("Epoch:", (await quotaManager.currentEpoch()).toString());
+  console.log(
+    "Epoch ends at:",
+    new Date(Number(await quotaManager.epochEndsAt()) * 1000).toISOString()
+  );
+
+  for (const [operation, name] of QUOTA_OPERATIONS.entries()) {
+    const limit = await quotaManager.quotaOf(account, operation);
+    if (limit === 0n) {
+      console.log(`${name}: unlimited`);
+      continue;
+    }
+    const remaining = await quotaManager.remainingQuota(account, operation);
+    console.log(`${name}: ${remaining} of ${limit} remaining`);
+  }
+}
+
+async function configureQuotas(contract) {
+  console.log("\nConfiguring quotas...");
+
+  const quotaManager = await getQuotaManager(contract);
+  const account = process.env.ACCOUNT_ADDRESS;
+
+  if (process.env.QUOTA_EPOCH_LENGTH) {
+    const tx = await quotaManager.setEpochLength(process.env.QUOTA_EPOCH_LENGTH);
+    await tx.wait();
+    console.log("✓ Epoch length set to", process.env.QUOTA_EPOCH_LENGTH, "seconds");
+  }
+
+  for (const [operation, name] of QUOTA_OPERATIONS.entries()) {
+    const limit = process.env[`${name}_QUOTA`];
+    if (!limit) {
+      continue;
+    }
+    const tx = account
+      ? await quotaManager.setAccountQuota(account, operation, limit)
+      : await quotaManager.setDefaultQuota(operation, limit);
+    await tx.wait();
+    console.log(`✓ ${name} quota set to ${limit}${account ? ` for ${account}` : ""}`);
+  }
+
+  console.log("✓ Quotas updated");
+}
+
+async function viewConsentRecord(contract) {
+  console.log("\nFetching consent record...");
+
+  const datasetId = process.env.DATASET_ID || 1;
+  const accessor = process.env.ACCESSOR_ADDRESS;
+
+  if (!accessor) {
+    console.error("Error: ACCESSOR_ADDRESS environment variable is required");
+    return;
+  }
+
+  console.log("Dataset ID:", datasetId);
+  console.log("Accessor address:", accessor);
+  console.log("Allowed purposes:", formatPurposes(await contract.datasetPurposes(datasetId)));
+
+  const requestId = await contract.accessRequestId(datasetId, accessor);
+  if (requestId === 0n) {
+    console.log("No consent recorded for this accessor");
+    return;
+  }
+
+  console.log("Granted for request ID:", requestId.toString());
+  console.log("Declared purpose code:", (await contract.requestPurpose(requestId)).toString());
+  console.log("Access currently valid:", await contract.hasDataAccess(datasetId, accessor));
+}
+
+async function listDatasets() {
+  console.log("\nListing datasets...");
+
+  const catalog = await getCatalog();
+  const startId = Number(process.env.START_ID || 1);
+  const limit = Number(process.env.LIMIT || 20);
+  const filter = {
+    contributor: process.env.CONTRIBUTOR_ADDRESS || hre.ethers.ZeroAddress,
+    activeOnly: process.env.ACTIVE_ONLY === "true",
+    publicOnly: process.env.PUBLIC_ONLY === "true",
+  };
+
+  const [page, nextId] = await catalog.getDatasetsFiltered(filter, startId, limit);
+  console.log(`Showing ${page.length} matching datasets from ID ${startId}`);
+
+  for (const dataset of page) {
+    console.log(
+      `#${dataset.datasetId} ${dataset.metadataHash} by ${dataset.contributor}`,
+      `| ${dataset.isPublic ? "public" : "private"}, ${dataset.isActive ? "active" : "inactive"}`,
+      `| schema ${dataset.schemaId}, ${dataset.accessCount} accesses`,
+      `| purposes: ${formatPurposes(dataset.allowedPurposes)}`
+    );
+  }
+  printNextPage(nextId);
+}
+
+async function listRequests() {
+  console.log("\nListing data requests...");
+
+  const catalog = await getCatalog();
+  const startId = Number(process.env.START_ID || 1);
+  const limit = Number(process.env.LIMIT || 20);
+  const filter = {
+    requester: process.env.REQUESTER_ADDRESS || hre.ethers.ZeroAddress,
+    openOnly: process.env.OPEN_ONLY === "true",
+  };
+
+  const [page, nextId] = await catalog.getRequestsFiltered(filter, startId, limit);
+  console.log(`Showing ${page.length} matching requests from ID ${startId}`);
+
+  for (const request of page) {
+    const status = request.isFulfilled ? "fulfilled" : request.isExpired ? "expired" : "open";
+    console.log(
+      `#${request.requestId} "${request.researchTopic}" by ${request.requester}`,
+      `| purpose ${request.purpose}, ${status}, ${request.approvedCount} approved`,
+      `| deadline ${new Date(Number(request.deadline) * 1000).toISOString()}`
+    );
+  }
+  printNextPage(nextId);
+}
+
+// A page examines LIMIT IDs, so it can hold fewer matches than LIMIT while more pages remain
+function printNextPage(nextId) {
+  if (nextId === 0n) {
+    console.log("End of catalog");
+  } else {
+    console.log(`More entries may follow, run again with START_ID=${nextId}`);
+  }
+}
+
+async function viewReputation(contract) {
+  console.log("\nFetching contributor reputation...");
+
+  const [signer] = await hre.ethers.getSigners();
+  const reputation = await getReputation(contract);
+  const [scoreSum, datasetCount] = await reputation.getReputation(signer.address);
+
+  if (datasetCount === hre.ethers.ZeroHash) {
+    console.log("No quality scores recorded yet");
+    return;
+  }
+
+  const reputationAddress = await reputation.getAddress();
+  const decrypt = (handle) =>
+    hre.fhevm.userDecryptEuint(FhevmType.euint32, handle, reputationAddress, signer);
+  const sum = await decrypt(scoreSum);
+  const count = await decrypt(datasetCount);
+
+  console.log("Scored datasets:", count.toString());
+  console.log("Quality score sum:", sum.toString());
+  console.log("Average quality score:", (Number(sum) / Number(count)).toFixed(2));
+}
+
+async function checkReputation(contract) {
+  console.log("\nChecking contributor reputation against an encrypted threshold...");
+
+  const requestId = process.env.REQUEST_ID || 1;
+  const datasetId = process.env.DATASET_ID || 1;
+  const minAverage = Number(process.env.MIN_AVERAGE_QUALITY || 80);
+
+  console.log("Request ID:", requestId);
+  console.log("Dataset ID:", datasetId);
+  console.log("Minimum average quality (encrypted client-side):", minAverage);
+
+  const [signer] = await hre.ethers.getSigners();
+  const reputation = await getReputation(contract);
+  const reputationAddress = await reputation.getAddress();
+
+  const encrypted = await hre.fhevm
+    .createEncryptedInput(reputationAddress, signer.address)
+    .add8(minAverage)
+    .encrypt();
+
+  const tx = await reputation.checkReputation(
+    requestId,
+    datasetId,
+    encrypted.handles[0],
+    encrypted.inputProof
+  );
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Reputation checked (encrypted result)");
+  console.log("Gas used:", receipt.gasUsed.toString());
+
+  const handle = await reputation.reputationChecks(requestId, datasetId);
+  const meets = await hre.fhevm.userDecryptEbool(handle, reputationAddress, signer);
+  console.log(`Contributor ${meets ? "meets" : "does not meet"} the minimum average quality`);
+}
+
+// Decrypt every value the handle view releases to the caller, skipping the ones it refuses
+async function viewMyEncryptedValues(contract) {
+  console.log("\nDecrypting encrypted values readable by the caller...");
+
+  const [signer] = await hre.ethers.getSigners();
+  const handleView = await getHandleView();
+  const contractAddress = await contract.getAddress();
+  const datasetId = process.env.DATASET_ID || 1;
+  const requestId = process.env.REQUEST_ID || 1;
+  const rewardIndex = process.env.REWARD_INDEX || 0;
+
+  const fields = [
+    [`Request #${requestId} budget`, FhevmType.euint32, "getRequestBudget", requestId],
+    [`Dataset #${datasetId} value`, FhevmType.euint32, "getDataValue", datasetId],
+    [`Dataset #${datasetId} quality score`, FhevmType.euint8, "getQualityScore", datasetId],
+    [`Reward #${rewardIndex} amount`, FhevmType.euint64, "getReward", rewardIndex],
+  ];
+
+  for (const [label, type, getter, id] of fields) {
+    try {
+      const handle = await handleView[getter](id);
+      const value = await hre.fhevm.userDecryptEuint(type, handle, contractAddress, signer);
+      console.log(`${label}:`, value.toString());
+    } catch (error) {
+      const reason = error.reason || error.shortMessage || error.message;
+      console.log(`${label}: unavailable (${reason})`);
+    }
+  }
+}
+
+async function listMarketplaceDataset() {
+  console.log("\nListing dataset on the marketplace...");
+
+  const datasetId = process.env.DATASET_ID || 1;
+  console.log("Dataset ID:", datasetId);
+
+  // The sale price is the dataset's minimum price in the pricing contract (action 11)
+  const marketplace = await getMarketplace();
+  const tx = await marketplace.listDataset(datasetId);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Dataset listed successfully!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+// Escrow an encrypted payment from the caller's confidential token balance
+async function purchaseDatasetAccess() {
+  console.log("\nBuying dataset access through the marketplace...");
+
+  const datasetId = process.env.DATASET_ID || 1;
+  const requestId = process.env.REQUEST_ID || 1;
+  const payment = process.env.PAYMENT || 500;
+
+  console.log("Dataset ID:", datasetId);
+  console.log("Request ID:", requestId);
+  console.log("Payment (encrypted):", payment);
+
+  const marketplace = await getMarketplace();
+  const marketplaceAddress = await marketplace.getAddress();
+  const [signer] = await hre.ethers.getSigners();
+
+  // The marketplace pulls the payment into escrow as an operator of the caller's balance
+  const token = await hre.ethers.getContractAt(
+    "ConfidentialRewardToken",
+    await marketplace.token()
+  );
+  if (!(await token.isOperator(signer.address, marketplaceAddress))) {
+    const operatorTx = await token.setOperator(marketplaceAddress, true);
+    await operatorTx.wait();
+    console.log("✓ Marketplace approved as token operator");
+  }
+
+  const encryptedInput = await hre.fhevm
+    .createEncryptedInput(marketplaceAddress, signer.address)
+    .add64(Number(payment))
+    .encrypt();
+
+  const tx = await marketplace.purchaseAccess(
+    datasetId,
+    requestId,
+    encryptedInput.handles[0],
+    encryptedInput.inputProof
+  );
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  const escrowed = receipt.logs
+    .map((log) => marketplace.interface.parseLog(log))
+    .find((event) => event?.name === "PurchaseEscrowed");
+  console.log("✓ Payment escrowed, settlement requested");
+  console.log("Gas used:", receipt.gasUsed.toString());
+
+  // Locally the mock relayer fulfils the request; on Sepolia the oracle calls back asynchronously
+  if (hre.fhevm.isMock) {
+    await hre.fhevm.awaitDecryptionOracle();
+  }
+
+  await viewPurchase(escrowed.args.purchaseId);
+}
+
+async function viewPurchase(purchaseId = process.env.PURCHASE_ID || 1) {
+  console.log(`\nFetching marketplace purchase #${purchaseId}...`);
+
+  const marketplace = await getMarketplace();
+  const purchase = await marketplace.purchases(purchaseId);
+
+  console.log("Dataset ID:", purchase.datasetId.toString());
+  console.log("Request ID:", purchase.requestId.toString());
+  console.log("Buyer:", purchase.buyer);
+  console.log("Seller:", purchase.seller);
+  console.log("Status:", PURCHASE_STATUSES[Number(purchase.status)]);
+  if (Number(purchase.status) === 1) {
+    console.log("Waiting for the decryption oracle callback, run action 49 again later");
+  }
+}
+
+async function flagDataset() {
+  console.log("\nFlagging dataset for moderation...");
+
+  const datasetId = process.env.DATASET_ID || 1;
+  const reasonName = (process.env.FLAG_REASON || "CORRUPT").toUpperCase();
+  const reason = FLAG_REASONS.indexOf(reasonName);
+  if (reason < 0) {
+    throw new Error(`Unknown flag reason: ${reasonName}`);
+  }
+  const evidenceHash = process.env.EVIDENCE_HASH || "QmEvidence";
+
+  console.log("Dataset ID:", datasetId);
+  console.log("Reason:", reasonName);
+  console.log("Evidence hash:", evidenceHash);
+
+  const moderation = await getModeration();
+  const tx = await moderation.flagDataset(datasetId, reason, evidenceHash);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  const event = receipt.logs
+    .map((log) => moderation.interface.parseLog(log))
+    .find((parsed) => parsed?.name === "DatasetFlagged");
+  console.log("✓ Dataset flagged, flag ID:", event.args.flagId.toString());
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function viewModerationQueue() {
+  const offset = process.env.OFFSET || 0;
+  const limit = process.env.LIMIT || 20;
+  console.log(`\nFetching open flags (offset ${offset}, limit ${limit})...`);
+
+  const moderation = await getModeration();
+  const [page, total] = await moderation.getModerationQueue(offset, limit);
+
+  console.log("Open flags:", total.toString());
+  for (const flag of page) {
+    const flaggedAt = new Date(Number(flag.flaggedAt) * 1000).toISOString();
+    console.log(
+      `#${flag.flagId} dataset ${flag.datasetId} | ${FLAG_REASONS[Number(flag.reason)]} | ` +
+        `evidence ${flag.evidenceHash} | reporter ${flag.reporter} | ${flaggedAt}`
+    );
+  }
+}
+
+// Dismiss a flag, or act on it by rescoring (NEW_SCORE) or deactivating the dataset
+async function resolveFlag() {
+  console.log("\nResolving flag...");
+
+  const flagId = process.env.FLAG_ID || 1;
+  const resolution = (process.env.RESOLUTION || "DISMISS").toUpperCase();
+
+  console.log("Flag ID:", flagId);
+  console.log("Resolution:", resolution);
+
+  const moderation = await getModeration();
+  let tx;
+  if (resolution === "DISMISS") {
+    tx = await moderation.dismissFlag(flagId);
+  } else if (resolution === "DOWNGRADE") {
+    const newScore = process.env.NEW_SCORE || 50;
+    console.log("New quality score:", newScore);
+    tx = await moderation.downgradeScore(flagId, newScore);
+  } else if (resolution === "DEACTIVATE") {
+    tx = await moderation.deactivateFlaggedDataset(flagId);
+  } else {
+    throw new Error(`Unknown resolution: ${resolution} (use DISMISS, DOWNGRADE or DEACTIVATE)`);
+  }
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  const flag = await moderation.getFlag(flagId);
+  console.log("✓ Flag resolved:", FLAG_STATUSES[Number(flag.status)]);
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+async function setPeerReviewer() {
+  console.log("\nSetting peer reviewer accreditation...");
+
+  const [signer] = await hre.ethers.getSigners();
+  const reviewer = process.env.REVIEWER_ADDRESS || signer.address;
+  const accredited = process.env.ACCREDITED !== "false";
+
+  console.log("Reviewer:", reviewer);
+  console.log("Accredited:", accredited);
+
+  const peerReview = await getPeerReview();
+  const tx = await peerReview.setReviewer(reviewer, accredited);
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Reviewer accredited:", await peerReview.isAccreditedReviewer(reviewer));
+  console.log("Gas used:", receipt.gasUsed.toString());
+}
+
+// The score is encrypted client-side; other reviewers and the contributor only see the tally size
+async function submitPeerReview() {
+  console.log("\nSubmitting encrypted peer review...");
+
+  const datasetId = process.env.DATASET_ID || 1;
+  const score = process.env.REVIEW_SCORE || 80;
+
+  console.log("Dataset ID:", datasetId);
+  console.log("Review score (encrypted):", score);
+
+  const peerReview = await getPeerReview();
+  const [signer] = await hre.ethers.getSigners();
+  const encryptedInput = await hre.fhevm
+    .createEncryptedInput(await peerReview.getAddress(), signer.address)
+    .add8(Number(score))
+    .encrypt();
+
+  const tx = await peerReview.submitReview(
+    datasetId,
+    encryptedInput.handles[0],
+    encryptedInput.inputProof
+  );
+  console.log("Transaction hash:", tx.hash);
+
+  const receipt = await tx.wait();
+  console.log("✓ Review submitted successfully!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+
+  await viewReviewTally();
+}
+
+async function viewReviewTally() {
+  const datasetId = process.env.DATASET_ID || 1;
+  console.log(`\nFetching peer review tally for dataset ${datasetId}...`);
+
+  const peerReview = await getPeerReview();
+  const [reviewCount, appliedCount] = await peerReview.getReviewTally(datasetId);
+
+  console.log("Reviews:", reviewCount.toString());
+  console.log("Reviews per applied batch:", (await peerReview.minReviewers()).toString());
+  console.log("Reviews in the applied average:", appliedCount.toString());
+}
+
 // Execute interaction
 main()
   .then(() => process.exit(0))
@@ -0,0 +1,185 @@
+// Storage layout helpers shared by the deployment and upgrade scripts.
+//
+// Layouts are reduced to plain JSON (no AST ids) so they can be stored in deployments/
+// and compared with a later compilation of the implementation.
+
+// Read the compiler's storage layout for a contract and normalize it
+async function getStorageLayout(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const fullyQualifiedName = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  const output = buildInfo?.output.contracts[artifact.sourceName][artifact.contractName];
+
+  if (!output?.storageLayout) {
+    throw new Error(
+      `No storage layout for ${contractName}; run "npx hardhat compile --force" and try again`
+    );
+  }
+  return normalizeLayout(output.storageLayout);
+}
+
+function normalizeLayout(layout) {
+  return layout.storage.map((variable) => ({
+    label: variable.label,
+    slot: variable.slot,
+    offset: variable.offset,
+    type: normalizeType(layout.types, variable.type),
+  }));
+}
+
+function normalizeType(types, typeId) {
+  const type = types[typeId];
+  const numberOfBytes = type.numberOfBytes;
+
+  if (type.encoding === "mapping") {
+    return {
+      kind: "mapping",
+      key: normalizeType(types, type.key).label,
+      value: normalizeType(types, type.value),
+      numberOfBytes,
+    };
+  }
+  if (type.base) {
+    return {
+      kind: type.encoding === "dynamic_array" ? "dynamic_array" : "static_array",
+      base: normalizeType(types, type.base),
+      numberOfBytes,
+    };
+  }
+  if (type.members) {
+    return {
+      kind: "struct",
+      label: type.label,
+      members: type.members.map((member) => ({
+        label: member.label,
+        slot: member.slot,
+        offset: member.offset,
+        type: normalizeType(types, member.type),
+      })),
+      numberOfBytes,
+    };
+  }
+  // Contract-typed variables are stored as plain addresses
+  const label = type.label.startsWith("contract ") ? "address" : type.label;
+  return { kind: "value", label, numberOfBytes };
+}
+
+function describeType(type) {
+  switch (type.kind) {
+    case "mapping":
+      return `mapping(${type.key} => ${describeType(type.value)})`;
+    case "dynamic_array":
+      return `${describeType(type.base)}[]`;
+    case "static_array":
+      return `${describeType(type.base)}[${type.numberOfBytes} bytes]`;
+    default:
+      return type.label;
+  }
+}
+
+// Mapping values live in their own hashed slots, so their structs may grow at the end;
+// anywhere else a struct is packed next to other data and must keep its exact size
+function compareTypes(oldType, newType, canGrow, name, errors) {
+  if (oldType.kind !== newType.kind) {
+    errors.push(`${name} changed type from ${describeType(oldType)} to ${describeType(newType)}`);
+    return;
+  }
+
+  switch (oldType.kind) {
+    case "mapping":
+      if (oldType.key !== newType.key) {
+        errors.push(`${name} changed key type from ${oldType.key} to ${newType.key}`);
+        return;
+      }
+      compareTypes(oldType.value, newType.value, true, `${name}[${oldType.key}]`, errors);
+      return;
+    case "dynamic_array":
+      compareTypes(oldType.base, newType.base, false, `${name}[]`, errors);
+      return;
+    case "static_array":
+      if (oldType.numberOfBytes !== newType.numberOfBytes) {
+        errors.push(`${name} changed length`);
+        return;
+      }
+      compareTypes(oldType.base, newType.base, false, `${name}[]`, errors);
+      return;
+    case "struct":
+      compareStructs(oldType, newType, canGrow, name, errors);
+      return;
+    default:
+      // Enums keep their size when values are appended, so only the label and size are compared
+      if (oldType.label !== newType.label || oldType.numberOfBytes !== newType.numberOfBytes) {
+        errors.push(
+          `${name} changed type from ${describeType(oldType)} to ${describeType(newType)}`
+        );
+      }
+  }
+}
+
+function compareStructs(oldType, newType, canGrow, name, errors) {
+  if (newType.members.length < oldType.members.length) {
+    errors.push(`${name} (${oldType.label}) lost members`);
+    return;
+  }
+  if (!canGrow && newType.numberOfBytes !== oldType.numberOfBytes) {
+    errors.push(`${name} (${oldType.label}) changed size outside a mapping`);
+    return;
+  }
+
+  oldType.members.forEach((oldMember, i) => {
+    const newMember = newType.members[i];
+    const memberName = `${name}.${oldMember.label}`;
+    if (newMember.label !== oldMember.label) {
+      errors.push(`${memberName} was renamed, removed or reordered (found ${newMember.label})`);
+    } else if (newMember.slot !== oldMember.slot || newMember.offset !== oldMember.offset) {
+      errors.push(`${memberName} moved within ${oldType.label}`);
+    } else {
+      compareTypes(oldMember.type, newMember.type, false, memberName, errors);
+    }
+  });
+}
+
+function byteRange(variable) {
+  const start = BigInt(variable.slot) * 32n + BigInt(variable.offset);
+  return [start, start + BigInt(variable.type.numberOfBytes)];
+}
+
+// List every way the new layout would corrupt state written under the old one.
+// Existing variables must keep their name, position and type; new variables may only
+// use storage the old layout left unused.
+function compareLayouts(oldLayout, newLayout) {
+  const errors = [];
+
+  for (const oldVariable of oldLayout) {
+    const newVariable = newLayout.find(
+      (candidate) => candidate.slot === oldVariable.slot && candidate.offset === oldVariable.offset
+    );
+    if (!newVariable) {
+      errors.push(`${oldVariable.label} (slot ${oldVariable.slot}) was removed or moved`);
+    } else if (newVariable.label !== oldVariable.label) {
+      errors.push(
+        `${oldVariable.label} (slot ${oldVariable.slot}) was replaced by ${newVariable.label}`
+      );
+    } else {
+      compareTypes(oldVariable.type, newVariable.type, false, oldVariable.label, errors);
+    }
+  }
+
+  const oldRanges = oldLayout.map(byteRange);
+  for (const newVariable of newLayout) {
+    const [start, end] = byteRange(newVariable);
+    const kept = oldLayout.some(
+      (old) => old.slot === newVariable.slot && old.offset === newVariable.offset
+    );
+    if (!kept && oldRanges.some(([oldStart, oldEnd]) => start < oldEnd && oldStart < end)) {
+      errors.push(`${newVariable.label} (slot ${newVariable.slot}) overlaps existing storage`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  getStorageLayout,
+  compareLayouts,
+};
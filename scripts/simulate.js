@@ -2,29 +2,56 @@ const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 
+// Single-value "measurement" schema registered by scripts/deploy.js
+const DEFAULT_SCHEMA_ID = 1;
+
+// Research purpose codes declared on requests and allowed per dataset as a bitmask
+const CLINICAL_RESEARCH = 0;
+const VACCINE_RESEARCH = 1;
+const purposeMask = (...codes) => codes.reduce((mask, code) => mask | (1n << BigInt(code)), 0n);
+
+// Entries fetched per catalog call (ResearchCatalog.MAX_PAGE_SIZE)
+const CATALOG_PAGE_SIZE = 100;
+
+// Read the latest deployment file for the current network
+function readLatestDeployment() {
+  const deploymentsDir = path.join(__dirname, "..", "deployments");
+  if (!fs.existsSync(deploymentsDir)) {
+    return {};
+  }
+
+  const files = fs
+    .readdirSync(deploymentsDir)
+    .filter((f) => f.startsWith(`deployment-${hre.network.name}`))
+    .sort()
+    .reverse();
+
+  return files.length > 0 ? JSON.parse(fs.readFileSync(path.join(deploymentsDir, files[0]))) : {};
+}
+
 // Get contract address from environment or deployment file
 function getContractAddress() {
-  let contractAddress = process.env.CONTRACT_ADDRESS;
+  return process.env.CONTRACT_ADDRESS || readLatestDeployment().contractAddress;
+}
 
-  if (!contractAddress) {
-    const deploymentsDir = path.join(__dirname, "..", "deployments");
-    if (fs.existsSync(deploymentsDir)) {
-      const files = fs
-        .readdirSync(deploymentsDir)
-        .filter((f) => f.startsWith(`deployment-${hre.network.name}`))
-        .sort()
-        .reverse();
-
-      if (files.length > 0) {
-        const latestDeployment = JSON.parse(
-          fs.readFileSync(path.join(deploymentsDir, files[0]))
-        );
-        contractAddress = latestDeployment.contractAddress;
-      }
-    }
+async function getCatalog() {
+  const catalogAddress = process.env.CATALOG_ADDRESS || readLatestDeployment().catalogAddress;
+  if (!catalogAddress) {
+    throw new Error("Catalog address not found, set CATALOG_ADDRESS or redeploy");
   }
+  return hre.ethers.getContractAt("ResearchCatalog", catalogAddress);
+}
 
-  return contractAddress;
+// Collect every entry of a paginated catalog view, following the next-ID cursor to the end
+async function fetchAllPages(fetchPage) {
+  const entries = [];
+  let startId = 1n;
+  while (startId !== 0n) {
+    const [page, nextId] = await fetchPage(startId, CATALOG_PAGE_SIZE);
+    entries.push(...page);
+    startId = nextId;
+  }
+  return entries;
 }
 
 async function main() {
@@ -58,6 +85,9 @@ async function main() {
     contractAddress
   );
 
+  // Initialize the FHEVM API used for client-side encryption
+  await hre.fhevm.initializeCLIApi();
+
   // Simulation timeline
   console.log("\n📊 SIMULATION: Research Data Platform Usage");
   console.log("========================================");
@@ -76,15 +106,14 @@ async function main() {
     { value: 34567, quality: 88, hash: "QmMedicalData003", public: true },
   ];
 
-  for (let i = 0; i < datasets1.length; i++) {
-    const dataset = datasets1[i];
-    console.log(`Contributing dataset ${i + 1}...`);
-    const tx = await contract
-      .connect(researcher1)
-      .contributeData(dataset.value, dataset.quality, dataset.hash, dataset.public);
-    const receipt = await tx.wait();
-    console.log(`✓ Dataset ${i + 1} contributed (Gas: ${receipt.gasUsed.toString()})`);
-  }
+  console.log(`Contributing ${datasets1.length} datasets in one batch...`);
+  let receipt = await contributeBatch(
+    contract,
+    researcher1,
+    datasets1,
+    purposeMask(CLINICAL_RESEARCH)
+  );
+  console.log(`✓ ${datasets1.length} datasets contributed (Gas: ${receipt.gasUsed.toString()})`);
 
   // Step 3: Researcher 2 contributes datasets
   console.log("\n3️⃣ Researcher 2 Contributing Datasets");
@@ -94,15 +123,14 @@ async function main() {
     { value: 56789, quality: 87, hash: "QmClinicalTrial002", public: false },
   ];
 
-  for (let i = 0; i < datasets2.length; i++) {
-    const dataset = datasets2[i];
-    console.log(`Contributing dataset ${i + 1}...`);
-    const tx = await contract
-      .connect(researcher2)
-      .contributeData(dataset.value, dataset.quality, dataset.hash, dataset.public);
-    const receipt = await tx.wait();
-    console.log(`✓ Dataset ${i + 1} contributed (Gas: ${receipt.gasUsed.toString()})`);
-  }
+  console.log(`Contributing ${datasets2.length} datasets in one batch...`);
+  receipt = await contributeBatch(
+    contract,
+    researcher2,
+    datasets2,
+    purposeMask(CLINICAL_RESEARCH, VACCINE_RESEARCH)
+  );
+  console.log(`✓ ${datasets2.length} datasets contributed (Gas: ${receipt.gasUsed.toString()})`);
 
   // Step 4: Researcher 3 requests data access
   console.log("\n4️⃣ Researcher 3 Requesting Data Access");
@@ -112,11 +140,13 @@ async function main() {
       topic: "Cancer Treatment Research",
       budget: 50000,
       deadline: Math.floor(Date.now() / 1000) + 86400 * 30,
+      purpose: CLINICAL_RESEARCH,
     },
     {
       topic: "COVID-19 Vaccine Study",
       budget: 75000,
       deadline: Math.floor(Date.now() / 1000) + 86400 * 60,
+      purpose: VACCINE_RESEARCH,
     },
   ];
 
@@ -125,23 +155,24 @@ async function main() {
     console.log(`Requesting access for: ${request.topic}`);
     const tx = await contract
       .connect(researcher3)
-      .requestDataAccess(request.topic, request.budget, request.deadline);
-    const receipt = await tx.wait();
+      .requestDataAccess(request.topic, request.budget, request.deadline, request.purpose);
+    receipt = await tx.wait();
     console.log(`✓ Request ${i + 1} submitted (Gas: ${receipt.gasUsed.toString()})`);
   }
 
   // Step 5: Grant access to datasets
   console.log("\n5️⃣ Granting Data Access");
   console.log("----------------------------------------");
-  console.log("Researcher 1 granting access to dataset 1 for Researcher 3...");
-  let tx = await contract.connect(researcher1).grantDataAccess(1, researcher3.address);
-  let receipt = await tx.wait();
-  console.log(`✓ Access granted (Gas: ${receipt.gasUsed.toString()})`);
+  // Researcher 1's datasets only allow clinical research, so they are granted to the cancer study
+  console.log("Researcher 1 granting datasets 1-2 for Researcher 3's cancer study...");
+  let tx = await contract.connect(researcher1).grantDataAccessBatch([1, 2], [1]);
+  receipt = await tx.wait();
+  console.log(`✓ 2 grants recorded (Gas: ${receipt.gasUsed.toString()})`);
 
-  console.log("Researcher 2 granting access to dataset 4 for Researcher 3...");
-  tx = await contract.connect(researcher2).grantDataAccess(4, researcher3.address);
+  console.log("Researcher 2 granting datasets 4-5 for both of Researcher 3's studies...");
+  tx = await contract.connect(researcher2).grantDataAccessBatch([4, 5], [1, 2]);
   receipt = await tx.wait();
-  console.log(`✓ Access granted (Gas: ${receipt.gasUsed.toString()})`);
+  console.log(`✓ 4 grants recorded (Gas: ${receipt.gasUsed.toString()})`);
 
   // Step 6: Researcher 3 accesses datasets
   console.log("\n6️⃣ Researcher 3 Accessing Datasets");
@@ -220,20 +251,17 @@ async function main() {
   console.log("----------------------------------------");
   const stats = await contract.getPlatformStats();
   const totalDatasets = Number(stats[0]);
-
-  for (let i = 1; i <= totalDatasets; i++) {
-    try {
-      const info = await contract.getDatasetInfo(i);
-      console.log(`\nDataset ${i}:`);
-      console.log(`  Contributor: ${info[0]}`);
-      console.log(`  Metadata: ${info[1]}`);
-      console.log(`  Public: ${info[2]}`);
-      console.log(`  Timestamp: ${new Date(Number(info[3]) * 1000).toISOString()}`);
-      console.log(`  Access count: ${info[4].toString()}`);
-      console.log(`  Active: ${info[5]}`);
-    } catch (error) {
-      console.log(`Dataset ${i}: Unable to fetch (may be inactive)`);
-    }
+  const catalog = await getCatalog();
+
+  const allDatasets = await fetchAllPages((startId, limit) => catalog.getDatasets(startId, limit));
+  for (const dataset of allDatasets) {
+    console.log(`\nDataset ${dataset.datasetId}:`);
+    console.log(`  Contributor: ${dataset.contributor}`);
+    console.log(`  Metadata: ${dataset.metadataHash}`);
+    console.log(`  Public: ${dataset.isPublic}`);
+    console.log(`  Timestamp: ${new Date(Number(dataset.timestamp) * 1000).toISOString()}`);
+    console.log(`  Access count: ${dataset.accessCount.toString()}`);
+    console.log(`  Active: ${dataset.isActive}`);
   }
 
   // Step 13: Display all data requests
@@ -241,17 +269,14 @@ async function main() {
   console.log("----------------------------------------");
   const totalRequests = Number(stats[1]);
 
-  for (let i = 1; i <= totalRequests; i++) {
-    try {
-      const info = await contract.getDataRequestInfo(i);
-      console.log(`\nRequest ${i}:`);
-      console.log(`  Requester: ${info[0]}`);
-      console.log(`  Topic: ${info[1]}`);
-      console.log(`  Deadline: ${new Date(Number(info[2]) * 1000).toISOString()}`);
-      console.log(`  Fulfilled: ${info[3]}`);
-    } catch (error) {
-      console.log(`Request ${i}: Unable to fetch`);
-    }
+  const allRequests = await fetchAllPages((startId, limit) => catalog.getRequests(startId, limit));
+  for (const request of allRequests) {
+    console.log(`\nRequest ${request.requestId}:`);
+    console.log(`  Requester: ${request.requester}`);
+    console.log(`  Topic: ${request.researchTopic}`);
+    console.log(`  Purpose code: ${request.purpose}`);
+    console.log(`  Deadline: ${new Date(Number(request.deadline) * 1000).toISOString()}`);
+    console.log(`  Fulfilled: ${request.isFulfilled}`);
   }
 
   console.log("\n========================================");
@@ -289,6 +314,26 @@ async function main() {
   console.log(`\n📄 Simulation report saved to: ${filename}`);
 }
 
+// Encrypt every record into one input and contribute them in a single transaction
+async function contributeBatch(contract, signer, records, allowedPurposes) {
+  const input = hre.fhevm.createEncryptedInput(await contract.getAddress(), signer.address);
+  for (const record of records) {
+    input.add32(record.value).add8(record.quality);
+  }
+  const encrypted = await input.encrypt();
+
+  const contributions = records.map((record, i) => ({
+    encryptedDataValue: encrypted.handles[2 * i],
+    encryptedQualityScore: encrypted.handles[2 * i + 1],
+    metadataHash: record.hash,
+    isPublic: record.public,
+  }));
+  const tx = await contract
+    .connect(signer)
+    .contributeDataBatch(contributions, encrypted.inputProof, DEFAULT_SCHEMA_ID, allowedPurposes);
+  return tx.wait();
+}
+
 async function displayPlatformStats(contract) {
   const stats = await contract.getPlatformStats();
   const owner = await contract.owner();
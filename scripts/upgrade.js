@@ -0,0 +1,165 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { getStorageLayout, compareLayouts } = require("./lib/storageLayout");
+
+// ERC-1967 implementation slot of PlatformProxy
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// Read the latest deployment file for the current network
+function readLatestDeployment(deploymentsDir) {
+  if (!fs.existsSync(deploymentsDir)) {
+    return null;
+  }
+
+  const files = fs
+    .readdirSync(deploymentsDir)
+    .filter((f) => f.startsWith(`deployment-${hre.network.name}`))
+    .sort()
+    .reverse();
+
+  return files.length > 0 ? JSON.parse(fs.readFileSync(path.join(deploymentsDir, files[0]))) : null;
+}
+
+async function readImplementation(proxyAddress) {
+  const value = await hre.ethers.provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT);
+  return hre.ethers.getAddress(hre.ethers.dataSlice(value, 12));
+}
+
+async function main() {
+  console.log("Starting upgrade process...");
+  console.log("----------------------------------------");
+
+  const deploymentsDir = path.join(__dirname, "..", "deployments");
+  const deployment = readLatestDeployment(deploymentsDir);
+  if (!deployment || !deployment.proxyAdminAddress || !deployment.implementations) {
+    console.error(`Error: no proxy deployment found for ${hre.network.name} in deployments/`);
+    console.log("Deploy the platform with scripts/deploy.js first");
+    process.exit(1);
+  }
+
+  const contractName = process.env.IMPLEMENTATION_CONTRACT || "AnonymousResearchDataSharing";
+  const current = deployment.implementations[deployment.implementations.length - 1];
+  const proxyAddress = deployment.contractAddress;
+
+  console.log("Network:", hre.network.name);
+  console.log("Proxy address:", proxyAddress);
+  console.log("Current implementation:", current.address);
+
+  // The recorded history is only trustworthy if the proxy still points where it says
+  const onChainImplementation = await readImplementation(proxyAddress);
+  if (onChainImplementation !== hre.ethers.getAddress(current.address)) {
+    console.error("Error: the proxy points to", onChainImplementation);
+    console.log("which is not the last implementation recorded in deployments/");
+    process.exit(1);
+  }
+  console.log("----------------------------------------");
+
+  // Check the new layout against the one recorded for the implementation in use
+  console.log(`Checking storage layout of ${contractName}...`);
+  await hre.run("compile");
+
+  const storageLayout = await getStorageLayout(hre, contractName);
+  const errors = compareLayouts(current.storageLayout, storageLayout);
+  if (errors.length > 0) {
+    console.error("✗ Storage layout is incompatible with the current implementation:");
+    for (const error of errors) {
+      console.error("  -", error);
+    }
+    process.exit(1);
+  }
+  console.log("✓ Storage layout is compatible");
+
+  if (process.env.VALIDATE_ONLY === "true") {
+    console.log("VALIDATE_ONLY is set, no upgrade performed");
+    return;
+  }
+  console.log("----------------------------------------");
+
+  // Deploy the new implementation and point the proxy at it
+  console.log(`Deploying new ${contractName} implementation...`);
+
+  const [deployer] = await hre.ethers.getSigners();
+  const Implementation = await hre.ethers.getContractFactory(contractName);
+  const implementation = await Implementation.deploy();
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  const implementationTx = implementation.deploymentTransaction();
+  console.log("✓ Implementation deployed:", implementationAddress);
+
+  const proxyAdmin = await hre.ethers.getContractAt(
+    "PlatformProxyAdmin",
+    deployment.proxyAdminAddress
+  );
+  const adminOwner = await proxyAdmin.owner();
+  if (adminOwner !== deployer.address) {
+    console.error("Error: proxy admin is owned by", adminOwner, "not by", deployer.address);
+    console.log("Ask the owner to call upgradeAndCall with implementation", implementationAddress);
+    process.exit(1);
+  }
+
+  // Optional calldata run against the proxy's storage right after the switch (e.g. a migration)
+  const upgradeCall = process.env.UPGRADE_CALLDATA || "0x";
+  const upgradeTx = await proxyAdmin.upgradeAndCall(
+    proxyAddress,
+    implementationAddress,
+    upgradeCall
+  );
+  const receipt = await upgradeTx.wait();
+
+  if ((await readImplementation(proxyAddress)) !== implementationAddress) {
+    throw new Error("Proxy implementation did not change");
+  }
+  console.log("✓ Proxy upgraded");
+  console.log("Transaction hash:", upgradeTx.hash);
+  console.log("Gas used:", receipt.gasUsed.toString());
+  console.log("----------------------------------------");
+
+  // Record the upgrade as a new deployment file so every script picks up the latest state
+  const upgradedDeployment = {
+    ...deployment,
+    implementationAddress: implementationAddress,
+    implementations: [
+      ...deployment.implementations,
+      {
+        address: implementationAddress,
+        contractName: contractName,
+        deployedAt: new Date().toISOString(),
+        transactionHash: implementationTx?.hash || "N/A",
+        upgradeTransactionHash: upgradeTx.hash,
+        storageLayout: storageLayout,
+      },
+    ],
+  };
+
+  const filename = `deployment-${hre.network.name}-${Date.now()}.json`;
+  fs.writeFileSync(
+    path.join(deploymentsDir, filename),
+    JSON.stringify(upgradedDeployment, null, 2)
+  );
+
+  console.log("Deployment information saved to:", filename);
+  console.log("Implementation history:");
+  for (const [index, entry] of upgradedDeployment.implementations.entries()) {
+    console.log(`  ${index + 1}. ${entry.address} (${entry.deployedAt})`);
+  }
+  console.log("----------------------------------------");
+
+  if (hre.network.name === "sepolia") {
+    console.log("To verify the new implementation, run:");
+    console.log(`npx hardhat verify --network sepolia ${implementationAddress}`);
+    console.log("----------------------------------------");
+  }
+
+  console.log("✓ Upgrade completed successfully!");
+}
+
+// Execute upgrade
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Upgrade failed:", error);
+    process.exit(1);
+  });
+
+module.exports = main;
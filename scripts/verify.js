@@ -2,30 +2,36 @@ const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 
+// Companion contracts constructed with the platform address only, keyed by their deployment file entry
+const PLATFORM_COMPANIONS = [
+  ["Analytics contract", "analyticsAddress"],
+  ["Reputation contract", "reputationAddress"],
+  ["Pricing contract", "pricingAddress"],
+  ["Moderation contract", "moderationAddress"],
+  ["Dataset versions contract", "versionsAddress"],
+  ["Peer review contract", "peerReviewAddress"],
+  ["Quota manager", "quotaManagerAddress"],
+  ["Catalog", "catalogAddress"],
+  ["Handle view", "handleViewAddress"],
+];
+
 async function main() {
   console.log("Starting contract verification process...");
   console.log("----------------------------------------");
 
   // Get contract address from command line or deployment file
   let contractAddress = process.env.CONTRACT_ADDRESS;
+  // Proxy deployments verify the implementation here and the proxy contracts with the linked ones
+  let implementationAddress = contractAddress;
+  let linkedContracts = [];
 
   if (!contractAddress) {
-    // Try to read from latest deployment file
-    const deploymentsDir = path.join(__dirname, "..", "deployments");
-    if (fs.existsSync(deploymentsDir)) {
-      const files = fs
-        .readdirSync(deploymentsDir)
-        .filter((f) => f.startsWith(`deployment-${hre.network.name}`))
-        .sort()
-        .reverse();
-
-      if (files.length > 0) {
-        const latestDeployment = JSON.parse(
-          fs.readFileSync(path.join(deploymentsDir, files[0]))
-        );
-        contractAddress = latestDeployment.contractAddress;
-        console.log("Using contract address from latest deployment:", contractAddress);
-      }
+    const latestDeployment = readLatestDeployment();
+    if (latestDeployment) {
+      contractAddress = latestDeployment.contractAddress;
+      implementationAddress = latestDeployment.implementationAddress || contractAddress;
+      console.log("Using contract address from latest deployment:", contractAddress);
+      linkedContracts = await collectLinkedContracts(latestDeployment);
     }
   }
 
@@ -39,6 +45,9 @@ async function main() {
 
   console.log("Network:", hre.network.name);
   console.log("Contract address:", contractAddress);
+  if (implementationAddress !== contractAddress) {
+    console.log("Implementation address:", implementationAddress);
+  }
   console.log("----------------------------------------");
 
   // Verify on Etherscan
@@ -47,7 +56,7 @@ async function main() {
 
     try {
       await hre.run("verify:verify", {
-        address: contractAddress,
+        address: implementationAddress,
         constructorArguments: [],
       });
 
@@ -70,6 +79,10 @@ async function main() {
         process.exit(1);
       }
     }
+
+    for (const [label, verifyArgs] of linkedContracts) {
+      await verifyLinkedContract(label, verifyArgs);
+    }
   } else {
     console.log("Skipping Etherscan verification for local network");
   }
@@ -98,6 +111,10 @@ async function main() {
     console.log("  Total datasets:", stats[0].toString());
     console.log("  Total requests:", stats[1].toString());
     console.log("  Block timestamp:", stats[2].toString());
+    console.log("  Reward token:", await Contract.rewardToken());
+    console.log("  Analytics:", await Contract.analytics());
+    console.log("  Schema registry:", await Contract.schemaRegistry());
+    console.log("  Quota manager:", await Contract.quotaManager());
   } catch (error) {
     console.error("✗ Contract functionality check failed:", error.message);
     process.exit(1);
@@ -107,6 +124,119 @@ async function main() {
   console.log("✓ Verification completed successfully!");
 }
 
+// Read the latest deployment file written by scripts/deploy.js for this network
+function readLatestDeployment() {
+  const deploymentsDir = path.join(__dirname, "..", "deployments");
+  if (!fs.existsSync(deploymentsDir)) {
+    return null;
+  }
+
+  const files = fs
+    .readdirSync(deploymentsDir)
+    .filter((f) => f.startsWith(`deployment-${hre.network.name}`))
+    .sort()
+    .reverse();
+  if (files.length === 0) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(path.join(deploymentsDir, files[0])));
+}
+
+// Label and verify arguments of every contract deployed alongside the platform
+async function collectLinkedContracts(deployment) {
+  const contractAddress = deployment.contractAddress;
+  const linked = [];
+
+  if (deployment.proxyAdminAddress) {
+    const AnonymousResearchDataSharing = await hre.ethers.getContractFactory(
+      "AnonymousResearchDataSharing"
+    );
+    linked.push(
+      [
+        "Proxy",
+        {
+          address: contractAddress,
+          // The proxy was constructed with the first implementation and its initialize call
+          constructorArguments: [
+            deployment.implementations[0].address,
+            deployment.proxyAdminAddress,
+            AnonymousResearchDataSharing.interface.encodeFunctionData("initialize"),
+          ],
+        },
+      ],
+      [
+        "Proxy admin",
+        {
+          address: deployment.proxyAdminAddress,
+          constructorArguments: [deployment.deployer],
+        },
+      ]
+    );
+  }
+
+  if (deployment.rewardTokenAddress) {
+    linked.push([
+      "Reward token",
+      {
+        address: deployment.rewardTokenAddress,
+        constructorArguments: [
+          deployment.rewardTokenName,
+          deployment.rewardTokenSymbol,
+          contractAddress,
+        ],
+      },
+    ]);
+  }
+
+  for (const [label, key] of PLATFORM_COMPANIONS) {
+    if (deployment[key]) {
+      linked.push([label, { address: deployment[key], constructorArguments: [contractAddress] }]);
+    }
+  }
+
+  if (deployment.marketplaceAddress) {
+    linked.push([
+      "Marketplace contract",
+      {
+        address: deployment.marketplaceAddress,
+        constructorArguments: [contractAddress, deployment.rewardTokenAddress],
+      },
+    ]);
+  }
+
+  if (deployment.recordStoreAddress) {
+    linked.push(
+      ["Schema registry", { address: deployment.schemaRegistryAddress, constructorArguments: [] }],
+      [
+        "Record store",
+        {
+          address: deployment.recordStoreAddress,
+          constructorArguments: [contractAddress, deployment.schemaRegistryAddress],
+        },
+      ]
+    );
+  }
+
+  return linked;
+}
+
+// Verify a contract deployed alongside the platform contract
+async function verifyLinkedContract(label, verifyArgs) {
+  console.log(`Verifying ${label.toLowerCase()} on Etherscan...`);
+
+  try {
+    await hre.run("verify:verify", verifyArgs);
+    console.log(`✓ ${label} verified successfully!`);
+  } catch (error) {
+    if (error.message.includes("Already Verified")) {
+      console.log(`✓ ${label} is already verified on Etherscan`);
+    } else {
+      console.error(`${label} verification failed:`, error.message);
+      process.exit(1);
+    }
+  }
+}
+
 // Execute verification
 main()
   .then(() => process.exit(0))
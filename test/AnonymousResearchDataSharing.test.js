@@ -1,43 +1,305 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
-const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("AnonymousResearchDataSharing", function () {
-  // Fixture for deploying the contract
+  // Schema registered by the deployment fixture for single-value datasets
+  const SCHEMA_ID = 1;
+  // Purpose code declared by test requests; test datasets allow every purpose
+  const PURPOSE = 0;
+  const ALL_PURPOSES = ethers.MaxUint256;
+
+  // Open a data request from the accessor so a grant can be tied to it, returns the request ID
+  async function requestAccessFor(contract, accessor, purpose = PURPOSE) {
+    const deadline = (await time.latest()) + 30 * 24 * 60 * 60;
+    await contract.connect(accessor).requestDataAccess("Data Access", 0, deadline, purpose);
+    return (await contract.nextRequestId()) - 1n;
+  }
+
+  // Fixtures are called directly rather than through loadFixture. The mock coprocessor does not
+  // replay events after a snapshot revert, so one revert anywhere in the run would break the
+  // decryptions of every later test.
+
+  // Fixture for deploying the platform behind a proxy the way scripts/deploy.js does
   async function deployContractFixture() {
     const [owner, researcher1, researcher2, researcher3, researcher4] = await ethers.getSigners();
 
     const AnonymousResearchDataSharing = await ethers.getContractFactory(
       "AnonymousResearchDataSharing"
     );
-    const contract = await AnonymousResearchDataSharing.deploy();
+    const implementation = await AnonymousResearchDataSharing.deploy();
+    const PlatformProxyAdmin = await ethers.getContractFactory("PlatformProxyAdmin");
+    const proxyAdmin = await PlatformProxyAdmin.deploy(owner.address);
+
+    const PlatformProxy = await ethers.getContractFactory("PlatformProxy");
+    const proxy = await PlatformProxy.deploy(
+      await implementation.getAddress(),
+      await proxyAdmin.getAddress(),
+      AnonymousResearchDataSharing.interface.encodeFunctionData("initialize")
+    );
+    const contract = AnonymousResearchDataSharing.attach(await proxy.getAddress());
+
+    const ResearchSchemaRegistry = await ethers.getContractFactory("ResearchSchemaRegistry");
+    const schemaRegistry = await ResearchSchemaRegistry.deploy();
+    await contract.connect(owner).setSchemaRegistry(await schemaRegistry.getAddress());
+    await schemaRegistry.connect(owner).registerSchema("measurement", ["value"], [2], [""]);
+
+    return {
+      contract,
+      proxy,
+      proxyAdmin,
+      implementation,
+      schemaRegistry,
+      owner,
+      researcher1,
+      researcher2,
+      researcher3,
+      researcher4,
+    };
+  }
+
+  // Fixture for deploying the platform together with its analytics contract
+  async function deployAnalyticsFixture() {
+    const fixture = await deployContractFixture();
+
+    const ResearchDataAnalytics = await ethers.getContractFactory("ResearchDataAnalytics");
+    const analytics = await ResearchDataAnalytics.deploy(await fixture.contract.getAddress());
+    await fixture.contract.connect(fixture.owner).setAnalytics(await analytics.getAddress());
+
+    return { ...fixture, analytics };
+  }
+
+  // Fixture for deploying the platform with the multi-field record store
+  async function deployRecordStoreFixture() {
+    const fixture = await deployContractFixture();
+
+    const ResearchRecordStore = await ethers.getContractFactory("ResearchRecordStore");
+    const recordStore = await ResearchRecordStore.deploy(
+      await fixture.contract.getAddress(),
+      await fixture.schemaRegistry.getAddress()
+    );
+
+    return { ...fixture, recordStore };
+  }
+
+  // Fixture for deploying the platform linked to the contributor reputation contract
+  async function deployReputationFixture() {
+    const fixture = await deployContractFixture();
+
+    const ResearchReputation = await ethers.getContractFactory("ResearchReputation");
+    const reputation = await ResearchReputation.deploy(await fixture.contract.getAddress());
+    await fixture.contract.connect(fixture.owner).setReputation(await reputation.getAddress());
+
+    return { ...fixture, reputation };
+  }
+
+  // Fixture for deploying the platform linked to the sealed-bid pricing contract
+  async function deployPricingFixture() {
+    const fixture = await deployContractFixture();
+
+    const ResearchPricing = await ethers.getContractFactory("ResearchPricing");
+    const pricing = await ResearchPricing.deploy(await fixture.contract.getAddress());
+    await fixture.contract.connect(fixture.owner).setPricing(await pricing.getAddress());
+
+    return { ...fixture, pricing };
+  }
+
+  // Fixture for deploying the platform with its reward token, the pricing contract that holds
+  // sale prices, and the access marketplace, which holds ACCESS_GRANTER_ROLE so it can grant
+  // access on settlement
+  async function deployMarketplaceFixture() {
+    const fixture = await deployPricingFixture();
+    const platformAddress = await fixture.contract.getAddress();
+
+    const ConfidentialRewardToken = await ethers.getContractFactory("ConfidentialRewardToken");
+    const token = await ConfidentialRewardToken.deploy("Research Reward", "RRT", platformAddress);
+    await fixture.contract.connect(fixture.owner).setRewardToken(await token.getAddress());
+
+    const ResearchMarketplace = await ethers.getContractFactory("ResearchMarketplace");
+    const marketplace = await ResearchMarketplace.deploy(platformAddress, await token.getAddress());
+    await fixture.contract
+      .connect(fixture.owner)
+      .grantRole(await fixture.contract.ACCESS_GRANTER_ROLE(), await marketplace.getAddress());
+
+    return { ...fixture, token, marketplace };
+  }
+
+  // Fixture for deploying the platform with the moderation contract and the roles it acts with
+  async function deployModerationFixture() {
+    const fixture = await deployContractFixture();
+    const { contract, owner } = fixture;
+
+    const ResearchModeration = await ethers.getContractFactory("ResearchModeration");
+    const moderation = await ResearchModeration.deploy(await contract.getAddress());
+    const roles = [await contract.QUALITY_REVIEWER_ROLE(), await contract.MODERATOR_ROLE()];
+    for (const role of roles) {
+      await contract.connect(owner).grantRole(role, await moderation.getAddress());
+    }
+
+    return { ...fixture, moderation };
+  }
+
+  // Fixture for deploying the dataset versions contract, which replaces datasets' current version
+  // through VERSION_MANAGER_ROLE
+  async function deployVersionsFixture() {
+    const fixture = await deployContractFixture();
+    const { contract, owner } = fixture;
 
-    return { contract, owner, researcher1, researcher2, researcher3, researcher4 };
+    const ResearchDatasetVersions = await ethers.getContractFactory("ResearchDatasetVersions");
+    const versions = await ResearchDatasetVersions.deploy(await contract.getAddress());
+    await contract
+      .connect(owner)
+      .grantRole(await contract.VERSION_MANAGER_ROLE(), await versions.getAddress());
+
+    return { ...fixture, versions };
+  }
+
+  // Fixture for deploying peer review on top of reputation, which exposes the applied scores
+  async function deployPeerReviewFixture() {
+    const fixture = await deployReputationFixture();
+    const { contract, owner } = fixture;
+
+    const ResearchPeerReview = await ethers.getContractFactory("ResearchPeerReview");
+    const peerReview = await ResearchPeerReview.deploy(await contract.getAddress());
+    await contract
+      .connect(owner)
+      .grantRole(await contract.QUALITY_REVIEWER_ROLE(), await peerReview.getAddress());
+
+    return { ...fixture, peerReview };
+  }
+
+  // ERC-1967 slot holding the proxy's implementation address
+  const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+  async function implementationOf(proxy) {
+    const value = await ethers.provider.getStorage(await proxy.getAddress(), IMPLEMENTATION_SLOT);
+    return ethers.getAddress(ethers.dataSlice(value, 12));
   }
 
   describe("Deployment", function () {
     it("Should set the correct owner", async function () {
-      const { contract, owner } = await loadFixture(deployContractFixture);
+      const { contract, owner } = await deployContractFixture();
       expect(await contract.owner()).to.equal(owner.address);
     });
 
     it("Should initialize with correct starting values", async function () {
-      const { contract } = await loadFixture(deployContractFixture);
+      const { contract } = await deployContractFixture();
       expect(await contract.nextDatasetId()).to.equal(1);
       expect(await contract.nextRequestId()).to.equal(1);
     });
 
     it("Should return correct initial platform stats", async function () {
-      const { contract } = await loadFixture(deployContractFixture);
+      const { contract } = await deployContractFixture();
       const stats = await contract.getPlatformStats();
       expect(stats[0]).to.equal(0); // totalDatasets
       expect(stats[1]).to.equal(0); // totalRequests
     });
   });
 
+  describe("Upgradeable Proxy", function () {
+    it("Should initialize the proxy on deployment", async function () {
+      const { contract, proxy, implementation, owner } = await deployContractFixture();
+      const roles = ["ADMIN_ROLE", "QUALITY_REVIEWER_ROLE", "REWARD_DISTRIBUTOR_ROLE", "PAUSER_ROLE"];
+
+      expect(await implementationOf(proxy)).to.equal(await implementation.getAddress());
+      expect(await contract.owner()).to.equal(owner.address);
+      for (const role of roles) {
+        expect(await contract.hasRole(await contract[role](), owner.address)).to.equal(true);
+      }
+      expect(await contract.nextDatasetId()).to.equal(1);
+      expect(await contract.nextRequestId()).to.equal(1);
+    });
+
+    it("Should not allow initializing again", async function () {
+      const { contract, implementation, researcher1 } = await deployContractFixture();
+
+      // The proxy was initialized on deployment, the implementation is locked by its constructor
+      await expect(contract.connect(researcher1).initialize()).to.be.revertedWith(
+        "Already initialized"
+      );
+      await expect(implementation.connect(researcher1).initialize()).to.be.revertedWith(
+        "Already initialized"
+      );
+      expect(await implementation.owner()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should keep datasets, grants and decryption rights across an upgrade", async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      // Fresh deployment: the mock coprocessor does not replay events after a snapshot revert
+      const { contract, proxy, proxyAdmin, researcher1, researcher2 } = await deployContractFixture();
+
+      await contract
+        .connect(researcher1)
+        .contributeData(4242, 80, "QmBeforeUpgrade", false, SCHEMA_ID, ALL_PURPOSES);
+      const requestId = await requestAccessFor(contract, researcher2);
+      await contract.connect(researcher1).grantDataAccess(1, requestId);
+
+      const AnonymousResearchDataSharing = await ethers.getContractFactory(
+        "AnonymousResearchDataSharing"
+      );
+      const newImplementation = await AnonymousResearchDataSharing.deploy();
+      const newImplementationAddress = await newImplementation.getAddress();
+      await expect(
+        proxyAdmin.upgradeAndCall(await proxy.getAddress(), newImplementationAddress, "0x")
+      )
+        .to.emit(proxy, "Upgraded")
+        .withArgs(newImplementationAddress);
+
+      expect(await implementationOf(proxy)).to.equal(newImplementationAddress);
+      expect(await contract.nextDatasetId()).to.equal(2);
+      expect((await contract.getDatasetInfo(1)).contributor).to.equal(researcher1.address);
+      expect(await contract.hasDataAccess(1, researcher2.address)).to.equal(true);
+
+      // ACL grants belong to the proxy address, so they survive the implementation change
+      const dataset = await contract.datasets(1);
+      const dataValue = await fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        dataset.encryptedDataValue,
+        await contract.getAddress(),
+        researcher2
+      );
+      expect(dataValue).to.equal(4242n);
+
+      await expect(
+        contract
+          .connect(researcher1)
+          .contributeData(7, 90, "QmAfterUpgrade", true, SCHEMA_ID, ALL_PURPOSES)
+      )
+        .to.emit(contract, "DatasetContributed")
+        .withArgs(2, researcher1.address, "QmAfterUpgrade");
+    });
+
+    it("Should only let the proxy admin owner upgrade", async function () {
+      const { proxy, proxyAdmin, implementation, owner, researcher1 } =
+        await deployContractFixture();
+      const proxyAddress = await proxy.getAddress();
+      const implementationAddress = await implementation.getAddress();
+
+      await expect(
+        proxyAdmin.connect(researcher1).upgradeAndCall(proxyAddress, implementationAddress, "0x")
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        proxyAdmin.upgradeAndCall(proxyAddress, researcher1.address, "0x")
+      ).to.be.revertedWith("Invalid implementation");
+
+      await proxyAdmin.transferOwnership(researcher1.address);
+      await proxyAdmin.connect(researcher1).acceptOwnership();
+
+      await expect(
+        proxyAdmin.connect(owner).upgradeAndCall(proxyAddress, implementationAddress, "0x")
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        proxyAdmin.connect(researcher1).upgradeAndCall(proxyAddress, implementationAddress, "0x")
+      ).to.emit(proxy, "Upgraded");
+    });
+  });
+
   describe("Data Contribution", function () {
     it("Should allow researchers to contribute data", async function () {
-      const { contract, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1 } = await deployContractFixture();
 
       const dataValue = 12345;
       const qualityScore = 85;
@@ -45,7 +307,9 @@ describe("AnonymousResearchDataSharing", function () {
       const isPublic = true;
 
       await expect(
-        contract.connect(researcher1).contributeData(dataValue, qualityScore, metadataHash, isPublic)
+        contract
+          .connect(researcher1)
+          .contributeData(dataValue, qualityScore, metadataHash, isPublic, SCHEMA_ID, ALL_PURPOSES)
       )
         .to.emit(contract, "DatasetContributed")
         .withArgs(1, researcher1.address, metadataHash);
@@ -54,26 +318,32 @@ describe("AnonymousResearchDataSharing", function () {
     });
 
     it("Should reject quality score above 100", async function () {
-      const { contract, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1 } = await deployContractFixture();
 
       await expect(
-        contract.connect(researcher1).contributeData(12345, 101, "QmHash", true)
+        contract
+          .connect(researcher1)
+          .contributeData(12345, 101, "QmHash", true, SCHEMA_ID, ALL_PURPOSES)
       ).to.be.revertedWith("Quality score must be 0-100");
     });
 
     it("Should reject empty metadata hash", async function () {
-      const { contract, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1 } = await deployContractFixture();
 
       await expect(
-        contract.connect(researcher1).contributeData(12345, 85, "", true)
+        contract.connect(researcher1).contributeData(12345, 85, "", true, SCHEMA_ID, ALL_PURPOSES)
       ).to.be.revertedWith("Metadata hash required");
     });
 
     it("Should track contributor datasets", async function () {
-      const { contract, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash1", true);
-      await contract.connect(researcher1).contributeData(23456, 90, "QmHash2", false);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash1", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher1)
+        .contributeData(23456, 90, "QmHash2", false, SCHEMA_ID, ALL_PURPOSES);
 
       const count = await contract.getContributorDatasetCount(researcher1.address);
       expect(count).to.equal(2);
@@ -82,17 +352,21 @@ describe("AnonymousResearchDataSharing", function () {
       expect(datasets.length).to.equal(2);
       expect(datasets[0]).to.equal(1);
       expect(datasets[1]).to.equal(2);
+      // The public mapping getter from earlier releases still works
+      expect(await contract.contributorDatasets(researcher1.address, 1)).to.equal(2);
     });
 
     it("Should store correct dataset information", async function () {
-      const { contract, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1 } = await deployContractFixture();
 
       const dataValue = 12345;
       const qualityScore = 85;
       const metadataHash = "QmExampleHash123";
       const isPublic = true;
 
-      await contract.connect(researcher1).contributeData(dataValue, qualityScore, metadataHash, isPublic);
+      await contract
+        .connect(researcher1)
+        .contributeData(dataValue, qualityScore, metadataHash, isPublic, SCHEMA_ID, ALL_PURPOSES);
 
       const info = await contract.getDatasetInfo(1);
       expect(info[0]).to.equal(researcher1.address); // contributor
@@ -103,171 +377,2876 @@ describe("AnonymousResearchDataSharing", function () {
     });
   });
 
+  describe("Encrypted Data Contribution", function () {
+    const CONTRIBUTE_ENCRYPTED =
+      "contributeData(bytes32,bytes32,bytes,string,bool,uint32,uint256)";
+
+    let contract, researcher1, researcher2;
+
+    async function encryptContribution(signer, dataValue, qualityScore) {
+      return fhevm
+        .createEncryptedInput(await contract.getAddress(), signer.address)
+        .add32(dataValue)
+        .add8(qualityScore)
+        .encrypt();
+    }
+
+    beforeEach(async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      ({ contract, researcher1, researcher2 } = await deployContractFixture());
+    });
+
+    it("Should accept client-side encrypted data with input proof", async function () {
+      const input = await encryptContribution(researcher1, 12345, 85);
+
+      await expect(
+        contract.connect(researcher1)[CONTRIBUTE_ENCRYPTED](
+          input.handles[0],
+          input.handles[1],
+          input.inputProof,
+          "QmEncrypted",
+          false,
+          SCHEMA_ID,
+          ALL_PURPOSES
+        )
+      )
+        .to.emit(contract, "DatasetContributed")
+        .withArgs(1, researcher1.address, "QmEncrypted");
+
+      const dataset = await contract.datasets(1);
+      const contractAddress = await contract.getAddress();
+      const dataValue = await fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        dataset.encryptedDataValue,
+        contractAddress,
+        researcher1
+      );
+      const qualityScore = await fhevm.userDecryptEuint(
+        FhevmType.euint8,
+        dataset.encryptedQualityScore,
+        contractAddress,
+        researcher1
+      );
+      expect(dataValue).to.equal(12345n);
+      expect(qualityScore).to.equal(85n);
+    });
+
+    it("Should clamp encrypted quality score to 100", async function () {
+      const input = await encryptContribution(researcher1, 12345, 150);
+      await contract.connect(researcher1)[CONTRIBUTE_ENCRYPTED](
+        input.handles[0],
+        input.handles[1],
+        input.inputProof,
+        "QmClamp",
+        true,
+        SCHEMA_ID,
+        ALL_PURPOSES
+      );
+
+      const dataset = await contract.datasets(1);
+      const qualityScore = await fhevm.userDecryptEuint(
+        FhevmType.euint8,
+        dataset.encryptedQualityScore,
+        await contract.getAddress(),
+        researcher1
+      );
+      expect(qualityScore).to.equal(100n);
+    });
+
+    it("Should reject encrypted contribution with empty metadata hash", async function () {
+      const input = await encryptContribution(researcher1, 12345, 85);
+
+      await expect(
+        contract.connect(researcher1)[CONTRIBUTE_ENCRYPTED](
+          input.handles[0],
+          input.handles[1],
+          input.inputProof,
+          "",
+          true,
+          SCHEMA_ID,
+          ALL_PURPOSES
+        )
+      ).to.be.revertedWith("Metadata hash required");
+    });
+
+    it("Should reject encrypted input bound to another sender", async function () {
+      const input = await encryptContribution(researcher1, 12345, 85);
+
+      await expect(
+        contract.connect(researcher2)[CONTRIBUTE_ENCRYPTED](
+          input.handles[0],
+          input.handles[1],
+          input.inputProof,
+          "QmHash",
+          true,
+          SCHEMA_ID,
+          ALL_PURPOSES
+        )
+      ).to.be.reverted;
+    });
+  });
+
   describe("Data Access Requests", function () {
     it("Should allow researchers to request data access", async function () {
-      const { contract, researcher2 } = await loadFixture(deployContractFixture);
+      const { contract, researcher2 } = await deployContractFixture();
 
       const researchTopic = "Cancer Research";
       const budget = 50000;
-      const deadline = Math.floor(Date.now() / 1000) + 86400;
+      const deadline = (await time.latest()) + 86400;
 
       await expect(
-        contract.connect(researcher2).requestDataAccess(researchTopic, budget, deadline)
+        contract.connect(researcher2).requestDataAccess(researchTopic, budget, deadline, PURPOSE)
       )
         .to.emit(contract, "DataRequested")
         .withArgs(1, researcher2.address, researchTopic);
 
-      expect(await contract.nextRequestId()).to.equal(2);
+      expect(await contract.nextRequestId()).to.equal(2);
+    });
+
+    it("Should reject empty research topic", async function () {
+      const { contract, researcher2 } = await deployContractFixture();
+
+      const deadline = (await time.latest()) + 86400;
+
+      await expect(
+        contract.connect(researcher2).requestDataAccess("", 50000, deadline, PURPOSE)
+      ).to.be.revertedWith("Research topic required");
+    });
+
+    it("Should reject past deadline", async function () {
+      const { contract, researcher2 } = await deployContractFixture();
+
+      const pastDeadline = (await time.latest()) - 86400;
+
+      await expect(
+        contract.connect(researcher2).requestDataAccess("Research", 50000, pastDeadline, PURPOSE)
+      ).to.be.revertedWith("Deadline must be in future");
+    });
+
+    it("Should store correct request information", async function () {
+      const { contract, researcher2 } = await deployContractFixture();
+
+      const researchTopic = "Medical Research";
+      const budget = 75000;
+      const deadline = (await time.latest()) + 86400 * 30;
+
+      await contract
+        .connect(researcher2)
+        .requestDataAccess(researchTopic, budget, deadline, PURPOSE);
+
+      const info = await contract.getDataRequestInfo(1);
+      expect(info[0]).to.equal(researcher2.address); // requester
+      expect(info[1]).to.equal(researchTopic); // researchTopic
+      expect(info[2]).to.equal(deadline); // deadline
+      expect(info[3]).to.equal(false); // isFulfilled
+    });
+  });
+
+  describe("Encrypted Budget Bidding", function () {
+    const REQUEST_ENCRYPTED = "requestDataAccess(string,bytes32,bytes,uint256,uint8)";
+
+    let contract, pricing, owner, researcher1, researcher2, researcher3;
+
+    beforeEach(async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      ({ contract, pricing, owner, researcher1, researcher2, researcher3 } =
+        await deployPricingFixture());
+    });
+
+    async function encryptUint32(signer, value, target = contract) {
+      return fhevm
+        .createEncryptedInput(await target.getAddress(), signer.address)
+        .add32(value)
+        .encrypt();
+    }
+
+    async function submitEncryptedRequest(signer, budget) {
+      const input = await encryptUint32(signer, budget);
+      const deadline = (await time.latest()) + 86400;
+      return contract.connect(signer)[REQUEST_ENCRYPTED](
+        "Sealed Bid Study",
+        input.handles[0],
+        input.inputProof,
+        deadline,
+        PURPOSE
+      );
+    }
+
+    async function setPrice(signer, datasetId, price) {
+      const input = await encryptUint32(signer, price, pricing);
+      return pricing.connect(signer).setDatasetPrice(datasetId, input.handles[0], input.inputProof);
+    }
+
+    async function decryptEligibility(requestId, datasetId, signer) {
+      const handle = await pricing.budgetEligibility(requestId, datasetId);
+      return fhevm.userDecryptEbool(handle, await pricing.getAddress(), signer);
+    }
+
+    it("Should accept an encrypted budget decryptable only by the requester", async function () {
+      await expect(submitEncryptedRequest(researcher2, 50000))
+        .to.emit(contract, "DataRequested")
+        .withArgs(1, researcher2.address, "Sealed Bid Study");
+
+      const request = await contract.dataRequests(1);
+      const budget = await fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        request.encryptedBudget,
+        await contract.getAddress(),
+        researcher2
+      );
+      expect(budget).to.equal(50000n);
+    });
+
+    it("Should only let the contributor set a dataset price", async function () {
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmPriced", false, SCHEMA_ID, ALL_PURPOSES);
+
+      await expect(setPrice(researcher1, 1, 40000))
+        .to.emit(pricing, "DatasetPriceSet")
+        .withArgs(1);
+      await expect(setPrice(researcher2, 1, 1)).to.be.revertedWith("Not dataset contributor");
+    });
+
+    it("Should mark a request eligible when budget covers the price", async function () {
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmPriced", false, SCHEMA_ID, ALL_PURPOSES);
+      await setPrice(researcher1, 1, 40000);
+      await submitEncryptedRequest(researcher2, 50000);
+
+      await expect(pricing.connect(researcher2).checkBudgetEligibility(1, 1))
+        .to.emit(pricing, "BudgetEligibilityChecked")
+        .withArgs(1, 1);
+
+      expect(await decryptEligibility(1, 1, researcher2)).to.equal(true);
+      // The contributor cannot decrypt the result
+      await expect(decryptEligibility(1, 1, researcher1)).to.be.rejected;
+    });
+
+    it("Should mark a request ineligible when budget is below the price", async function () {
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmPriced", false, SCHEMA_ID, ALL_PURPOSES);
+      await setPrice(researcher1, 1, 60000);
+      await submitEncryptedRequest(researcher2, 50000);
+
+      await pricing.connect(researcher2).checkBudgetEligibility(1, 1);
+
+      expect(await decryptEligibility(1, 1, researcher2)).to.equal(false);
+    });
+
+    it("Should compare once per requester and dataset and lock the price", async function () {
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmPriced", false, SCHEMA_ID, ALL_PURPOSES);
+      await setPrice(researcher1, 1, 40000);
+      await submitEncryptedRequest(researcher2, 50000);
+      await pricing.connect(researcher2).checkBudgetEligibility(1, 1);
+
+      expect(await pricing.priceLocked(1)).to.equal(true);
+      await expect(setPrice(researcher1, 1, 45000)).to.be.revertedWith("Price locked");
+
+      // Neither the same request nor a new one with another budget can probe the price again
+      await expect(
+        pricing.connect(researcher2).checkBudgetEligibility(1, 1)
+      ).to.be.revertedWith("Budget already checked");
+      await submitEncryptedRequest(researcher2, 30000);
+      await expect(
+        pricing.connect(researcher2).checkBudgetEligibility(2, 1)
+      ).to.be.revertedWith("Budget already checked");
+    });
+
+    it("Should treat datasets without a price as free", async function () {
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmFree", true, SCHEMA_ID, ALL_PURPOSES);
+      await submitEncryptedRequest(researcher2, 0);
+
+      await pricing.connect(researcher2).checkBudgetEligibility(1, 1);
+
+      expect(await decryptEligibility(1, 1, researcher2)).to.equal(true);
+    });
+
+    it("Should reject eligibility checks from unrelated parties", async function () {
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmPriced", false, SCHEMA_ID, ALL_PURPOSES);
+      await submitEncryptedRequest(researcher2, 50000);
+
+      await expect(
+        pricing.connect(researcher3).checkBudgetEligibility(1, 1)
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        pricing.connect(researcher1).checkBudgetEligibility(1, 1)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should compare budgets of requests made before the pricing was linked", async function () {
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmPriced", false, SCHEMA_ID, ALL_PURPOSES);
+      await submitEncryptedRequest(researcher2, 50000);
+
+      const ResearchPricing = await ethers.getContractFactory("ResearchPricing");
+      const newPricing = await ResearchPricing.deploy(await contract.getAddress());
+      await contract.connect(owner).setPricing(await newPricing.getAddress());
+
+      await newPricing.connect(researcher2).checkBudgetEligibility(1, 1);
+      const eligible = await newPricing.budgetEligibility(1, 1);
+      expect(
+        await fhevm.userDecryptEbool(eligible, await newPricing.getAddress(), researcher2)
+      ).to.equal(true);
+
+      // Only the currently linked pricing contract can read budgets
+      await expect(
+        pricing.connect(researcher2).checkBudgetEligibility(1, 1)
+      ).to.be.revertedWith("Not pricing contract");
+      await expect(contract.shareBudgetWithPricing(1)).to.be.revertedWith("Not pricing contract");
+    });
+  });
+
+  describe("Request Fulfillment Workflow", function () {
+    async function openRequestFixture() {
+      const fixture = await deployContractFixture();
+      const { contract, researcher1, researcher2 } = fixture;
+
+      await contract
+        .connect(researcher1)
+        .contributeData(11111, 80, "QmHash1", false, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher1)
+        .contributeData(22222, 85, "QmHash2", false, SCHEMA_ID, ALL_PURPOSES);
+
+      const deadline = (await time.latest()) + 86400;
+      await contract
+        .connect(researcher2)
+        .requestDataAccess("Cohort Study", 50000, deadline, PURPOSE);
+
+      return { ...fixture, deadline };
+    }
+
+    it("Should let contributors propose datasets against a request", async function () {
+      const { contract, researcher1 } = await openRequestFixture();
+
+      await expect(contract.connect(researcher1).proposeDataset(1, 1))
+        .to.emit(contract, "DatasetProposed")
+        .withArgs(1, 1, researcher1.address);
+
+      expect(await contract.proposalStatus(1, 1)).to.equal(1); // Pending
+      expect(await contract.getRequestProposals(1)).to.deep.equal([1n]);
+    });
+
+    it("Should reject proposals from non-contributors and duplicates", async function () {
+      const { contract, researcher1, researcher3 } = await openRequestFixture();
+
+      await expect(contract.connect(researcher3).proposeDataset(1, 1)).to.be.revertedWith(
+        "Not dataset contributor"
+      );
+
+      await contract.connect(researcher1).proposeDataset(1, 1);
+      await expect(contract.connect(researcher1).proposeDataset(1, 1)).to.be.revertedWith(
+        "Already proposed"
+      );
+    });
+
+    it("Should grant access when the requester accepts a proposal", async function () {
+      const { contract, researcher1, researcher2 } = await openRequestFixture();
+
+      await contract.connect(researcher1).proposeDataset(1, 1);
+
+      await expect(contract.connect(researcher2).acceptProposal(1, 1))
+        .to.emit(contract, "ProposalAccepted")
+        .withArgs(1, 1)
+        .and.to.emit(contract, "DatasetAccessed")
+        .withArgs(1, researcher2.address);
+
+      expect(await contract.datasetAccess(1, researcher2.address)).to.equal(true);
+      expect(await contract.getApprovedDatasets(1)).to.deep.equal([1n]);
+
+      const info = await contract.connect(researcher2).accessDataset(1);
+      expect(info[0]).to.equal("QmHash1");
+    });
+
+    it("Should not grant access when the requester rejects a proposal", async function () {
+      const { contract, researcher1, researcher2 } = await openRequestFixture();
+
+      await contract.connect(researcher1).proposeDataset(1, 2);
+
+      await expect(contract.connect(researcher2).rejectProposal(1, 2))
+        .to.emit(contract, "ProposalRejected")
+        .withArgs(1, 2);
+
+      expect(await contract.proposalStatus(1, 2)).to.equal(3); // Rejected
+      expect(await contract.datasetAccess(2, researcher2.address)).to.equal(false);
+      await expect(contract.connect(researcher2).acceptProposal(1, 2)).to.be.revertedWith(
+        "Proposal not pending"
+      );
+    });
+
+    it("Should only let the requester accept or reject proposals", async function () {
+      const { contract, researcher1, researcher3 } = await openRequestFixture();
+
+      await contract.connect(researcher1).proposeDataset(1, 1);
+
+      await expect(contract.connect(researcher3).acceptProposal(1, 1)).to.be.revertedWith(
+        "Not requester"
+      );
+      await expect(contract.connect(researcher1).rejectProposal(1, 1)).to.be.revertedWith(
+        "Not requester"
+      );
+    });
+
+    it("Should mark a request fulfilled and close it", async function () {
+      const { contract, researcher1, researcher2 } = await openRequestFixture();
+
+      await expect(contract.connect(researcher2).fulfillRequest(1)).to.be.revertedWith(
+        "No approved datasets"
+      );
+
+      await contract.connect(researcher1).proposeDataset(1, 1);
+      await contract.connect(researcher2).acceptProposal(1, 1);
+
+      await expect(contract.connect(researcher2).fulfillRequest(1))
+        .to.emit(contract, "RequestFulfilled")
+        .withArgs(1, 1);
+
+      const info = await contract.getDataRequestInfo(1);
+      expect(info[3]).to.equal(true); // isFulfilled
+
+      await expect(contract.connect(researcher1).proposeDataset(1, 2)).to.be.revertedWith(
+        "Request closed"
+      );
+    });
+
+    it("Should expire requests after the deadline", async function () {
+      const { contract, researcher1, researcher3, deadline } = await openRequestFixture();
+
+      await expect(contract.connect(researcher3).expireRequest(1)).to.be.revertedWith(
+        "Deadline not reached"
+      );
+      expect(await contract.isRequestExpired(1)).to.equal(false);
+
+      await time.increaseTo(deadline + 1);
+      expect(await contract.isRequestExpired(1)).to.equal(true);
+
+      await expect(contract.connect(researcher1).proposeDataset(1, 1)).to.be.revertedWith(
+        "Request expired"
+      );
+
+      await expect(contract.connect(researcher3).expireRequest(1))
+        .to.emit(contract, "RequestExpired")
+        .withArgs(1);
+
+      expect((await contract.dataRequests(1)).isExpired).to.equal(true);
+      await expect(contract.connect(researcher3).expireRequest(1)).to.be.revertedWith(
+        "Request closed"
+      );
+    });
+  });
+
+  describe("Access Control", function () {
+    it("Should allow contributor to grant access", async function () {
+      const { contract, researcher1, researcher2 } = await deployContractFixture();
+
+      // Contribute dataset
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", false, SCHEMA_ID, ALL_PURPOSES);
+
+      // Grant access against researcher2's request
+      const requestId = await requestAccessFor(contract, researcher2);
+      await expect(contract.connect(researcher1).grantDataAccess(1, requestId))
+        .to.emit(contract, "DatasetAccessed")
+        .withArgs(1, researcher2.address);
+
+      // Check access count increased
+      const info = await contract.getDatasetInfo(1);
+      expect(info[4]).to.equal(1); // accessCount
+    });
+
+    it("Should allow owner to grant access", async function () {
+      const { contract, owner, researcher1, researcher2 } = await deployContractFixture();
+
+      // Contribute dataset
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", false, SCHEMA_ID, ALL_PURPOSES);
+
+      // Owner grants access
+      const requestId = await requestAccessFor(contract, researcher2);
+      await expect(contract.connect(owner).grantDataAccess(1, requestId))
+        .to.emit(contract, "DatasetAccessed")
+        .withArgs(1, researcher2.address);
+    });
+
+    it("Should reject unauthorized access grant", async function () {
+      const { contract, researcher1, researcher2, researcher3 } = await deployContractFixture();
+
+      // Contribute dataset
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", false, SCHEMA_ID, ALL_PURPOSES);
+
+      // Unauthorized user tries to grant access
+      const requestId = await requestAccessFor(contract, researcher2);
+      await expect(
+        contract.connect(researcher3).grantDataAccess(1, requestId)
+      ).to.be.revertedWith("Not authorized to grant access");
+    });
+
+    it("Should reject access to invalid dataset", async function () {
+      const { contract, researcher1, researcher2 } = await deployContractFixture();
+
+      const requestId = await requestAccessFor(contract, researcher2);
+      await expect(
+        contract.connect(researcher1).grantDataAccess(999, requestId)
+      ).to.be.revertedWith("Invalid dataset ID");
+    });
+  });
+
+  describe("Access Revocation and Expiry", function () {
+    async function privateDatasetFixture() {
+      const fixture = await deployContractFixture();
+      await fixture.contract
+        .connect(fixture.researcher1)
+        .contributeData(12345, 85, "QmPrivate", false, SCHEMA_ID, ALL_PURPOSES);
+      return fixture;
+    }
+
+    it("Should let the contributor revoke a grant", async function () {
+      const { contract, researcher1, researcher2 } = await privateDatasetFixture();
+
+      const requestId = await requestAccessFor(contract, researcher2);
+      await contract.connect(researcher1).grantDataAccess(1, requestId);
+
+      await expect(contract.connect(researcher1).revokeDataAccess(1, researcher2.address))
+        .to.emit(contract, "DatasetAccessRevoked")
+        .withArgs(1, researcher2.address);
+
+      expect(await contract.datasetAccess(1, researcher2.address)).to.equal(false);
+      await expect(contract.connect(researcher2).accessDataset(1)).to.be.revertedWith(
+        "Access denied"
+      );
+    });
+
+    it("Should let the owner revoke a grant", async function () {
+      const { contract, owner, researcher1, researcher2 } = await privateDatasetFixture();
+
+      const requestId = await requestAccessFor(contract, researcher2);
+      await contract.connect(researcher1).grantDataAccess(1, requestId);
+      await contract.connect(owner).revokeDataAccess(1, researcher2.address);
+
+      expect(await contract.hasDataAccess(1, researcher2.address)).to.equal(false);
+    });
+
+    it("Should reject unauthorized or redundant revocations", async function () {
+      const { contract, researcher1, researcher2, researcher3 } = await privateDatasetFixture();
+
+      await expect(
+        contract.connect(researcher1).revokeDataAccess(1, researcher2.address)
+      ).to.be.revertedWith("Access not granted");
+
+      const requestId = await requestAccessFor(contract, researcher2);
+      await contract.connect(researcher1).grantDataAccess(1, requestId);
+      await expect(
+        contract.connect(researcher3).revokeDataAccess(1, researcher2.address)
+      ).to.be.revertedWith("Not authorized to revoke access");
+    });
+
+    it("Should reject accessors whose grant has lapsed", async function () {
+      const { contract, researcher1, researcher2 } = await privateDatasetFixture();
+
+      const requestId = await requestAccessFor(contract, researcher2);
+      const expiresAt = (await time.latest()) + 3600;
+      await expect(contract.connect(researcher1).grantDataAccessUntil(1, requestId, expiresAt))
+        .to.emit(contract, "DatasetAccessExpires")
+        .withArgs(1, researcher2.address, expiresAt);
+
+      const info = await contract.connect(researcher2).accessDataset(1);
+      expect(info[0]).to.equal("QmPrivate");
+
+      await time.increaseTo(expiresAt + 1);
+
+      expect(await contract.hasDataAccess(1, researcher2.address)).to.equal(false);
+      await expect(contract.connect(researcher2).accessDataset(1)).to.be.revertedWith(
+        "Access denied"
+      );
+    });
+
+    it("Should reject expiry timestamps in the past", async function () {
+      const { contract, researcher1, researcher2 } = await privateDatasetFixture();
+
+      const requestId = await requestAccessFor(contract, researcher2);
+      const past = (await time.latest()) - 1;
+      await expect(
+        contract.connect(researcher1).grantDataAccessUntil(1, requestId, past)
+      ).to.be.revertedWith("Expiry must be in future");
+    });
+
+    it("Should list only current grantees", async function () {
+      const { contract, researcher1, researcher2, researcher3, researcher4 } =
+        await privateDatasetFixture();
+
+      // Request IDs 1-3 belong to researcher2, researcher3 and researcher4
+      for (const accessor of [researcher2, researcher3, researcher4]) {
+        await requestAccessFor(contract, accessor);
+      }
+      const expiresAt = (await time.latest()) + 3600;
+      await contract.connect(researcher1).grantDataAccess(1, 1);
+      await contract.connect(researcher1).grantDataAccessUntil(1, 2, expiresAt);
+      await contract.connect(researcher1).grantDataAccess(1, 3);
+
+      const ResearchCatalog = await ethers.getContractFactory("ResearchCatalog");
+      const catalog = await ResearchCatalog.deploy(await contract.getAddress());
+
+      let [grantees, expiries] = await catalog.getDatasetGrantees(1);
+      expect(grantees).to.deep.equal([researcher2.address, researcher3.address, researcher4.address]);
+      expect(expiries).to.deep.equal([0n, BigInt(expiresAt), 0n]);
+
+      await contract.connect(researcher1).revokeDataAccess(1, researcher2.address);
+      await time.increaseTo(expiresAt + 1);
+
+      [grantees, expiries] = await catalog.getDatasetGrantees(1);
+      expect(grantees).to.deep.equal([researcher4.address]);
+      expect(expiries).to.deep.equal([0n]);
+
+      // The platform's raw list keeps expired grants; the catalog filters them out
+      expect(await contract.getDatasetGranteeList(1)).to.include(researcher3.address);
+      expect(await contract.accessExpiry(1, researcher3.address)).to.equal(expiresAt);
+    });
+  });
+
+  describe("Consent and Purpose-bound Access", function () {
+    const Purpose = { Clinical: 0, Genomic: 1, Commercial: 9 };
+    const CLINICAL_AND_GENOMIC = (1n << 1n) | 1n;
+
+    async function purposeFixture() {
+      const fixture = await deployContractFixture();
+      await fixture.contract
+        .connect(fixture.researcher1)
+        .contributeData(12345, 85, "QmConsent", false, SCHEMA_ID, CLINICAL_AND_GENOMIC);
+      return fixture;
+    }
+
+    it("Should store allowed purposes and declared request purposes", async function () {
+      const { contract, researcher2 } = await purposeFixture();
+
+      const requestId = await requestAccessFor(contract, researcher2, Purpose.Genomic);
+
+      expect(await contract.datasetPurposes(1)).to.equal(CLINICAL_AND_GENOMIC);
+      expect(await contract.requestPurpose(requestId)).to.equal(Purpose.Genomic);
+    });
+
+    it("Should record consent when a grant matches the request purpose", async function () {
+      const { contract, researcher1, researcher2 } = await purposeFixture();
+
+      const requestId = await requestAccessFor(contract, researcher2, Purpose.Genomic);
+      await expect(contract.connect(researcher1).grantDataAccess(1, requestId))
+        .to.emit(contract, "ConsentRecorded")
+        .withArgs(1, researcher2.address, requestId, Purpose.Genomic);
+
+      expect(await contract.accessRequestId(1, researcher2.address)).to.equal(requestId);
+      expect(await contract.hasDataAccess(1, researcher2.address)).to.equal(true);
+    });
+
+    it("Should reject grants and proposals for disallowed purposes", async function () {
+      const { contract, researcher1, researcher2 } = await purposeFixture();
+
+      const requestId = await requestAccessFor(contract, researcher2, Purpose.Commercial);
+      await expect(
+        contract.connect(researcher1).grantDataAccess(1, requestId)
+      ).to.be.revertedWith("Purpose not allowed");
+      await expect(
+        contract.connect(researcher1).proposeDataset(requestId, 1)
+      ).to.be.revertedWith("Purpose not allowed");
+
+      await contract
+        .connect(researcher1)
+        .contributeData(500, 90, "QmCommercial", false, SCHEMA_ID, 1n << 9n);
+      await contract.connect(researcher1).grantDataAccess(2, requestId);
+    });
+
+    it("Should only grant against open requests", async function () {
+      const { contract, researcher1, researcher2 } = await purposeFixture();
+
+      await expect(contract.connect(researcher1).grantDataAccess(1, 99)).to.be.revertedWith(
+        "Invalid request ID"
+      );
+
+      const requestId = await requestAccessFor(contract, researcher2);
+      const [, , deadline] = await contract.getDataRequestInfo(requestId);
+      await time.increaseTo(deadline + 1n);
+      await expect(
+        contract.connect(researcher1).grantDataAccess(1, requestId)
+      ).to.be.revertedWith("Request expired");
+
+      await contract.expireRequest(requestId);
+      await expect(
+        contract.connect(researcher1).grantDataAccess(1, requestId)
+      ).to.be.revertedWith("Request closed");
+    });
+  });
+
+  describe("Batch Contribution and Grants", function () {
+    let contract, researcher1, researcher2, researcher3;
+
+    beforeEach(async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      ({ contract, researcher1, researcher2, researcher3 } = await deployContractFixture());
+    });
+
+    // Encrypt every value and score into one input so the batch shares a single proof
+    async function encryptBatch(signer, records) {
+      const builder = fhevm.createEncryptedInput(await contract.getAddress(), signer.address);
+      for (const record of records) {
+        builder.add32(record.dataValue).add8(record.qualityScore);
+      }
+      const input = await builder.encrypt();
+      const contributions = records.map((record, i) => ({
+        encryptedDataValue: input.handles[2 * i],
+        encryptedQualityScore: input.handles[2 * i + 1],
+        metadataHash: record.metadataHash,
+        isPublic: record.isPublic,
+      }));
+      return { contributions, inputProof: input.inputProof };
+    }
+
+    async function contributePlain(signer, count) {
+      for (let i = 0; i < count; i++) {
+        await contract
+          .connect(signer)
+          .contributeData(1000 + i, 80, `QmBatch${i}`, false, SCHEMA_ID, ALL_PURPOSES);
+      }
+    }
+
+    it("Should store every record and emit one event per record", async function () {
+      const { contributions, inputProof } = await encryptBatch(researcher1, [
+        { dataValue: 111, qualityScore: 70, metadataHash: "QmRecordA", isPublic: false },
+        { dataValue: 222, qualityScore: 150, metadataHash: "QmRecordB", isPublic: true },
+      ]);
+
+      await expect(
+        contract
+          .connect(researcher1)
+          .contributeDataBatch(contributions, inputProof, SCHEMA_ID, ALL_PURPOSES)
+      )
+        .to.emit(contract, "DatasetContributed")
+        .withArgs(1, researcher1.address, "QmRecordA")
+        .and.to.emit(contract, "DatasetContributed")
+        .withArgs(2, researcher1.address, "QmRecordB");
+
+      expect(await contract.getContributorDatasets(researcher1.address)).to.deep.equal([1n, 2n]);
+      const dataset = await contract.datasets(2);
+      const contractAddress = await contract.getAddress();
+      expect(dataset.isPublic).to.equal(true);
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint32,
+          dataset.encryptedDataValue,
+          contractAddress,
+          researcher1
+        )
+      ).to.equal(222n);
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint8,
+          dataset.encryptedQualityScore,
+          contractAddress,
+          researcher1
+        )
+      ).to.equal(100n);
+    });
+
+    it("Should revert the whole contribution batch when one record is invalid", async function () {
+      const { contributions, inputProof } = await encryptBatch(researcher1, [
+        { dataValue: 111, qualityScore: 70, metadataHash: "QmRecordA", isPublic: false },
+        { dataValue: 222, qualityScore: 80, metadataHash: "", isPublic: false },
+      ]);
+
+      await expect(
+        contract
+          .connect(researcher1)
+          .contributeDataBatch(contributions, inputProof, SCHEMA_ID, ALL_PURPOSES)
+      ).to.be.revertedWith("Metadata hash required");
+      await expect(
+        contract.connect(researcher1).contributeDataBatch([], inputProof, SCHEMA_ID, ALL_PURPOSES)
+      ).to.be.revertedWith("Invalid batch size");
+
+      expect(await contract.nextDatasetId()).to.equal(1);
+    });
+
+    it("Should grant every dataset to every request in a batch", async function () {
+      await contributePlain(researcher1, 2);
+      const firstRequest = await requestAccessFor(contract, researcher2);
+      const secondRequest = await requestAccessFor(contract, researcher3);
+
+      await expect(
+        contract
+          .connect(researcher1)
+          .grantDataAccessBatch([1, 2], [firstRequest, secondRequest])
+      )
+        .to.emit(contract, "ConsentRecorded")
+        .withArgs(1, researcher2.address, firstRequest, PURPOSE)
+        .and.to.emit(contract, "ConsentRecorded")
+        .withArgs(2, researcher3.address, secondRequest, PURPOSE);
+
+      for (const datasetId of [1, 2]) {
+        expect(await contract.hasDataAccess(datasetId, researcher2.address)).to.equal(true);
+        expect(await contract.hasDataAccess(datasetId, researcher3.address)).to.equal(true);
+      }
+    });
+
+    it("Should revert the whole grant batch when one pair is not grantable", async function () {
+      await contributePlain(researcher1, 1);
+      await contributePlain(researcher3, 1);
+      const requestId = await requestAccessFor(contract, researcher2);
+
+      await expect(
+        contract.connect(researcher1).grantDataAccessBatch([1, 2], [requestId])
+      ).to.be.revertedWith("Not authorized to grant access");
+      expect(await contract.hasDataAccess(1, researcher2.address)).to.equal(false);
+
+      const datasetIds = new Array(11).fill(1);
+      const requestIds = new Array(5).fill(requestId);
+      await expect(
+        contract.connect(researcher1).grantDataAccessBatch(datasetIds, requestIds)
+      ).to.be.revertedWith("Invalid batch size");
+      await expect(
+        contract.connect(researcher1).grantDataAccessBatch([1], [])
+      ).to.be.revertedWith("Invalid batch size");
+    });
+  });
+
+  describe("Encrypted Aggregate Statistics", function () {
+    let contract, analytics, owner, researcher1, researcher2, researcher3;
+
+    beforeEach(async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      ({ contract, analytics, owner, researcher1, researcher2, researcher3 } =
+        await deployAnalyticsFixture());
+
+      // These tests check exact arithmetic, so noise and the cohort minimum are disabled
+      await analytics.connect(owner).setNoiseRange(1);
+      await analytics.connect(owner).setMinCohortSize(1);
+
+      // Dataset 1 is private to researcher1, 2 is public, 3 is private but shared with researcher1
+      await contract
+        .connect(researcher1)
+        .contributeData(100, 80, "QmCohortA", false, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher2)
+        .contributeData(250, 90, "QmCohortB", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher2)
+        .contributeData(50, 70, "QmCohortC", false, SCHEMA_ID, ALL_PURPOSES);
+      const requestId = await requestAccessFor(contract, researcher1);
+      await contract.connect(researcher2).grantDataAccess(3, requestId);
+    });
+
+    async function decryptAggregate(aggregateId, signer) {
+      const aggregate = await analytics.getAggregate(aggregateId);
+      const analyticsAddress = await analytics.getAddress();
+      const decrypt = (type, handle) =>
+        fhevm.userDecryptEuint(type, handle, analyticsAddress, signer);
+
+      return {
+        sum: await decrypt(FhevmType.euint64, aggregate.sum),
+        count: await decrypt(FhevmType.euint32, aggregate.count),
+        minValue: await decrypt(FhevmType.euint64, aggregate.minValue),
+        maxValue: await decrypt(FhevmType.euint64, aggregate.maxValue),
+      };
+    }
+
+    it("Should compute encrypted sum, count, min and max for the caller", async function () {
+      await expect(analytics.connect(researcher1).computeAggregate([1, 2, 3]))
+        .to.emit(analytics, "AggregateComputed")
+        .withArgs(1, researcher1.address, 3);
+
+      const aggregate = await analytics.getAggregate(1);
+      expect(aggregate.requester).to.equal(researcher1.address);
+      expect(aggregate.datasetCount).to.equal(3);
+
+      expect(await decryptAggregate(1, researcher1)).to.deep.equal({
+        sum: 400n,
+        count: 3n,
+        minValue: 50n,
+        maxValue: 250n,
+      });
+    });
+
+    it("Should reject datasets the caller cannot access", async function () {
+      await expect(analytics.connect(researcher3).computeAggregate([1, 2])).to.be.revertedWith(
+        "Access denied"
+      );
+
+      // Public datasets are open to everyone
+      await analytics.connect(researcher3).computeAggregate([2]);
+      expect(await analytics.nextAggregateId()).to.equal(2);
+    });
+
+    it("Should reject empty, duplicate and unordered selections", async function () {
+      await expect(analytics.connect(researcher1).computeAggregate([])).to.be.revertedWith(
+        "No datasets selected"
+      );
+      await expect(analytics.connect(researcher1).computeAggregate([2, 2])).to.be.revertedWith(
+        "Dataset IDs must be ascending"
+      );
+      await expect(analytics.connect(researcher1).computeAggregate([3, 1])).to.be.revertedWith(
+        "Dataset IDs must be ascending"
+      );
+      await expect(analytics.connect(researcher1).computeAggregate([1, 99])).to.be.revertedWith(
+        "Invalid dataset ID"
+      );
+    });
+
+    it("Should reject inactive datasets", async function () {
+      await contract.connect(researcher2).deactivateDataset(2);
+
+      await expect(analytics.connect(researcher1).computeAggregate([1, 2])).to.be.revertedWith(
+        "Dataset not active"
+      );
+    });
+
+    it("Should reject datasets stored before analytics was configured", async function () {
+      const fixture = await deployContractFixture();
+      await fixture.contract
+        .connect(fixture.researcher1)
+        .contributeData(100, 80, "QmEarly", true, SCHEMA_ID, ALL_PURPOSES);
+
+      const ResearchDataAnalytics = await ethers.getContractFactory("ResearchDataAnalytics");
+      const lateAnalytics = await ResearchDataAnalytics.deploy(await fixture.contract.getAddress());
+      await fixture.contract.connect(fixture.owner).setAnalytics(await lateAnalytics.getAddress());
+
+      await expect(
+        lateAnalytics.connect(fixture.researcher1).computeAggregate([1])
+      ).to.be.revertedWith("Dataset not shared with analytics");
+    });
+
+    it("Should only let the owner configure analytics", async function () {
+      await expect(
+        contract.connect(researcher1).setAnalytics(researcher1.address)
+      ).to.be.revertedWith("Not authorized");
+
+      await expect(contract.connect(owner).setAnalytics(await analytics.getAddress()))
+        .to.emit(contract, "AnalyticsSet")
+        .withArgs(await analytics.getAddress());
+    });
+
+    it("Should reject unknown aggregate IDs", async function () {
+      await expect(analytics.getAggregate(1)).to.be.revertedWith("Invalid aggregate ID");
+    });
+  });
+
+  describe("Encrypted Quality Filtering", function () {
+    let contract, analytics, owner, researcher1, researcher2, researcher3;
+
+    beforeEach(async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      ({ contract, analytics, owner, researcher1, researcher2, researcher3 } =
+        await deployAnalyticsFixture());
+
+      await contract
+        .connect(researcher1)
+        .contributeData(100, 80, "QmQualityA", false, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher2)
+        .contributeData(250, 90, "QmQualityB", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher2)
+        .contributeData(50, 70, "QmQualityC", false, SCHEMA_ID, ALL_PURPOSES);
+    });
+
+    async function filterByQuality(signer, datasetIds, threshold) {
+      const encrypted = await fhevm
+        .createEncryptedInput(await analytics.getAddress(), signer.address)
+        .add8(threshold)
+        .encrypt();
+      return analytics
+        .connect(signer)
+        .filterByQuality(datasetIds, encrypted.handles[0], encrypted.inputProof);
+    }
+
+    async function decryptMatches(filterId, signer) {
+      const [, , matches] = await analytics.getQualityFilter(filterId);
+      const analyticsAddress = await analytics.getAddress();
+      const results = [];
+      for (const handle of matches) {
+        results.push(await fhevm.userDecryptEbool(handle, analyticsAddress, signer));
+      }
+      return results;
+    }
+
+    it("Should return an encrypted match per dataset without requiring access", async function () {
+      await expect(filterByQuality(researcher3, [1, 2, 3], 80))
+        .to.emit(analytics, "QualityFilterComputed")
+        .withArgs(1, researcher3.address, 3);
+
+      const [requester, datasetIds] = await analytics.getQualityFilter(1);
+      expect(requester).to.equal(researcher3.address);
+      expect(datasetIds).to.deep.equal([1n, 2n, 3n]);
+
+      expect(await decryptMatches(1, researcher3)).to.deep.equal([true, true, false]);
+    });
+
+    it("Should reflect updated quality scores", async function () {
+      await contract.connect(owner).updateQualityScore(3, 95);
+
+      await filterByQuality(researcher3, [1, 3], 90);
+      expect(await decryptMatches(1, researcher3)).to.deep.equal([false, true]);
+    });
+
+    it("Should reject invalid selections", async function () {
+      await expect(filterByQuality(researcher3, [], 50)).to.be.revertedWith(
+        "No datasets selected"
+      );
+      await expect(filterByQuality(researcher3, [2, 1], 50)).to.be.revertedWith(
+        "Dataset IDs must be ascending"
+      );
+
+      await contract.connect(researcher1).deactivateDataset(1);
+      await expect(filterByQuality(researcher3, [1, 2], 50)).to.be.revertedWith(
+        "Dataset not active"
+      );
+    });
+
+    it("Should charge the privacy budget for every filter", async function () {
+      await analytics.connect(owner).setPrivacyBudget(researcher3.address, 2);
+
+      // Each threshold probe of the same dataset costs one unit, so bisection runs out quickly
+      await expect(filterByQuality(researcher3, [1], 50))
+        .to.emit(analytics, "PrivacyBudgetConsumed")
+        .withArgs(researcher3.address, 1);
+      await filterByQuality(researcher3, [1], 75);
+      await expect(filterByQuality(researcher3, [1], 88)).to.be.revertedWith(
+        "Privacy budget exhausted"
+      );
+      expect(await analytics.remainingPrivacyBudget(researcher3.address)).to.equal(0);
+    });
+
+    it("Should reject unknown filter IDs", async function () {
+      await expect(analytics.getQualityFilter(1)).to.be.revertedWith("Invalid filter ID");
+    });
+  });
+
+  describe("Contributor Reputation", function () {
+    let contract, reputation, owner, researcher1, researcher2, researcher3, researcher4;
+    let requestId;
+
+    beforeEach(async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      ({ contract, reputation, owner, researcher1, researcher2, researcher3, researcher4 } =
+        await deployReputationFixture());
+
+      await contract
+        .connect(researcher1)
+        .contributeData(100, 80, "QmReputationA", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher2)
+        .contributeData(250, 90, "QmReputationB", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher2)
+        .contributeData(50, 70, "QmReputationC", false, SCHEMA_ID, ALL_PURPOSES);
+      requestId = await requestAccessFor(contract, researcher3);
+    });
+
+    async function decryptReputation(contributor) {
+      const [scoreSum, datasetCount] = await reputation.getReputation(contributor.address);
+      const reputationAddress = await reputation.getAddress();
+      const decrypt = (handle) =>
+        fhevm.userDecryptEuint(FhevmType.euint32, handle, reputationAddress, contributor);
+      return [await decrypt(scoreSum), await decrypt(datasetCount)];
+    }
+
+    async function checkReputation(signer, datasetId, minAverage) {
+      const encrypted = await fhevm
+        .createEncryptedInput(await reputation.getAddress(), signer.address)
+        .add8(minAverage)
+        .encrypt();
+      return reputation
+        .connect(signer)
+        .checkReputation(requestId, datasetId, encrypted.handles[0], encrypted.inputProof);
+    }
+
+    async function decryptCheck(datasetId) {
+      const handle = await reputation.reputationChecks(requestId, datasetId);
+      return fhevm.userDecryptEbool(handle, await reputation.getAddress(), researcher3);
+    }
+
+    it("Should accumulate an encrypted score sum and dataset count", async function () {
+      await expect(
+        contract
+          .connect(researcher1)
+          .contributeData(200, 60, "QmReputationD", false, SCHEMA_ID, ALL_PURPOSES)
+      )
+        .to.emit(reputation, "ReputationUpdated")
+        .withArgs(researcher1.address, 4);
+
+      expect(await decryptReputation(researcher1)).to.deep.equal([140n, 2n]);
+      expect(await decryptReputation(researcher2)).to.deep.equal([160n, 2n]);
+    });
+
+    it("Should replace a dataset's score when it is updated", async function () {
+      await expect(contract.connect(owner).updateQualityScore(3, 100))
+        .to.emit(reputation, "ReputationUpdated")
+        .withArgs(researcher2.address, 3);
+
+      expect(await decryptReputation(researcher2)).to.deep.equal([190n, 2n]);
+    });
+
+    it("Should compare the average score against an encrypted threshold", async function () {
+      await expect(checkReputation(researcher3, 2, 81))
+        .to.emit(reputation, "ReputationChecked")
+        .withArgs(requestId, 2);
+      await checkReputation(researcher3, 1, 80);
+
+      expect(await decryptCheck(2)).to.equal(false);
+      expect(await decryptCheck(1)).to.equal(true);
+      expect(await reputation.isReputationChecked(requestId, 2)).to.equal(true);
+    });
+
+    it("Should only let the requester check each dataset once", async function () {
+      await expect(checkReputation(researcher2, 1, 50)).to.be.revertedWith("Not requester");
+
+      await checkReputation(researcher3, 1, 50);
+      await expect(checkReputation(researcher3, 1, 90)).to.be.revertedWith(
+        "Reputation already checked"
+      );
+      expect(
+        await reputation.hasCheckedReputation(researcher3.address, researcher1.address)
+      ).to.equal(true);
+
+      // A fresh request from the same requester does not reopen the check
+      requestId = await requestAccessFor(contract, researcher3);
+      await expect(checkReputation(researcher3, 1, 90)).to.be.revertedWith(
+        "Reputation already checked"
+      );
+
+      // Nor does another dataset of the same contributor
+      await checkReputation(researcher3, 2, 50);
+      await expect(checkReputation(researcher3, 3, 90)).to.be.revertedWith(
+        "Reputation already checked"
+      );
+
+      await contract.connect(researcher2).deactivateDataset(3);
+      await expect(checkReputation(researcher3, 3, 50)).to.be.revertedWith("Dataset not active");
+    });
+
+    it("Should only accept scores from the platform", async function () {
+      await expect(
+        reputation.connect(researcher1).recordQualityScore(1, researcher1.address, ethers.ZeroHash)
+      ).to.be.revertedWith("Not platform");
+      await expect(
+        contract.connect(researcher1).setReputation(researcher1.address)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should not meet any threshold without scored datasets", async function () {
+      await contract.connect(owner).setReputation(ethers.ZeroAddress);
+      await contract
+        .connect(researcher4)
+        .contributeData(10, 100, "QmUnscored", true, SCHEMA_ID, ALL_PURPOSES);
+
+      await checkReputation(researcher3, 4, 0);
+      expect(await decryptCheck(4)).to.equal(false);
+    });
+  });
+
+  describe("Encrypted Handle Getters", function () {
+    let contract, handleView, owner, researcher1, researcher2, researcher3;
+
+    beforeEach(async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      ({ contract, owner, researcher1, researcher2, researcher3 } = await deployContractFixture());
+
+      const ResearchHandleView = await ethers.getContractFactory("ResearchHandleView");
+      handleView = await ResearchHandleView.deploy(await contract.getAddress());
+
+      await contract
+        .connect(researcher1)
+        .contributeData(4321, 77, "QmHandles", false, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher1)
+        .contributeData(99, 50, "QmPublicHandles", true, SCHEMA_ID, ALL_PURPOSES);
+    });
+
+    async function decrypt(type, handle, signer) {
+      return fhevm.userDecryptEuint(type, handle, await contract.getAddress(), signer);
+    }
+
+    it("Should return the request budget to its requester", async function () {
+      const deadline = (await time.latest()) + 24 * 60 * 60;
+      await contract
+        .connect(researcher2)
+        .requestDataAccess("Budgeted Study", 75000, deadline, PURPOSE);
+
+      const budget = await handleView.connect(researcher2).getRequestBudget(1);
+      expect(await decrypt(FhevmType.euint32, budget, researcher2)).to.equal(75000n);
+
+      await expect(handleView.connect(researcher3).getRequestBudget(1)).to.be.revertedWith(
+        "Not allowed to decrypt"
+      );
+      await expect(handleView.getRequestBudget(99)).to.be.revertedWith("Invalid request ID");
+    });
+
+    it("Should return dataset values to the contributor and current grantees", async function () {
+      const value = await handleView.connect(researcher1).getDataValue(1);
+      const quality = await handleView.connect(researcher1).getQualityScore(1);
+      expect(await decrypt(FhevmType.euint32, value, researcher1)).to.equal(4321n);
+      expect(await decrypt(FhevmType.euint8, quality, researcher1)).to.equal(77n);
+
+      await expect(handleView.connect(researcher2).getDataValue(1)).to.be.revertedWith(
+        "Access denied"
+      );
+
+      const requestId = await requestAccessFor(contract, researcher2);
+      await contract.connect(researcher1).grantDataAccess(1, requestId);
+      const granted = await handleView.connect(researcher2).getQualityScore(1);
+      expect(await decrypt(FhevmType.euint8, granted, researcher2)).to.equal(77n);
+
+      await contract.connect(researcher1).revokeDataAccess(1, researcher2.address);
+      await expect(handleView.connect(researcher2).getQualityScore(1)).to.be.revertedWith(
+        "Access denied"
+      );
+    });
+
+    it("Should re-share updated quality scores with contributor and grantees", async function () {
+      const requestId = await requestAccessFor(contract, researcher2);
+      await contract.connect(researcher1).grantDataAccess(1, requestId);
+      await contract.connect(owner).updateQualityScore(1, 42);
+
+      for (const signer of [researcher1, researcher2]) {
+        const quality = await handleView.connect(signer).getQualityScore(1);
+        expect(await decrypt(FhevmType.euint8, quality, signer)).to.equal(42n);
+      }
+    });
+
+    it("Should require an ACL permission even for public datasets", async function () {
+      await expect(handleView.connect(researcher3).getDataValue(2)).to.be.revertedWith(
+        "Not allowed to decrypt"
+      );
+      await expect(handleView.connect(researcher3).getDataValue(3)).to.be.revertedWith(
+        "Invalid dataset ID"
+      );
+    });
+
+    it("Should return the caller's own rewards", async function () {
+      await contract.connect(owner).distributeReward(researcher1.address, 1, 1500);
+
+      const reward = await handleView.connect(researcher1).getReward(0);
+      expect(await decrypt(FhevmType.euint64, reward, researcher1)).to.equal(1500n);
+
+      await expect(handleView.connect(researcher2).getReward(0)).to.be.revertedWith(
+        "Invalid reward index"
+      );
+    });
+  });
+
+  describe("Aggregate Publication", function () {
+    let contract, analytics, owner, researcher1, researcher2, researcher3, researcher4;
+
+    beforeEach(async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      ({ contract, analytics, owner, researcher1, researcher2, researcher3, researcher4 } =
+        await deployAnalyticsFixture());
+
+      // Revealed totals are compared exactly and small cohorts are exercised below
+      await analytics.connect(owner).setNoiseRange(1);
+      await analytics.connect(owner).setMinCohortSize(1);
+
+      await contract
+        .connect(researcher1)
+        .contributeData(120, 80, "QmPublishA", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher2)
+        .contributeData(200, 85, "QmPublishB", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher3)
+        .contributeData(80, 90, "QmPublishC", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher1)
+        .contributeData(40, 75, "QmPublishD", true, SCHEMA_ID, ALL_PURPOSES);
+    });
+
+    it("Should publish sum and count once enough contributors are included", async function () {
+      await analytics.connect(researcher4).computeAggregate([1, 2, 3, 4]);
+      expect((await analytics.getAggregate(1)).contributorCount).to.equal(3);
+
+      await expect(analytics.connect(researcher4).requestAggregateReveal(1)).to.emit(
+        analytics,
+        "AggregateRevealRequested"
+      );
+
+      let reveal = await analytics.getAggregateReveal(1);
+      expect(reveal.requested).to.equal(true);
+      expect(reveal.revealed).to.equal(false);
+
+      await fhevm.awaitDecryptionOracle();
+
+      reveal = await analytics.getAggregateReveal(1);
+      expect(reveal.revealed).to.equal(true);
+      expect(reveal.sum).to.equal(440n);
+      expect(reveal.count).to.equal(4n);
+    });
+
+    it("Should count distinct contributors towards the threshold", async function () {
+      // Datasets 1 and 4 share a contributor, so only two participants are included
+      await analytics.connect(researcher4).computeAggregate([1, 2, 4]);
+      expect((await analytics.getAggregate(1)).contributorCount).to.equal(2);
+
+      await expect(analytics.connect(researcher4).requestAggregateReveal(1)).to.be.revertedWith(
+        "Not enough participants"
+      );
+
+      await analytics.connect(owner).setMinRevealParticipants(2);
+      await analytics.connect(researcher4).requestAggregateReveal(1);
+    });
+
+    it("Should only let the aggregate requester ask once", async function () {
+      await analytics.connect(researcher4).computeAggregate([1, 2, 3]);
+
+      await expect(analytics.connect(researcher1).requestAggregateReveal(1)).to.be.revertedWith(
+        "Not aggregate requester"
+      );
+
+      await analytics.connect(researcher4).requestAggregateReveal(1);
+      await expect(analytics.connect(researcher4).requestAggregateReveal(1)).to.be.revertedWith(
+        "Reveal already requested"
+      );
+    });
+
+    it("Should reject replayed and forged callbacks", async function () {
+      await analytics.connect(researcher4).computeAggregate([1, 2, 3]);
+      await analytics.connect(researcher4).requestAggregateReveal(1);
+      const { decryptionRequestId } = await analytics.getAggregateReveal(1);
+
+      // A callback without valid KMS signatures is rejected
+      await expect(
+        analytics.revealAggregateCallback(decryptionRequestId, "0x", "0x")
+      ).to.be.reverted;
+
+      await fhevm.awaitDecryptionOracle();
+
+      // Once fulfilled, the request can no longer be replayed
+      await expect(
+        analytics.revealAggregateCallback(decryptionRequestId, "0x", "0x")
+      ).to.be.revertedWith("Unknown reveal request");
+      await expect(analytics.revealAggregateCallback(999, "0x", "0x")).to.be.revertedWith(
+        "Unknown reveal request"
+      );
+    });
+
+    it("Should only let the platform owner change the threshold", async function () {
+      await expect(
+        analytics.connect(researcher1).setMinRevealParticipants(1)
+      ).to.be.revertedWith("Not authorized");
+      await expect(analytics.connect(owner).setMinRevealParticipants(0)).to.be.revertedWith(
+        "Threshold must be positive"
+      );
+
+      await expect(analytics.connect(owner).setMinRevealParticipants(5))
+        .to.emit(analytics, "MinRevealParticipantsSet")
+        .withArgs(5);
+      expect(await analytics.minRevealParticipants()).to.equal(5);
+    });
+  });
+
+  // Runs right after Aggregate Publication: the mock decryption oracle identifies requests by an
+  // on-chain counter that snapshot reverts rewind, so oracle tests must not be separated by one
+  describe("Access Marketplace", function () {
+    let contract, token, pricing, marketplace, owner, researcher1, researcher2, researcher3;
+
+    beforeEach(async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      ({ contract, token, pricing, marketplace, owner, researcher1, researcher2, researcher3 } =
+        await deployMarketplaceFixture());
+
+      // Dataset 1 is for sale; researcher2 earns 1000 tokens from dataset 2 to pay with
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmForSale", false, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher2)
+        .contributeData(67890, 70, "QmBuyerData", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract.connect(owner).distributeReward(researcher2.address, 2, 1000);
+      await contract.connect(researcher2).claimReward(0);
+      await token.connect(researcher2).setOperator(await marketplace.getAddress(), true);
+
+      await requestAccessFor(contract, researcher2);
+    });
+
+    async function encryptUint64(signer, value) {
+      return fhevm
+        .createEncryptedInput(await marketplace.getAddress(), signer.address)
+        .add64(value)
+        .encrypt();
+    }
+
+    // Sets the sale price in the pricing contract, then lists the dataset at that price
+    async function listDataset(signer, datasetId, price) {
+      const input = await fhevm
+        .createEncryptedInput(await pricing.getAddress(), signer.address)
+        .add32(price)
+        .encrypt();
+      await pricing.connect(signer).setDatasetPrice(datasetId, input.handles[0], input.inputProof);
+      return marketplace.connect(signer).listDataset(datasetId);
+    }
+
+    async function purchase(signer, datasetId, requestId, payment) {
+      const input = await encryptUint64(signer, payment);
+      return marketplace
+        .connect(signer)
+        .purchaseAccess(datasetId, requestId, input.handles[0], input.inputProof);
+    }
+
+    async function decryptBalance(signer) {
+      return fhevm.userDecryptEuint(
+        FhevmType.euint64,
+        await token.balanceOf(signer.address),
+        await token.getAddress(),
+        signer
+      );
+    }
+
+    it("Should list a dataset at its pricing contract price", async function () {
+      await expect(marketplace.connect(researcher1).listDataset(1)).to.be.revertedWith(
+        "Price not set"
+      );
+      await expect(listDataset(researcher1, 1, 600)).to.emit(marketplace, "DatasetListed");
+
+      expect(await marketplace.isListed(1)).to.equal(true);
+      const price = await fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        await pricing.datasetMinPrice(1),
+        await pricing.getAddress(),
+        researcher1
+      );
+      expect(price).to.equal(600n);
+
+      await expect(marketplace.connect(researcher3).listDataset(1)).to.be.revertedWith(
+        "Not dataset contributor"
+      );
+      await expect(pricing.connect(researcher3).useDatasetPrice(1)).to.be.revertedWith(
+        "Not authorized"
+      );
+    });
+
+    it("Should grant access and pay out when payment covers the price", async function () {
+      await listDataset(researcher1, 1, 600);
+      // Only the price is escrowed; the 100 overpaid never leaves the buyer's balance
+      await expect(purchase(researcher2, 1, 1, 700))
+        .to.emit(marketplace, "PurchaseEscrowed")
+        .withArgs(1, 1, researcher2.address);
+      expect(await decryptBalance(researcher2)).to.equal(400n);
+      expect(await contract.hasDataAccess(1, researcher2.address)).to.equal(false);
+
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await marketplace.purchases(1)).status).to.equal(2); // Completed
+      expect(await contract.hasDataAccess(1, researcher2.address)).to.equal(true);
+      expect(await contract.accessRequestId(1, researcher2.address)).to.equal(1);
+      expect(await decryptBalance(researcher1)).to.equal(600n);
+      expect(await decryptBalance(researcher2)).to.equal(400n);
+    });
+
+    it("Should refund the buyer when payment is below the price", async function () {
+      await listDataset(researcher1, 1, 600);
+      await purchase(researcher2, 1, 1, 500);
+      expect(await decryptBalance(researcher2)).to.equal(500n);
+
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await marketplace.purchases(1)).status).to.equal(3); // Refunded
+      expect(await contract.hasDataAccess(1, researcher2.address)).to.equal(false);
+      expect(await decryptBalance(researcher2)).to.equal(1000n);
+      expect(await marketplace.pendingPurchase(1, researcher2.address)).to.equal(0);
+    });
+
+    it("Should not escrow more than the buyer's balance", async function () {
+      await listDataset(researcher1, 1, 1500);
+      await purchase(researcher2, 1, 1, 5000);
+      expect(await decryptBalance(researcher2)).to.equal(1000n);
+
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await marketplace.purchases(1)).status).to.equal(3); // Refunded
+      expect(await contract.hasDataAccess(1, researcher2.address)).to.equal(false);
+      expect(await decryptBalance(researcher2)).to.equal(1000n);
+    });
+
+    it("Should refund when access can no longer be granted at settlement", async function () {
+      await listDataset(researcher1, 1, 600);
+      await purchase(researcher2, 1, 1, 600);
+      await contract.connect(researcher1).deactivateDataset(1);
+
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await marketplace.purchases(1)).status).to.equal(3); // Refunded
+      expect(await token.balanceOf(researcher1.address)).to.equal(ethers.ZeroHash);
+      expect(await decryptBalance(researcher2)).to.equal(1000n);
+    });
+
+    it("Should reject invalid purchases and unknown settlements", async function () {
+      await expect(purchase(researcher2, 1, 1, 600)).to.be.revertedWith("Dataset not listed");
+
+      await listDataset(researcher1, 1, 600);
+      await expect(purchase(researcher3, 1, 1, 600)).to.be.revertedWith("Not requester");
+
+      await purchase(researcher2, 1, 1, 600);
+      await expect(purchase(researcher2, 1, 1, 600)).to.be.revertedWith("Purchase pending");
+
+      const { decryptionRequestId } = await marketplace.purchases(1);
+      await fhevm.awaitDecryptionOracle();
+      await expect(
+        marketplace.settlePurchaseCallback(decryptionRequestId, "0x", "0x")
+      ).to.be.revertedWith("Unknown settlement request");
+      await expect(purchase(researcher2, 1, 1, 600)).to.be.revertedWith(
+        "Access already granted"
+      );
+    });
+
+    it("Should refuse purchases against expired requests", async function () {
+      await listDataset(researcher1, 1, 600);
+      const { deadline } = await contract.dataRequests(1);
+      await time.increaseTo(deadline + 1n);
+
+      expect(await contract.isRequestExpired(1)).to.equal(true);
+      await expect(purchase(researcher2, 1, 1, 600)).to.be.revertedWith("Request closed");
+    });
+
+    it("Should only move tokens for approved operators", async function () {
+      await token.connect(researcher2).setOperator(await marketplace.getAddress(), false);
+      await listDataset(researcher1, 1, 600);
+
+      await expect(purchase(researcher2, 1, 1, 600)).to.be.revertedWith("Not operator");
+    });
+
+    it("Should hold only the access granter role on the platform", async function () {
+      const marketplaceAddress = await marketplace.getAddress();
+      expect(
+        await contract.hasRole(await contract.ACCESS_GRANTER_ROLE(), marketplaceAddress)
+      ).to.equal(true);
+      expect(await contract.hasRole(await contract.ADMIN_ROLE(), marketplaceAddress)).to.equal(
+        false
+      );
+
+      // Deactivated datasets stay hidden from the marketplace as from any other non-manager
+      await contract.connect(researcher1).deactivateDataset(1);
+      await expect(listDataset(researcher1, 1, 600)).to.be.revertedWith("Dataset not active");
+    });
+  });
+
+  describe("Differential Privacy", function () {
+    let contract, analytics, recordStore, owner;
+    let researcher1, researcher2, researcher3, researcher4;
+
+    beforeEach(async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      ({ contract, analytics, owner, researcher1, researcher2, researcher3, researcher4 } =
+        await deployAnalyticsFixture());
+
+      const ResearchRecordStore = await ethers.getContractFactory("ResearchRecordStore");
+      recordStore = await ResearchRecordStore.deploy(
+        await contract.getAddress(),
+        await contract.schemaRegistry()
+      );
+
+      await contract
+        .connect(researcher1)
+        .contributeData(120, 80, "QmPrivacyA", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher2)
+        .contributeData(200, 85, "QmPrivacyB", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher1)
+        .contributeData(40, 75, "QmPrivacyC", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher3)
+        .contributeData(80, 90, "QmPrivacyD", true, SCHEMA_ID, ALL_PURPOSES);
+    });
+
+    async function decrypt(handle, target, signer) {
+      return fhevm.userDecryptEuint(FhevmType.euint64, handle, await target.getAddress(), signer);
+    }
+
+    it("Should start with the default privacy parameters", async function () {
+      expect(await analytics.minCohortSize()).to.equal(3);
+      expect(await analytics.noiseRange()).to.equal(2);
+      // No sensitivity is configured, so values are not clipped
+      expect(await analytics.sensitivity()).to.equal(0);
+      expect(await analytics.privacyBudgetOf(researcher4.address)).to.equal(20);
+      expect(await analytics.remainingPrivacyBudget(researcher4.address)).to.equal(20);
+    });
+
+    it("Should reject aggregates over too few distinct contributors", async function () {
+      await expect(analytics.connect(researcher4).computeAggregate([1, 3])).to.be.revertedWith(
+        "Cohort too small"
+      );
+      // Three datasets but only two contributors
+      await expect(
+        analytics.connect(researcher4).computeAggregate([1, 2, 3])
+      ).to.be.revertedWith("Cohort too small");
+
+      await analytics.connect(researcher4).computeAggregate([1, 2, 4]);
+      expect((await analytics.getAggregate(1)).contributorCount).to.equal(3);
+    });
+
+    it("Should keep noisy results within the configured range", async function () {
+      await analytics.connect(researcher4).computeAggregate([1, 2, 3, 4]);
+      const aggregate = await analytics.getAggregate(1);
+
+      const sum = await decrypt(aggregate.sum, analytics, researcher4);
+      const minValue = await decrypt(aggregate.minValue, analytics, researcher4);
+      const maxValue = await decrypt(aggregate.maxValue, analytics, researcher4);
+      // Until a sensitivity is configured the noise width is noiseRange * 256 = 512
+      expect(sum >= 440n - 256n && sum < 440n + 256n).to.equal(true);
+      expect(minValue < 40n + 256n).to.equal(true);
+      expect(maxValue < 200n + 256n).to.equal(true);
+
+      // The dataset count stays exact
+      const count = await fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        aggregate.count,
+        await analytics.getAddress(),
+        researcher4
+      );
+      expect(count).to.equal(4n);
+    });
+
+    it("Should not clip realistic values before a sensitivity is configured", async function () {
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 80, "QmPrivacyE", true, SCHEMA_ID, ALL_PURPOSES);
+      await analytics.connect(researcher4).computeAggregate([2, 4, 5]);
+      const aggregate = await analytics.getAggregate(1);
+
+      // 200 + 80 + 12345, give or take the default noise of 256
+      const sum = await decrypt(aggregate.sum, analytics, researcher4);
+      const maxValue = await decrypt(aggregate.maxValue, analytics, researcher4);
+      expect(sum >= 12625n - 256n && sum < 12625n + 256n).to.equal(true);
+      expect(maxValue >= 12345n - 256n && maxValue < 12345n + 256n).to.equal(true);
+    });
+
+    it("Should clip values to the sensitivity and scale noise with it", async function () {
+      await expect(analytics.connect(owner).setSensitivity(64))
+        .to.emit(analytics, "SensitivitySet")
+        .withArgs(64);
+      await analytics.connect(researcher4).computeAggregate([1, 2, 3, 4]);
+      const aggregate = await analytics.getAggregate(1);
+
+      // 120, 200 and 80 are clipped to 64, so the sum is 232 give or take 64
+      const sum = await decrypt(aggregate.sum, analytics, researcher4);
+      const maxValue = await decrypt(aggregate.maxValue, analytics, researcher4);
+      expect(sum >= 232n - 64n && sum < 232n + 64n).to.equal(true);
+      expect(maxValue < 64n + 64n).to.equal(true);
+    });
+
+    it("Should consume one unit of privacy budget per query", async function () {
+      await analytics.connect(owner).setPrivacyBudget(researcher4.address, 2);
+
+      await expect(analytics.connect(researcher4).computeAggregate([1, 2, 4]))
+        .to.emit(analytics, "PrivacyBudgetConsumed")
+        .withArgs(researcher4.address, 1);
+      await analytics.connect(researcher4).computeAggregate([2, 3, 4]);
+
+      expect(await analytics.privacyBudgetSpent(researcher4.address)).to.equal(2);
+      expect(await analytics.remainingPrivacyBudget(researcher4.address)).to.equal(0);
+      await expect(
+        analytics.connect(researcher4).computeAggregate([1, 2, 4])
+      ).to.be.revertedWith("Privacy budget exhausted");
+
+      // Other requesters keep the default budget
+      expect(await analytics.remainingPrivacyBudget(researcher1.address)).to.equal(20);
+
+      await expect(analytics.connect(owner).resetPrivacyBudget(researcher4.address))
+        .to.emit(analytics, "PrivacyBudgetReset")
+        .withArgs(researcher4.address);
+      expect(await analytics.remainingPrivacyBudget(researcher4.address)).to.equal(2);
+    });
+
+    it("Should apply the default budget to requesters without a custom one", async function () {
+      await expect(analytics.connect(owner).setDefaultPrivacyBudget(1))
+        .to.emit(analytics, "DefaultPrivacyBudgetSet")
+        .withArgs(1);
+
+      await analytics.connect(researcher4).computeAggregate([1, 2, 4]);
+      await expect(
+        analytics.connect(researcher4).computeAggregate([1, 2, 4])
+      ).to.be.revertedWith("Privacy budget exhausted");
+    });
+
+    it("Should only let platform admins configure privacy parameters", async function () {
+      await expect(analytics.connect(researcher1).setNoiseRange(64)).to.be.revertedWith(
+        "Not authorized"
+      );
+      await expect(analytics.connect(researcher1).setMinCohortSize(5)).to.be.revertedWith(
+        "Not authorized"
+      );
+      await expect(analytics.connect(researcher1).setSensitivity(64)).to.be.revertedWith(
+        "Not authorized"
+      );
+      await expect(
+        analytics.connect(researcher1).setPrivacyBudget(researcher1.address, 100)
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        analytics.connect(researcher1).resetPrivacyBudget(researcher1.address)
+      ).to.be.revertedWith("Not authorized");
+      await expect(analytics.connect(researcher1).setDefaultPrivacyBudget(100)).to.be.revertedWith(
+        "Not authorized"
+      );
+
+      await expect(analytics.connect(owner).setNoiseRange(48)).to.be.revertedWith(
+        "Noise range must be a power of two"
+      );
+      await expect(analytics.connect(owner).setNoiseRange(0)).to.be.revertedWith(
+        "Noise range must be a power of two"
+      );
+      await expect(analytics.connect(owner).setSensitivity(100)).to.be.revertedWith(
+        "Sensitivity must be a power of two"
+      );
+      // The noise width, range times sensitivity, is capped at 2^32
+      await expect(analytics.connect(owner).setNoiseRange(2n ** 25n)).to.be.revertedWith(
+        "Noise too wide"
+      );
+      await expect(analytics.connect(owner).setSensitivity(2n ** 32n)).to.be.revertedWith(
+        "Noise too wide"
+      );
+      await expect(analytics.connect(owner).setMinCohortSize(0)).to.be.revertedWith(
+        "Cohort size must be positive"
+      );
+
+      await expect(analytics.connect(owner).setNoiseRange(64))
+        .to.emit(analytics, "NoiseRangeSet")
+        .withArgs(64);
+      await expect(analytics.connect(owner).setMinCohortSize(5))
+        .to.emit(analytics, "MinCohortSizeSet")
+        .withArgs(5);
+    });
+
+    it("Should protect field aggregates in the record store", async function () {
+      for (const [datasetId, value, signer] of [
+        [1, 120, researcher1],
+        [2, 200, researcher2],
+        [3, 40, researcher1],
+        [4, 80, researcher3],
+      ]) {
+        const encrypted = await fhevm
+          .createEncryptedInput(await recordStore.getAddress(), signer.address)
+          .add32(value)
+          .encrypt();
+        await recordStore
+          .connect(signer)
+          .attachRecord(datasetId, encrypted.handles, encrypted.inputProof);
+      }
+
+      await expect(
+        recordStore.connect(researcher4).aggregateField([1, 2, 3], 0)
+      ).to.be.revertedWith("Cohort too small");
+
+      await recordStore.connect(owner).setPrivacyBudget(researcher4.address, 1);
+      await recordStore.connect(researcher4).aggregateField([1, 2, 3, 4], 0);
+      await expect(
+        recordStore.connect(researcher4).aggregateField([1, 2, 4], 0)
+      ).to.be.revertedWith("Privacy budget exhausted");
+
+      const { sum } = await recordStore.getFieldAggregate(1);
+      const noisySum = await decrypt(sum, recordStore, researcher4);
+      expect(noisySum >= 440n - 256n && noisySum < 440n + 256n).to.equal(true);
+
+      // The analytics budget is tracked separately
+      expect(await analytics.remainingPrivacyBudget(researcher4.address)).to.equal(20);
+    });
+  });
+
+  describe("Dataset Versioning", function () {
+    const RETAIN_GRANTEES = 0;
+    const REVOKE_GRANTEES = 1;
+
+    let contract, versions, researcher1, researcher2, researcher3;
+
+    beforeEach(async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      ({ contract, versions, researcher1, researcher2, researcher3 } =
+        await deployVersionsFixture());
+
+      await contract
+        .connect(researcher1)
+        .contributeData(100, 85, "QmVersion1", false, SCHEMA_ID, ALL_PURPOSES);
+      const requestId = await requestAccessFor(contract, researcher2);
+      await contract.connect(researcher1).grantDataAccess(1, requestId);
+    });
+
+    async function publishVersion(value, metadataHash, policy) {
+      const encrypted = await fhevm
+        .createEncryptedInput(await versions.getAddress(), researcher1.address)
+        .add32(value)
+        .encrypt();
+      return versions
+        .connect(researcher1)
+        .updateDataset(1, encrypted.handles[0], encrypted.inputProof, metadataHash, policy);
+    }
+
+    async function decryptValue(handle, signer) {
+      return fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        handle,
+        await contract.getAddress(),
+        signer
+      );
+    }
+
+    it("Should publish a new version under the same dataset ID", async function () {
+      await expect(publishVersion(130, "QmVersion2", RETAIN_GRANTEES))
+        .to.emit(versions, "DatasetUpdated")
+        .withArgs(1, 2, "QmVersion2", RETAIN_GRANTEES);
+
+      expect(await versions.getDatasetVersionCount(1)).to.equal(2);
+      const info = await contract.getDatasetInfo(1);
+      expect(info[1]).to.equal("QmVersion2");
+      expect(info[4]).to.equal(1); // accessCount is kept
+
+      const [firstValue, firstHash] = await versions.getDatasetVersion(1, 1);
+      const [secondValue, secondHash] = await versions.getDatasetVersion(1, 2);
+      expect(firstHash).to.equal("QmVersion1");
+      expect(secondHash).to.equal("QmVersion2");
+      expect(await decryptValue(firstValue, researcher1)).to.equal(100n);
+      expect(await decryptValue(secondValue, researcher1)).to.equal(130n);
+    });
+
+    it("Should let retained grantees decrypt the new version", async function () {
+      await publishVersion(130, "QmVersion2", RETAIN_GRANTEES);
+
+      expect(await contract.getDatasetGranteeList(1)).to.deep.equal([researcher2.address]);
+      expect(await contract.hasDataAccess(1, researcher2.address)).to.equal(true);
+
+      const [value] = await versions.getDatasetVersion(1, 2);
+      expect(await decryptValue(value, researcher2)).to.equal(130n);
+    });
+
+    it("Should clear grants when the policy revokes grantees", async function () {
+      const requestId = await requestAccessFor(contract, researcher3);
+      await contract.connect(researcher1).grantDataAccess(1, requestId);
+
+      await expect(publishVersion(130, "QmVersion2", REVOKE_GRANTEES))
+        .to.emit(contract, "DatasetAccessRevoked")
+        .withArgs(1, researcher2.address);
+
+      expect(await contract.getDatasetGranteeList(1)).to.deep.equal([]);
+      await expect(contract.connect(researcher2).accessDataset(1)).to.be.revertedWith(
+        "Access denied"
+      );
+    });
+
+    it("Should only let the contributor publish versions", async function () {
+      const encrypted = await fhevm
+        .createEncryptedInput(await versions.getAddress(), researcher2.address)
+        .add32(1)
+        .encrypt();
+
+      await expect(
+        versions
+          .connect(researcher2)
+          .updateDataset(1, encrypted.handles[0], encrypted.inputProof, "QmX", RETAIN_GRANTEES)
+      ).to.be.revertedWith("Not dataset contributor");
+      await expect(publishVersion(1, "", RETAIN_GRANTEES)).to.be.revertedWith(
+        "Metadata hash required"
+      );
+    });
+
+    it("Should only let the version manager replace the current version", async function () {
+      const [, value] = await contract.datasets(1);
+
+      await expect(
+        contract.connect(researcher1).setDatasetVersion(1, value, "QmX", false)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should reject unknown versions", async function () {
+      await expect(versions.getDatasetVersion(1, 0)).to.be.revertedWith("Invalid version");
+      await expect(versions.getDatasetVersion(1, 2)).to.be.revertedWith("Invalid version");
+    });
+  });
+
+  describe("Schema Registry", function () {
+    // FieldType: Uint8, Uint16, Uint32, Uint64, Bool
+    const FIELD_NAMES = ["age", "dosage"];
+    const FIELD_TYPES = [0, 1];
+    const FIELD_UNITS = ["years", "mg"];
+
+    function registerClinical(schemaRegistry, signer) {
+      return schemaRegistry
+        .connect(signer)
+        .registerSchema("clinical", FIELD_NAMES, FIELD_TYPES, FIELD_UNITS);
+    }
+
+    function publishVersion(schemaRegistry, signer, names, types, units) {
+      return schemaRegistry.connect(signer).publishSchemaVersion(2, names, types, units);
+    }
+
+    it("Should register schemas with field names, types and units", async function () {
+      const { schemaRegistry, researcher1 } = await deployContractFixture();
+
+      await expect(registerClinical(schemaRegistry, researcher1))
+        .to.emit(schemaRegistry, "SchemaRegistered")
+        .withArgs(2, researcher1.address, "clinical");
+
+      const schema = await schemaRegistry.getSchema(2);
+      expect(schema.owner).to.equal(researcher1.address);
+      expect(schema.name).to.equal("clinical");
+      expect(schema.version).to.equal(1);
+      expect(schema.previousSchemaId).to.equal(0);
+      expect(schema.fieldNames).to.deep.equal(FIELD_NAMES);
+      expect(schema.fieldTypes).to.deep.equal(FIELD_TYPES.map(BigInt));
+      expect(schema.fieldUnits).to.deep.equal(FIELD_UNITS);
+    });
+
+    it("Should reject malformed schemas", async function () {
+      const { schemaRegistry } = await deployContractFixture();
+
+      await expect(
+        schemaRegistry.registerSchema("broken", ["age"], [0, 1], ["years"])
+      ).to.be.revertedWith("Field length mismatch");
+      await expect(
+        schemaRegistry.registerSchema("broken", ["age"], [0], [])
+      ).to.be.revertedWith("Field length mismatch");
+      await expect(schemaRegistry.registerSchema("empty", [], [], [])).to.be.revertedWith(
+        "Invalid field count"
+      );
+      await expect(schemaRegistry.registerSchema("", ["age"], [0], [""])).to.be.revertedWith(
+        "Schema name required"
+      );
+      await expect(schemaRegistry.registerSchema("unnamed", [""], [0], [""])).to.be.revertedWith(
+        "Field name required"
+      );
+      await expect(schemaRegistry.getSchema(2)).to.be.revertedWith("Invalid schema ID");
+    });
+
+    it("Should publish new versions and track the latest", async function () {
+      const { schemaRegistry, researcher1, researcher2 } = await deployContractFixture();
+      await registerClinical(schemaRegistry, researcher1);
+
+      await expect(
+        publishVersion(schemaRegistry, researcher2, FIELD_NAMES, FIELD_TYPES, FIELD_UNITS)
+      ).to.be.revertedWith("Not schema owner");
+
+      await expect(
+        publishVersion(
+          schemaRegistry,
+          researcher1,
+          [...FIELD_NAMES, "smoker"],
+          [...FIELD_TYPES, 4],
+          [...FIELD_UNITS, ""]
+        )
+      )
+        .to.emit(schemaRegistry, "SchemaVersionPublished")
+        .withArgs(3, 2, 2);
+
+      const schema = await schemaRegistry.getSchema(3);
+      expect(schema.name).to.equal("clinical");
+      expect(schema.version).to.equal(2);
+      expect(schema.previousSchemaId).to.equal(2);
+      expect(await schemaRegistry.supersededBy(2)).to.equal(3);
+      expect(await schemaRegistry.getLatestVersion(2)).to.equal(3);
+
+      await expect(
+        publishVersion(schemaRegistry, researcher1, FIELD_NAMES, FIELD_TYPES, FIELD_UNITS)
+      ).to.be.revertedWith("Schema already superseded");
+    });
+
+    it("Should require a registered schema for contributions", async function () {
+      const { contract, researcher1 } = await deployContractFixture();
+
+      await expect(
+        contract.connect(researcher1).contributeData(12345, 85, "QmHash", true, 0, ALL_PURPOSES)
+      ).to.be.revertedWith("Schema not registered");
+      await expect(
+        contract.connect(researcher1).contributeData(12345, 85, "QmHash", true, 2, ALL_PURPOSES)
+      ).to.be.revertedWith("Schema not registered");
+
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", true, SCHEMA_ID, ALL_PURPOSES);
+      expect(await contract.datasetSchema(1)).to.equal(SCHEMA_ID);
+    });
+
+    it("Should only let admins configure the schema registry", async function () {
+      const { contract, schemaRegistry, owner, researcher1 } = await deployContractFixture();
+
+      await expect(
+        contract.connect(researcher1).setSchemaRegistry(researcher1.address)
+      ).to.be.revertedWith("Not authorized");
+      await expect(contract.connect(owner).setSchemaRegistry(await schemaRegistry.getAddress()))
+        .to.emit(contract, "SchemaRegistrySet")
+        .withArgs(await schemaRegistry.getAddress());
+    });
+  });
+
+  describe("Multi-field Encrypted Records", function () {
+    // FieldType: Uint8, Uint16, Uint32, Uint64, Bool
+    const FIELD_NAMES = ["age", "dosage", "followUpDays", "smoker"];
+    const FIELD_TYPES = [0, 1, 3, 4];
+    const FIELD_UNITS = ["years", "mg", "days", ""];
+    const CLINICAL_SCHEMA_ID = 2;
+    const AGE = 0;
+    const DOSAGE = 1;
+    const SMOKER = 3;
+
+    let contract, schemaRegistry, recordStore, owner, researcher1, researcher2, researcher3;
+
+    beforeEach(async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      ({ contract, schemaRegistry, recordStore, owner, researcher1, researcher2, researcher3 } =
+        await deployRecordStoreFixture());
+
+      // These tests check exact arithmetic, so noise and the cohort minimum are disabled
+      await recordStore.connect(owner).setNoiseRange(1);
+      await recordStore.connect(owner).setMinCohortSize(1);
+
+      await schemaRegistry
+        .connect(researcher1)
+        .registerSchema("clinical", FIELD_NAMES, FIELD_TYPES, FIELD_UNITS);
+      await contract
+        .connect(researcher1)
+        .contributeData(1, 80, "QmPatientA", false, CLINICAL_SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher1)
+        .contributeData(1, 80, "QmPatientB", false, CLINICAL_SCHEMA_ID, ALL_PURPOSES);
+    });
+
+    async function attach(datasetId, [age, dosage, followUpDays, smoker], signer = researcher1) {
+      const encrypted = await fhevm
+        .createEncryptedInput(await recordStore.getAddress(), signer.address)
+        .add8(age)
+        .add16(dosage)
+        .add64(followUpDays)
+        .addBool(smoker)
+        .encrypt();
+      return recordStore
+        .connect(signer)
+        .attachRecord(datasetId, encrypted.handles, encrypted.inputProof);
+    }
+
+    async function decryptField(type, handle, signer) {
+      const storeAddress = await recordStore.getAddress();
+      if (type === FhevmType.ebool) {
+        return fhevm.userDecryptEbool(handle, storeAddress, signer);
+      }
+      return fhevm.userDecryptEuint(type, handle, storeAddress, signer);
+    }
+
+    it("Should store typed encrypted fields the contributor can decrypt", async function () {
+      await expect(attach(1, [42, 500, 90, true]))
+        .to.emit(recordStore, "RecordAttached")
+        .withArgs(1, CLINICAL_SCHEMA_ID, 4);
+
+      const [schemaId, fields] = await recordStore.getRecord(1);
+      expect(schemaId).to.equal(CLINICAL_SCHEMA_ID);
+      expect(await decryptField(FhevmType.euint8, fields[0], researcher1)).to.equal(42n);
+      expect(await decryptField(FhevmType.euint16, fields[1], researcher1)).to.equal(500n);
+      expect(await decryptField(FhevmType.euint64, fields[2], researcher1)).to.equal(90n);
+      expect(await decryptField(FhevmType.ebool, fields[3], researcher1)).to.equal(true);
+    });
+
+    it("Should only let the contributor attach one matching record", async function () {
+      await expect(attach(1, [42, 500, 90, true], researcher2)).to.be.revertedWith(
+        "Not dataset contributor"
+      );
+
+      const encrypted = await fhevm
+        .createEncryptedInput(await recordStore.getAddress(), researcher1.address)
+        .add8(42)
+        .encrypt();
+      await expect(
+        recordStore.connect(researcher1).attachRecord(1, encrypted.handles, encrypted.inputProof)
+      ).to.be.revertedWith("Field count mismatch");
+
+      await attach(1, [42, 500, 90, true]);
+      await expect(attach(1, [42, 500, 90, true])).to.be.revertedWith("Record already attached");
+    });
+
+    it("Should grant grantees only the selected fields", async function () {
+      await attach(1, [42, 500, 90, true]);
+
+      await expect(
+        recordStore.connect(researcher1).grantFieldAccess(1, researcher2.address, 1 << DOSAGE)
+      ).to.be.revertedWith("Dataset access required");
+
+      const requestId = await requestAccessFor(contract, researcher2);
+      await contract.connect(researcher1).grantDataAccess(1, requestId);
+      await expect(
+        recordStore.connect(researcher3).grantFieldAccess(1, researcher2.address, 1 << DOSAGE)
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        recordStore.connect(researcher1).grantFieldAccess(1, researcher2.address, 1 << 4)
+      ).to.be.revertedWith("Invalid field mask");
+
+      await expect(
+        recordStore.connect(researcher1).grantFieldAccess(1, researcher2.address, 1 << DOSAGE)
+      )
+        .to.emit(recordStore, "FieldAccessGranted")
+        .withArgs(1, researcher2.address, 1 << DOSAGE);
+
+      expect(await recordStore.canAccessField(1, DOSAGE, researcher2.address)).to.equal(true);
+      expect(await recordStore.canAccessField(1, AGE, researcher2.address)).to.equal(false);
+
+      const [, fields] = await recordStore.getRecord(1);
+      expect(await decryptField(FhevmType.euint16, fields[DOSAGE], researcher2)).to.equal(500n);
+      await expect(decryptField(FhevmType.euint8, fields[AGE], researcher2)).to.be.rejected;
+    });
+
+    it("Should follow dataset-level revocation and field revocation", async function () {
+      await attach(1, [42, 500, 90, true]);
+      const requestId = await requestAccessFor(contract, researcher2);
+      await contract.connect(researcher1).grantDataAccess(1, requestId);
+      await recordStore.connect(researcher1).grantFieldAccess(1, researcher2.address, 0b11);
+
+      await expect(recordStore.connect(owner).revokeFieldAccess(1, researcher2.address, 1 << AGE))
+        .to.emit(recordStore, "FieldAccessRevoked")
+        .withArgs(1, researcher2.address, 1 << AGE);
+      expect(await recordStore.canAccessField(1, AGE, researcher2.address)).to.equal(false);
+      expect(await recordStore.canAccessField(1, DOSAGE, researcher2.address)).to.equal(true);
+
+      await contract.connect(researcher1).revokeDataAccess(1, researcher2.address);
+      expect(await recordStore.canAccessField(1, DOSAGE, researcher2.address)).to.equal(false);
+    });
+
+    it("Should aggregate a single field across records", async function () {
+      await attach(1, [42, 500, 90, true]);
+      await attach(2, [58, 250, 30, false]);
+
+      await expect(recordStore.connect(researcher1).aggregateField([1, 2], DOSAGE))
+        .to.emit(recordStore, "FieldAggregateComputed")
+        .withArgs(1, researcher1.address, DOSAGE, 2);
+      await recordStore.connect(researcher1).aggregateField([1, 2], SMOKER);
+
+      const dosage = await recordStore.getFieldAggregate(1);
+      expect(await decryptField(FhevmType.euint64, dosage.sum, researcher1)).to.equal(750n);
+      expect(await decryptField(FhevmType.euint64, dosage.minValue, researcher1)).to.equal(250n);
+      expect(await decryptField(FhevmType.euint64, dosage.maxValue, researcher1)).to.equal(500n);
+
+      const smokers = await recordStore.getFieldAggregate(2);
+      expect(await decryptField(FhevmType.euint64, smokers.sum, researcher1)).to.equal(1n);
+    });
+
+    it("Should only aggregate fields the caller may read", async function () {
+      await attach(1, [42, 500, 90, true]);
+      await attach(2, [58, 250, 30, false]);
+      const requestId = await requestAccessFor(contract, researcher2);
+      await contract.connect(researcher1).grantDataAccess(1, requestId);
+      await contract.connect(researcher1).grantDataAccess(2, requestId);
+      await recordStore.connect(researcher1).grantFieldAccess(1, researcher2.address, 1 << DOSAGE);
+      await recordStore.connect(researcher1).grantFieldAccess(2, researcher2.address, 1 << DOSAGE);
+
+      await recordStore.connect(researcher2).aggregateField([1, 2], DOSAGE);
+      await expect(
+        recordStore.connect(researcher2).aggregateField([1, 2], AGE)
+      ).to.be.revertedWith("Access denied");
+      await expect(
+        recordStore.connect(researcher2).aggregateField([2, 1], DOSAGE)
+      ).to.be.revertedWith("Dataset IDs must be ascending");
+      await expect(
+        recordStore.connect(researcher2).aggregateField([1, 2], 4)
+      ).to.be.revertedWith("Invalid field index");
+    });
+
+    it("Should reject records with different schemas in one aggregate", async function () {
+      await schemaRegistry
+        .connect(researcher1)
+        .publishSchemaVersion(CLINICAL_SCHEMA_ID, FIELD_NAMES, FIELD_TYPES, FIELD_UNITS);
+      await contract
+        .connect(researcher1)
+        .contributeData(1, 80, "QmPatientC", false, 3, ALL_PURPOSES);
+      await attach(1, [42, 500, 90, true]);
+      await attach(3, [58, 250, 30, false]);
+
+      await expect(
+        recordStore.connect(researcher1).aggregateField([1, 3], DOSAGE)
+      ).to.be.revertedWith("Schema mismatch");
+    });
+  });
+
+  describe("Dataset Access", function () {
+    it("Should allow access to public datasets", async function () {
+      const { contract, researcher1, researcher2 } = await deployContractFixture();
+
+      const metadataHash = "QmPublicHash";
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, metadataHash, true, SCHEMA_ID, ALL_PURPOSES);
+
+      const info = await contract.connect(researcher2).accessDataset(1);
+      expect(info[0]).to.equal(metadataHash);
+    });
+
+    it("Should allow contributor to access own dataset", async function () {
+      const { contract, researcher1 } = await deployContractFixture();
+
+      const metadataHash = "QmPrivateHash";
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, metadataHash, false, SCHEMA_ID, ALL_PURPOSES);
+
+      const info = await contract.connect(researcher1).accessDataset(1);
+      expect(info[0]).to.equal(metadataHash);
+    });
+
+    it("Should allow granted access to private datasets", async function () {
+      const { contract, researcher1, researcher2 } = await deployContractFixture();
+
+      const metadataHash = "QmPrivateHash";
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, metadataHash, false, SCHEMA_ID, ALL_PURPOSES);
+      const requestId = await requestAccessFor(contract, researcher2);
+      await contract.connect(researcher1).grantDataAccess(1, requestId);
+
+      const info = await contract.connect(researcher2).accessDataset(1);
+      expect(info[0]).to.equal(metadataHash);
+    });
+
+    it("Should reject access to private dataset without permission", async function () {
+      const { contract, researcher1, researcher2 } = await deployContractFixture();
+
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmPrivateHash", false, SCHEMA_ID, ALL_PURPOSES);
+
+      await expect(contract.connect(researcher2).accessDataset(1)).to.be.revertedWith(
+        "Access denied"
+      );
+    });
+
+    it("Should reject access to inactive dataset", async function () {
+      const { contract, researcher1, researcher2 } = await deployContractFixture();
+
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract.connect(researcher1).deactivateDataset(1);
+
+      await expect(contract.connect(researcher2).accessDataset(1)).to.be.revertedWith(
+        "Dataset not active"
+      );
+    });
+  });
+
+  describe("Role-Based Access Control", function () {
+    async function rolesFixture() {
+      const fixture = await deployContractFixture();
+      const { contract, researcher1 } = fixture;
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmRoles", false, SCHEMA_ID, ALL_PURPOSES);
+
+      return {
+        ...fixture,
+        ADMIN_ROLE: await contract.ADMIN_ROLE(),
+        QUALITY_REVIEWER_ROLE: await contract.QUALITY_REVIEWER_ROLE(),
+        REWARD_DISTRIBUTOR_ROLE: await contract.REWARD_DISTRIBUTOR_ROLE(),
+        PAUSER_ROLE: await contract.PAUSER_ROLE(),
+      };
+    }
+
+    it("Should grant every role to the deployer", async function () {
+      const { contract, owner, ...roles } = await rolesFixture();
+
+      for (const role of [
+        roles.ADMIN_ROLE,
+        roles.QUALITY_REVIEWER_ROLE,
+        roles.REWARD_DISTRIBUTOR_ROLE,
+        roles.PAUSER_ROLE,
+      ]) {
+        expect(await contract.hasRole(role, owner.address)).to.equal(true);
+      }
+    });
+
+    it("Should delegate quality review to a reviewer", async function () {
+      const { contract, owner, researcher2, QUALITY_REVIEWER_ROLE } = await rolesFixture();
+
+      await expect(contract.connect(owner).grantRole(QUALITY_REVIEWER_ROLE, researcher2.address))
+        .to.emit(contract, "RoleGranted")
+        .withArgs(QUALITY_REVIEWER_ROLE, researcher2.address, owner.address);
+
+      await expect(contract.connect(researcher2).updateQualityScore(1, 95))
+        .to.emit(contract, "QualityScoreUpdated")
+        .withArgs(1, 95);
+
+      await expect(contract.connect(owner).revokeRole(QUALITY_REVIEWER_ROLE, researcher2.address))
+        .to.emit(contract, "RoleRevoked")
+        .withArgs(QUALITY_REVIEWER_ROLE, researcher2.address, owner.address);
+
+      await expect(contract.connect(researcher2).updateQualityScore(1, 90)).to.be.revertedWith(
+        "Not authorized"
+      );
+    });
+
+    it("Should delegate reward distribution to a treasury", async function () {
+      const { contract, owner, researcher1, researcher3, REWARD_DISTRIBUTOR_ROLE } =
+        await rolesFixture();
+
+      await contract.connect(owner).grantRole(REWARD_DISTRIBUTOR_ROLE, researcher3.address);
+
+      await expect(contract.connect(researcher3).distributeReward(researcher1.address, 1, 500))
+        .to.emit(contract, "RewardDistributed")
+        .withArgs(researcher1.address, 1);
+    });
+
+    it("Should let access granters call grantDataAccess and nothing else", async function () {
+      const { contract, owner, researcher2, researcher3 } = await rolesFixture();
+      const requestId = await requestAccessFor(contract, researcher2);
+      const expiresAt = (await time.latest()) + 3600;
+
+      await contract
+        .connect(owner)
+        .grantRole(await contract.ACCESS_GRANTER_ROLE(), researcher3.address);
+
+      await expect(
+        contract.connect(researcher3).grantDataAccessUntil(1, requestId, expiresAt)
+      ).to.be.revertedWith("Not authorized to grant access");
+      await expect(contract.connect(researcher3).grantDataAccess(1, requestId))
+        .to.emit(contract, "DatasetAccessed")
+        .withArgs(1, researcher2.address);
+      await expect(
+        contract.connect(researcher3).revokeDataAccess(1, researcher2.address)
+      ).to.be.revertedWith("Not authorized to revoke access");
+      await expect(
+        contract.connect(researcher3).setAnalytics(researcher3.address)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should only let admins manage roles", async function () {
+      const { contract, owner, researcher1, researcher2, ADMIN_ROLE, QUALITY_REVIEWER_ROLE } =
+        await rolesFixture();
+
+      await expect(
+        contract.connect(researcher1).grantRole(QUALITY_REVIEWER_ROLE, researcher2.address)
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        contract.connect(owner).grantRole(QUALITY_REVIEWER_ROLE, owner.address)
+      ).to.be.revertedWith("Role already granted");
+      await expect(
+        contract.connect(owner).revokeRole(QUALITY_REVIEWER_ROLE, researcher2.address)
+      ).to.be.revertedWith("Role not granted");
+
+      // A second admin can manage roles but cannot strip the owner
+      await contract.connect(owner).grantRole(ADMIN_ROLE, researcher1.address);
+      await contract.connect(researcher1).grantRole(QUALITY_REVIEWER_ROLE, researcher2.address);
+      await expect(
+        contract.connect(researcher1).revokeRole(ADMIN_ROLE, owner.address)
+      ).to.be.revertedWith("Cannot revoke owner admin");
+    });
+
+    it("Should let role holders renounce their roles", async function () {
+      const { contract, owner, researcher2, ADMIN_ROLE, PAUSER_ROLE } = await rolesFixture();
+
+      await contract.connect(owner).grantRole(PAUSER_ROLE, researcher2.address);
+      await contract.connect(researcher2).renounceRole(PAUSER_ROLE);
+      expect(await contract.hasRole(PAUSER_ROLE, researcher2.address)).to.equal(false);
+
+      await expect(contract.connect(owner).renounceRole(ADMIN_ROLE)).to.be.revertedWith(
+        "Cannot revoke owner admin"
+      );
+    });
+
+    it("Should transfer ownership in two steps", async function () {
+      const { contract, owner, researcher1, researcher2, ADMIN_ROLE, QUALITY_REVIEWER_ROLE } =
+        await rolesFixture();
+
+      await expect(contract.connect(owner).transferOwnership(researcher1.address))
+        .to.emit(contract, "OwnershipTransferStarted")
+        .withArgs(owner.address, researcher1.address);
+
+      // Nothing changes until the new owner accepts
+      expect(await contract.owner()).to.equal(owner.address);
+      expect(await contract.pendingOwner()).to.equal(researcher1.address);
+      await expect(contract.connect(researcher2).acceptOwnership()).to.be.revertedWith(
+        "Not pending owner"
+      );
+
+      await expect(contract.connect(researcher1).acceptOwnership())
+        .to.emit(contract, "OwnershipTransferred")
+        .withArgs(owner.address, researcher1.address);
+
+      expect(await contract.owner()).to.equal(researcher1.address);
+      expect(await contract.pendingOwner()).to.equal(ethers.ZeroAddress);
+      expect(await contract.hasRole(ADMIN_ROLE, researcher1.address)).to.equal(true);
+      expect(await contract.hasRole(ADMIN_ROLE, owner.address)).to.equal(false);
+
+      await expect(
+        contract.connect(owner).grantRole(QUALITY_REVIEWER_ROLE, researcher2.address)
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        contract.connect(owner).transferOwnership(researcher2.address)
+      ).to.be.revertedWith("Not authorized");
+    });
+  });
+
+  describe("Emergency Pause", function () {
+    async function pauseFixture() {
+      const fixture = await deployContractFixture();
+      const { contract, researcher1, researcher2 } = fixture;
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmPause", false, SCHEMA_ID, ALL_PURPOSES);
+      const requestId = await requestAccessFor(contract, researcher2);
+      await contract.connect(researcher1).grantDataAccess(1, requestId);
+
+      return {
+        ...fixture,
+        PAUSE_CONTRIBUTIONS: await contract.PAUSE_CONTRIBUTIONS(),
+        PAUSE_ACCESS_GRANTS: await contract.PAUSE_ACCESS_GRANTS(),
+        PAUSE_REWARDS: await contract.PAUSE_REWARDS(),
+        PAUSE_REQUESTS: await contract.PAUSE_REQUESTS(),
+        PAUSE_ALL: await contract.PAUSE_ALL(),
+      };
+    }
+
+    it("Should pause contributions while reads and grants keep working", async function () {
+      const { contract, owner, researcher1, researcher3, PAUSE_CONTRIBUTIONS } =
+        await pauseFixture();
+
+      await expect(contract.connect(owner).pause(PAUSE_CONTRIBUTIONS))
+        .to.emit(contract, "Paused")
+        .withArgs(owner.address, PAUSE_CONTRIBUTIONS);
+
+      await expect(
+        contract
+          .connect(researcher1)
+          .contributeData(1, 50, "QmBlocked", true, SCHEMA_ID, ALL_PURPOSES)
+      ).to.be.revertedWith("Operation paused");
+
+      expect((await contract.getDatasetInfo(1))[0]).to.equal(researcher1.address);
+      const requestId = await requestAccessFor(contract, researcher3);
+      await contract.connect(researcher1).grantDataAccess(1, requestId);
+
+      const stats = await contract.getPlatformStats();
+      expect(stats[3]).to.equal(PAUSE_CONTRIBUTIONS);
+    });
+
+    it("Should resume operations after unpause", async function () {
+      const { contract, owner, researcher1, PAUSE_CONTRIBUTIONS, PAUSE_REWARDS } =
+        await pauseFixture();
+
+      await contract.connect(owner).pause(PAUSE_CONTRIBUTIONS | PAUSE_REWARDS);
+
+      await expect(contract.connect(owner).unpause(PAUSE_CONTRIBUTIONS))
+        .to.emit(contract, "Unpaused")
+        .withArgs(owner.address, PAUSE_CONTRIBUTIONS);
+
+      expect(await contract.isPaused(PAUSE_CONTRIBUTIONS)).to.equal(false);
+      expect(await contract.isPaused(PAUSE_REWARDS)).to.equal(true);
+      await contract
+        .connect(researcher1)
+        .contributeData(1, 50, "QmResumed", true, SCHEMA_ID, ALL_PURPOSES);
     });
 
-    it("Should reject empty research topic", async function () {
-      const { contract, researcher2 } = await loadFixture(deployContractFixture);
+    it("Should pause access grants but still allow revocation", async function () {
+      const { contract, owner, researcher1, researcher2, researcher3, PAUSE_ACCESS_GRANTS } =
+        await pauseFixture();
 
-      const deadline = Math.floor(Date.now() / 1000) + 86400;
+      const requestId = await requestAccessFor(contract, researcher3);
+      await contract.connect(owner).pause(PAUSE_ACCESS_GRANTS);
 
       await expect(
-        contract.connect(researcher2).requestDataAccess("", 50000, deadline)
-      ).to.be.revertedWith("Research topic required");
+        contract.connect(researcher1).grantDataAccess(1, requestId)
+      ).to.be.revertedWith("Operation paused");
+      await contract.connect(researcher1).revokeDataAccess(1, researcher2.address);
     });
 
-    it("Should reject past deadline", async function () {
-      const { contract, researcher2 } = await loadFixture(deployContractFixture);
+    it("Should pause rewards and requests independently", async function () {
+      const { contract, owner, researcher1, researcher2, PAUSE_REWARDS, PAUSE_REQUESTS } =
+        await pauseFixture();
+      const deadline = (await time.latest()) + 86400;
 
-      const pastDeadline = Math.floor(Date.now() / 1000) - 86400;
+      await contract.connect(owner).pause(PAUSE_REWARDS);
+      await expect(
+        contract.connect(owner).distributeReward(researcher1.address, 1, 1000)
+      ).to.be.revertedWith("Operation paused");
+      await expect(contract.connect(researcher1).claimReward(0)).to.be.revertedWith(
+        "Operation paused"
+      );
+      await contract.connect(researcher2).requestDataAccess("Topic", 100, deadline, PURPOSE);
 
+      await contract.connect(owner).pause(PAUSE_REQUESTS);
       await expect(
-        contract.connect(researcher2).requestDataAccess("Research", 50000, pastDeadline)
-      ).to.be.revertedWith("Deadline must be in future");
+        contract.connect(researcher2).requestDataAccess("Topic", 100, deadline, PURPOSE)
+      ).to.be.revertedWith("Operation paused");
+      await expect(contract.connect(researcher1).proposeDataset(1, 1)).to.be.revertedWith(
+        "Operation paused"
+      );
     });
 
-    it("Should store correct request information", async function () {
-      const { contract, researcher2 } = await loadFixture(deployContractFixture);
-
-      const researchTopic = "Medical Research";
-      const budget = 75000;
-      const deadline = Math.floor(Date.now() / 1000) + 86400 * 30;
+    it("Should only let pausers pause with known operations", async function () {
+      const { contract, owner, researcher3, PAUSE_ALL } = await pauseFixture();
+      const PAUSER_ROLE = await contract.PAUSER_ROLE();
 
-      await contract.connect(researcher2).requestDataAccess(researchTopic, budget, deadline);
+      await expect(contract.connect(researcher3).pause(PAUSE_ALL)).to.be.revertedWith(
+        "Not authorized"
+      );
+      await expect(contract.connect(owner).pause(0)).to.be.revertedWith("Invalid operations");
+      await expect(contract.connect(owner).pause(PAUSE_ALL + 1n)).to.be.revertedWith(
+        "Invalid operations"
+      );
 
-      const info = await contract.getDataRequestInfo(1);
-      expect(info[0]).to.equal(researcher2.address); // requester
-      expect(info[1]).to.equal(researchTopic); // researchTopic
-      expect(info[2]).to.equal(deadline); // deadline
-      expect(info[3]).to.equal(false); // isFulfilled
+      await contract.connect(owner).grantRole(PAUSER_ROLE, researcher3.address);
+      await contract.connect(researcher3).pause(PAUSE_ALL);
+      expect((await contract.getPlatformStats())[3]).to.equal(PAUSE_ALL);
     });
   });
 
-  describe("Access Control", function () {
-    it("Should allow contributor to grant access", async function () {
-      const { contract, researcher1, researcher2 } = await loadFixture(deployContractFixture);
+  describe("Per-epoch Quotas", function () {
+    // ResearchQuotaManager.Operation
+    const GRANT = 0;
+    const QUERY = 1;
+    const REQUEST = 2;
+    const EPOCH = 24 * 60 * 60;
+    const UNLIMITED = 2n ** 32n - 1n;
+
+    async function quotaFixture() {
+      const fixture = await deployContractFixture();
+      const { contract, owner, researcher1 } = fixture;
+
+      const ResearchQuotaManager = await ethers.getContractFactory("ResearchQuotaManager");
+      const quotaManager = await ResearchQuotaManager.deploy(await contract.getAddress());
+      await contract.connect(owner).setQuotaManager(await quotaManager.getAddress());
+
+      for (const hash of ["QmQuotaA", "QmQuotaB", "QmQuotaC"]) {
+        await contract
+          .connect(researcher1)
+          .contributeData(100, 80, hash, false, SCHEMA_ID, ALL_PURPOSES);
+      }
+
+      return { ...fixture, quotaManager };
+    }
+
+    async function requestAccess(contract, signer) {
+      const deadline = (await time.latest()) + EPOCH;
+      return contract.connect(signer).requestDataAccess("Quota Study", 1000, deadline, PURPOSE);
+    }
+
+    it("Should limit grants received by an address per epoch", async function () {
+      const { contract, quotaManager, owner, researcher1, researcher2, researcher3 } =
+        await quotaFixture();
+      await quotaManager.connect(owner).setDefaultQuota(GRANT, 2);
+      const requestId = await requestAccessFor(contract, researcher2);
+
+      await expect(contract.connect(researcher1).grantDataAccess(1, requestId))
+        .to.emit(quotaManager, "QuotaConsumed")
+        .withArgs(researcher2.address, GRANT, await quotaManager.currentEpoch(), 1);
+      await contract.connect(researcher1).grantDataAccess(2, requestId);
+      expect(await quotaManager.remainingQuota(researcher2.address, GRANT)).to.equal(0);
 
-      // Contribute dataset
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", false);
+      await expect(
+        contract.connect(researcher1).grantDataAccess(3, requestId)
+      ).to.be.revertedWith("Grant quota exceeded");
 
-      // Grant access
-      await expect(contract.connect(researcher1).grantDataAccess(1, researcher2.address))
-        .to.emit(contract, "DatasetAccessed")
-        .withArgs(1, researcher2.address);
+      // Quotas are tracked per grantee
+      const otherRequestId = await requestAccessFor(contract, researcher3);
+      await contract.connect(researcher1).grantDataAccess(3, otherRequestId);
 
-      // Check access count increased
-      const info = await contract.getDatasetInfo(1);
-      expect(info[4]).to.equal(1); // accessCount
+      // A new epoch restores the quota
+      await time.increaseTo(await quotaManager.epochEndsAt());
+      expect(await quotaManager.remainingQuota(researcher2.address, GRANT)).to.equal(2);
+      await contract.connect(researcher1).grantDataAccess(3, requestId);
     });
 
-    it("Should allow owner to grant access", async function () {
-      const { contract, owner, researcher1, researcher2 } = await loadFixture(deployContractFixture);
+    it("Should limit data requests per requester", async function () {
+      const { contract, quotaManager, owner, researcher2, researcher3 } = await quotaFixture();
+      await quotaManager.connect(owner).setDefaultQuota(REQUEST, 1);
 
-      // Contribute dataset
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", false);
+      await requestAccess(contract, researcher2);
+      await expect(requestAccess(contract, researcher2)).to.be.revertedWith(
+        "Request quota exceeded"
+      );
+      await requestAccess(contract, researcher3);
 
-      // Owner grants access
-      await expect(contract.connect(owner).grantDataAccess(1, researcher2.address))
-        .to.emit(contract, "DatasetAccessed")
-        .withArgs(1, researcher2.address);
+      expect(await quotaManager.usedQuota(researcher2.address, REQUEST)).to.equal(1);
+      expect(await contract.nextRequestId()).to.equal(3);
     });
 
-    it("Should reject unauthorized access grant", async function () {
-      const { contract, researcher1, researcher2, researcher3 } = await loadFixture(
-        deployContractFixture
+    it("Should let account quotas override the default", async function () {
+      const { contract, quotaManager, owner, researcher2 } = await quotaFixture();
+      await quotaManager.connect(owner).setDefaultQuota(REQUEST, 1);
+
+      await expect(quotaManager.connect(owner).setAccountQuota(researcher2.address, REQUEST, 3))
+        .to.emit(quotaManager, "AccountQuotaSet")
+        .withArgs(researcher2.address, REQUEST, 3);
+      for (let i = 0; i < 3; i++) {
+        await requestAccess(contract, researcher2);
+      }
+      await expect(requestAccess(contract, researcher2)).to.be.revertedWith(
+        "Request quota exceeded"
       );
 
-      // Contribute dataset
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", false);
-
-      // Unauthorized user tries to grant access
+      await quotaManager.connect(owner).clearAccountQuota(researcher2.address, REQUEST);
+      expect(await quotaManager.quotaOf(researcher2.address, REQUEST)).to.equal(1);
       await expect(
-        contract.connect(researcher3).grantDataAccess(1, researcher2.address)
-      ).to.be.revertedWith("Not authorized to grant access");
+        quotaManager.connect(owner).clearAccountQuota(researcher2.address, REQUEST)
+      ).to.be.revertedWith("Account quota not set");
     });
 
-    it("Should reject access to invalid dataset", async function () {
-      const { contract, researcher1, researcher2 } = await loadFixture(deployContractFixture);
+    it("Should leave operations unlimited until a quota is configured", async function () {
+      const { contract, quotaManager, researcher1, researcher2 } = await quotaFixture();
 
-      await expect(
-        contract.connect(researcher1).grantDataAccess(999, researcher2.address)
-      ).to.be.revertedWith("Invalid dataset ID");
+      const requestId = await requestAccessFor(contract, researcher2);
+      for (const datasetId of [1, 2, 3]) {
+        await contract.connect(researcher1).grantDataAccess(datasetId, requestId);
+      }
+
+      expect(await quotaManager.usedQuota(researcher2.address, GRANT)).to.equal(3);
+      expect(await quotaManager.remainingQuota(researcher2.address, GRANT)).to.equal(UNLIMITED);
+      expect(await quotaManager.remainingQuota(researcher2.address, QUERY)).to.equal(UNLIMITED);
     });
-  });
 
-  describe("Dataset Access", function () {
-    it("Should allow access to public datasets", async function () {
-      const { contract, researcher1, researcher2 } = await loadFixture(deployContractFixture);
+    it("Should restrict configuration and consumption", async function () {
+      const { contract, quotaManager, owner, researcher1 } = await quotaFixture();
 
-      const metadataHash = "QmPublicHash";
-      await contract.connect(researcher1).contributeData(12345, 85, metadataHash, true);
+      await expect(
+        quotaManager.connect(researcher1).consume(researcher1.address, REQUEST)
+      ).to.be.revertedWith("Not quota consumer");
+      await expect(
+        quotaManager.connect(researcher1).setDefaultQuota(GRANT, 1)
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        quotaManager.connect(researcher1).setConsumer(researcher1.address, true)
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        contract.connect(researcher1).setQuotaManager(researcher1.address)
+      ).to.be.revertedWith("Not authorized");
 
-      const info = await contract.connect(researcher2).accessDataset(1);
-      expect(info[0]).to.equal(metadataHash);
+      await expect(quotaManager.connect(owner).setEpochLength(0)).to.be.revertedWith(
+        "Epoch length must be positive"
+      );
+      await expect(
+        quotaManager.connect(owner).setConsumer(ethers.ZeroAddress, true)
+      ).to.be.revertedWith("Invalid consumer");
+
+      await expect(quotaManager.connect(owner).setEpochLength(3600))
+        .to.emit(quotaManager, "EpochLengthSet")
+        .withArgs(3600);
+      await expect(contract.connect(owner).setQuotaManager(ethers.ZeroAddress))
+        .to.emit(contract, "QuotaManagerSet")
+        .withArgs(ethers.ZeroAddress);
     });
 
-    it("Should allow contributor to access own dataset", async function () {
-      const { contract, researcher1 } = await loadFixture(deployContractFixture);
+    it("Should count aggregate queries from registered contracts", async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      const { contract, quotaManager, owner, researcher1, researcher2, researcher3 } =
+        await quotaFixture();
+
+      const ResearchDataAnalytics = await ethers.getContractFactory("ResearchDataAnalytics");
+      const analytics = await ResearchDataAnalytics.deploy(await contract.getAddress());
+      await contract.connect(owner).setAnalytics(await analytics.getAddress());
+      await analytics.connect(owner).setMinCohortSize(1);
+      await contract
+        .connect(researcher1)
+        .contributeData(100, 80, "QmQuotaD", true, SCHEMA_ID, ALL_PURPOSES);
+
+      await expect(analytics.connect(researcher2).computeAggregate([4])).to.be.revertedWith(
+        "Not quota consumer"
+      );
 
-      const metadataHash = "QmPrivateHash";
-      await contract.connect(researcher1).contributeData(12345, 85, metadataHash, false);
+      await quotaManager.connect(owner).setConsumer(await analytics.getAddress(), true);
+      await quotaManager.connect(owner).setDefaultQuota(QUERY, 1);
+      await analytics.connect(researcher2).computeAggregate([4]);
+      await expect(analytics.connect(researcher2).computeAggregate([4])).to.be.revertedWith(
+        "Query quota exceeded"
+      );
+      await analytics.connect(researcher3).computeAggregate([4]);
 
-      const info = await contract.connect(researcher1).accessDataset(1);
-      expect(info[0]).to.equal(metadataHash);
+      // Quality filters draw on the same query quota
+      const encrypted = await fhevm
+        .createEncryptedInput(await analytics.getAddress(), researcher2.address)
+        .add8(50)
+        .encrypt();
+      await expect(
+        analytics
+          .connect(researcher2)
+          .filterByQuality([4], encrypted.handles[0], encrypted.inputProof)
+      ).to.be.revertedWith("Query quota exceeded");
     });
+  });
 
-    it("Should allow granted access to private datasets", async function () {
-      const { contract, researcher1, researcher2 } = await loadFixture(deployContractFixture);
-
-      const metadataHash = "QmPrivateHash";
-      await contract.connect(researcher1).contributeData(12345, 85, metadataHash, false);
-      await contract.connect(researcher1).grantDataAccess(1, researcher2.address);
-
-      const info = await contract.connect(researcher2).accessDataset(1);
-      expect(info[0]).to.equal(metadataHash);
+  describe("Paginated Catalog", function () {
+    const NO_DATASET_FILTER = { contributor: ethers.ZeroAddress, activeOnly: false, publicOnly: false };
+
+    async function catalogFixture() {
+      const fixture = await deployContractFixture();
+      const { contract, researcher1, researcher2, researcher3, researcher4 } = fixture;
+
+      const ResearchCatalog = await ethers.getContractFactory("ResearchCatalog");
+      const catalog = await ResearchCatalog.deploy(await contract.getAddress());
+
+      // Datasets 1-3 from researcher1 (2 is private), 4-5 from researcher2 (5 is deactivated)
+      const datasets = [
+        [researcher1, "QmCatalog1", true],
+        [researcher1, "QmCatalog2", false],
+        [researcher1, "QmCatalog3", true],
+        [researcher2, "QmCatalog4", true],
+        [researcher2, "QmCatalog5", true],
+      ];
+      for (const [signer, hash, isPublic] of datasets) {
+        await contract
+          .connect(signer)
+          .contributeData(100, 80, hash, isPublic, SCHEMA_ID, ALL_PURPOSES);
+      }
+      await contract.connect(researcher2).deactivateDataset(5);
+
+      await requestAccessFor(contract, researcher3);
+      await requestAccessFor(contract, researcher4, 1);
+      const deadline = (await time.latest()) + 60;
+      await contract
+        .connect(researcher3)
+        .requestDataAccess("Short Study", 1000, deadline, PURPOSE);
+
+      return { ...fixture, catalog };
+    }
+
+    const hashes = (page) => page.map((dataset) => dataset.metadataHash);
+
+    it("Should page through readable datasets in ID order", async function () {
+      const { catalog, researcher3 } = await catalogFixture();
+      // The deactivated dataset 5 is hidden from other researchers
+      const outsider = catalog.connect(researcher3);
+
+      let [page, nextId] = await outsider.getDatasets(0, 2);
+      expect(hashes(page)).to.deep.equal(["QmCatalog1", "QmCatalog2"]);
+      expect(nextId).to.equal(3);
+
+      [page, nextId] = await outsider.getDatasets(nextId, 2);
+      expect(hashes(page)).to.deep.equal(["QmCatalog3", "QmCatalog4"]);
+      expect(page[1].datasetId).to.equal(4);
+      expect(page[1].schemaId).to.equal(SCHEMA_ID);
+      expect(page[1].allowedPurposes).to.equal(ALL_PURPOSES);
+      expect(nextId).to.equal(5);
+
+      // The last page only examines dataset 5, which is hidden, so it comes back empty
+      [page, nextId] = await outsider.getDatasets(nextId, 2);
+      expect(page).to.have.length(0);
+      expect(nextId).to.equal(0);
+
+      [page, nextId] = await outsider.getDatasets(6, 2);
+      expect(page).to.have.length(0);
+      expect(nextId).to.equal(0);
     });
 
-    it("Should reject access to private dataset without permission", async function () {
-      const { contract, researcher1, researcher2 } = await loadFixture(deployContractFixture);
+    it("Should bound each page by the IDs examined rather than the matches", async function () {
+      const { catalog, researcher2 } = await catalogFixture();
+      const byContributor = { ...NO_DATASET_FILTER, contributor: researcher2.address };
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmPrivateHash", false);
+      // Datasets 1-3 belong to researcher1, so the first page of three finds nothing
+      let [page, nextId] = await catalog.getDatasetsFiltered(byContributor, 1, 3);
+      expect(page).to.have.length(0);
+      expect(nextId).to.equal(4);
 
-      await expect(contract.connect(researcher2).accessDataset(1)).to.be.revertedWith(
-        "Access denied"
-      );
+      [page, nextId] = await catalog.getDatasetsFiltered(byContributor, nextId, 3);
+      expect(hashes(page)).to.deep.equal(["QmCatalog4", "QmCatalog5"]);
+      expect(nextId).to.equal(0);
     });
 
-    it("Should reject access to inactive dataset", async function () {
-      const { contract, researcher1, researcher2 } = await loadFixture(deployContractFixture);
+    it("Should filter datasets by contributor, visibility and status", async function () {
+      const { catalog, owner, researcher1, researcher2, researcher3 } = await catalogFixture();
+
+      const byContributor = { ...NO_DATASET_FILTER, contributor: researcher1.address };
+      expect(hashes((await catalog.getDatasetsFiltered(byContributor, 0, 10))[0])).to.deep.equal([
+        "QmCatalog1",
+        "QmCatalog2",
+        "QmCatalog3",
+      ]);
+
+      const publicOnly = { ...NO_DATASET_FILTER, publicOnly: true };
+      const [publicPage] = await catalog.connect(researcher3).getDatasetsFiltered(publicOnly, 2, 10);
+      expect(hashes(publicPage)).to.deep.equal([
+        "QmCatalog3",
+        "QmCatalog4",
+      ]);
+
+      // Deactivated datasets are only listed for their contributor and admins
+      const [contributorPage] = await catalog.connect(researcher2).getDatasets(0, 10);
+      const [adminPage, nextId] = await catalog.connect(owner).getDatasets(0, 10);
+      expect(contributorPage).to.have.length(5);
+      expect(adminPage).to.have.length(5);
+      expect(nextId).to.equal(0);
+
+      const activeOnly = { ...NO_DATASET_FILTER, activeOnly: true };
+      const [activePage] = await catalog.connect(owner).getDatasetsFiltered(activeOnly, 0, 10);
+      expect(activePage).to.have.length(4);
+    });
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", true);
-      await contract.connect(researcher1).deactivateDataset(1);
+    it("Should page through and filter data requests", async function () {
+      const { contract, catalog, researcher3, researcher4 } = await catalogFixture();
+
+      let [page, nextId] = await catalog.getRequests(2, 10);
+      expect(nextId).to.equal(0);
+      expect(page.map((request) => request.requestId)).to.deep.equal([2n, 3n]);
+      expect(page[0].requester).to.equal(researcher4.address);
+      expect(page[0].purpose).to.equal(1);
+      expect(page[1].researchTopic).to.equal("Short Study");
+
+      const byRequester = { requester: researcher3.address, openOnly: false };
+      [page, nextId] = await catalog.getRequestsFiltered(byRequester, 0, 2);
+      expect(page.map((request) => request.requestId)).to.deep.equal([1n]);
+      expect(nextId).to.equal(3);
+      [page, nextId] = await catalog.getRequestsFiltered(byRequester, nextId, 2);
+      expect(page.map((request) => request.requestId)).to.deep.equal([3n]);
+      expect(nextId).to.equal(0);
+
+      // Past-deadline and expired requests are no longer open
+      await time.increase(120);
+      const openOnly = { requester: ethers.ZeroAddress, openOnly: true };
+      [page] = await catalog.getRequestsFiltered(openOnly, 0, 10);
+      expect(page.map((request) => request.requestId)).to.deep.equal([1n, 2n]);
+
+      await contract.connect(researcher3).expireRequest(3);
+      [page] = await catalog.getRequests(3, 1);
+      expect(page[0].isExpired).to.equal(true);
+    });
 
-      await expect(contract.connect(researcher2).accessDataset(1)).to.be.revertedWith(
-        "Dataset not active"
+    it("Should reject invalid page sizes", async function () {
+      const { catalog } = await catalogFixture();
+      const maxPageSize = await catalog.MAX_PAGE_SIZE();
+
+      await expect(catalog.getDatasets(0, 0)).to.be.revertedWith("Invalid page size");
+      await expect(catalog.getRequests(0, maxPageSize + 1n)).to.be.revertedWith(
+        "Invalid page size"
       );
+      await catalog.getDatasets(0, maxPageSize);
     });
   });
 
   describe("Quality Score Management", function () {
     it("Should allow owner to update quality score", async function () {
-      const { contract, owner, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, owner, researcher1 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", true, SCHEMA_ID, ALL_PURPOSES);
 
       await expect(contract.connect(owner).updateQualityScore(1, 95))
         .to.emit(contract, "QualityScoreUpdated")
@@ -275,9 +3254,11 @@ describe("AnonymousResearchDataSharing", function () {
     });
 
     it("Should reject quality score update from non-owner", async function () {
-      const { contract, researcher1, researcher2 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1, researcher2 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", true, SCHEMA_ID, ALL_PURPOSES);
 
       await expect(
         contract.connect(researcher2).updateQualityScore(1, 95)
@@ -285,9 +3266,11 @@ describe("AnonymousResearchDataSharing", function () {
     });
 
     it("Should reject quality score above 100", async function () {
-      const { contract, owner, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, owner, researcher1 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", true, SCHEMA_ID, ALL_PURPOSES);
 
       await expect(contract.connect(owner).updateQualityScore(1, 101)).to.be.revertedWith(
         "Score must be 0-100"
@@ -297,9 +3280,11 @@ describe("AnonymousResearchDataSharing", function () {
 
   describe("Reward Distribution", function () {
     it("Should allow owner to distribute rewards", async function () {
-      const { contract, owner, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, owner, researcher1 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", true, SCHEMA_ID, ALL_PURPOSES);
 
       await expect(contract.connect(owner).distributeReward(researcher1.address, 1, 1000))
         .to.emit(contract, "RewardDistributed")
@@ -310,9 +3295,11 @@ describe("AnonymousResearchDataSharing", function () {
     });
 
     it("Should reject reward distribution from non-owner", async function () {
-      const { contract, researcher1, researcher2 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1, researcher2 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", true, SCHEMA_ID, ALL_PURPOSES);
 
       await expect(
         contract.connect(researcher2).distributeReward(researcher1.address, 1, 1000)
@@ -320,11 +3307,11 @@ describe("AnonymousResearchDataSharing", function () {
     });
 
     it("Should reject reward for invalid contributor", async function () {
-      const { contract, owner, researcher1, researcher2 } = await loadFixture(
-        deployContractFixture
-      );
+      const { contract, owner, researcher1, researcher2 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", true, SCHEMA_ID, ALL_PURPOSES);
 
       await expect(
         contract.connect(owner).distributeReward(researcher2.address, 1, 1000)
@@ -332,10 +3319,14 @@ describe("AnonymousResearchDataSharing", function () {
     });
 
     it("Should track multiple rewards for a contributor", async function () {
-      const { contract, owner, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, owner, researcher1 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash1", true);
-      await contract.connect(researcher1).contributeData(23456, 90, "QmHash2", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash1", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher1)
+        .contributeData(23456, 90, "QmHash2", true, SCHEMA_ID, ALL_PURPOSES);
 
       await contract.connect(owner).distributeReward(researcher1.address, 1, 1000);
       await contract.connect(owner).distributeReward(researcher1.address, 2, 1500);
@@ -345,11 +3336,123 @@ describe("AnonymousResearchDataSharing", function () {
     });
   });
 
+  describe("Reward Claiming", function () {
+    const TRANSFER_ENCRYPTED = "transfer(address,bytes32,bytes)";
+
+    let contract, token, owner, researcher1, researcher2;
+
+    beforeEach(async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      ({ contract, owner, researcher1, researcher2 } = await deployContractFixture());
+
+      const ConfidentialRewardToken = await ethers.getContractFactory("ConfidentialRewardToken");
+      token = await ConfidentialRewardToken.deploy(
+        "Research Reward",
+        "RRT",
+        await contract.getAddress()
+      );
+      await contract.connect(owner).setRewardToken(await token.getAddress());
+
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmReward", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract.connect(owner).distributeReward(researcher1.address, 1, 1000);
+    });
+
+    async function decryptBalance(signer) {
+      return fhevm.userDecryptEuint(
+        FhevmType.euint64,
+        await token.balanceOf(signer.address),
+        await token.getAddress(),
+        signer
+      );
+    }
+
+    it("Should mint the encrypted reward into a confidential balance", async function () {
+      await expect(contract.connect(researcher1).claimReward(0))
+        .to.emit(contract, "RewardClaimed")
+        .withArgs(researcher1.address, 0, 1);
+
+      const contribution = await contract.contributions(researcher1.address, 0);
+      expect(contribution.rewardClaimed).to.equal(true);
+      expect(await decryptBalance(researcher1)).to.equal(1000n);
+    });
+
+    it("Should reject claiming the same reward twice", async function () {
+      await contract.connect(researcher1).claimReward(0);
+
+      await expect(contract.connect(researcher1).claimReward(0)).to.be.revertedWith(
+        "Reward already claimed"
+      );
+    });
+
+    it("Should reject claims for rewards the caller does not have", async function () {
+      await expect(contract.connect(researcher2).claimReward(0)).to.be.revertedWith(
+        "Invalid reward index"
+      );
+    });
+
+    it("Should reject a reward token minted by another account", async function () {
+      const ConfidentialRewardToken = await ethers.getContractFactory("ConfidentialRewardToken");
+      const foreignToken = await ConfidentialRewardToken.deploy("Foreign", "FRN", owner.address);
+
+      await expect(
+        contract.connect(owner).setRewardToken(await foreignToken.getAddress())
+      ).to.be.revertedWith("Token minter mismatch");
+      await expect(
+        contract.connect(researcher1).setRewardToken(await token.getAddress())
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should only let the platform mint tokens", async function () {
+      const balance = await token.balanceOf(researcher1.address);
+
+      await expect(token.connect(researcher1).mint(researcher1.address, balance)).to.be.revertedWith(
+        "Not minter"
+      );
+    });
+
+    it("Should transfer confidential balances and move zero when underfunded", async function () {
+      await contract.connect(researcher1).claimReward(0);
+      const tokenAddress = await token.getAddress();
+
+      const input = await fhevm
+        .createEncryptedInput(tokenAddress, researcher1.address)
+        .add64(400)
+        .encrypt();
+      await token.connect(researcher1)[TRANSFER_ENCRYPTED](
+        researcher2.address,
+        input.handles[0],
+        input.inputProof
+      );
+
+      expect(await decryptBalance(researcher1)).to.equal(600n);
+      expect(await decryptBalance(researcher2)).to.equal(400n);
+
+      const overdraft = await fhevm
+        .createEncryptedInput(tokenAddress, researcher2.address)
+        .add64(5000)
+        .encrypt();
+      await token.connect(researcher2)[TRANSFER_ENCRYPTED](
+        researcher1.address,
+        overdraft.handles[0],
+        overdraft.inputProof
+      );
+
+      expect(await decryptBalance(researcher1)).to.equal(600n);
+      expect(await decryptBalance(researcher2)).to.equal(400n);
+    });
+  });
+
   describe("Dataset Deactivation", function () {
     it("Should allow contributor to deactivate dataset", async function () {
-      const { contract, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", true, SCHEMA_ID, ALL_PURPOSES);
       await contract.connect(researcher1).deactivateDataset(1);
 
       const info = await contract.getDatasetInfo(1);
@@ -357,9 +3460,11 @@ describe("AnonymousResearchDataSharing", function () {
     });
 
     it("Should allow owner to deactivate dataset", async function () {
-      const { contract, owner, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, owner, researcher1 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", true, SCHEMA_ID, ALL_PURPOSES);
       await contract.connect(owner).deactivateDataset(1);
 
       const info = await contract.getDatasetInfo(1);
@@ -367,9 +3472,11 @@ describe("AnonymousResearchDataSharing", function () {
     });
 
     it("Should reject deactivation from unauthorized user", async function () {
-      const { contract, researcher1, researcher2 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1, researcher2 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", true, SCHEMA_ID, ALL_PURPOSES);
 
       await expect(contract.connect(researcher2).deactivateDataset(1)).to.be.revertedWith(
         "Not authorized"
@@ -377,18 +3484,445 @@ describe("AnonymousResearchDataSharing", function () {
     });
   });
 
+  describe("Dataset Status Reasons", function () {
+    const Reason = { Unspecified: 0, WithdrawnConsent: 1, DataError: 2, Moderation: 3, Resolved: 4 };
+
+    // Reason-coded status changes go through the moderation contract, which holds MODERATOR_ROLE
+    async function statusFixture() {
+      const fixture = await deployModerationFixture();
+      const { contract, researcher1, researcher2 } = fixture;
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmStatus", false, SCHEMA_ID, ALL_PURPOSES);
+      const requestId = await requestAccessFor(contract, researcher2);
+      await contract.connect(researcher1).grantDataAccess(1, requestId);
+      return fixture;
+    }
+
+    it("Should record the reason and emit an event on deactivation", async function () {
+      const { contract, moderation, researcher1 } = await statusFixture();
+
+      await expect(
+        moderation.connect(researcher1).deactivateDatasetWithReason(1, Reason.WithdrawnConsent)
+      )
+        .to.emit(contract, "DatasetDeactivated")
+        .withArgs(1, researcher1.address, Reason.WithdrawnConsent);
+
+      expect(await contract.datasetStatusReason(1)).to.equal(Reason.WithdrawnConsent);
+    });
+
+    it("Should emit an unspecified reason for plain deactivation", async function () {
+      const { contract, owner } = await statusFixture();
+
+      await expect(contract.connect(owner).deactivateDataset(1))
+        .to.emit(contract, "DatasetDeactivated")
+        .withArgs(1, owner.address, Reason.Unspecified);
+    });
+
+    it("Should keep inactive datasets readable by contributor and admin only", async function () {
+      const { contract, moderation, owner, researcher1, researcher2 } = await statusFixture();
+
+      await moderation.connect(researcher1).deactivateDatasetWithReason(1, Reason.DataError);
+
+      expect((await contract.connect(researcher1).getDatasetInfo(1))[5]).to.equal(false);
+      expect((await contract.connect(owner).getDatasetInfo(1))[5]).to.equal(false);
+      await expect(contract.connect(researcher2).getDatasetInfo(1)).to.be.revertedWith(
+        "Dataset not active"
+      );
+
+      // Grants can still be withdrawn while the dataset is inactive
+      await contract.connect(researcher1).revokeDataAccess(1, researcher2.address);
+    });
+
+    it("Should reactivate datasets with a reason", async function () {
+      const { contract, moderation, researcher1, researcher2 } = await statusFixture();
+
+      await moderation.connect(researcher1).deactivateDatasetWithReason(1, Reason.DataError);
+      await expect(moderation.connect(researcher1).reactivateDataset(1, Reason.Resolved))
+        .to.emit(contract, "DatasetReactivated")
+        .withArgs(1, researcher1.address, Reason.Resolved);
+
+      expect(await contract.datasetStatusReason(1)).to.equal(Reason.Resolved);
+      await contract.connect(researcher2).accessDataset(1);
+
+      await expect(
+        moderation.connect(researcher1).reactivateDataset(1, Reason.Resolved)
+      ).to.be.revertedWith("Dataset already active");
+    });
+
+    it("Should reject status changes from non-managers", async function () {
+      const { moderation, researcher2 } = await statusFixture();
+
+      await expect(
+        moderation.connect(researcher2).deactivateDatasetWithReason(1, Reason.DataError)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should reserve moderation holds for moderators", async function () {
+      const { contract, moderation, owner, researcher1, researcher2 } = await statusFixture();
+
+      await expect(
+        moderation.connect(researcher1).deactivateDatasetWithReason(1, Reason.Moderation)
+      ).to.be.revertedWith("Not authorized");
+
+      await moderation.connect(owner).deactivateDatasetWithReason(1, Reason.Moderation);
+      await expect(
+        moderation.connect(researcher1).reactivateDataset(1, Reason.Resolved)
+      ).to.be.revertedWith("Moderation hold");
+      await expect(
+        moderation.connect(researcher2).reactivateDataset(1, Reason.Resolved)
+      ).to.be.revertedWith("Moderation hold");
+
+      await moderation.connect(owner).reactivateDataset(1, Reason.Resolved);
+      expect((await contract.getDatasetInfo(1))[5]).to.equal(true);
+    });
+
+    it("Should only let the moderator role set a dataset's status", async function () {
+      const { contract, owner } = await statusFixture();
+
+      await expect(
+        contract.connect(owner).setDatasetStatus(1, false, Reason.Moderation, owner.address)
+      ).to.be.revertedWith("Not authorized");
+    });
+  });
+
+  describe("Dispute and Moderation", function () {
+    const FlagReason = { Corrupt: 0, Mislabeled: 1, Duplicate: 2, ConsentIssue: 3, Other: 4 };
+    const FlagStatus = { Open: 1, Dismissed: 2, ScoreDowngraded: 3, DatasetDeactivated: 4 };
+    const MODERATION_REASON = 3;
+
+    // Dataset 1 is private and granted to researcher2; dataset 2 is public.
+    // researcher4 is a quality reviewer without the admin role
+    async function moderationFixture() {
+      const fixture = await deployModerationFixture();
+      const { contract, owner, researcher1, researcher2, researcher4 } = fixture;
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmFlagged", false, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher1)
+        .contributeData(67890, 90, "QmPublic", true, SCHEMA_ID, ALL_PURPOSES);
+      const requestId = await requestAccessFor(contract, researcher2);
+      await contract.connect(researcher1).grantDataAccess(1, requestId);
+      await contract
+        .connect(owner)
+        .grantRole(await contract.QUALITY_REVIEWER_ROLE(), researcher4.address);
+      return fixture;
+    }
+
+    it("Should let grantees flag a dataset into the moderation queue", async function () {
+      const { moderation, researcher2 } = await moderationFixture();
+
+      await expect(moderation.connect(researcher2).flagDataset(1, FlagReason.Mislabeled, "QmProof"))
+        .to.emit(moderation, "DatasetFlagged")
+        .withArgs(1, 1, researcher2.address, FlagReason.Mislabeled);
+
+      const flag = await moderation.getFlag(1);
+      expect(flag.reporter).to.equal(researcher2.address);
+      expect(flag.evidenceHash).to.equal("QmProof");
+      expect(flag.status).to.equal(FlagStatus.Open);
+
+      const [page, total] = await moderation.getModerationQueue(0, 10);
+      expect(total).to.equal(1);
+      expect(page[0].datasetId).to.equal(1);
+      expect(await moderation.getDatasetFlags(1)).to.deep.equal([1n]);
+    });
+
+    it("Should only accept flags from readers other than the contributor", async function () {
+      const { moderation, researcher1, researcher2, researcher3 } = await moderationFixture();
+
+      await expect(
+        moderation.connect(researcher3).flagDataset(1, FlagReason.Corrupt, "QmProof")
+      ).to.be.revertedWith("Access denied");
+      await expect(
+        moderation.connect(researcher1).flagDataset(1, FlagReason.Corrupt, "QmProof")
+      ).to.be.revertedWith("Cannot flag own dataset");
+      await expect(
+        moderation.connect(researcher2).flagDataset(1, FlagReason.Corrupt, "")
+      ).to.be.revertedWith("Evidence required");
+
+      // Anyone can read, and so flag, a public dataset
+      await moderation.connect(researcher3).flagDataset(2, FlagReason.Duplicate, "QmProof");
+      await expect(
+        moderation.connect(researcher3).flagDataset(2, FlagReason.Other, "QmMore")
+      ).to.be.revertedWith("Flag already open");
+    });
+
+    it("Should dismiss a flag and let the reporter flag again", async function () {
+      const { moderation, researcher2, researcher4 } = await moderationFixture();
+      await moderation.connect(researcher2).flagDataset(1, FlagReason.Corrupt, "QmProof");
+
+      await expect(moderation.connect(researcher4).dismissFlag(1))
+        .to.emit(moderation, "FlagResolved")
+        .withArgs(1, 1, researcher4.address, FlagStatus.Dismissed);
+
+      expect((await moderation.getFlag(1)).moderator).to.equal(researcher4.address);
+      expect((await moderation.getModerationQueue(0, 10))[1]).to.equal(0);
+      await expect(moderation.connect(researcher4).dismissFlag(1)).to.be.revertedWith(
+        "Flag not open"
+      );
+      await moderation.connect(researcher2).flagDataset(1, FlagReason.Corrupt, "QmNewProof");
+    });
+
+    it("Should downgrade the quality score of a flagged dataset", async function () {
+      const { contract, moderation, researcher2, researcher4 } = await moderationFixture();
+      await moderation.connect(researcher2).flagDataset(1, FlagReason.Corrupt, "QmProof");
+
+      await expect(moderation.connect(researcher4).downgradeScore(1, 20))
+        .to.emit(contract, "QualityScoreUpdated")
+        .withArgs(1, 20)
+        .and.to.emit(moderation, "FlagResolved")
+        .withArgs(1, 1, researcher4.address, FlagStatus.ScoreDowngraded);
+
+      await moderation.connect(researcher2).flagDataset(1, FlagReason.Corrupt, "QmProof");
+      await expect(moderation.connect(researcher4).downgradeScore(2, 101)).to.be.revertedWith(
+        "Score must be 0-100"
+      );
+    });
+
+    it("Should deactivate a flagged dataset under a moderation hold", async function () {
+      const { contract, moderation, researcher1, researcher2, researcher3, researcher4 } =
+        await moderationFixture();
+      await moderation.connect(researcher2).flagDataset(1, FlagReason.ConsentIssue, "QmProof");
+
+      await expect(
+        moderation.connect(researcher3).deactivateFlaggedDataset(1)
+      ).to.be.revertedWith("Not moderator");
+
+      // A quality reviewer needs no admin role to deactivate
+      await expect(moderation.connect(researcher4).deactivateFlaggedDataset(1))
+        .to.emit(contract, "DatasetDeactivated")
+        .withArgs(1, researcher4.address, MODERATION_REASON)
+        .and.to.emit(moderation, "FlagResolved")
+        .withArgs(1, 1, researcher4.address, FlagStatus.DatasetDeactivated);
+
+      expect(await contract.datasetStatusReason(1)).to.equal(MODERATION_REASON);
+      await expect(moderation.connect(researcher1).reactivateDataset(1, 4)).to.be.revertedWith(
+        "Moderation hold"
+      );
+      await moderation.connect(researcher4).reactivateDataset(1, 4);
+    });
+
+    it("Should restrict resolution to moderators and page the queue", async function () {
+      const { moderation, researcher2, researcher3 } = await moderationFixture();
+      await moderation.connect(researcher2).flagDataset(1, FlagReason.Corrupt, "QmProof");
+      await moderation.connect(researcher2).flagDataset(2, FlagReason.Duplicate, "QmProof");
+      await moderation.connect(researcher3).flagDataset(2, FlagReason.Duplicate, "QmProof");
+
+      await expect(moderation.connect(researcher3).dismissFlag(1)).to.be.revertedWith(
+        "Not moderator"
+      );
+      await expect(moderation.connect(researcher3).downgradeScore(1, 10)).to.be.revertedWith(
+        "Not moderator"
+      );
+      await expect(moderation.getModerationQueue(0, 0)).to.be.revertedWith("Invalid page size");
+
+      const [page, total] = await moderation.getModerationQueue(1, 1);
+      expect(total).to.equal(3);
+      expect(page.map((flag) => flag.flagId)).to.deep.equal([2n]);
+    });
+
+    it("Should fill resolved queue slots with the last open flag", async function () {
+      const { moderation, researcher2, researcher3, researcher4 } = await moderationFixture();
+      await moderation.connect(researcher2).flagDataset(1, FlagReason.Corrupt, "QmProof");
+      await moderation.connect(researcher2).flagDataset(2, FlagReason.Duplicate, "QmProof");
+      await moderation.connect(researcher3).flagDataset(2, FlagReason.Duplicate, "QmProof");
+
+      await moderation.connect(researcher4).dismissFlag(1);
+
+      const [page, total] = await moderation.getModerationQueue(0, 10);
+      expect(total).to.equal(2);
+      expect(page.map((flag) => flag.flagId)).to.deep.equal([3n, 2n]);
+      expect((await moderation.getModerationQueue(2, 10))[0]).to.deep.equal([]);
+    });
+
+    it("Should close every open flag of a deactivated dataset", async function () {
+      const { contract, moderation, researcher1, researcher2, researcher3, researcher4 } =
+        await moderationFixture();
+      await moderation.connect(researcher2).flagDataset(1, FlagReason.Corrupt, "QmProof");
+      await moderation.connect(researcher2).flagDataset(2, FlagReason.Duplicate, "QmProof");
+      await moderation.connect(researcher3).flagDataset(2, FlagReason.Duplicate, "QmProof");
+
+      await expect(moderation.connect(researcher4).deactivateFlaggedDataset(2))
+        .to.emit(moderation, "FlagResolved")
+        .withArgs(3, 2, researcher4.address, FlagStatus.DatasetDeactivated);
+      expect((await moderation.getFlag(2)).status).to.equal(FlagStatus.DatasetDeactivated);
+      expect(await moderation.hasOpenFlag(2, researcher3.address)).to.equal(false);
+
+      // Reason-coded deactivation by the contributor closes the remaining flag
+      await moderation.connect(researcher1).deactivateDatasetWithReason(1, 2);
+      const flag = await moderation.getFlag(1);
+      expect(flag.status).to.equal(FlagStatus.DatasetDeactivated);
+      expect(flag.moderator).to.equal(researcher1.address);
+      expect((await moderation.getModerationQueue(0, 10))[1]).to.equal(0);
+      expect(await contract.datasetStatusReason(1)).to.equal(2);
+    });
+  });
+
+  describe("Peer Review", function () {
+    let contract, peerReview, reputation, owner, researcher1, researcher2, researcher3, researcher4;
+
+    // researcher1 contributes public dataset 1, researcher2 private dataset 2; all are reviewers
+    beforeEach(async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      ({
+        contract,
+        peerReview,
+        reputation,
+        owner,
+        researcher1,
+        researcher2,
+        researcher3,
+        researcher4,
+      } = await deployPeerReviewFixture());
+
+      await contract
+        .connect(researcher1)
+        .contributeData(100, 40, "QmReviewed", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher2)
+        .contributeData(200, 60, "QmPrivate", false, SCHEMA_ID, ALL_PURPOSES);
+      for (const reviewer of [researcher1, researcher2, researcher3, researcher4]) {
+        await peerReview.connect(owner).setReviewer(reviewer.address, true);
+      }
+    });
+
+    async function submitReview(reviewer, datasetId, score) {
+      const encrypted = await fhevm
+        .createEncryptedInput(await peerReview.getAddress(), reviewer.address)
+        .add8(score)
+        .encrypt();
+      return peerReview
+        .connect(reviewer)
+        .submitReview(datasetId, encrypted.handles[0], encrypted.inputProof);
+    }
+
+    // Dataset 1 is researcher1's only dataset, so their reputation sum is its quality score
+    async function decryptQualityScore() {
+      const [scoreSum] = await reputation.getReputation(researcher1.address);
+      return fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        scoreSum,
+        await reputation.getAddress(),
+        researcher1
+      );
+    }
+
+    it("Should apply the average score once enough reviewers have scored", async function () {
+      await submitReview(researcher2, 1, 70);
+      await expect(submitReview(researcher3, 1, 90))
+        .to.emit(peerReview, "ReviewSubmitted")
+        .withArgs(1, 2)
+        .and.not.to.emit(peerReview, "ReviewScoreApplied");
+      expect(await peerReview.getReviewTally(1)).to.deep.equal([2n, 0n]);
+      expect(await decryptQualityScore()).to.equal(40n);
+
+      // Scores above 100 count as 100, so the average is (70 + 90 + 100) / 3
+      await expect(submitReview(researcher4, 1, 250))
+        .to.emit(peerReview, "ReviewScoreApplied")
+        .withArgs(1, 3)
+        .and.to.emit(contract, "EncryptedQualityScoreUpdated")
+        .withArgs(1, await peerReview.getAddress());
+      expect(await peerReview.getReviewTally(1)).to.deep.equal([3n, 3n]);
+      expect(await decryptQualityScore()).to.equal(86n);
+    });
+
+    it("Should only apply a new average once a whole batch has reviewed", async function () {
+      const [, , , , , reviewer5, reviewer6, reviewer7] = await ethers.getSigners();
+      for (const reviewer of [reviewer5, reviewer6, reviewer7]) {
+        await peerReview.connect(owner).setReviewer(reviewer.address, true);
+      }
+      await submitReview(researcher2, 1, 60);
+      await submitReview(researcher3, 1, 60);
+      await submitReview(researcher4, 1, 60);
+      expect(await decryptQualityScore()).to.equal(60n);
+
+      // A single extra review must not move the published score
+      await expect(submitReview(reviewer5, 1, 100)).to.not.emit(peerReview, "ReviewScoreApplied");
+      await submitReview(reviewer6, 1, 100);
+      expect(await peerReview.getReviewTally(1)).to.deep.equal([5n, 3n]);
+      expect(await decryptQualityScore()).to.equal(60n);
+
+      // The next batch applies the average of all six reviews
+      await expect(submitReview(reviewer7, 1, 100))
+        .to.emit(peerReview, "ReviewScoreApplied")
+        .withArgs(1, 6);
+      expect(await peerReview.getReviewTally(1)).to.deep.equal([6n, 6n]);
+      expect(await decryptQualityScore()).to.equal(80n);
+    });
+
+    it("Should accept one review per accredited reader, never the contributor", async function () {
+      const [, , , , , outsider] = await ethers.getSigners();
+
+      await expect(submitReview(outsider, 1, 80)).to.be.revertedWith("Not accredited reviewer");
+      await expect(submitReview(researcher1, 1, 80)).to.be.revertedWith(
+        "Cannot review own dataset"
+      );
+      await expect(submitReview(researcher3, 2, 80)).to.be.revertedWith("Access denied");
+
+      await submitReview(researcher2, 1, 80);
+      await expect(submitReview(researcher2, 1, 60)).to.be.revertedWith("Already reviewed");
+
+      await peerReview.connect(owner).setReviewer(researcher3.address, false);
+      await expect(submitReview(researcher3, 1, 80)).to.be.revertedWith("Not accredited reviewer");
+    });
+
+    it("Should let only admins accredit reviewers and set the threshold", async function () {
+      await expect(
+        peerReview.connect(researcher2).setReviewer(researcher3.address, true)
+      ).to.be.revertedWith("Not authorized");
+      await expect(peerReview.connect(researcher2).setMinReviewers(1)).to.be.revertedWith(
+        "Not authorized"
+      );
+      await expect(peerReview.connect(owner).setMinReviewers(0)).to.be.revertedWith(
+        "Threshold must be positive"
+      );
+
+      await expect(peerReview.connect(owner).setMinReviewers(1))
+        .to.emit(peerReview, "MinReviewersSet")
+        .withArgs(1);
+      await expect(submitReview(researcher2, 1, 55)).to.emit(peerReview, "ReviewScoreApplied");
+      expect(await decryptQualityScore()).to.equal(55n);
+    });
+
+    it("Should only accept encrypted scores the reviewer role may use", async function () {
+      const encrypted = await fhevm
+        .createEncryptedInput(await contract.getAddress(), owner.address)
+        .add8(90)
+        .encrypt();
+
+      await expect(
+        contract.connect(researcher2).updateEncryptedQualityScore(1, encrypted.handles[0])
+      ).to.be.revertedWith("Not authorized");
+      // An input handle that was never verified is not usable by anyone
+      await expect(
+        contract.connect(owner).updateEncryptedQualityScore(1, encrypted.handles[0])
+      ).to.be.revertedWith("Score not allowed");
+    });
+  });
+
   describe("Platform Statistics", function () {
     it("Should track total datasets and requests", async function () {
-      const { contract, researcher1, researcher2 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1, researcher2 } = await deployContractFixture();
 
       // Contribute datasets
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash1", true);
-      await contract.connect(researcher1).contributeData(23456, 90, "QmHash2", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash1", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher1)
+        .contributeData(23456, 90, "QmHash2", true, SCHEMA_ID, ALL_PURPOSES);
 
       // Submit requests
-      const deadline = Math.floor(Date.now() / 1000) + 86400;
-      await contract.connect(researcher2).requestDataAccess("Research 1", 50000, deadline);
-      await contract.connect(researcher2).requestDataAccess("Research 2", 60000, deadline);
+      const deadline = (await time.latest()) + 86400;
+      await contract
+        .connect(researcher2)
+        .requestDataAccess("Research 1", 50000, deadline, PURPOSE);
+      await contract
+        .connect(researcher2)
+        .requestDataAccess("Research 2", 60000, deadline, PURPOSE);
 
       const stats = await contract.getPlatformStats();
       expect(stats[0]).to.equal(2); // totalDatasets
@@ -396,7 +3930,7 @@ describe("AnonymousResearchDataSharing", function () {
     });
 
     it("Should return correct block timestamp", async function () {
-      const { contract } = await loadFixture(deployContractFixture);
+      const { contract } = await deployContractFixture();
 
       const stats = await contract.getPlatformStats();
       expect(stats[2]).to.be.gt(0); // blockTimestamp
@@ -405,13 +3939,17 @@ describe("AnonymousResearchDataSharing", function () {
 
   describe("Edge Cases", function () {
     it("Should handle multiple contributors and datasets", async function () {
-      const { contract, researcher1, researcher2, researcher3 } = await loadFixture(
-        deployContractFixture
-      );
+      const { contract, researcher1, researcher2, researcher3 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(11111, 80, "QmHash1", true);
-      await contract.connect(researcher2).contributeData(22222, 85, "QmHash2", true);
-      await contract.connect(researcher3).contributeData(33333, 90, "QmHash3", false);
+      await contract
+        .connect(researcher1)
+        .contributeData(11111, 80, "QmHash1", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher2)
+        .contributeData(22222, 85, "QmHash2", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher3)
+        .contributeData(33333, 90, "QmHash3", false, SCHEMA_ID, ALL_PURPOSES);
 
       const stats = await contract.getPlatformStats();
       expect(stats[0]).to.equal(3);
@@ -422,16 +3960,18 @@ describe("AnonymousResearchDataSharing", function () {
     });
 
     it("Should handle zero values correctly", async function () {
-      const { contract, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(0, 0, "QmHash", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(0, 0, "QmHash", true, SCHEMA_ID, ALL_PURPOSES);
 
       const info = await contract.getDatasetInfo(1);
       expect(info[0]).to.equal(researcher1.address);
     });
 
     it("Should return empty array for contributor with no datasets", async function () {
-      const { contract, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1 } = await deployContractFixture();
 
       const count = await contract.getContributorDatasetCount(researcher1.address);
       expect(count).to.equal(0);
@@ -441,25 +3981,29 @@ describe("AnonymousResearchDataSharing", function () {
     });
 
     it("Should handle maximum uint32 value", async function () {
-      const { contract, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1 } = await deployContractFixture();
 
       const maxUint32 = 2n ** 32n - 1n;
-      await contract.connect(researcher1).contributeData(maxUint32, 100, "QmMaxHash", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(maxUint32, 100, "QmMaxHash", true, SCHEMA_ID, ALL_PURPOSES);
 
       const info = await contract.getDatasetInfo(1);
       expect(info[0]).to.equal(researcher1.address);
     });
 
     it("Should handle multiple access grants to same dataset", async function () {
-      const { contract, researcher1, researcher2, researcher3, researcher4 } = await loadFixture(
-        deployContractFixture
-      );
+      const { contract, researcher1, researcher2, researcher3, researcher4 } =
+        await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", false);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", false, SCHEMA_ID, ALL_PURPOSES);
 
-      await contract.connect(researcher1).grantDataAccess(1, researcher2.address);
-      await contract.connect(researcher1).grantDataAccess(1, researcher3.address);
-      await contract.connect(researcher1).grantDataAccess(1, researcher4.address);
+      for (const researcher of [researcher2, researcher3, researcher4]) {
+        const requestId = await requestAccessFor(contract, researcher);
+        await contract.connect(researcher1).grantDataAccess(1, requestId);
+      }
 
       const info = await contract.getDatasetInfo(1);
       expect(info[4]).to.equal(3); // accessCount
@@ -468,17 +4012,21 @@ describe("AnonymousResearchDataSharing", function () {
 
   describe("Complex Workflows", function () {
     it("Should handle full workflow: contribute, request, grant, access", async function () {
-      const { contract, researcher1, researcher2 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1, researcher2 } = await deployContractFixture();
 
       // Step 1: Contribute dataset
-      await contract.connect(researcher1).contributeData(12345, 85, "QmWorkflow", false);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmWorkflow", false, SCHEMA_ID, ALL_PURPOSES);
 
       // Step 2: Request access
-      const deadline = Math.floor(Date.now() / 1000) + 86400;
-      await contract.connect(researcher2).requestDataAccess("Workflow Test", 50000, deadline);
+      const deadline = (await time.latest()) + 86400;
+      await contract
+        .connect(researcher2)
+        .requestDataAccess("Workflow Test", 50000, deadline, PURPOSE);
 
       // Step 3: Grant access
-      await contract.connect(researcher1).grantDataAccess(1, researcher2.address);
+      await contract.connect(researcher1).grantDataAccess(1, 1);
 
       // Step 4: Access dataset
       const info = await contract.connect(researcher2).accessDataset(1);
@@ -486,17 +4034,23 @@ describe("AnonymousResearchDataSharing", function () {
     });
 
     it("Should handle multiple datasets and multiple requests", async function () {
-      const { contract, researcher1, researcher2 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1, researcher2 } = await deployContractFixture();
 
       // Contribute multiple datasets
-      await contract.connect(researcher1).contributeData(11111, 80, "QmHash1", true);
-      await contract.connect(researcher1).contributeData(22222, 85, "QmHash2", false);
-      await contract.connect(researcher1).contributeData(33333, 90, "QmHash3", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(11111, 80, "QmHash1", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher1)
+        .contributeData(22222, 85, "QmHash2", false, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher1)
+        .contributeData(33333, 90, "QmHash3", true, SCHEMA_ID, ALL_PURPOSES);
 
       // Multiple requests
-      const deadline = Math.floor(Date.now() / 1000) + 86400;
-      await contract.connect(researcher2).requestDataAccess("Request 1", 10000, deadline);
-      await contract.connect(researcher2).requestDataAccess("Request 2", 20000, deadline);
+      const deadline = (await time.latest()) + 86400;
+      await contract.connect(researcher2).requestDataAccess("Request 1", 10000, deadline, PURPOSE);
+      await contract.connect(researcher2).requestDataAccess("Request 2", 20000, deadline, PURPOSE);
 
       const stats = await contract.getPlatformStats();
       expect(stats[0]).to.equal(3); // 3 datasets
@@ -504,14 +4058,19 @@ describe("AnonymousResearchDataSharing", function () {
     });
 
     it("Should handle reward distribution to multiple contributors", async function () {
-      const { contract, owner, researcher1, researcher2, researcher3 } = await loadFixture(
-        deployContractFixture
-      );
+      const { contract, owner, researcher1, researcher2, researcher3 } =
+        await deployContractFixture();
 
       // Contribute datasets
-      await contract.connect(researcher1).contributeData(11111, 80, "QmHash1", true);
-      await contract.connect(researcher2).contributeData(22222, 85, "QmHash2", true);
-      await contract.connect(researcher3).contributeData(33333, 90, "QmHash3", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(11111, 80, "QmHash1", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher2)
+        .contributeData(22222, 85, "QmHash2", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher3)
+        .contributeData(33333, 90, "QmHash3", true, SCHEMA_ID, ALL_PURPOSES);
 
       // Distribute rewards
       await contract.connect(owner).distributeReward(researcher1.address, 1, 1000);
@@ -527,36 +4086,47 @@ describe("AnonymousResearchDataSharing", function () {
 
   describe("Event Emissions", function () {
     it("Should emit DatasetContributed event with correct parameters", async function () {
-      const { contract, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1 } = await deployContractFixture();
 
-      await expect(contract.connect(researcher1).contributeData(12345, 85, "QmEvent", true))
+      await expect(
+        contract
+          .connect(researcher1)
+          .contributeData(12345, 85, "QmEvent", true, SCHEMA_ID, ALL_PURPOSES)
+      )
         .to.emit(contract, "DatasetContributed")
         .withArgs(1, researcher1.address, "QmEvent");
     });
 
     it("Should emit DataRequested event with correct parameters", async function () {
-      const { contract, researcher2 } = await loadFixture(deployContractFixture);
+      const { contract, researcher2 } = await deployContractFixture();
 
-      const deadline = Math.floor(Date.now() / 1000) + 86400;
-      await expect(contract.connect(researcher2).requestDataAccess("Event Test", 50000, deadline))
+      const deadline = (await time.latest()) + 86400;
+      await expect(
+        contract.connect(researcher2).requestDataAccess("Event Test", 50000, deadline, PURPOSE)
+      )
         .to.emit(contract, "DataRequested")
         .withArgs(1, researcher2.address, "Event Test");
     });
 
     it("Should emit DatasetAccessed event when access is granted", async function () {
-      const { contract, researcher1, researcher2 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1, researcher2 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", false);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", false, SCHEMA_ID, ALL_PURPOSES);
 
-      await expect(contract.connect(researcher1).grantDataAccess(1, researcher2.address))
+      const requestId = await requestAccessFor(contract, researcher2);
+      await expect(contract.connect(researcher1).grantDataAccess(1, requestId))
         .to.emit(contract, "DatasetAccessed")
         .withArgs(1, researcher2.address);
     });
 
     it("Should emit RewardDistributed event when reward is given", async function () {
-      const { contract, owner, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, owner, researcher1 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", true, SCHEMA_ID, ALL_PURPOSES);
 
       await expect(contract.connect(owner).distributeReward(researcher1.address, 1, 1000))
         .to.emit(contract, "RewardDistributed")
@@ -564,9 +4134,11 @@ describe("AnonymousResearchDataSharing", function () {
     });
 
     it("Should emit QualityScoreUpdated event when score is updated", async function () {
-      const { contract, owner, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, owner, researcher1 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", true, SCHEMA_ID, ALL_PURPOSES);
 
       await expect(contract.connect(owner).updateQualityScore(1, 95))
         .to.emit(contract, "QualityScoreUpdated")
@@ -576,9 +4148,11 @@ describe("AnonymousResearchDataSharing", function () {
 
   describe("Gas Optimization", function () {
     it("Should have reasonable gas cost for data contribution", async function () {
-      const { contract, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1 } = await deployContractFixture();
 
-      const tx = await contract.connect(researcher1).contributeData(12345, 85, "QmGas", true);
+      const tx = await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmGas", true, SCHEMA_ID, ALL_PURPOSES);
       const receipt = await tx.wait();
 
       // Gas should be reasonable (adjust based on actual measurements)
@@ -586,62 +4160,75 @@ describe("AnonymousResearchDataSharing", function () {
     });
 
     it("Should have reasonable gas cost for access request", async function () {
-      const { contract, researcher2 } = await loadFixture(deployContractFixture);
+      const { contract, researcher2 } = await deployContractFixture();
 
-      const deadline = Math.floor(Date.now() / 1000) + 86400;
+      const deadline = (await time.latest()) + 86400;
       const tx = await contract
         .connect(researcher2)
-        .requestDataAccess("Gas Test", 50000, deadline);
+        .requestDataAccess("Gas Test", 50000, deadline, PURPOSE);
       const receipt = await tx.wait();
 
       expect(receipt.gasUsed).to.be.lt(300000);
     });
 
     it("Should have reasonable gas cost for granting access", async function () {
-      const { contract, researcher1, researcher2 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1, researcher2 } = await deployContractFixture();
 
-      await contract.connect(researcher1).contributeData(12345, 85, "QmHash", false);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmHash", false, SCHEMA_ID, ALL_PURPOSES);
 
-      const tx = await contract.connect(researcher1).grantDataAccess(1, researcher2.address);
+      const requestId = await requestAccessFor(contract, researcher2);
+      const tx = await contract.connect(researcher1).grantDataAccess(1, requestId);
       const receipt = await tx.wait();
 
-      expect(receipt.gasUsed).to.be.lt(200000);
+      expect(receipt.gasUsed).to.be.lt(250000);
     });
   });
 
   describe("State Consistency", function () {
     it("Should maintain correct dataset counter after multiple contributions", async function () {
-      const { contract, researcher1, researcher2 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1, researcher2 } = await deployContractFixture();
 
       expect(await contract.nextDatasetId()).to.equal(1);
 
-      await contract.connect(researcher1).contributeData(11111, 80, "QmHash1", true);
+      await contract
+        .connect(researcher1)
+        .contributeData(11111, 80, "QmHash1", true, SCHEMA_ID, ALL_PURPOSES);
       expect(await contract.nextDatasetId()).to.equal(2);
 
-      await contract.connect(researcher2).contributeData(22222, 85, "QmHash2", true);
+      await contract
+        .connect(researcher2)
+        .contributeData(22222, 85, "QmHash2", true, SCHEMA_ID, ALL_PURPOSES);
       expect(await contract.nextDatasetId()).to.equal(3);
     });
 
     it("Should maintain correct request counter after multiple requests", async function () {
-      const { contract, researcher1, researcher2 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1, researcher2 } = await deployContractFixture();
 
       expect(await contract.nextRequestId()).to.equal(1);
 
-      const deadline = Math.floor(Date.now() / 1000) + 86400;
+      const deadline = (await time.latest()) + 86400;
 
-      await contract.connect(researcher1).requestDataAccess("Request 1", 10000, deadline);
+      await contract.connect(researcher1).requestDataAccess("Request 1", 10000, deadline, PURPOSE);
       expect(await contract.nextRequestId()).to.equal(2);
 
-      await contract.connect(researcher2).requestDataAccess("Request 2", 20000, deadline);
+      await contract.connect(researcher2).requestDataAccess("Request 2", 20000, deadline, PURPOSE);
       expect(await contract.nextRequestId()).to.equal(3);
     });
 
     it("Should maintain correct contributor dataset list", async function () {
-      const { contract, researcher1 } = await loadFixture(deployContractFixture);
-
-      await contract.connect(researcher1).contributeData(11111, 80, "QmHash1", true);
-      await contract.connect(researcher1).contributeData(22222, 85, "QmHash2", true);
-      await contract.connect(researcher1).contributeData(33333, 90, "QmHash3", false);
+      const { contract, researcher1 } = await deployContractFixture();
+
+      await contract
+        .connect(researcher1)
+        .contributeData(11111, 80, "QmHash1", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher1)
+        .contributeData(22222, 85, "QmHash2", true, SCHEMA_ID, ALL_PURPOSES);
+      await contract
+        .connect(researcher1)
+        .contributeData(33333, 90, "QmHash3", false, SCHEMA_ID, ALL_PURPOSES);
 
       const datasets = await contract.getContributorDatasets(researcher1.address);
       expect(datasets.length).to.equal(3);
@@ -653,36 +4240,38 @@ describe("AnonymousResearchDataSharing", function () {
 
   describe("Boundary Conditions", function () {
     it("Should handle dataset ID boundary correctly", async function () {
-      const { contract, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract } = await deployContractFixture();
 
       // Test with non-existent dataset ID
       await expect(contract.getDatasetInfo(999)).to.be.revertedWith("Invalid dataset ID");
     });
 
     it("Should handle request ID boundary correctly", async function () {
-      const { contract } = await loadFixture(deployContractFixture);
+      const { contract } = await deployContractFixture();
 
       // Test with non-existent request ID
       await expect(contract.getDataRequestInfo(999)).to.be.revertedWith("Invalid request ID");
     });
 
     it("Should handle very long metadata hash", async function () {
-      const { contract, researcher1 } = await loadFixture(deployContractFixture);
+      const { contract, researcher1 } = await deployContractFixture();
 
       const longHash = "Qm" + "a".repeat(100);
-      await contract.connect(researcher1).contributeData(12345, 85, longHash, true);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, longHash, true, SCHEMA_ID, ALL_PURPOSES);
 
       const info = await contract.getDatasetInfo(1);
       expect(info[1]).to.equal(longHash);
     });
 
     it("Should handle very long research topic", async function () {
-      const { contract, researcher2 } = await loadFixture(deployContractFixture);
+      const { contract, researcher2 } = await deployContractFixture();
 
       const longTopic = "Research " + "topic ".repeat(50);
-      const deadline = Math.floor(Date.now() / 1000) + 86400;
+      const deadline = (await time.latest()) + 86400;
 
-      await contract.connect(researcher2).requestDataAccess(longTopic, 50000, deadline);
+      await contract.connect(researcher2).requestDataAccess(longTopic, 50000, deadline, PURPOSE);
 
       const info = await contract.getDataRequestInfo(1);
       expect(info[1]).to.equal(longTopic);
@@ -691,19 +4280,21 @@ describe("AnonymousResearchDataSharing", function () {
 
   describe("Integration Tests", function () {
     it("Should complete full research data sharing lifecycle", async function () {
-      const { contract, owner, researcher1, researcher2 } = await loadFixture(
-        deployContractFixture
-      );
+      const { contract, owner, researcher1, researcher2 } = await deployContractFixture();
 
       // 1. Researcher1 contributes data
-      await contract.connect(researcher1).contributeData(12345, 85, "QmLifecycle", false);
+      await contract
+        .connect(researcher1)
+        .contributeData(12345, 85, "QmLifecycle", false, SCHEMA_ID, ALL_PURPOSES);
 
       // 2. Researcher2 requests access
-      const deadline = Math.floor(Date.now() / 1000) + 86400;
-      await contract.connect(researcher2).requestDataAccess("Lifecycle Test", 50000, deadline);
+      const deadline = (await time.latest()) + 86400;
+      await contract
+        .connect(researcher2)
+        .requestDataAccess("Lifecycle Test", 50000, deadline, PURPOSE);
 
       // 3. Researcher1 grants access
-      await contract.connect(researcher1).grantDataAccess(1, researcher2.address);
+      await contract.connect(researcher1).grantDataAccess(1, 1);
 
       // 4. Researcher2 accesses data
       const accessInfo = await contract.connect(researcher2).accessDataset(1);